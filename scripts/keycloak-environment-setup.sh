@@ -13,6 +13,12 @@ ADMIN_PASSWORD="admin"
 REALM_NAME="idp-redirector-demo"
 CLIENT_ID="react-oidc-app"
 REDIRECT_URI="http://localhost:3001/callback"
+# Back-channel logout receiver (npm run backchannel), reached from inside the Keycloak container
+BACKCHANNEL_LOGOUT_URL="http://host.docker.internal:3002/backchannel-logout"
+# Confidential client of the lookup service (npm run lookup) and the sample organization it resolves
+LOOKUP_CLIENT_ID="idp-redirector-lookup"
+ORGANIZATION_ALIAS="contoso"
+ORGANIZATION_DOMAIN="contoso.com"
 CONTAINER_NAME="keycloak-idp-redirector-demo"
 KEYCLOAK_IMAGE="quay.io/keycloak/keycloak:latest"
 
@@ -21,6 +27,7 @@ ACCESS_TOKEN=""
 GOOGLE_CLIENT_ID=""
 GOOGLE_CLIENT_SECRET=""
 MICROSOFT_CLIENT_ID=""
+LOOKUP_CLIENT_SECRET=""
 
 echo "Setting up Keycloak IDP Redirector Demo Environment"
 echo "=================================================="
@@ -152,6 +159,7 @@ install_keycloak() {
     if docker run -d \
         --name $CONTAINER_NAME \
         -p 8080:8080 \
+        --add-host host.docker.internal:host-gateway \
         -e KEYCLOAK_ADMIN=$ADMIN_USER \
         -e KEYCLOAK_ADMIN_PASSWORD=$ADMIN_PASSWORD \
         $KEYCLOAK_IMAGE start-dev > /dev/null 2>&1; then
@@ -383,6 +391,7 @@ create_client() {
         "implicitFlowEnabled": false,
         "directAccessGrantsEnabled": false,
         "protocol": "openid-connect",
+        "frontchannelLogout": true,
         "redirectUris": [
             "'$REDIRECT_URI'"
         ],
@@ -397,6 +406,9 @@ create_client() {
             "use.refresh.tokens": "true",
             "oidc.ciba.grant.enabled": "false",
             "backchannel.logout.session.required": "true",
+            "backchannel.logout.url": "'$BACKCHANNEL_LOGOUT_URL'",
+            "frontchannel.logout.url": "http://localhost:3001/logout",
+            "frontchannel.logout.session.required": "true",
             "client_credentials.use_refresh_token": "false",
             "require.pushed.authorization.requests": "false",
             "tls.client.certificate.bound.access.tokens": "false",
@@ -449,7 +461,11 @@ fix_client_logout_config() {
         -s 'attributes."use.refresh.tokens"="true"' \
         -s 'attributes."access.token.lifespan"="300"' \
         -s 'attributes."backchannel.logout.session.required"="true"' \
-        -s 'attributes."backchannel.logout.revoke.offline.tokens"="false"' > /dev/null 2>&1
+        -s "attributes.\"backchannel.logout.url\"=$BACKCHANNEL_LOGOUT_URL" \
+        -s 'attributes."backchannel.logout.revoke.offline.tokens"="false"' \
+        -s 'frontchannelLogout=true' \
+        -s 'attributes."frontchannel.logout.url"="http://localhost:3001/logout"' \
+        -s 'attributes."frontchannel.logout.session.required"="true"' > /dev/null 2>&1
     
     if [ $? -eq 0 ]; then
         echo "SUCCESS: Client logout configuration updated"
@@ -458,6 +474,54 @@ fix_client_logout_config() {
     fi
 }
 
+# Function to add the identity_provider claim mapper to the client
+# Exposes the brokered IDP alias (user session note) in ID and access tokens
+create_identity_provider_claim_mapper() {
+    echo "Configuring identity_provider token claim..."
+    
+    local client_uuid=$(curl -s -X GET "$KEYCLOAK_AUTH_URL/admin/realms/$REALM_NAME/clients?clientId=$CLIENT_ID" \
+        -H "Authorization: Bearer $ACCESS_TOKEN" | jq -r '.[0].id // empty')
+    
+    if [ -z "$client_uuid" ] || [ "$client_uuid" = "null" ]; then
+        echo "WARNING: Could not find client UUID for identity_provider claim mapper"
+        return 1
+    fi
+    
+    local existing_mapper=$(curl -s -X GET "$KEYCLOAK_AUTH_URL/admin/realms/$REALM_NAME/clients/$client_uuid/protocol-mappers/models" \
+        -H "Authorization: Bearer $ACCESS_TOKEN" | jq '[.[] | select(.name == "identity-provider-claim")] | length' 2>/dev/null || echo "0")
+    
+    if [ "$existing_mapper" -gt 0 ] 2>/dev/null; then
+        echo "SUCCESS: identity_provider claim mapper already exists"
+        return 0
+    fi
+    
+    local mapper_data='{
+        "name": "identity-provider-claim",
+        "protocol": "openid-connect",
+        "protocolMapper": "oidc-usersessionmodel-note-mapper",
+        "config": {
+            "user.session.note": "identity_provider",
+            "claim.name": "identity_provider",
+            "jsonType.label": "String",
+            "id.token.claim": "true",
+            "access.token.claim": "true",
+            "userinfo.token.claim": "false"
+        }
+    }'
+    
+    local response=$(curl -s -X POST "$KEYCLOAK_AUTH_URL/admin/realms/$REALM_NAME/clients/$client_uuid/protocol-mappers/models" \
+        -H "Authorization: Bearer $ACCESS_TOKEN" \
+        -H "Content-Type: application/json" \
+        -d "$mapper_data" \
+        -w "%{http_code}" -o /dev/null)
+    
+    if [ "$response" = "201" ]; then
+        echo "SUCCESS: identity_provider claim mapper created"
+    else
+        echo "WARNING: Failed to create identity_provider claim mapper (HTTP $response)"
+    fi
+}
+
 # Function to check if identity provider exists
 check_idp_exists() {
     local idp_alias=$1
@@ -473,6 +537,7 @@ check_idp_exists() {
 }
 
 # Function to create Google identity provider
+# loginHint passes the app's login_hint (the typed email) to Google, forwardParameters its hd (Workspace domain)
 create_google_idp() {
     if check_idp_exists "google"; then
         echo "Google Identity Provider already exists, updating credentials..."
@@ -490,7 +555,9 @@ create_google_idp() {
                     "clientId": "'$GOOGLE_CLIENT_ID'",
                     "clientSecret": "'$GOOGLE_CLIENT_SECRET'",
                     "defaultScope": "openid profile email",
-                    "syncMode": "IMPORT"
+                    "syncMode": "IMPORT",
+                    "loginHint": "true",
+                    "forwardParameters": "hd"
                 }
             }' \
             -w "%{http_code}" -o /dev/null)
@@ -522,7 +589,9 @@ create_google_idp() {
             "clientId": "'$GOOGLE_CLIENT_ID'",
             "clientSecret": "'$GOOGLE_CLIENT_SECRET'",
             "defaultScope": "openid profile email",
-            "syncMode": "IMPORT"
+            "syncMode": "IMPORT",
+            "loginHint": "true",
+            "forwardParameters": "hd"
         }
     }'
     
@@ -541,6 +610,7 @@ create_google_idp() {
 }
 
 # Function to create Microsoft identity provider
+# loginHint passes the app's login_hint to Microsoft, forwardParameters its domain_hint (organization's tenant domain)
 create_microsoft_idp() {
     if check_idp_exists "microsoft"; then
         echo "Microsoft Identity Provider already exists, updating to OIDC configuration..."
@@ -582,6 +652,8 @@ create_microsoft_idp() {
             "useJwksUrl": "false",
             "pkceEnabled": "true",
             "pkceMethod": "S256",
+            "loginHint": "true",
+            "forwardParameters": "domain_hint",
             "guiOrder": "2"
         }
     }'
@@ -681,6 +753,228 @@ create_test_user() {
     fi
 }
 
+# Function to enable Organizations (Keycloak 26+) on the realm
+enable_organizations() {
+    local response=$(curl -s -X PUT "$KEYCLOAK_AUTH_URL/admin/realms/$REALM_NAME" \
+        -H "Authorization: Bearer $ACCESS_TOKEN" \
+        -H "Content-Type: application/json" \
+        -d '{"organizationsEnabled": true}' \
+        -w "%{http_code}" -o /dev/null)
+
+    if [ "$response" = "204" ]; then
+        echo "SUCCESS: Organizations enabled for $REALM_NAME realm"
+        return 0
+    else
+        echo "WARNING: Could not enable Organizations (HTTP $response), Keycloak 26 or later is required"
+        return 1
+    fi
+}
+
+# Function to create the sample organization's identity provider
+# An OIDC broker for the organization's Microsoft Entra ID tenant, hidden from the login page: logins reach it
+# through the organization (email domain) or kc_idp_hint
+create_organization_idp() {
+    if check_idp_exists "$ORGANIZATION_ALIAS"; then
+        echo "SUCCESS: Identity provider '$ORGANIZATION_ALIAS' already exists"
+        return 0
+    fi
+
+    echo "Creating identity provider for the $ORGANIZATION_ALIAS organization..."
+
+    local organization_idp_data='{
+        "alias": "'$ORGANIZATION_ALIAS'",
+        "displayName": "Contoso",
+        "providerId": "oidc",
+        "enabled": true,
+        "trustEmail": true,
+        "firstBrokerLoginFlowAlias": "first broker login",
+        "config": {
+            "hideOnLoginPage": "true",
+            "clientId": "'$MICROSOFT_CLIENT_ID'",
+            "authorizationUrl": "https://login.microsoftonline.com/organizations/oauth2/v2.0/authorize",
+            "tokenUrl": "https://login.microsoftonline.com/organizations/oauth2/v2.0/token",
+            "jwksUrl": "https://login.microsoftonline.com/organizations/discovery/v2.0/keys",
+            "defaultScope": "openid profile email",
+            "syncMode": "IMPORT",
+            "pkceEnabled": "true",
+            "pkceMethod": "S256",
+            "loginHint": "true",
+            "forwardParameters": "domain_hint"
+        }
+    }'
+
+    local response=$(curl -s -X POST "$KEYCLOAK_AUTH_URL/admin/realms/$REALM_NAME/identity-provider/instances" \
+        -H "Authorization: Bearer $ACCESS_TOKEN" \
+        -H "Content-Type: application/json" \
+        -d "$organization_idp_data" \
+        -w "%{http_code}" -o /dev/null)
+
+    if [ "$response" = "201" ]; then
+        echo "SUCCESS: Identity provider '$ORGANIZATION_ALIAS' created"
+    else
+        echo "WARNING: Failed to create identity provider '$ORGANIZATION_ALIAS' (HTTP $response)"
+        return 1
+    fi
+}
+
+# Function to create the sample organization with its domain and linked identity provider
+# The provider gets the organization's domain and "redirect when email domain matches", so Keycloak's own
+# organization login and the lookup service both route $ORGANIZATION_DOMAIN addresses to it
+create_sample_organization() {
+    echo "Creating sample organization '$ORGANIZATION_ALIAS' ($ORGANIZATION_DOMAIN)..."
+
+    local organizations_url="$KEYCLOAK_AUTH_URL/admin/realms/$REALM_NAME/organizations"
+    local organization_id=$(curl -s -X GET "$organizations_url?search=$ORGANIZATION_DOMAIN&exact=true" \
+        -H "Authorization: Bearer $ACCESS_TOKEN" | jq -r '.[0].id // empty' 2>/dev/null)
+
+    if [ -z "$organization_id" ]; then
+        local organization_data='{
+            "name": "Contoso",
+            "alias": "'$ORGANIZATION_ALIAS'",
+            "enabled": true,
+            "description": "Sample organization for home realm discovery",
+            "domains": [{ "name": "'$ORGANIZATION_DOMAIN'", "verified": false }]
+        }'
+
+        local response=$(curl -s -X POST "$organizations_url" \
+            -H "Authorization: Bearer $ACCESS_TOKEN" \
+            -H "Content-Type: application/json" \
+            -d "$organization_data" \
+            -w "%{http_code}" -o /dev/null)
+
+        if [ "$response" != "201" ]; then
+            echo "WARNING: Failed to create organization (HTTP $response)"
+            return 1
+        fi
+        organization_id=$(curl -s -X GET "$organizations_url?search=$ORGANIZATION_DOMAIN&exact=true" \
+            -H "Authorization: Bearer $ACCESS_TOKEN" | jq -r '.[0].id // empty' 2>/dev/null)
+    fi
+
+    # Link the identity provider (the body is its alias as a JSON string)
+    curl -s -X POST "$organizations_url/$organization_id/identity-providers" \
+        -H "Authorization: Bearer $ACCESS_TOKEN" \
+        -H "Content-Type: application/json" \
+        -d "\"$ORGANIZATION_ALIAS\"" > /dev/null
+
+    local idp_url="$KEYCLOAK_AUTH_URL/admin/realms/$REALM_NAME/identity-provider/instances/$ORGANIZATION_ALIAS"
+    local idp=$(curl -s -X GET "$idp_url" -H "Authorization: Bearer $ACCESS_TOKEN" | \
+        jq '.config["kc.org.domain"] = "'$ORGANIZATION_DOMAIN'" | .config["kc.org.broker.redirect.mode.email-matches"] = "true"')
+
+    local response=$(curl -s -X PUT "$idp_url" \
+        -H "Authorization: Bearer $ACCESS_TOKEN" \
+        -H "Content-Type: application/json" \
+        -d "$idp" \
+        -w "%{http_code}" -o /dev/null)
+
+    if [ "$response" = "204" ]; then
+        echo "SUCCESS: Organization '$ORGANIZATION_ALIAS' routes $ORGANIZATION_DOMAIN to identity provider '$ORGANIZATION_ALIAS'"
+    else
+        echo "WARNING: Could not link identity provider '$ORGANIZATION_ALIAS' to its domain (HTTP $response)"
+    fi
+}
+
+# Function to create the lookup service's confidential client (service account, client credentials only)
+# It only reads organizations (view-realm), users' linked identity providers (view-users) and the identity
+# provider list (view-identity-providers), so it gets those read-only realm-management roles and no manage-* role:
+# a leaked secret exposes realm data but cannot change the realm. Keep it on the server all the same
+create_lookup_client() {
+    local clients_url="$KEYCLOAK_AUTH_URL/admin/realms/$REALM_NAME/clients"
+    local client_uuid=$(curl -s -X GET "$clients_url?clientId=$LOOKUP_CLIENT_ID" \
+        -H "Authorization: Bearer $ACCESS_TOKEN" | jq -r '.[0].id // empty' 2>/dev/null)
+
+    if [ -z "$client_uuid" ]; then
+        echo "Creating lookup client: $LOOKUP_CLIENT_ID"
+
+        local client_data='{
+            "clientId": "'$LOOKUP_CLIENT_ID'",
+            "name": "IDP Redirector Lookup Service",
+            "description": "Organization and linked identity provider lookups of the demo app (npm run lookup)",
+            "enabled": true,
+            "publicClient": false,
+            "clientAuthenticatorType": "client-secret",
+            "serviceAccountsEnabled": true,
+            "standardFlowEnabled": false,
+            "implicitFlowEnabled": false,
+            "directAccessGrantsEnabled": false,
+            "protocol": "openid-connect"
+        }'
+
+        local response=$(curl -s -X POST "$clients_url" \
+            -H "Authorization: Bearer $ACCESS_TOKEN" \
+            -H "Content-Type: application/json" \
+            -d "$client_data" \
+            -w "%{http_code}" -o /dev/null)
+
+        if [ "$response" != "201" ]; then
+            echo "WARNING: Failed to create lookup client (HTTP $response)"
+            return 1
+        fi
+        client_uuid=$(curl -s -X GET "$clients_url?clientId=$LOOKUP_CLIENT_ID" \
+            -H "Authorization: Bearer $ACCESS_TOKEN" | jq -r '.[0].id // empty' 2>/dev/null)
+    else
+        echo "SUCCESS: Client '$LOOKUP_CLIENT_ID' already exists"
+    fi
+
+    # Grant the service account the read-only realm-management roles of the organization, user and identity provider endpoints
+    local service_account_id=$(curl -s -X GET "$clients_url/$client_uuid/service-account-user" \
+        -H "Authorization: Bearer $ACCESS_TOKEN" | jq -r '.id // empty' 2>/dev/null)
+    local realm_management_id=$(curl -s -X GET "$clients_url?clientId=realm-management" \
+        -H "Authorization: Bearer $ACCESS_TOKEN" | jq -r '.[0].id // empty' 2>/dev/null)
+    local roles=$(curl -s -X GET "$clients_url/$realm_management_id/roles" \
+        -H "Authorization: Bearer $ACCESS_TOKEN" | jq '[.[] | select(.name == "view-realm" or .name == "view-users" or .name == "view-identity-providers")]' 2>/dev/null)
+    local role_mappings_url="$KEYCLOAK_AUTH_URL/admin/realms/$REALM_NAME/users/$service_account_id/role-mappings/clients/$realm_management_id"
+
+    curl -s -X POST "$role_mappings_url" \
+        -H "Authorization: Bearer $ACCESS_TOKEN" \
+        -H "Content-Type: application/json" \
+        -d "$roles" > /dev/null
+
+    # Earlier versions of this script also granted manage-realm: revoke it on existing clients
+    local write_roles=$(curl -s -X GET "$role_mappings_url" \
+        -H "Authorization: Bearer $ACCESS_TOKEN" | jq '[.[] | select(.name == "manage-realm")]' 2>/dev/null)
+    if [ -n "$write_roles" ] && [ "$write_roles" != "[]" ]; then
+        curl -s -X DELETE "$role_mappings_url" \
+            -H "Authorization: Bearer $ACCESS_TOKEN" \
+            -H "Content-Type: application/json" \
+            -d "$write_roles" > /dev/null
+        echo "SUCCESS: Revoked manage-realm from the lookup client"
+    fi
+
+    LOOKUP_CLIENT_SECRET=$(curl -s -X GET "$clients_url/$client_uuid/client-secret" \
+        -H "Authorization: Bearer $ACCESS_TOKEN" | jq -r '.value // empty' 2>/dev/null)
+    echo "SUCCESS: Lookup client '$LOOKUP_CLIENT_ID' ready (view-realm, view-users, view-identity-providers)"
+}
+
+# Function to set up home realm discovery through Organizations
+setup_organizations() {
+    echo "Setting up Organizations..."
+
+    if enable_organizations; then
+        create_organization_idp && create_sample_organization
+        create_lookup_client
+    else
+        echo "Skipping the sample organization, email routing uses the app's routing rules only"
+    fi
+}
+
+# Function to publish the realm's identity providers for the app (REACT_APP_KEYCLOAK_IDENTITY_PROVIDERS_URL)
+# Keycloak has no anonymous endpoint listing them, so the enabled ones are exported as a static file
+export_identity_provider_list() {
+    local list_file="public/identity-providers.json"
+    echo "Exporting identity providers to $list_file..."
+
+    local providers=$(curl -s -X GET "$KEYCLOAK_AUTH_URL/admin/realms/$REALM_NAME/identity-provider/instances" \
+        -H "Authorization: Bearer $ACCESS_TOKEN" | jq '[.[] | select(.enabled) | {alias, displayName: (.displayName // .alias), providerId}]' 2>/dev/null)
+
+    if [ -n "$providers" ] && [ "$providers" != "null" ]; then
+        echo "$providers" > "$list_file"
+        echo "SUCCESS: Exported $(echo "$providers" | jq 'length') identity providers"
+        echo "   Set REACT_APP_KEYCLOAK_IDENTITY_PROVIDERS_URL=/identity-providers.json to use them"
+    else
+        echo "WARNING: Could not export identity providers, the app will use its configured ones"
+    fi
+}
+
 # Function to display setup summary
 display_summary() {
     echo ""
@@ -694,6 +988,12 @@ display_summary() {
     echo "   • Client: $CLIENT_ID"
     echo "   • Identity Providers: Google, Microsoft"
     echo "   • Test User: testuser@test.com (password: test123)"
+    if [ -n "$LOOKUP_CLIENT_SECRET" ]; then
+        echo "   • Organization: $ORGANIZATION_ALIAS ($ORGANIZATION_DOMAIN → identity provider $ORGANIZATION_ALIAS)"
+        echo "   • Lookup service: LOOKUP_CLIENT_SECRET=$LOOKUP_CLIENT_SECRET npm run lookup"
+        echo "     then start the app with REACT_APP_ORGANIZATION_LOOKUP_URL=http://localhost:3003/organizations"
+        echo "     and REACT_APP_LINKED_IDENTITY_PROVIDERS_URL=http://localhost:3003/linked-identity-providers"
+    fi
     echo ""
     
     # Show different next steps based on whether credentials were loaded
@@ -740,6 +1040,7 @@ display_summary() {
     echo "   Test with different email domains:"
     echo "      • user@gmail.com (Google)"
     echo "      • user@outlook.com (Microsoft)"
+    echo "      • user@$ORGANIZATION_DOMAIN (Contoso organization, with the lookup service)"
     echo "      • testuser@test.com (Keycloak - password: test123)"
     echo "      • user@company.com (Keycloak - any other domain)"
     echo ""
@@ -770,10 +1071,13 @@ main() {
     authenticate
     create_realm
     create_client
+    create_identity_provider_claim_mapper
     create_google_idp
     create_microsoft_idp
     create_idp_mappers
     create_test_user
+    setup_organizations
+    export_identity_provider_list
     
     display_summary
 }
@@ -0,0 +1,92 @@
+// Keycloak admin REST API client for the companion server: a service account token (client credentials
+// grant of a confidential client) and GET requests against /admin/realms/<realm>
+export class KeycloakAdminError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'KeycloakAdminError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Admin API base of a realm issuer: http://kc:8080/realms/demo -> http://kc:8080/admin/realms/demo
+export const adminUrlForIssuer = (issuer) => {
+    const url = new URL(issuer.replace(/\/+$/, ''));
+    const adminPath = url.pathname.replace(/\/realms\/([^/]+)$/, '/admin/realms/$1');
+    if (adminPath === url.pathname) {
+        throw new KeycloakAdminError('invalid_issuer', `${issuer} is not a Keycloak realm issuer (.../realms/<realm>)`);
+    }
+    return `${url.origin}${adminPath}`;
+};
+
+export class KeycloakAdminClient {
+    constructor({ issuer, clientId, clientSecret, fetchImpl = fetch, minValiditySeconds = 30 }) {
+        this.tokenEndpoint = `${issuer.replace(/\/+$/, '')}/protocol/openid-connect/token`;
+        this.adminUrl = adminUrlForIssuer(issuer);
+        this.clientId = clientId;
+        this.clientSecret = clientSecret;
+        this.fetchImpl = fetchImpl;
+        this.minValidity = minValiditySeconds * 1000;
+        this.token = null;
+        this.tokenRequest = null;
+    }
+
+    async request(url, options) {
+        try {
+            return await this.fetchImpl(url, options);
+        } catch (error) {
+            throw new KeycloakAdminError('keycloak_unavailable', `Could not reach ${url}: ${error.message}`);
+        }
+    }
+
+    // Service account access token, reused until shortly before it expires (one request for concurrent callers)
+    async getAccessToken() {
+        if (this.token && this.token.expiresAt - this.minValidity > Date.now()) {
+            return this.token.accessToken;
+        }
+
+        if (!this.tokenRequest) {
+            this.tokenRequest = (async () => {
+                const response = await this.request(this.tokenEndpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                    body: new URLSearchParams({
+                        grant_type: 'client_credentials',
+                        client_id: this.clientId,
+                        client_secret: this.clientSecret
+                    })
+                });
+                if (!response.ok) {
+                    throw new KeycloakAdminError('unauthorized', `Service account login of ${this.clientId} failed: HTTP ${response.status}`, { status: response.status });
+                }
+
+                const tokens = await response.json();
+                this.token = { accessToken: tokens.access_token, expiresAt: Date.now() + tokens.expires_in * 1000 };
+                return this.token.accessToken;
+            })().finally(() => {
+                this.tokenRequest = null;
+            });
+        }
+        return this.tokenRequest;
+    }
+
+    // GET <admin URL><path>?<params> as JSON; a rejected token is renewed once (e.g. revoked sessions)
+    async get(path, params = {}, { retry = true } = {}) {
+        const query = new URLSearchParams(params).toString();
+        const url = `${this.adminUrl}${path}${query ? `?${query}` : ''}`;
+        const response = await this.request(url, {
+            headers: { Authorization: `Bearer ${await this.getAccessToken()}`, Accept: 'application/json' }
+        });
+
+        if (response.status === 401 && retry) {
+            this.token = null;
+            return this.get(path, params, { retry: false });
+        }
+        if (!response.ok) {
+            throw new KeycloakAdminError('admin_request_failed', `GET ${path} failed: HTTP ${response.status}`, { status: response.status });
+        }
+        return response.json();
+    }
+}
+
+export default KeycloakAdminClient;
@@ -0,0 +1,98 @@
+// Browser sessions waiting for logout events, delivered over Server-Sent Events
+import { randomBytes } from 'node:crypto';
+
+export class LogoutEventHub {
+    constructor({ unclaimedTtlSeconds = 60, keepAliveSeconds = 25 } = {}) {
+        // subscriptionId -> { iss, sid, sub, response, expiryTimer }
+        this.subscriptions = new Map();
+        // Registered subscriptions not connected (yet, or between reconnects) are dropped after this delay
+        this.unclaimedTtl = unclaimedTtlSeconds * 1000;
+        this.keepAliveInterval = keepAliveSeconds * 1000;
+        this.keepAliveTimer = null;
+    }
+
+    // Register a browser session of the realm iss; the returned ID is unguessable and only used to open the event stream
+    register({ iss, sid, sub }) {
+        const id = randomBytes(32).toString('base64url');
+        const subscription = { iss, sid, sub, response: null, expiryTimer: null };
+        this.subscriptions.set(id, subscription);
+        this.scheduleExpiry(id, subscription);
+        return id;
+    }
+
+    scheduleExpiry(id, subscription) {
+        clearTimeout(subscription.expiryTimer);
+        subscription.expiryTimer = setTimeout(() => this.subscriptions.delete(id), this.unclaimedTtl);
+        subscription.expiryTimer.unref?.();
+    }
+
+    // Attach an SSE response to a subscription, returns false for unknown IDs
+    connect(id, response) {
+        const subscription = this.subscriptions.get(id);
+        if (!subscription) return false;
+
+        clearTimeout(subscription.expiryTimer);
+        subscription.response?.end();
+        subscription.response = response;
+
+        response.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-store',
+            Connection: 'keep-alive'
+        });
+        response.write(': connected\n\n');
+        response.on('close', () => {
+            if (subscription.response !== response) return;
+            subscription.response = null;
+            // EventSource reconnects with the same ID, keep the subscription for a while
+            if (this.subscriptions.get(id) === subscription) {
+                this.scheduleExpiry(id, subscription);
+            }
+        });
+
+        this.startKeepAlive();
+        return true;
+    }
+
+    // Push a logout to the subscriptions of the ended session; returns how many streams were notified
+    publishLogout({ iss, sid, sub }) {
+        let delivered = 0;
+
+        this.subscriptions.forEach((subscription, id) => {
+            // A sid ends one session; a token with only sub ends every session of that user, in that realm only
+            const affected = subscription.iss === iss && (sid ? subscription.sid === sid : subscription.sub === sub);
+            if (!affected) return;
+
+            this.subscriptions.delete(id);
+            clearTimeout(subscription.expiryTimer);
+            if (subscription.response) {
+                subscription.response.write(`event: logout\ndata: ${JSON.stringify({ sid: subscription.sid })}\n\n`);
+                subscription.response.end();
+                delivered++;
+            }
+        });
+
+        return delivered;
+    }
+
+    // Comment lines keep proxies from closing idle streams
+    startKeepAlive() {
+        if (this.keepAliveTimer) return;
+        this.keepAliveTimer = setInterval(() => {
+            this.subscriptions.forEach(({ response }) => response?.write(': keep-alive\n\n'));
+        }, this.keepAliveInterval);
+        this.keepAliveTimer.unref?.();
+    }
+
+    close() {
+        clearInterval(this.keepAliveTimer);
+        this.keepAliveTimer = null;
+        this.subscriptions.forEach((subscription) => {
+            clearTimeout(subscription.expiryTimer);
+            subscription.response?.end();
+        });
+        this.subscriptions.clear();
+    }
+}
+
+export default LogoutEventHub;
@@ -0,0 +1,278 @@
+import { describe, test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from 'node:http';
+import { generateKeyPairSync } from 'node:crypto';
+import { createBackchannelServer } from '../backchannelServer.mjs';
+import { startFakeKeycloak } from '../testing/fakeKeycloak.mjs';
+
+const silentLogger = { log: () => {}, warn: () => {}, error: () => {} };
+
+describe('back-channel logout server', () => {
+    let keycloak;
+    let backchannel;
+    let baseUrl;
+
+    before(async () => {
+        keycloak = await startFakeKeycloak();
+    });
+
+    after(() => keycloak.close());
+
+    beforeEach(async () => {
+        backchannel = createBackchannelServer({
+            issuer: keycloak.issuer,
+            clientId: keycloak.clientId,
+            jwksUri: keycloak.jwksUri,
+            allowedOrigin: 'http://localhost:3001',
+            logger: silentLogger
+        });
+        await new Promise((resolve) => backchannel.server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${backchannel.server.address().port}`;
+    });
+
+    afterEach(() => backchannel.close());
+
+    const postLogoutToken = (logoutToken) => fetch(`${baseUrl}/backchannel-logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ logout_token: logoutToken })
+    });
+
+    const register = async (idToken) => {
+        const response = await fetch(`${baseUrl}/sessions`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${idToken}` }
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    // Open the SSE stream and collect its events; resolves once the stream is connected
+    const openEvents = (subscriptionId) => new Promise((resolve, reject) => {
+        const events = [];
+        let buffer = '';
+        const streamEnded = new Promise((resolveEnd) => {
+            request(`${baseUrl}/events?subscription=${encodeURIComponent(subscriptionId)}`, (response) => {
+                response.setEncoding('utf8');
+                response.on('data', (chunk) => {
+                    buffer += chunk;
+                    const blocks = buffer.split('\n\n');
+                    buffer = blocks.pop();
+                    blocks.forEach((block) => {
+                        const fields = Object.fromEntries(block.split('\n')
+                            .filter((line) => !line.startsWith(':'))
+                            .map((line) => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+                        if (fields.event) events.push({ event: fields.event, data: JSON.parse(fields.data) });
+                    });
+                });
+                response.on('end', () => resolveEnd());
+                resolve({ status: response.statusCode, headers: response.headers, events, streamEnded });
+            }).on('error', reject).end();
+        });
+    });
+
+    test('pushes a logout to the browser session named by sid', async () => {
+        const { status, body } = await register(keycloak.signIdToken({ sub: 'user-1', sid: 'session-1' }));
+        assert.equal(status, 201);
+
+        const stream = await openEvents(body.subscriptionId);
+        assert.equal(stream.status, 200);
+        assert.equal(stream.headers['content-type'], 'text/event-stream');
+        assert.equal(stream.headers['access-control-allow-origin'], 'http://localhost:3001');
+
+        const response = await postLogoutToken(keycloak.signLogoutToken({ sub: 'user-1', sid: 'session-1' }));
+        assert.equal(response.status, 200);
+
+        await stream.streamEnded;
+        assert.deepEqual(stream.events, [{ event: 'logout', data: { sid: 'session-1' } }]);
+    });
+
+    test('only notifies the affected sessions', async () => {
+        const other = await register(keycloak.signIdToken({ sub: 'user-2', sid: 'session-2' }));
+        const otherStream = await openEvents(other.body.subscriptionId);
+
+        await postLogoutToken(keycloak.signLogoutToken({ sid: 'session-1' }));
+
+        assert.equal(backchannel.hub.subscriptions.size, 1);
+        assert.deepEqual(otherStream.events, []);
+    });
+
+    test('ends every session of the user when the token only has sub', async () => {
+        await register(keycloak.signIdToken({ sub: 'user-1', sid: 'session-1' }));
+        await register(keycloak.signIdToken({ sub: 'user-1', sid: 'session-3' }));
+        await register(keycloak.signIdToken({ sub: 'user-2', sid: 'session-2' }));
+
+        await postLogoutToken(keycloak.signLogoutToken({ sub: 'user-1' }));
+
+        assert.deepEqual([...backchannel.hub.subscriptions.values()].map(({ sid }) => sid), ['session-2']);
+    });
+
+    test('rejects unknown event subscriptions', async () => {
+        const stream = await openEvents('unknown');
+
+        assert.equal(stream.status, 404);
+    });
+
+    test('rejects session registration without a valid ID token', async () => {
+        const { privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+        assert.equal((await register('not-a-token')).status, 401);
+        assert.equal((await register(keycloak.signIdToken({ sub: 'user-1' }, { key: privateKey }))).status, 401);
+        assert.equal((await register(keycloak.signIdToken({ sub: 'user-1', aud: 'another-client' }))).status, 401);
+    });
+
+    describe('logout token validation', () => {
+        const rejects = async (logoutToken, description) => {
+            const response = await postLogoutToken(logoutToken);
+            assert.equal(response.status, 400);
+            const body = await response.json();
+            assert.equal(body.error, 'invalid_request');
+            assert.match(body.error_description, description);
+        };
+
+        test('requires a logout_token', async () => {
+            const response = await fetch(`${baseUrl}/backchannel-logout`, { method: 'POST', body: '' });
+
+            assert.equal(response.status, 400);
+        });
+
+        test('checks the signature against the JWKS', async () => {
+            const { privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+            await rejects(keycloak.signLogoutToken({ sid: 'session-1' }, { key: privateKey }), /signature/);
+            await rejects(keycloak.signLogoutToken({ sid: 'session-1' }, { header: { kid: 'rotated-away' } }), /signing key/);
+            await rejects(keycloak.signLogoutToken({ sid: 'session-1' }, { header: { alg: 'none' } }), /algorithm/);
+        });
+
+        test('checks issuer and audience', async () => {
+            await rejects(keycloak.signLogoutToken({ sid: 'session-1', iss: 'http://evil.example.com/realms/test-realm' }), /issuer/);
+            await rejects(keycloak.signLogoutToken({ sid: 'session-1', aud: 'another-client' }), /audience/);
+        });
+
+        test('requires the back-channel logout event', async () => {
+            await rejects(keycloak.signLogoutToken({ sid: 'session-1', events: {} }), /back-channel logout event/);
+        });
+
+        test('requires sid or sub', async () => {
+            await rejects(keycloak.signLogoutToken({ sub: undefined, sid: undefined }), /neither a session/);
+        });
+
+        test('rejects ID tokens (nonce present)', async () => {
+            await rejects(keycloak.signLogoutToken({ sid: 'session-1', nonce: 'abc' }), /nonce/);
+        });
+
+        test('rejects old and replayed tokens', async () => {
+            await rejects(keycloak.signLogoutToken({ sid: 'session-1', iat: Math.floor(Date.now() / 1000) - 3600 }), /too long ago/);
+
+            const logoutToken = keycloak.signLogoutToken({ sid: 'session-1' });
+            assert.equal((await postLogoutToken(logoutToken)).status, 200);
+            await rejects(logoutToken, /already used/);
+        });
+    });
+
+    describe('several realms', () => {
+        let customerKeycloak;
+
+        before(async () => {
+            customerKeycloak = await startFakeKeycloak({ realm: 'customer-realm', clientId: 'customer-app' });
+        });
+
+        after(() => customerKeycloak.close());
+
+        // A server for both realms, each with its own keys and client
+        beforeEach(async () => {
+            await backchannel.close();
+            backchannel = createBackchannelServer({
+                realms: [keycloak, customerKeycloak].map(({ issuer, clientId, jwksUri }) => ({ issuer, clientId, jwksUri })),
+                allowedOrigin: 'http://localhost:3001',
+                logger: silentLogger
+            });
+            await new Promise((resolve) => backchannel.server.listen(0, '127.0.0.1', resolve));
+            baseUrl = `http://127.0.0.1:${backchannel.server.address().port}`;
+        });
+
+        test('pushes logouts of the second realm to its sessions', async () => {
+            const { status, body } = await register(customerKeycloak.signIdToken({ sub: 'user-1', sid: 'session-1' }));
+            assert.equal(status, 201);
+            const stream = await openEvents(body.subscriptionId);
+
+            assert.equal((await postLogoutToken(customerKeycloak.signLogoutToken({ sid: 'session-1' }))).status, 200);
+
+            await stream.streamEnded;
+            assert.deepEqual(stream.events, [{ event: 'logout', data: { sid: 'session-1' } }]);
+        });
+
+        test('keeps the sessions of the realms apart', async () => {
+            await register(keycloak.signIdToken({ sub: 'user-1', sid: 'session-1' }));
+            await register(customerKeycloak.signIdToken({ sub: 'user-1', sid: 'session-1' }));
+
+            await postLogoutToken(customerKeycloak.signLogoutToken({ sub: 'user-1' }));
+
+            assert.deepEqual([...backchannel.hub.subscriptions.values()].map(({ iss }) => iss), [keycloak.issuer]);
+        });
+
+        test('checks each token against the keys and client of its issuer', async () => {
+            const signedByOtherRealm = customerKeycloak.signLogoutToken({ sid: 'session-1', iss: keycloak.issuer, aud: keycloak.clientId });
+            assert.equal((await postLogoutToken(signedByOtherRealm)).status, 400);
+            assert.equal((await postLogoutToken(customerKeycloak.signLogoutToken({ sid: 'session-1', aud: keycloak.clientId }))).status, 400);
+            assert.equal((await register(customerKeycloak.signIdToken({ sub: 'user-1', aud: keycloak.clientId }))).status, 401);
+            assert.equal((await register(keycloak.signIdToken({ sub: 'user-1', iss: 'http://127.0.0.1/realms/unknown' }))).status, 401);
+        });
+    });
+
+    describe('login error reports', () => {
+        let logged;
+
+        // A server whose error log the tests read
+        beforeEach(async () => {
+            logged = [];
+            await backchannel.close();
+            backchannel = createBackchannelServer({
+                issuer: keycloak.issuer,
+                clientId: keycloak.clientId,
+                jwksUri: keycloak.jwksUri,
+                allowedOrigin: 'http://localhost:3001',
+                logger: { ...silentLogger, error: (line) => logged.push(line) }
+            });
+            await new Promise((resolve) => backchannel.server.listen(0, '127.0.0.1', resolve));
+            baseUrl = `http://127.0.0.1:${backchannel.server.address().port}`;
+        });
+
+        const postLoginError = (body) => fetch(`${baseUrl}/login-errors`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: typeof body === 'string' ? body : JSON.stringify(body)
+        });
+
+        test('logs the report under its correlation ID', async () => {
+            const response = await postLoginError({
+                correlationId: '1K3F9QZ8A-7Q4MX2',
+                name: 'OAuthError',
+                code: 'access_denied',
+                message: 'Login was cancelled',
+                idpHint: 'google',
+                loginHint: 'someone@example.com'
+            });
+
+            assert.equal(response.status, 204);
+            assert.equal(response.headers.get('access-control-allow-origin'), 'http://localhost:3001');
+            assert.deepEqual(logged, [
+                'Login error [1K3F9QZ8A-7Q4MX2] name="OAuthError" code="access_denied" message="Login was cancelled" idpHint="google"'
+            ]);
+        });
+
+        test('rejects reports without a correlation ID', async () => {
+            assert.equal((await postLoginError({ message: 'no id' })).status, 400);
+            assert.equal((await postLoginError({ correlationId: 'abc\ninjected' })).status, 400);
+            assert.equal((await postLoginError('not json')).status, 400);
+            assert.deepEqual(logged, []);
+        });
+
+        test('keeps each logged field on one line and short', async () => {
+            await postLoginError({ correlationId: '1K3F9QZ8A-7Q4MX2', message: `line\nbreak${'x'.repeat(500)}` });
+
+            assert.equal(logged.length, 1);
+            assert.ok(!logged[0].includes('\n'));
+            assert.ok(logged[0].length < 300);
+        });
+    });
+});
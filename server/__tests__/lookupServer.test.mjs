@@ -0,0 +1,263 @@
+import { describe, test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLookupServer } from '../lookupServer.mjs';
+import { KeycloakAdminClient, KeycloakAdminError, adminUrlForIssuer } from '../KeycloakAdminClient.mjs';
+import { startFakeKeycloak } from '../testing/fakeKeycloak.mjs';
+
+const silentLogger = { log: () => {}, warn: () => {}, error: () => {} };
+const appOrigin = 'http://localhost:3001';
+const responseDeadlineMs = 300;
+
+describe('Keycloak admin client', () => {
+    test('derives the admin API of a realm issuer', () => {
+        assert.equal(adminUrlForIssuer('http://kc:8080/realms/demo/'), 'http://kc:8080/admin/realms/demo');
+        assert.equal(adminUrlForIssuer('https://sso.example.com/auth/realms/demo'), 'https://sso.example.com/auth/admin/realms/demo');
+        assert.throws(() => adminUrlForIssuer('https://accounts.google.com'), { code: 'invalid_issuer' });
+    });
+
+    test('reuses the service account token and renews a rejected one', async () => {
+        const requests = [];
+        let tokenCount = 0;
+        const fetchImpl = async (url, options = {}) => {
+            requests.push(url);
+            if (url.endsWith('/token')) {
+                return Response.json({ access_token: `token-${++tokenCount}`, expires_in: 300 });
+            }
+            const authorized = options.headers.Authorization === `Bearer token-${tokenCount}` && tokenCount > 1;
+            return authorized ? Response.json([]) : new Response('', { status: 401 });
+        };
+        const admin = new KeycloakAdminClient({ issuer: 'http://kc/realms/demo', clientId: 'lookup', clientSecret: 'secret', fetchImpl });
+
+        assert.deepEqual(await admin.get('/organizations', { search: 'contoso.com' }), []);
+        assert.deepEqual(requests, [
+            'http://kc/realms/demo/protocol/openid-connect/token',
+            'http://kc/admin/realms/demo/organizations?search=contoso.com',
+            'http://kc/realms/demo/protocol/openid-connect/token',
+            'http://kc/admin/realms/demo/organizations?search=contoso.com'
+        ]);
+
+        await admin.get('/organizations');
+        assert.equal(tokenCount, 2);
+    });
+
+    test('reports unreachable servers and refused credentials', async () => {
+        const unreachable = new KeycloakAdminClient({
+            issuer: 'http://kc/realms/demo',
+            clientId: 'lookup',
+            clientSecret: 'secret',
+            fetchImpl: async () => { throw new TypeError('fetch failed'); }
+        });
+        await assert.rejects(unreachable.get('/organizations'), (error) => error instanceof KeycloakAdminError && error.code === 'keycloak_unavailable');
+
+        const refused = new KeycloakAdminClient({
+            issuer: 'http://kc/realms/demo',
+            clientId: 'lookup',
+            clientSecret: 'wrong',
+            fetchImpl: async () => new Response('', { status: 401 })
+        });
+        await assert.rejects(refused.getAccessToken(), { code: 'unauthorized' });
+    });
+});
+
+describe('lookup server', () => {
+    let keycloak;
+    let lookup;
+    let baseUrl;
+
+    before(async () => {
+        keycloak = await startFakeKeycloak();
+    });
+
+    after(() => keycloak.close());
+
+    const start = async (clientSecret = 'lookup-secret') => {
+        const admin = new KeycloakAdminClient({ issuer: keycloak.issuer, clientId: 'idp-redirector-lookup', clientSecret });
+        lookup = createLookupServer({ admin, allowedOrigin: appOrigin, responseDeadlineMs, logger: silentLogger });
+        await new Promise((resolve) => lookup.server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${lookup.server.address().port}`;
+    };
+
+    beforeEach(() => start());
+
+    afterEach(() => lookup.close());
+
+    const lookupDomain = (domain) => fetch(`${baseUrl}/organizations?domain=${encodeURIComponent(domain)}`, { headers: { Origin: appOrigin } });
+
+    const lookupLinked = (email) => fetch(`${baseUrl}/linked-identity-providers`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Origin: appOrigin },
+        body: JSON.stringify({ email })
+    });
+
+    test('resolves a domain to its organization and linked identity provider', async () => {
+        const response = await lookupDomain('contoso.com');
+
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('access-control-allow-origin'), appOrigin);
+        assert.deepEqual(await response.json(), {
+            domain: 'contoso.com',
+            organization: { alias: 'contoso', name: 'Contoso' },
+            identityProvider: { alias: 'contoso', displayName: 'Contoso' }
+        });
+    });
+
+    test('answers domains without an organization with null', async () => {
+        assert.deepEqual(await (await lookupDomain('gmail.com')).json(), {
+            domain: 'gmail.com',
+            organization: null,
+            identityProvider: null
+        });
+        // Only whole domains match, not their subdomains or parts of them
+        assert.equal((await (await lookupDomain('eu.contoso.com')).json()).organization, null);
+        assert.equal((await (await lookupDomain('toso.com')).json()).organization, null);
+    });
+
+    test('rejects anything but a domain name', async () => {
+        for (const domain of ['', 'contoso', 'user@contoso.com', 'contoso.com/x']) {
+            const response = await lookupDomain(domain);
+            assert.equal(response.status, 400);
+            assert.equal((await response.json()).error, 'invalid_request');
+        }
+    });
+
+    test('reports the lookup as unavailable when Keycloak refuses the service account', async () => {
+        await lookup.close();
+        await start('wrong-secret');
+
+        const response = await lookupDomain('contoso.com');
+        assert.equal(response.status, 502);
+        assert.deepEqual(await response.json(), { error: 'lookup_unavailable' });
+
+        const linkedResponse = await lookupLinked('frank@gmail.com');
+        assert.equal(linkedResponse.status, 502);
+        assert.deepEqual(await linkedResponse.json(), { error: 'lookup_unavailable' });
+    });
+
+    // Status, body and timing of a linked identity provider lookup
+    const timeLinkedLookup = async (email) => {
+        const startedAt = Date.now();
+        const response = await lookupLinked(email);
+        const body = await response.json();
+        return { status: response.status, body, duration: Date.now() - startedAt, headers: response.headers };
+    };
+
+    describe('linked identity providers', () => {
+        test('returns the providers linked to the account', async () => {
+            assert.deepEqual((await timeLinkedLookup('frank@gmail.com')).body, {
+                identityProviders: [{ alias: 'microsoft', displayName: 'Microsoft' }]
+            });
+            assert.deepEqual((await timeLinkedLookup('Grace@Gmail.com')).body, {
+                identityProviders: [{ alias: 'google', displayName: 'Google' }, { alias: 'microsoft', displayName: 'Microsoft' }]
+            });
+        });
+
+        test('answers unknown addresses exactly like accounts without linked providers', async () => {
+            const unknown = await timeLinkedLookup('nobody@gmail.com');
+            const passwordOnly = await timeLinkedLookup('carol@example.com');
+
+            for (const answer of [unknown, passwordOnly]) {
+                assert.equal(answer.status, 200);
+                assert.deepEqual(answer.body, { identityProviders: [] });
+                assert.equal(answer.headers.get('cache-control'), 'no-store');
+                assert.ok(answer.duration >= responseDeadlineMs, `answered after ${answer.duration} ms`);
+            }
+            assert.deepEqual([...unknown.headers.keys()].filter((name) => name !== 'date'), [...passwordOnly.headers.keys()].filter((name) => name !== 'date'));
+        });
+
+        test('answers known accounts at the same deadline', async () => {
+            const known = await timeLinkedLookup('grace@gmail.com');
+            assert.ok(known.duration >= responseDeadlineMs, `answered after ${known.duration} ms`);
+        });
+
+        test('rejects requests without an email address', async () => {
+            for (const email of ['', 'frank', 'frank@', '@gmail.com', 'frank@gmail', 42]) {
+                const answer = await timeLinkedLookup(email);
+                assert.equal(answer.status, 400);
+                assert.equal(answer.body.error, 'invalid_request');
+            }
+        });
+
+        test('allows the app to post JSON', async () => {
+            const response = await fetch(`${baseUrl}/linked-identity-providers`, { method: 'OPTIONS', headers: { Origin: appOrigin } });
+            assert.equal(response.status, 204);
+            assert.equal(response.headers.get('access-control-allow-methods'), 'GET, POST');
+            assert.equal(response.headers.get('access-control-allow-headers'), 'Content-Type');
+        });
+    });
+});
+
+describe('linked identity provider timing', () => {
+    const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+    let lookup;
+    let baseUrl;
+
+    // Admin API answering every call after callMs: frank@gmail.com has Microsoft linked, nobody else has an account
+    const createSlowAdmin = (callMs) => {
+        const calls = [];
+        return {
+            calls,
+            get: async (path, params = {}) => {
+                calls.push(path);
+                await delay(callMs);
+                if (path === '/identity-provider/instances') return [{ alias: 'microsoft', displayName: 'Microsoft' }];
+                if (path === '/users') return params.email === 'frank@gmail.com' ? [{ id: 'frank-id', email: 'frank@gmail.com' }] : [];
+                if (path === '/users/frank-id/federated-identity') return [{ identityProvider: 'microsoft' }];
+                throw new KeycloakAdminError('admin_request_failed', `GET ${path} failed: HTTP 404`, { status: 404 });
+            }
+        };
+    };
+
+    const start = async (admin, responseDeadlineMs) => {
+        lookup = createLookupServer({ admin, allowedOrigin: appOrigin, responseDeadlineMs, logger: silentLogger });
+        await new Promise((resolve) => lookup.server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${lookup.server.address().port}`;
+    };
+
+    afterEach(() => lookup.close());
+
+    const timeLinkedLookup = async (email) => {
+        const startedAt = Date.now();
+        const response = await fetch(`${baseUrl}/linked-identity-providers`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Origin: appOrigin },
+            body: JSON.stringify({ email })
+        });
+        const body = await response.json();
+        return { status: response.status, body, duration: Date.now() - startedAt };
+    };
+
+    test('answers known and unknown addresses at the deadline after the same admin API calls', async () => {
+        const admin = createSlowAdmin(80);
+        await start(admin, 400);
+        // Load the identity provider list, cached afterwards
+        await timeLinkedLookup('nobody@gmail.com');
+
+        admin.calls.length = 0;
+        const known = await timeLinkedLookup('frank@gmail.com');
+        const knownCalls = admin.calls.splice(0).map((path) => path.replace(/^\/users\/[^/]+\//, '/users/<id>/'));
+        const unknown = await timeLinkedLookup('nobody@gmail.com');
+        const unknownCalls = admin.calls.splice(0).map((path) => path.replace(/^\/users\/[^/]+\//, '/users/<id>/'));
+
+        assert.deepEqual(known.body, { identityProviders: [{ alias: 'microsoft', displayName: 'Microsoft' }] });
+        assert.deepEqual(unknown.body, { identityProviders: [] });
+        assert.deepEqual(knownCalls, ['/users', '/users/<id>/federated-identity']);
+        assert.deepEqual(unknownCalls, knownCalls);
+        for (const answer of [known, unknown]) {
+            assert.ok(answer.duration >= 400 && answer.duration < 550, `answered after ${answer.duration} ms`);
+        }
+        assert.ok(Math.abs(known.duration - unknown.duration) < 60, `known ${known.duration} ms, unknown ${unknown.duration} ms`);
+    });
+
+    test('answers lookups slower than the deadline as unavailable at the deadline', async () => {
+        await start(createSlowAdmin(250), 300);
+
+        const known = await timeLinkedLookup('frank@gmail.com');
+        const unknown = await timeLinkedLookup('nobody@gmail.com');
+
+        for (const answer of [known, unknown]) {
+            assert.equal(answer.status, 502);
+            assert.deepEqual(answer.body, { error: 'lookup_unavailable' });
+            assert.ok(answer.duration >= 300 && answer.duration < 450, `answered after ${answer.duration} ms`);
+        }
+    });
+});
@@ -0,0 +1,347 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash, randomBytes } from 'node:crypto';
+import { createMockKeycloak } from '../mockKeycloak/createMockKeycloak.mjs';
+import { MockBrowser, parseForms } from '../testing/mockBrowser.mjs';
+import { JwksClient, verifyJwt } from '../jwt.mjs';
+
+const silentLogger = { log: () => {}, warn: () => {}, error: () => {} };
+const appOrigin = 'http://localhost:3001';
+const redirectUri = `${appOrigin}/callback`;
+
+describe('mock Keycloak', () => {
+    let keycloak;
+    let discovery;
+
+    before(async () => {
+        keycloak = createMockKeycloak({ logger: silentLogger });
+        await keycloak.listen({ host: '127.0.0.1' });
+        discovery = await (await fetch(`${keycloak.issuer}/.well-known/openid-configuration`)).json();
+    });
+
+    after(() => keycloak.close());
+
+    // Authorization request as the app sends it, with its PKCE verifier, state and nonce
+    const authorizationRequest = (params = {}) => {
+        const codeVerifier = randomBytes(32).toString('base64url');
+        const request = {
+            codeVerifier,
+            state: randomBytes(16).toString('base64url'),
+            nonce: randomBytes(16).toString('base64url')
+        };
+        const query = new URLSearchParams({
+            response_type: 'code',
+            client_id: 'react-oidc-app',
+            redirect_uri: redirectUri,
+            scope: 'openid email profile',
+            state: request.state,
+            nonce: request.nonce,
+            code_challenge: createHash('sha256').update(codeVerifier).digest('base64url'),
+            code_challenge_method: 'S256',
+            ...params
+        });
+        return { ...request, url: `${discovery.authorization_endpoint}?${query}` };
+    };
+
+    const postForm = (url, form, headers = {}) => fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...headers },
+        body: new URLSearchParams(form)
+    });
+
+    const exchangeCode = (code, codeVerifier, overrides = {}) => postForm(discovery.token_endpoint, {
+        grant_type: 'authorization_code',
+        client_id: 'react-oidc-app',
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier,
+        ...overrides
+    });
+
+    // Sign in through the pages and exchange the code, as the app does after its callback
+    const login = async ({ username, password, params, browser = new MockBrowser() }) => {
+        const request = authorizationRequest(params);
+        const callbackUrl = new URL(await browser.signIn(request.url, { username, password }));
+        const response = await exchangeCode(callbackUrl.searchParams.get('code'), request.codeVerifier);
+        return { request, callbackUrl, browser, tokens: await response.json() };
+    };
+
+    test('publishes the endpoints in its discovery document', () => {
+        assert.equal(discovery.issuer, keycloak.issuer);
+        assert.equal(discovery.authorization_endpoint, `${keycloak.issuer}/protocol/openid-connect/auth`);
+        assert.equal(discovery.jwks_uri, keycloak.jwksUri);
+        assert.deepEqual(discovery.code_challenge_methods_supported, ['S256']);
+        ['token_endpoint', 'userinfo_endpoint', 'end_session_endpoint', 'check_session_iframe'].forEach((name) => {
+            assert.ok(discovery[name], name);
+        });
+    });
+
+    test('kc_idp_hint goes straight to the identity provider, which only offers its own accounts', async () => {
+        const browser = new MockBrowser();
+        const page = await browser.navigate(authorizationRequest({ kc_idp_hint: 'google' }).url);
+
+        assert.match(page.url, /\/broker\/google\/login\?session=/);
+        assert.deepEqual(parseForms(page.html).map(({ attributes }) => attributes['data-username']), ['alice@gmail.com', 'dave@gmail.com', 'grace@gmail.com']);
+    });
+
+    test('passes login_hint and the forwarded domain hint to the identity provider', async () => {
+        const browser = new MockBrowser();
+        const page = await browser.navigate(authorizationRequest({ kc_idp_hint: 'google', login_hint: 'dave@gmail.com', hd: 'gmail.com', domain_hint: 'ignored.com' }).url);
+        const upstream = new URL(page.url).searchParams;
+
+        assert.equal(upstream.get('login_hint'), 'dave@gmail.com');
+        assert.equal(upstream.get('hd'), 'gmail.com');
+        assert.equal(upstream.get('domain_hint'), null);
+        assert.deepEqual(parseForms(page.html).map(({ attributes }) => attributes['data-username']), ['dave@gmail.com', 'alice@gmail.com', 'grace@gmail.com']);
+    });
+
+    test('prefills the username from login_hint and passes it on from the provider buttons', async () => {
+        const page = await new MockBrowser().navigate(authorizationRequest({ login_hint: 'bob@outlook.com', domain_hint: 'outlook.com' }).url);
+
+        assert.match(page.html, /name="username" value="bob@outlook\.com"/);
+        assert.match(page.html, /\/broker\/microsoft\/login\?session=[^"]*&amp;login_hint=bob%40outlook\.com&amp;domain_hint=outlook\.com"/);
+    });
+
+    test('shows the login page for unknown or missing hints', async () => {
+        for (const params of [{}, { kc_idp_hint: 'unknown' }]) {
+            const page = await new MockBrowser().navigate(authorizationRequest(params).url);
+
+            assert.match(page.url, /\/protocol\/openid-connect\/auth\?/);
+            assert.match(page.html, /id="kc-form-login"/);
+            assert.match(page.html, /Sign in with Google/);
+            assert.match(page.html, /Sign in with Microsoft/);
+        }
+    });
+
+    test('issues signed tokens for a brokered login', async () => {
+        const { request, callbackUrl, tokens } = await login({ username: 'bob@outlook.com', params: { kc_idp_hint: 'microsoft' } });
+
+        assert.equal(callbackUrl.origin + callbackUrl.pathname, redirectUri);
+        assert.equal(callbackUrl.searchParams.get('state'), request.state);
+        assert.equal(callbackUrl.searchParams.get('session_state'), tokens.session_state);
+
+        const jwks = new JwksClient({ jwksUri: discovery.jwks_uri });
+        const idToken = await verifyJwt(tokens.id_token, { jwks, issuer: keycloak.issuer, audience: 'react-oidc-app' });
+        assert.equal(idToken.nonce, request.nonce);
+        assert.equal(idToken.email, 'bob@outlook.com');
+        assert.equal(idToken.identity_provider, 'microsoft');
+        assert.equal(idToken.sid, tokens.session_state);
+
+        const accessToken = await verifyJwt(tokens.access_token, { jwks, issuer: keycloak.issuer, audience: 'account' });
+        assert.equal(accessToken.sub, idToken.sub);
+        assert.equal(accessToken.scope, 'openid email profile');
+        assert.equal(tokens.token_type, 'Bearer');
+        assert.equal(tokens.expires_in, 300);
+    });
+
+    test('checks local users passwords', async () => {
+        const request = authorizationRequest();
+
+        await assert.rejects(new MockBrowser().signIn(request.url, { username: 'carol', password: 'wrong' }), /Invalid username or password/);
+        await assert.rejects(new MockBrowser().signIn(request.url, { username: 'alice@gmail.com', password: 'alice' }), /Invalid username or password/);
+
+        const { tokens } = await login({ username: 'carol', password: 'carol' });
+        const claims = JSON.parse(Buffer.from(tokens.access_token.split('.')[1], 'base64url').toString());
+        assert.equal(claims.preferred_username, 'carol');
+        assert.equal(claims.identity_provider, undefined);
+        assert.deepEqual(claims.realm_access.roles, ['default-roles-idp-redirector-demo', 'user', 'admin']);
+        assert.deepEqual(claims.resource_access, { 'react-oidc-app': { roles: ['reports-viewer'] } });
+        assert.deepEqual(claims.groups, ['/admins']);
+    });
+
+    describe('authorization request validation', () => {
+        test('refuses unregistered clients and redirect URIs without redirecting', async () => {
+            for (const params of [{ client_id: 'other-app' }, { redirect_uri: 'http://evil.example.com/callback' }]) {
+                const response = await fetch(authorizationRequest(params).url, { redirect: 'manual' });
+                assert.equal(response.status, 400);
+            }
+        });
+
+        test('requires PKCE with S256', async () => {
+            for (const params of [{ code_challenge: '' }, { code_challenge_method: 'plain' }]) {
+                const { location } = await new MockBrowser().navigate(authorizationRequest(params).url);
+                const url = new URL(location);
+                assert.equal(url.searchParams.get('error'), 'invalid_request');
+                assert.equal(url.searchParams.get('code'), null);
+            }
+        });
+    });
+
+    describe('token endpoint', () => {
+        const signInForCode = async () => {
+            const request = authorizationRequest({ kc_idp_hint: 'google' });
+            const callbackUrl = new URL(await new MockBrowser().signIn(request.url, { username: 'alice@gmail.com' }));
+            return { code: callbackUrl.searchParams.get('code'), codeVerifier: request.codeVerifier };
+        };
+
+        const expectInvalidGrant = async (response, description) => {
+            assert.equal(response.status, 400);
+            const body = await response.json();
+            assert.equal(body.error, 'invalid_grant');
+            assert.match(body.error_description, description);
+        };
+
+        test('checks the PKCE code verifier', async () => {
+            const first = await signInForCode();
+            await expectInvalidGrant(await exchangeCode(first.code, undefined, { code_verifier: '' }), /code verifier not specified/);
+
+            const second = await signInForCode();
+            await expectInvalidGrant(await exchangeCode(second.code, randomBytes(32).toString('base64url')), /PKCE verification failed/);
+        });
+
+        test('accepts each code once, for its redirect URI', async () => {
+            const first = await signInForCode();
+            await expectInvalidGrant(await exchangeCode(first.code, first.codeVerifier, { redirect_uri: `${appOrigin}/other` }), /redirect_uri/);
+
+            const second = await signInForCode();
+            assert.equal((await exchangeCode(second.code, second.codeVerifier)).status, 200);
+            await expectInvalidGrant(await exchangeCode(second.code, second.codeVerifier), /Code not valid/);
+        });
+
+        test('rejects other clients and grant types', async () => {
+            const { code, codeVerifier } = await signInForCode();
+
+            assert.equal((await exchangeCode(code, codeVerifier, { client_id: 'other-app' })).status, 401);
+            assert.equal((await postForm(discovery.token_endpoint, { grant_type: 'password', client_id: 'react-oidc-app' })).status, 400);
+        });
+
+        test('allows the app origin only', async () => {
+            const { code, codeVerifier } = await signInForCode();
+            const allowed = await postForm(discovery.token_endpoint, { grant_type: 'authorization_code', client_id: 'react-oidc-app', code, redirect_uri: redirectUri, code_verifier: codeVerifier }, { Origin: appOrigin });
+            const other = await postForm(discovery.token_endpoint, { grant_type: 'refresh_token', client_id: 'react-oidc-app', refresh_token: 'x' }, { Origin: 'http://evil.example.com' });
+
+            assert.equal(allowed.headers.get('access-control-allow-origin'), appOrigin);
+            assert.equal(other.headers.get('access-control-allow-origin'), null);
+        });
+    });
+
+    test('returns the profile from userinfo', async () => {
+        const { tokens } = await login({ username: 'alice@gmail.com', params: { kc_idp_hint: 'google' } });
+
+        const response = await fetch(discovery.userinfo_endpoint, { headers: { Authorization: `Bearer ${tokens.access_token}` } });
+        assert.equal(response.status, 200);
+        assert.deepEqual(await response.json(), {
+            sub: '5b0e4a1c-6f51-4c1e-9a7d-0c1d2e3f4a01',
+            email: 'alice@gmail.com',
+            email_verified: true,
+            name: 'Alice Anderson',
+            preferred_username: 'alice@gmail.com',
+            given_name: 'Alice',
+            family_name: 'Anderson'
+        });
+
+        const forged = keycloak.signToken({ typ: 'Bearer', sid: 'unknown', exp: Math.floor(Date.now() / 1000) + 60 });
+        for (const token of ['not-a-token', tokens.id_token, forged]) {
+            const rejected = await fetch(discovery.userinfo_endpoint, { headers: { Authorization: `Bearer ${token}` } });
+            assert.equal(rejected.status, 401);
+            assert.match(rejected.headers.get('www-authenticate'), /invalid_token/);
+        }
+    });
+
+    test('refreshes tokens while the session is active', async () => {
+        const { tokens } = await login({ username: 'dave@gmail.com', params: { kc_idp_hint: 'google' } });
+
+        const response = await postForm(discovery.token_endpoint, { grant_type: 'refresh_token', client_id: 'react-oidc-app', refresh_token: tokens.refresh_token });
+        assert.equal(response.status, 200);
+        const refreshed = await response.json();
+        assert.notEqual(refreshed.access_token, tokens.access_token);
+        assert.equal(refreshed.session_state, tokens.session_state);
+    });
+
+    test('reuses the SSO session and honours prompt=none', async () => {
+        const { browser, tokens } = await login({ username: 'alice@gmail.com', params: { kc_idp_hint: 'google' } });
+
+        const silent = new URL(await browser.signIn(authorizationRequest({ prompt: 'none' }).url));
+        assert.ok(silent.searchParams.get('code'));
+        assert.equal(silent.searchParams.get('session_state'), tokens.session_state);
+
+        const { location } = await new MockBrowser().navigate(authorizationRequest({ prompt: 'none' }).url);
+        assert.equal(new URL(location).searchParams.get('error'), 'login_required');
+    });
+
+    describe('logout', () => {
+        test('ends the session named by id_token_hint and returns to the app', async () => {
+            const { browser, tokens } = await login({ username: 'alice@gmail.com', params: { kc_idp_hint: 'google' } });
+            const logoutUrl = `${discovery.end_session_endpoint}?${new URLSearchParams({
+                client_id: 'react-oidc-app',
+                id_token_hint: tokens.id_token,
+                post_logout_redirect_uri: `${appOrigin}/`
+            })}`;
+
+            assert.deepEqual(await browser.navigate(logoutUrl), { location: `${appOrigin}/` });
+            assert.equal(keycloak.sessions.has(tokens.session_state), false);
+            assert.equal(browser.cookies.size, 0);
+
+            const refresh = await postForm(discovery.token_endpoint, { grant_type: 'refresh_token', client_id: 'react-oidc-app', refresh_token: tokens.refresh_token });
+            assert.equal(refresh.status, 400);
+            const userInfo = await fetch(discovery.userinfo_endpoint, { headers: { Authorization: `Bearer ${tokens.access_token}` } });
+            assert.equal(userInfo.status, 401);
+        });
+
+        test('refuses unregistered post-logout redirect URIs', async () => {
+            const { tokens } = await login({ username: 'bob@outlook.com', params: { kc_idp_hint: 'microsoft' } });
+            const logoutUrl = `${discovery.end_session_endpoint}?${new URLSearchParams({
+                id_token_hint: tokens.id_token,
+                post_logout_redirect_uri: 'http://evil.example.com/'
+            })}`;
+
+            assert.equal((await fetch(logoutUrl, { redirect: 'manual' })).status, 400);
+            assert.equal(keycloak.sessions.has(tokens.session_state), true);
+        });
+
+        test('ends the session with a refresh token', async () => {
+            const { tokens } = await login({ username: 'carol', password: 'carol' });
+
+            const response = await postForm(discovery.end_session_endpoint, { client_id: 'react-oidc-app', refresh_token: tokens.refresh_token });
+            assert.equal(response.status, 204);
+            assert.equal(keycloak.sessions.has(tokens.session_state), false);
+        });
+    });
+
+    test('answers organization lookups on the admin API for service accounts only', async () => {
+        const adminUrl = keycloak.issuer.replace('/realms/', '/admin/realms/');
+        assert.equal((await fetch(`${adminUrl}/organizations?search=contoso.com`)).status, 401);
+        assert.equal((await postForm(discovery.token_endpoint, {
+            grant_type: 'client_credentials', client_id: 'idp-redirector-lookup', client_secret: 'wrong'
+        })).status, 401);
+
+        const { access_token: accessToken } = await (await postForm(discovery.token_endpoint, {
+            grant_type: 'client_credentials', client_id: 'idp-redirector-lookup', client_secret: 'lookup-secret'
+        })).json();
+        const get = async (path) => (await fetch(`${adminUrl}${path}`, { headers: { Authorization: `Bearer ${accessToken}` } })).json();
+
+        const [organization] = await get('/organizations?search=contoso.com&exact=true');
+        assert.equal(organization.alias, 'contoso');
+        assert.deepEqual(await get('/organizations?search=contoso&exact=true'), [organization]);
+        assert.deepEqual(await get('/organizations?search=gmail.com&exact=true'), []);
+
+        const [identityProvider] = await get(`/organizations/${organization.id}/identity-providers`);
+        assert.equal(identityProvider.alias, 'contoso');
+        assert.deepEqual(identityProvider.config, {
+            'kc.org.domain': 'contoso.com',
+            'kc.org.broker.redirect.mode.email-matches': 'true'
+        });
+
+        const [grace] = await get('/users?email=grace@gmail.com&exact=true');
+        assert.deepEqual((await get(`/users/${grace.id}/federated-identity`)).map((link) => link.identityProvider), ['google', 'microsoft']);
+        assert.deepEqual((await get('/identity-provider/instances')).map(({ alias }) => alias), ['google', 'microsoft', 'contoso']);
+    });
+
+    test('lets accounts sign in through every identity provider linked to them', async () => {
+        const { tokens } = await login({ username: 'grace@gmail.com', params: { kc_idp_hint: 'microsoft' } });
+        const claims = JSON.parse(Buffer.from(tokens.id_token.split('.')[1], 'base64url').toString());
+
+        assert.equal(claims.email, 'grace@gmail.com');
+        assert.equal(claims.identity_provider, 'microsoft');
+    });
+
+    test('serves the same realm in-process without a socket', async () => {
+        const inProcess = createMockKeycloak({ logger: silentLogger });
+        const request = authorizationRequest();
+        const authorizationUrl = request.url.replace(keycloak.issuer, inProcess.issuer);
+
+        const callbackUrl = new URL(await new MockBrowser({ fetchImpl: inProcess.fetch }).signIn(authorizationUrl, { username: 'carol', password: 'carol' }));
+        assert.ok(callbackUrl.searchParams.get('code'));
+        await assert.rejects(inProcess.fetch('http://example.com/'), /only serves http:\/\/localhost:8081/);
+    });
+});
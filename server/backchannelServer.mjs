@@ -0,0 +1,199 @@
+// Back-channel logout receiver: Keycloak POSTs logout tokens here, browsers get the logout over SSE
+// It also records the login errors the app reports, so support can look up the reference shown to the user
+//
+// Tokens are accepted from every realm the app logs in to (realms: [{ issuer, clientId, jwksUri }], the issuer,
+// clientId and jwksUri options are one realm); each token is checked against the keys and client of its issuer
+//
+//   POST /backchannel-logout   logout_token=<JWT> (from Keycloak)
+//   POST /sessions             Authorization: Bearer <ID token>  -> { subscriptionId }
+//   GET  /events?subscription= Server-Sent Events stream, sends "logout" when the session ends
+//   POST /login-errors         { correlationId, name, code, message, ... } (from the app, no login needed) -> 204
+import { createServer } from 'node:http';
+import { JwksClient, JwtValidationError, decodeJwt, verifyJwt } from './jwt.mjs';
+import { LogoutTokenValidator } from './logoutToken.mjs';
+import { LogoutEventHub } from './LogoutEventHub.mjs';
+
+const MAX_BODY_BYTES = 64 * 1024;
+// IDs from src/utils/correlationId.js, e.g. 1K3F9QZ8A-7Q4MX2
+const CORRELATION_ID_PATTERN = /^[0-9A-HJKMNP-TV-Z]{1,13}-[0-9A-HJKMNP-TV-Z]{6}$/;
+const LOGIN_ERROR_FIELDS = ['name', 'code', 'message', 'error', 'errorDescription', 'status', 'idpHint', 'occurredAt'];
+
+const readBody = (request) => new Promise((resolve, reject) => {
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', (chunk) => {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) {
+            reject(new Error('Request body too large'));
+            request.destroy();
+        }
+    });
+    request.on('end', () => resolve(body));
+    request.on('error', reject);
+});
+
+const sendJson = (response, status, body, headers = {}) => {
+    response.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers });
+    response.end(JSON.stringify(body));
+};
+
+export const createBackchannelServer = ({
+    issuer,
+    clientId,
+    jwksUri,
+    realms = issuer ? [{ issuer, clientId, jwksUri }] : [],
+    allowedOrigin,
+    fetchImpl = fetch,
+    clockSkewSeconds = 30,
+    logger = console
+}) => {
+    // issuer -> { issuer, clientId, jwks, logoutTokens }
+    const realmsByIssuer = new Map(realms.map((realm) => {
+        const jwks = new JwksClient({ jwksUri: realm.jwksUri, fetchImpl });
+        return [realm.issuer, {
+            issuer: realm.issuer,
+            clientId: realm.clientId,
+            jwks,
+            logoutTokens: new LogoutTokenValidator({ jwks, issuer: realm.issuer, clientId: realm.clientId, clockSkewSeconds })
+        }];
+    }));
+    const hub = new LogoutEventHub();
+
+    // The realm named by the (not yet verified) iss claim, which then verifies the token
+    const findRealm = (token) => {
+        const { iss } = decodeJwt(token).payload;
+        const realm = typeof iss === 'string' ? realmsByIssuer.get(iss) : null;
+        if (!realm) {
+            throw new JwtValidationError('invalid_issuer', `Token issuer ${iss} is not a configured realm`);
+        }
+        return realm;
+    };
+
+    // Only the React app may register sessions and open event streams
+    const corsHeaders = {
+        'Access-Control-Allow-Origin': allowedOrigin,
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+        'Access-Control-Allow-Methods': 'GET, POST',
+        Vary: 'Origin'
+    };
+
+    // Spec: 200 on success, 400 with an OAuth error body when the token is rejected
+    const handleBackchannelLogout = async (request, response) => {
+        const body = new URLSearchParams(await readBody(request));
+        const logoutToken = body.get('logout_token');
+        if (!logoutToken) {
+            sendJson(response, 400, { error: 'invalid_request', error_description: 'logout_token is required' });
+            return;
+        }
+
+        try {
+            const session = await findRealm(logoutToken).logoutTokens.validate(logoutToken);
+            const delivered = hub.publishLogout(session);
+            logger.log(`Back-channel logout for iss=${session.iss} sid=${session.sid || '-'} sub=${session.sub || '-'}, notified ${delivered} browser session(s)`);
+            response.writeHead(200, { 'Cache-Control': 'no-store' });
+            response.end();
+        } catch (error) {
+            if (!(error instanceof JwtValidationError) || error.code === 'jwks_unavailable') throw error;
+            logger.warn(`Rejected logout token (${error.code}): ${error.message}`);
+            sendJson(response, 400, { error: 'invalid_request', error_description: error.message });
+        }
+    };
+
+    // The ID token proves which Keycloak session the browser belongs to (an expired one is fine here)
+    const handleRegister = async (request, response) => {
+        const [scheme, idToken] = (request.headers.authorization || '').split(' ');
+        if (scheme !== 'Bearer' || !idToken) {
+            sendJson(response, 401, { error: 'invalid_token' }, corsHeaders);
+            return;
+        }
+
+        try {
+            const realm = findRealm(idToken);
+            const claims = await verifyJwt(idToken, {
+                jwks: realm.jwks,
+                issuer: realm.issuer,
+                audience: realm.clientId,
+                clockSkewSeconds,
+                checkExpiry: false
+            });
+            if (!claims.sid && !claims.sub) {
+                throw new JwtValidationError('missing_subject', 'ID token names neither a session nor a subject');
+            }
+            const subscriptionId = hub.register({ iss: claims.iss, sid: claims.sid, sub: claims.sub });
+            sendJson(response, 201, { subscriptionId }, corsHeaders);
+        } catch (error) {
+            if (!(error instanceof JwtValidationError) || error.code === 'jwks_unavailable') throw error;
+            logger.warn(`Rejected session registration (${error.code}): ${error.message}`);
+            sendJson(response, 401, { error: 'invalid_token', error_description: error.message }, corsHeaders);
+        }
+    };
+
+    const handleEvents = (url, response) => {
+        const subscriptionId = url.searchParams.get('subscription');
+        Object.entries(corsHeaders).forEach(([name, value]) => response.setHeader(name, value));
+        if (!subscriptionId || !hub.connect(subscriptionId, response)) {
+            // Non-200 stops EventSource from reconnecting
+            sendJson(response, 404, { error: 'unknown_subscription' });
+        }
+    };
+
+    // Anyone can post here, so only the known fields are logged, shortened and on one line
+    const handleLoginError = async (request, response) => {
+        let report = null;
+        try {
+            report = JSON.parse(await readBody(request));
+        } catch (error) {
+            // Answered as invalid below
+        }
+        if (!CORRELATION_ID_PATTERN.test(report?.correlationId)) {
+            sendJson(response, 400, { error: 'invalid_request', error_description: 'correlationId is required' }, corsHeaders);
+            return;
+        }
+
+        const fields = LOGIN_ERROR_FIELDS
+            .filter((field) => report[field] !== undefined && report[field] !== null)
+            .map((field) => `${field}=${JSON.stringify(String(report[field]).slice(0, 200))}`);
+        logger.error(`Login error [${report.correlationId}] ${fields.join(' ')}`);
+        response.writeHead(204, { ...corsHeaders, 'Cache-Control': 'no-store' });
+        response.end();
+    };
+
+    const server = createServer(async (request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+
+        try {
+            if (request.method === 'OPTIONS') {
+                response.writeHead(204, corsHeaders);
+                response.end();
+            } else if (request.method === 'POST' && url.pathname === '/backchannel-logout') {
+                await handleBackchannelLogout(request, response);
+            } else if (request.method === 'POST' && url.pathname === '/sessions') {
+                await handleRegister(request, response);
+            } else if (request.method === 'GET' && url.pathname === '/events') {
+                handleEvents(url, response);
+            } else if (request.method === 'POST' && url.pathname === '/login-errors') {
+                await handleLoginError(request, response);
+            } else {
+                sendJson(response, 404, { error: 'not_found' });
+            }
+        } catch (error) {
+            logger.error('Request failed:', error);
+            if (!response.headersSent) {
+                sendJson(response, 500, { error: 'server_error' });
+            } else {
+                response.end();
+            }
+        }
+    });
+
+    // Ends the open event streams too, server.close() alone would wait for them
+    const close = () => new Promise((resolve) => {
+        hub.close();
+        server.close(() => resolve());
+        server.closeAllConnections();
+    });
+
+    return { server, hub, close };
+};
+
+export default createBackchannelServer;
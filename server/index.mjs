@@ -0,0 +1,51 @@
+// Start the back-channel logout receiver
+//   KEYCLOAK_ISSUER            realm issuer (default http://localhost:8080/realms/idp-redirector-demo)
+//   KEYCLOAK_CLIENT_ID         client the logout tokens are issued for (default react-oidc-app)
+//   BACKCHANNEL_REALMS         further realms the app logs in to (its routing rules' realms), as a JSON array of
+//                              { "issuer": "...", "clientId": "..." }; clientId defaults to KEYCLOAK_CLIENT_ID
+//   BACKCHANNEL_ALLOWED_ORIGIN origin of the React app (default http://localhost:3001)
+//   BACKCHANNEL_PORT           listening port (default 3002)
+import { createBackchannelServer } from './backchannelServer.mjs';
+
+const issuer = process.env.KEYCLOAK_ISSUER || 'http://localhost:8080/realms/idp-redirector-demo';
+const clientId = process.env.KEYCLOAK_CLIENT_ID || 'react-oidc-app';
+const allowedOrigin = process.env.BACKCHANNEL_ALLOWED_ORIGIN || 'http://localhost:3001';
+const port = Number(process.env.BACKCHANNEL_PORT) || 3002;
+
+const loadRealmConfigs = () => {
+    const realms = [{ issuer, clientId }];
+    if (!process.env.BACKCHANNEL_REALMS) return realms;
+
+    const extra = JSON.parse(process.env.BACKCHANNEL_REALMS);
+    if (!Array.isArray(extra) || extra.some((realm) => typeof realm?.issuer !== 'string')) {
+        throw new Error('BACKCHANNEL_REALMS must be a JSON array of { issuer, clientId }');
+    }
+    return [...realms, ...extra.map((realm) => ({ issuer: realm.issuer, clientId: realm.clientId || clientId }))];
+};
+
+const loadJwksUri = async (issuer) => {
+    const discoveryUrl = `${issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`;
+    const response = await fetch(discoveryUrl);
+    if (!response.ok) {
+        throw new Error(`Could not load ${discoveryUrl}: HTTP ${response.status}`);
+    }
+
+    const discovery = await response.json();
+    if (discovery.issuer !== issuer) {
+        throw new Error(`Discovery document reports issuer ${discovery.issuer}, expected ${issuer}`);
+    }
+    return discovery.jwks_uri;
+};
+
+try {
+    const realms = await Promise.all(loadRealmConfigs().map(async (realm) => ({ ...realm, jwksUri: await loadJwksUri(realm.issuer) })));
+    const { server } = createBackchannelServer({ realms, allowedOrigin });
+    server.listen(port, () => {
+        console.log(`Back-channel logout receiver listening on http://localhost:${port}`);
+        console.log(`Accepting tokens from ${realms.map((realm) => realm.issuer).join(', ')}`);
+        console.log(`Keycloak back-channel logout URL: http://host.docker.internal:${port}/backchannel-logout`);
+    });
+} catch (error) {
+    console.error('Could not start the back-channel logout receiver:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,118 @@
+// JWT signature and claim checks for the companion server (RS256/ES256 against the realm's JWKS)
+import { createPublicKey, verify } from 'node:crypto';
+
+export class JwtValidationError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'JwtValidationError';
+        this.code = code;
+    }
+}
+
+// Node verify parameters per supported JWS algorithm
+const ALGORITHMS = {
+    RS256: { kty: 'RSA', options: {} },
+    ES256: { kty: 'EC', options: { dsaEncoding: 'ieee-p1363' } }
+};
+
+// Split a compact JWT into its decoded header and payload
+export const decodeJwt = (token) => {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+        throw new JwtValidationError('malformed_token', 'Token is not a compact JWS');
+    }
+
+    try {
+        return {
+            header: JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8')),
+            payload: JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8')),
+            signingInput: `${parts[0]}.${parts[1]}`,
+            signature: Buffer.from(parts[2], 'base64url')
+        };
+    } catch (error) {
+        throw new JwtValidationError('malformed_token', 'Token header or payload is not valid JSON');
+    }
+};
+
+// JWKS loaded from the issuer and cached; reloaded (at most once a minute) when a token uses an unknown kid
+export class JwksClient {
+    constructor({ jwksUri, fetchImpl = fetch, minRefreshIntervalSeconds = 60 }) {
+        this.jwksUri = jwksUri;
+        this.fetchImpl = fetchImpl;
+        this.minRefreshInterval = minRefreshIntervalSeconds * 1000;
+        this.keys = null;
+        this.fetchedAt = 0;
+    }
+
+    async loadKeys() {
+        let response;
+        try {
+            response = await this.fetchImpl(this.jwksUri);
+        } catch (error) {
+            throw new JwtValidationError('jwks_unavailable', `Could not load signing keys from ${this.jwksUri}: ${error.message}`);
+        }
+        if (!response.ok) {
+            throw new JwtValidationError('jwks_unavailable', `Could not load signing keys from ${this.jwksUri}: HTTP ${response.status}`);
+        }
+
+        const jwks = await response.json();
+        this.keys = Array.isArray(jwks?.keys) ? jwks.keys : [];
+        this.fetchedAt = Date.now();
+        return this.keys;
+    }
+
+    async findKey({ kid, alg }) {
+        const matches = (keys) => keys.find((key) => (
+            key.kty === ALGORITHMS[alg].kty &&
+            key.use !== 'enc' &&
+            (!key.alg || key.alg === alg) &&
+            (!kid || key.kid === kid)
+        ));
+
+        let key = matches(this.keys || await this.loadKeys());
+        if (!key && Date.now() - this.fetchedAt >= this.minRefreshInterval) {
+            key = matches(await this.loadKeys());
+        }
+        if (!key) {
+            throw new JwtValidationError('unknown_key', `No signing key found for kid ${kid}`);
+        }
+        return key;
+    }
+}
+
+// Verify signature, issuer, audience and time claims; returns the payload
+export const verifyJwt = async (token, { jwks, issuer, audience, clockSkewSeconds = 30, checkExpiry = true }) => {
+    const { header, payload, signingInput, signature } = decodeJwt(token);
+
+    if (!ALGORITHMS[header.alg]) {
+        throw new JwtValidationError('unsupported_algorithm', `Unsupported signing algorithm ${header.alg}`);
+    }
+
+    const jwk = await jwks.findKey(header);
+    const valid = verify('sha256', Buffer.from(signingInput), {
+        key: createPublicKey({ key: jwk, format: 'jwk' }),
+        ...ALGORITHMS[header.alg].options
+    }, signature);
+    if (!valid) {
+        throw new JwtValidationError('invalid_signature', 'Token signature is not valid');
+    }
+
+    if (payload.iss !== issuer) {
+        throw new JwtValidationError('invalid_issuer', `Token issuer ${payload.iss} does not match ${issuer}`);
+    }
+
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(audience)) {
+        throw new JwtValidationError('invalid_audience', `Token audience does not include ${audience}`);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof payload.iat !== 'number' || payload.iat > now + clockSkewSeconds) {
+        throw new JwtValidationError('invalid_iat', 'Token iat is missing or in the future');
+    }
+    if (checkExpiry && typeof payload.exp === 'number' && payload.exp < now - clockSkewSeconds) {
+        throw new JwtValidationError('token_expired', 'Token has expired');
+    }
+
+    return payload;
+};
@@ -0,0 +1,37 @@
+// User-specific routing: the identity providers already linked to the account of an email address
+// (Keycloak federated identities), so a gmail.com user who registered through Microsoft is sent there
+//
+// An address without an account and an account without linked providers both give [], so the answer does not
+// tell them apart. Both also cost the same two admin API calls: see findLinkedIdentityProviders
+import { randomUUID } from 'node:crypto';
+
+// Enabled identity providers of the realm by alias: alias -> { alias, displayName }
+export const loadIdentityProviders = async (admin) => {
+    const instances = await admin.get('/identity-provider/instances');
+    return new Map(instances
+        .filter(({ enabled }) => enabled !== false)
+        .map(({ alias, displayName }) => [alias, { alias, displayName: displayName || alias }]));
+};
+
+// [{ alias, displayName }] linked to the enabled account with this (lowercase) email, in the account's order
+// Addresses without an account still ask for the links of a random user id (Keycloak answers 404), so a known
+// account neither takes an extra round trip nor fails in a way an unknown address cannot
+export const findLinkedIdentityProviders = async (admin, email, identityProviders) => {
+    const users = await admin.get('/users', { email, exact: 'true', briefRepresentation: 'true' });
+    const user = users.find((candidate) => candidate.enabled !== false && candidate.email?.toLowerCase() === email);
+
+    let links = [];
+    try {
+        links = await admin.get(`/users/${encodeURIComponent(user?.id || randomUUID())}/federated-identity`);
+    } catch (error) {
+        // The random id, or an account deleted since the search
+        if (error.details?.status !== 404) throw error;
+    }
+    if (!user) return [];
+
+    return links
+        .map(({ identityProvider }) => identityProviders.get(identityProvider))
+        .filter(Boolean);
+};
+
+export default findLinkedIdentityProviders;
@@ -0,0 +1,73 @@
+// OIDC Back-Channel Logout token validation (OpenID Connect Back-Channel Logout 1.0, section 2.6)
+import { verifyJwt, JwtValidationError } from './jwt.mjs';
+
+export const BACKCHANNEL_LOGOUT_EVENT = 'http://schemas.openid.net/event/backchannel-logout';
+
+// Remembers jti values of accepted tokens until they are too old to be accepted again
+export class ReplayCache {
+    constructor({ ttlSeconds }) {
+        this.ttl = ttlSeconds * 1000;
+        this.seen = new Map();
+    }
+
+    // Returns false when the jti was already used
+    remember(jti) {
+        const now = Date.now();
+        this.seen.forEach((expiresAt, key) => {
+            if (expiresAt <= now) this.seen.delete(key);
+        });
+
+        if (this.seen.has(jti)) return false;
+        this.seen.set(jti, now + this.ttl);
+        return true;
+    }
+}
+
+export class LogoutTokenValidator {
+    constructor({ jwks, issuer, clientId, clockSkewSeconds = 30, maxAgeSeconds = 120 }) {
+        this.jwks = jwks;
+        this.issuer = issuer;
+        this.clientId = clientId;
+        this.clockSkewSeconds = clockSkewSeconds;
+        // Logout tokens are sent right away, older ones are rejected (and forgotten by the replay cache)
+        this.maxAgeSeconds = maxAgeSeconds;
+        this.replayCache = new ReplayCache({ ttlSeconds: maxAgeSeconds + clockSkewSeconds });
+    }
+
+    // Returns { iss, sid, sub } of the ended session (sid or sub may be undefined, not both)
+    async validate(logoutToken) {
+        const claims = await verifyJwt(logoutToken, {
+            jwks: this.jwks,
+            issuer: this.issuer,
+            audience: this.clientId,
+            clockSkewSeconds: this.clockSkewSeconds
+        });
+
+        if (claims.iat < Math.floor(Date.now() / 1000) - this.maxAgeSeconds - this.clockSkewSeconds) {
+            throw new JwtValidationError('token_too_old', 'Logout token was issued too long ago');
+        }
+
+        const event = claims.events?.[BACKCHANNEL_LOGOUT_EVENT];
+        if (!event || typeof event !== 'object' || Array.isArray(event)) {
+            throw new JwtValidationError('invalid_events', 'Logout token has no back-channel logout event');
+        }
+
+        if (!claims.sid && !claims.sub) {
+            throw new JwtValidationError('missing_subject', 'Logout token names neither a session (sid) nor a subject (sub)');
+        }
+
+        // A nonce would make an ID token acceptable as a logout token
+        if (claims.nonce !== undefined) {
+            throw new JwtValidationError('unexpected_nonce', 'Logout token must not contain a nonce');
+        }
+
+        if (!claims.jti) {
+            throw new JwtValidationError('missing_jti', 'Logout token has no jti');
+        }
+        if (!this.replayCache.remember(claims.jti)) {
+            throw new JwtValidationError('replayed_token', 'Logout token was already used');
+        }
+
+        return { iss: claims.iss, sid: claims.sid, sub: claims.sub };
+    }
+}
@@ -0,0 +1,36 @@
+// Start the lookup service (Keycloak Organizations and the identity providers linked to accounts)
+//   KEYCLOAK_ISSUER        realm issuer (default http://localhost:8080/realms/idp-redirector-demo)
+//   LOOKUP_CLIENT_ID       confidential client whose service account reads the admin API (default idp-redirector-lookup)
+//   LOOKUP_CLIENT_SECRET   its client secret (printed by the setup script)
+//   LOOKUP_ALLOWED_ORIGIN  origin of the React app (default http://localhost:3001)
+//   LOOKUP_PORT            listening port (default 3003)
+//   LOOKUP_RESPONSE_DEADLINE_MS  when every linked identity provider answer is sent (default 1000)
+import { KeycloakAdminClient } from './KeycloakAdminClient.mjs';
+import { createLookupServer } from './lookupServer.mjs';
+
+const issuer = process.env.KEYCLOAK_ISSUER || 'http://localhost:8080/realms/idp-redirector-demo';
+const clientId = process.env.LOOKUP_CLIENT_ID || 'idp-redirector-lookup';
+const clientSecret = process.env.LOOKUP_CLIENT_SECRET;
+const allowedOrigin = process.env.LOOKUP_ALLOWED_ORIGIN || 'http://localhost:3001';
+const port = Number(process.env.LOOKUP_PORT) || 3003;
+const responseDeadlineMs = Number(process.env.LOOKUP_RESPONSE_DEADLINE_MS) || 1000;
+
+if (!clientSecret) {
+    console.error('LOOKUP_CLIENT_SECRET is required (the secret of the lookup client, see the setup script output)');
+    process.exit(1);
+}
+
+try {
+    const admin = new KeycloakAdminClient({ issuer, clientId, clientSecret });
+    await admin.getAccessToken();
+
+    const { server } = createLookupServer({ admin, allowedOrigin, responseDeadlineMs });
+    server.listen(port, () => {
+        console.log(`Lookup service listening on http://localhost:${port}`);
+        console.log(`Start the app with REACT_APP_ORGANIZATION_LOOKUP_URL=http://localhost:${port}/organizations`);
+        console.log(`and REACT_APP_LINKED_IDENTITY_PROVIDERS_URL=http://localhost:${port}/linked-identity-providers`);
+    });
+} catch (error) {
+    console.error('Could not start the lookup service:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,171 @@
+// Lookup service for the React app: routing facts answered from Keycloak's admin API with a service account
+//
+//   GET /organizations?domain=<email domain>
+//       -> { domain, organization: { alias, name } | null, identityProvider: { alias, displayName } | null }
+//   POST /linked-identity-providers { "email": "<address>" }
+//       -> { identityProviders: [{ alias, displayName }] }
+//
+// The linked identity provider lookup must not reveal whether an account exists: unknown addresses get the
+// same answer as accounts without linked providers after the same admin API calls, and every answer (errors
+// included) is sent exactly responseDeadlineMs after the request arrived, however long Keycloak took; a lookup
+// still running at the deadline is answered as unavailable
+import { createServer } from 'node:http';
+import { findOrganizationRoute } from './organizations.mjs';
+import { findLinkedIdentityProviders, loadIdentityProviders } from './linkedAccounts.mjs';
+
+// Normalized (lowercase ASCII, punycode) domain names as the app sends them
+const DOMAIN_PATTERN = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z0-9-]{2,63}$/;
+const MAX_BODY_BYTES = 4 * 1024;
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Normalized email address of a lookup request, null when it is not one
+const parseEmail = (value) => {
+    const email = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    const at = email.lastIndexOf('@');
+    if (at < 1 || at > 64 || /\s/.test(email)) return null;
+    return DOMAIN_PATTERN.test(email.slice(at + 1)) ? email : null;
+};
+
+const readBody = (request) => new Promise((resolve, reject) => {
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', (chunk) => {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) {
+            reject(new Error('Request body too large'));
+            request.destroy();
+        }
+    });
+    request.on('end', () => resolve(body));
+    request.on('error', reject);
+});
+
+const sendJson = (response, status, body, headers = {}) => {
+    response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    response.end(JSON.stringify(body));
+};
+
+export const createLookupServer = ({
+    admin,
+    allowedOrigin,
+    cacheSeconds = 60,
+    responseDeadlineMs = 1000,
+    logger = console
+}) => {
+    // Answers per domain for cacheSeconds, so typing the same domain does not hit the admin API each time
+    const cache = new Map();
+
+    const corsHeaders = {
+        'Access-Control-Allow-Origin': allowedOrigin,
+        'Access-Control-Allow-Methods': 'GET, POST',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        Vary: 'Origin'
+    };
+
+    const lookupOrganization = async (domain) => {
+        const cached = cache.get(domain);
+        if (cached && cached.expiresAt > Date.now()) return cached.route;
+
+        const route = await findOrganizationRoute(admin, domain);
+        cache.set(domain, { route, expiresAt: Date.now() + cacheSeconds * 1000 });
+        return route;
+    };
+
+    const handleOrganizations = async (url, response) => {
+        const domain = (url.searchParams.get('domain') || '').trim().toLowerCase();
+        if (!DOMAIN_PATTERN.test(domain)) {
+            sendJson(response, 400, { error: 'invalid_request', error_description: 'domain must be a domain name' }, corsHeaders);
+            return;
+        }
+
+        try {
+            const route = await lookupOrganization(domain);
+            logger.log(`Organization lookup for ${domain}: ${route ? `${route.organization.alias} via ${route.identityProvider?.alias || '-'}` : 'none'}`);
+            sendJson(response, 200, {
+                domain,
+                organization: route?.organization || null,
+                identityProvider: route?.identityProvider || null
+            }, { ...corsHeaders, 'Cache-Control': `private, max-age=${cacheSeconds}` });
+        } catch (error) {
+            logger.error(`Organization lookup for ${domain} failed:`, error.message);
+            sendJson(response, 502, { error: 'lookup_unavailable' }, { ...corsHeaders, 'Cache-Control': 'no-store' });
+        }
+    };
+
+    // The realm's identity providers (display names), cached like the organization answers
+    let identityProviders = null;
+    const getIdentityProviders = async () => {
+        if (!identityProviders || identityProviders.expiresAt <= Date.now()) {
+            identityProviders = { byAlias: await loadIdentityProviders(admin), expiresAt: Date.now() + cacheSeconds * 1000 };
+        }
+        return identityProviders.byAlias;
+    };
+
+    // No account details in the logs either: only how many providers were found
+    const handleLinkedIdentityProviders = async (request, response) => {
+        const deadline = delay(responseDeadlineMs);
+        const respond = async (status, body) => {
+            await deadline;
+            sendJson(response, status, body, { ...corsHeaders, 'Cache-Control': 'no-store' });
+        };
+
+        let email = null;
+        try {
+            email = parseEmail(JSON.parse(await readBody(request)).email);
+        } catch (error) {
+            // Answered as invalid below
+        }
+        if (!email) {
+            await respond(400, { error: 'invalid_request', error_description: 'email must be an email address' });
+            return;
+        }
+
+        try {
+            const linked = await Promise.race([
+                getIdentityProviders().then((identityProviders) => findLinkedIdentityProviders(admin, email, identityProviders)),
+                deadline.then(() => {
+                    throw new Error(`no answer from Keycloak within ${responseDeadlineMs} ms`);
+                })
+            ]);
+            logger.log(`Linked identity provider lookup: ${linked.length} found`);
+            await respond(200, { identityProviders: linked });
+        } catch (error) {
+            logger.error('Linked identity provider lookup failed:', error.message);
+            await respond(502, { error: 'lookup_unavailable' });
+        }
+    };
+
+    const server = createServer(async (request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+
+        try {
+            if (request.method === 'OPTIONS') {
+                response.writeHead(204, corsHeaders);
+                response.end();
+            } else if (request.method === 'GET' && url.pathname === '/organizations') {
+                await handleOrganizations(url, response);
+            } else if (request.method === 'POST' && url.pathname === '/linked-identity-providers') {
+                await handleLinkedIdentityProviders(request, response);
+            } else {
+                sendJson(response, 404, { error: 'not_found' });
+            }
+        } catch (error) {
+            logger.error('Request failed:', error);
+            if (!response.headersSent) {
+                sendJson(response, 500, { error: 'server_error' });
+            } else {
+                response.end();
+            }
+        }
+    });
+
+    const close = () => new Promise((resolve) => {
+        server.close(() => resolve());
+        server.closeAllConnections();
+    });
+
+    return { server, close };
+};
+
+export default createLookupServer;
@@ -0,0 +1,764 @@
+// Mock Keycloak realm: an OIDC authorization server for local development and no-network integration tests
+//
+//   GET  /realms/<realm>/.well-known/openid-configuration
+//   GET  /realms/<realm>/protocol/openid-connect/auth      login page; kc_idp_hint goes straight to that identity provider
+//                                                          (login_hint prefills the username, brokers pass it upstream)
+//   POST /realms/<realm>/protocol/openid-connect/token     authorization_code (PKCE S256 required) and refresh_token grants
+//   GET  /realms/<realm>/protocol/openid-connect/userinfo
+//   GET  /realms/<realm>/protocol/openid-connect/certs
+//   GET  /realms/<realm>/protocol/openid-connect/logout    RP-initiated logout (POST with a refresh_token also ends the session)
+//   GET  /realms/<realm>/protocol/openid-connect/login-status-iframe.html
+//   GET  /admin/realms/<realm>/organizations                          search by name or domain (search, exact)
+//   GET  /admin/realms/<realm>/organizations/<id>/identity-providers  identity providers linked to an organization
+//   GET  /admin/realms/<realm>/users                                   search by email (email, exact)
+//   GET  /admin/realms/<realm>/users/<id>/federated-identity           identity providers linked to a user
+//   GET  /admin/realms/<realm>/identity-provider/instances             the realm's identity providers
+//        (admin API for service accounts of the service clients, client_credentials grant on /token)
+//
+// Served over HTTP (listen) or in-process through handle() and fetch(), which never open a socket
+import { createServer, STATUS_CODES } from 'node:http';
+import { createHash, generateKeyPairSync, randomBytes, randomUUID, sign, verify } from 'node:crypto';
+import { DEFAULT_IDENTITY_PROVIDERS, DEFAULT_ORGANIZATIONS, DEFAULT_SERVICE_CLIENTS, DEFAULT_USERS } from './users.mjs';
+import { renderBrokerLoginPage, renderCheckSessionIframe, renderLoginPage, renderMessagePage } from './pages.mjs';
+
+export const DEFAULT_BASE_URL = 'http://localhost:8081';
+
+// SSO session cookies: the HttpOnly one identifies the session, the other is read by the session check iframe
+const IDENTITY_COOKIE = 'MOCK_KEYCLOAK_IDENTITY';
+const SESSION_COOKIE = 'MOCK_KEYCLOAK_SESSION';
+
+const AUTH_SESSION_TTL_SECONDS = 30 * 60;
+const CODE_TTL_SECONDS = 60;
+const MAX_BODY_BYTES = 64 * 1024;
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const now = () => Math.floor(Date.now() / 1000);
+const randomToken = () => randomBytes(32).toString('base64url');
+
+// Broker aliases an account is linked to (the one it signs in through first)
+const linkedAliases = (user) => [user.identityProvider, ...(user.linkedIdentityProviders || [])].filter(Boolean);
+
+// Keycloak redirect URI patterns: exact match, or a prefix ending in *
+const matchesRedirectUri = (patterns, uri) => patterns.some((pattern) => (
+    pattern.endsWith('*') ? uri.startsWith(pattern.slice(0, -1)) : uri === pattern
+));
+
+const parseCookies = (header = '') => Object.fromEntries(header.split(';')
+    .map((cookie) => cookie.trim())
+    .filter((cookie) => cookie.includes('='))
+    .map((cookie) => [cookie.slice(0, cookie.indexOf('=')), decodeURIComponent(cookie.slice(cookie.indexOf('=') + 1))]));
+
+const lowerCaseHeaders = (headers = {}) => {
+    const result = {};
+    const add = (value, name) => { result[name.toLowerCase()] = value; };
+    if (typeof headers.forEach === 'function') {
+        headers.forEach(add);
+    } else {
+        Object.entries(headers).forEach(([name, value]) => add(value, name));
+    }
+    return result;
+};
+
+const json = (status, body, headers = {}) => ({
+    status,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers },
+    body: JSON.stringify(body)
+});
+
+const html = (status, body, headers = {}) => ({
+    status,
+    headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store', ...headers },
+    body
+});
+
+const redirect = (location, headers = {}) => ({ status: 302, headers: { Location: location, ...headers }, body: '' });
+
+const errorPage = (message, status = 400) => html(status, renderMessagePage('We are sorry...', message));
+
+// Fetch API view of a handled request (just what the app and the tests read)
+const toFetchResponse = ({ status, headers, body }, url) => {
+    const values = lowerCaseHeaders(headers);
+    const get = (name) => {
+        const value = values[name.toLowerCase()];
+        if (value === undefined) return null;
+        return Array.isArray(value) ? value.join(', ') : String(value);
+    };
+
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        statusText: STATUS_CODES[status] || '',
+        url,
+        headers: {
+            get,
+            has: (name) => get(name) !== null,
+            getSetCookie: () => [].concat(values['set-cookie'] || [])
+        },
+        text: async () => body,
+        json: async () => JSON.parse(body)
+    };
+};
+
+const readBody = (request) => new Promise((resolve, reject) => {
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', (chunk) => {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) {
+            reject(new Error('Request body too large'));
+            request.destroy();
+        }
+    });
+    request.on('end', () => resolve(body));
+    request.on('error', reject);
+});
+
+export const createMockKeycloak = ({
+    baseUrl = null,
+    realm = 'idp-redirector-demo',
+    clientId = 'react-oidc-app',
+    redirectUris = ['http://localhost:3001/*'],
+    webOrigins = null,
+    users = DEFAULT_USERS,
+    identityProviders = DEFAULT_IDENTITY_PROVIDERS,
+    organizations = DEFAULT_ORGANIZATIONS,
+    serviceClients = DEFAULT_SERVICE_CLIENTS,
+    accessTokenLifespan = 300,
+    ssoSessionIdleTimeout = 1800,
+    logger = console
+} = {}) => {
+    const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const kid = 'mock-rsa-key';
+    const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] };
+
+    // Origins allowed to call the token and userinfo endpoints from the browser (Keycloak's "+" web origins)
+    const allowedOrigins = webOrigins || [...new Set(redirectUris.map((uri) => new URL(uri.replace(/\*$/, '')).origin))];
+
+    // Known once listening on a random port when no base URL is given
+    let origin = baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+    let server = null;
+
+    const realmPath = `/realms/${realm}`;
+    const adminPath = `/admin/realms/${realm}`;
+    // Service account user of each service client
+    const serviceAccountIds = new Map(serviceClients.map((client) => [client.clientId, randomUUID()]));
+    const getIssuer = () => `${origin || DEFAULT_BASE_URL}${realmPath}`;
+    const endpoint = (name) => `${getIssuer()}/protocol/openid-connect/${name}`;
+
+    // Logins in progress: authSessionId -> { params, createdAt }
+    const authSessions = new Map();
+    // Issued authorization codes: code -> { sessionId, redirectUri, codeChallenge, nonce, scope, expiresAt }
+    const codes = new Map();
+    // SSO sessions: sid -> { id, user, identityProvider, authTime, lastSeen }
+    const sessions = new Map();
+    // Refresh tokens (opaque here): token -> { sessionId, scope, nonce }
+    const refreshTokens = new Map();
+
+    // Sign claims with the realm key (or another key, to test signature checks)
+    const signToken = (claims, { key = privateKey, header = {} } = {}) => {
+        const signingInput = `${encode({ alg: 'RS256', typ: 'JWT', kid, ...header })}.${encode(claims)}`;
+        return `${signingInput}.${sign('sha256', Buffer.from(signingInput), key).toString('base64url')}`;
+    };
+
+    // Claims of a token signed with the realm key, null for anything else
+    const readSignedToken = (token) => {
+        const parts = typeof token === 'string' ? token.split('.') : [];
+        if (parts.length !== 3) return null;
+
+        try {
+            const valid = verify('sha256', Buffer.from(`${parts[0]}.${parts[1]}`), publicKey, Buffer.from(parts[2], 'base64url'));
+            return valid ? JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8')) : null;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    const pruneExpired = () => {
+        const time = now();
+        authSessions.forEach(({ createdAt }, id) => {
+            if (time - createdAt > AUTH_SESSION_TTL_SECONDS) authSessions.delete(id);
+        });
+        codes.forEach(({ expiresAt }, code) => {
+            if (expiresAt < time) codes.delete(code);
+        });
+    };
+
+    const getAuthSession = (id) => {
+        const authSession = id ? authSessions.get(id) : null;
+        return authSession && now() - authSession.createdAt <= AUTH_SESSION_TTL_SECONDS ? authSession : null;
+    };
+
+    // End an SSO session and revoke its refresh tokens, returns false when it was not active
+    const endSession = (sessionId) => {
+        refreshTokens.forEach((entry, token) => {
+            if (entry.sessionId === sessionId) refreshTokens.delete(token);
+        });
+        const ended = sessions.delete(sessionId);
+        if (ended) logger.log(`Session ${sessionId} ended`);
+        return ended;
+    };
+
+    // SSO session that has not been idle for longer than the realm allows
+    const getActiveSession = (sessionId) => {
+        const session = sessionId ? sessions.get(sessionId) : null;
+        if (session && now() - session.lastSeen > ssoSessionIdleTimeout) {
+            endSession(sessionId);
+            return null;
+        }
+        return session || null;
+    };
+
+    const startSession = (user, identityProvider) => {
+        const session = { id: randomUUID(), user, identityProvider, authTime: now(), lastSeen: now() };
+        sessions.set(session.id, session);
+        logger.log(`Signed in ${user.username}${identityProvider ? ` through ${identityProvider}` : ''} (session ${session.id})`);
+        return session;
+    };
+
+    const profileClaims = (user) => ({
+        sub: user.id,
+        email: user.email,
+        email_verified: true,
+        name: `${user.firstName} ${user.lastName}`,
+        preferred_username: user.username,
+        given_name: user.firstName,
+        family_name: user.lastName,
+        ...(user.picture ? { picture: user.picture } : {})
+    });
+
+    // Token response as Keycloak sends it; identity_provider is the claim the setup script's mapper adds
+    const issueTokens = (session, { scope, nonce }) => {
+        const issuedAt = now();
+        const claims = {
+            ...profileClaims(session.user),
+            iat: issuedAt,
+            exp: issuedAt + accessTokenLifespan,
+            iss: getIssuer(),
+            azp: clientId,
+            sid: session.id,
+            session_state: session.id,
+            ...(session.identityProvider ? { identity_provider: session.identityProvider } : {})
+        };
+
+        const refreshToken = randomToken();
+        refreshTokens.set(refreshToken, { sessionId: session.id, scope, nonce });
+        session.lastSeen = issuedAt;
+
+        return {
+            access_token: signToken({
+                ...claims,
+                jti: randomUUID(),
+                aud: 'account',
+                typ: 'Bearer',
+                scope,
+                realm_access: { roles: [`default-roles-${realm}`, ...(session.user.roles || [])] },
+                // Roles of the app's client and the Group Membership mapper (full paths), when the user has any
+                ...(session.user.clientRoles ? { resource_access: { [clientId]: { roles: session.user.clientRoles } } } : {}),
+                ...(session.user.groups ? { groups: session.user.groups } : {})
+            }),
+            expires_in: accessTokenLifespan,
+            refresh_expires_in: ssoSessionIdleTimeout,
+            refresh_token: refreshToken,
+            token_type: 'Bearer',
+            id_token: signToken({
+                ...claims,
+                jti: randomUUID(),
+                aud: clientId,
+                typ: 'ID',
+                auth_time: session.authTime,
+                ...(nonce ? { nonce } : {})
+            }),
+            'not-before-policy': 0,
+            session_state: session.id,
+            scope
+        };
+    };
+
+    const sessionCookies = (session) => [
+        `${IDENTITY_COOKIE}=${session.id}; Path=${realmPath}/; SameSite=Lax; HttpOnly`,
+        `${SESSION_COOKIE}=${session.id}; Path=${realmPath}/; SameSite=Lax`
+    ];
+
+    const expiredSessionCookies = () => [IDENTITY_COOKIE, SESSION_COOKIE].map((name) => `${name}=; Path=${realmPath}/; Max-Age=0; SameSite=Lax`);
+
+    const corsHeaders = (requestOrigin) => (allowedOrigins.includes(requestOrigin)
+        ? { 'Access-Control-Allow-Origin': requestOrigin, 'Access-Control-Allow-Credentials': 'true', Vary: 'Origin' }
+        : {});
+
+    // The upstream sign-in request: the broker adds login_hint and its forwarded parameters of the app's request
+    const brokerLoginUrl = (provider, authSessionId) => {
+        const url = new URL(`${getIssuer()}/broker/${provider.alias}/login`);
+        url.searchParams.set('session', authSessionId);
+
+        const params = authSessions.get(authSessionId)?.params || new URLSearchParams();
+        const forwarded = [...(provider.loginHint ? ['login_hint'] : []), ...(provider.forwardParameters || [])];
+        forwarded.filter((name) => params.get(name)).forEach((name) => url.searchParams.set(name, params.get(name)));
+        return url.toString();
+    };
+
+    const loginPage = (authSessionId, { username = '', error = null } = {}) => html(200, renderLoginPage({
+        realm,
+        actionUrl: `${getIssuer()}/login-actions/authenticate`,
+        authSessionId,
+        username,
+        error,
+        localUsers: users.filter((user) => !user.identityProvider),
+        identityProviders: identityProviders.map((provider) => ({ displayName: provider.displayName, loginUrl: brokerLoginUrl(provider, authSessionId) }))
+    }));
+
+    const expiredLoginPage = () => html(400, renderMessagePage('Page has expired', 'Your login attempt timed out. Login will start from the beginning.'));
+
+    // Errors after the redirect URI is known go back to the app (RFC 6749 section 4.1.2.1)
+    const authorizationError = (params, error, description) => {
+        const url = new URL(params.get('redirect_uri'));
+        url.searchParams.set('error', error);
+        url.searchParams.set('error_description', description);
+        if (params.get('state')) url.searchParams.set('state', params.get('state'));
+        url.searchParams.set('iss', getIssuer());
+        return redirect(url.toString());
+    };
+
+    // Finish a login: authorization code for the app's redirect URI, SSO cookies for the next /auth
+    const completeAuthorization = (params, session) => {
+        const code = randomToken();
+        codes.set(code, {
+            sessionId: session.id,
+            redirectUri: params.get('redirect_uri'),
+            codeChallenge: params.get('code_challenge'),
+            nonce: params.get('nonce'),
+            scope: params.get('scope') || 'openid',
+            expiresAt: now() + CODE_TTL_SECONDS
+        });
+
+        const url = new URL(params.get('redirect_uri'));
+        if (params.get('state')) url.searchParams.set('state', params.get('state'));
+        url.searchParams.set('session_state', session.id);
+        url.searchParams.set('iss', getIssuer());
+        url.searchParams.set('code', code);
+        return redirect(url.toString(), { 'Set-Cookie': sessionCookies(session) });
+    };
+
+    const handleAuthorize = (url, headers) => {
+        const params = url.searchParams;
+        pruneExpired();
+
+        if (params.get('client_id') !== clientId) {
+            return errorPage('Client not found.');
+        }
+        const redirectUri = params.get('redirect_uri');
+        if (!redirectUri || !matchesRedirectUri(redirectUris, redirectUri)) {
+            return errorPage('Invalid parameter: redirect_uri');
+        }
+        if (params.get('response_type') !== 'code') {
+            return authorizationError(params, 'unsupported_response_type', 'Client is not allowed to initiate browser login with given response_type.');
+        }
+        // Like the app's client in Keycloak (pkce.code.challenge.method=S256)
+        if (!params.get('code_challenge') || params.get('code_challenge_method') !== 'S256') {
+            return authorizationError(params, 'invalid_request', 'Missing parameter: code_challenge_method');
+        }
+
+        // An SSO session from an earlier login is reused without asking again
+        const prompt = params.get('prompt');
+        const session = getActiveSession(parseCookies(headers.cookie)[IDENTITY_COOKIE]);
+        if (session && prompt !== 'login') {
+            logger.log(`Reusing SSO session ${session.id} of ${session.user.username}`);
+            return completeAuthorization(params, session);
+        }
+        if (prompt === 'none') {
+            return authorizationError(params, 'login_required', 'Login required');
+        }
+
+        const authSessionId = randomToken();
+        authSessions.set(authSessionId, { params: new URLSearchParams(params), createdAt: now() });
+
+        // kc_idp_hint skips the login page for a known identity provider; unknown aliases are ignored like Keycloak does
+        const hintedProvider = identityProviders.find(({ alias }) => alias === params.get('kc_idp_hint'));
+        if (hintedProvider) {
+            logger.log(`kc_idp_hint=${hintedProvider.alias}, redirecting to the identity provider`);
+            return redirect(brokerLoginUrl(hintedProvider, authSessionId));
+        }
+        return loginPage(authSessionId, { username: params.get('login_hint') || '' });
+    };
+
+    // Local users sign in with username (or email) and password
+    const handleLocalLogin = (form) => {
+        const authSessionId = form.get('session');
+        const authSession = getAuthSession(authSessionId);
+        if (!authSession) return expiredLoginPage();
+
+        const username = form.get('username') || '';
+        const user = users.find((candidate) => !candidate.identityProvider && (candidate.username === username || candidate.email === username));
+        if (!user || user.password !== form.get('password')) {
+            return loginPage(authSessionId, { username, error: 'Invalid username or password.' });
+        }
+
+        authSessions.delete(authSessionId);
+        return completeAuthorization(authSession.params, startSession(user, null));
+    };
+
+    // Stands in for the upstream provider's sign-in page
+    const handleBrokerLogin = (alias, url) => {
+        const provider = identityProviders.find((candidate) => candidate.alias === alias);
+        if (!provider) return errorPage('Identity provider not found.', 404);
+
+        const authSessionId = url.searchParams.get('session');
+        if (!getAuthSession(authSessionId)) return expiredLoginPage();
+
+        // Like Google's account chooser, the hinted account is offered first
+        const loginHint = url.searchParams.get('login_hint');
+        const accounts = users.filter((user) => linkedAliases(user).includes(alias));
+        return html(200, renderBrokerLoginPage({
+            displayName: provider.displayName,
+            actionUrl: `${getIssuer()}/broker/${alias}/endpoint`,
+            authSessionId,
+            users: [...accounts.filter((user) => user.email === loginHint), ...accounts.filter((user) => user.email !== loginHint)],
+            requestParameters: [...url.searchParams].filter(([name]) => name !== 'session')
+        }));
+    };
+
+    // The upstream provider authenticated the user and returned to the broker endpoint
+    const handleBrokerEndpoint = (alias, form) => {
+        const authSessionId = form.get('session');
+        const authSession = getAuthSession(authSessionId);
+        if (!authSession) return expiredLoginPage();
+
+        const user = users.find((candidate) => linkedAliases(candidate).includes(alias) && candidate.username === form.get('username'));
+        if (!user) return errorPage('Unexpected error when authenticating with identity provider');
+
+        authSessions.delete(authSessionId);
+        return completeAuthorization(authSession.params, startSession(user, alias));
+    };
+
+    const invalidGrant = (description) => json(400, { error: 'invalid_grant', error_description: description });
+
+    const exchangeCode = (form) => {
+        const code = form.get('code');
+        const entry = codes.get(code);
+        // Codes are single use, a failed exchange burns the code too
+        codes.delete(code);
+
+        if (!entry || entry.expiresAt < now()) return invalidGrant('Code not valid');
+        if (form.get('redirect_uri') !== entry.redirectUri) return invalidGrant('Incorrect redirect_uri');
+
+        const codeVerifier = form.get('code_verifier');
+        if (!codeVerifier) return invalidGrant('PKCE code verifier not specified');
+        if (createHash('sha256').update(codeVerifier).digest('base64url') !== entry.codeChallenge) {
+            return invalidGrant('PKCE verification failed: Invalid code verifier');
+        }
+
+        const session = getActiveSession(entry.sessionId);
+        if (!session) return invalidGrant('Session not active');
+        return json(200, issueTokens(session, entry));
+    };
+
+    const refresh = (form) => {
+        const entry = refreshTokens.get(form.get('refresh_token'));
+        if (!entry) return invalidGrant('Invalid refresh token');
+
+        const session = getActiveSession(entry.sessionId);
+        if (!session) return invalidGrant('Session not active');
+        return json(200, issueTokens(session, entry));
+    };
+
+    // Service account token of a confidential client (client_secret_post)
+    const clientCredentials = (form) => {
+        const client = serviceClients.find((candidate) => candidate.clientId === form.get('client_id'));
+        if (!client || form.get('client_secret') !== client.secret) {
+            return json(401, { error: 'unauthorized_client', error_description: 'Invalid client or Invalid client credentials' });
+        }
+
+        const issuedAt = now();
+        return json(200, {
+            access_token: signToken({
+                iss: getIssuer(),
+                sub: serviceAccountIds.get(client.clientId),
+                aud: 'realm-management',
+                azp: client.clientId,
+                typ: 'Bearer',
+                iat: issuedAt,
+                exp: issuedAt + accessTokenLifespan,
+                jti: randomUUID(),
+                preferred_username: `service-account-${client.clientId}`,
+                scope: 'profile email'
+            }),
+            expires_in: accessTokenLifespan,
+            refresh_expires_in: 0,
+            token_type: 'Bearer',
+            'not-before-policy': 0,
+            scope: 'profile email'
+        });
+    };
+
+    const handleToken = (form) => {
+        if (form.get('grant_type') === 'client_credentials') return clientCredentials(form);
+        if (form.get('client_id') !== clientId) {
+            return json(401, { error: 'invalid_client', error_description: 'Invalid client or Invalid client credentials' });
+        }
+
+        const grantType = form.get('grant_type');
+        if (grantType === 'authorization_code') return exchangeCode(form);
+        if (grantType === 'refresh_token') return refresh(form);
+        return json(400, { error: 'unsupported_grant_type', error_description: 'Unsupported grant_type' });
+    };
+
+    const handleUserInfo = (headers) => {
+        const [scheme, token] = (headers.authorization || '').split(' ');
+        const claims = scheme === 'Bearer' ? readSignedToken(token) : null;
+        const session = claims?.typ === 'Bearer' && claims.exp > now() ? getActiveSession(claims.sid) : null;
+
+        if (!session) {
+            return json(401, { error: 'invalid_token', error_description: 'Token verification failed' }, {
+                'WWW-Authenticate': `Bearer realm="${realm}", error="invalid_token", error_description="Token verification failed"`
+            });
+        }
+        return json(200, profileClaims(session.user));
+    };
+
+    // RP-initiated logout; the session is the one named by id_token_hint, else the SSO cookie's
+    const handleLogout = (url, headers) => {
+        const params = url.searchParams;
+        const idTokenHint = params.get('id_token_hint');
+        const postLogoutRedirectUri = params.get('post_logout_redirect_uri');
+
+        const hintClaims = idTokenHint ? readSignedToken(idTokenHint) : null;
+        if (idTokenHint && (!hintClaims || hintClaims.iss !== getIssuer())) {
+            return errorPage('Invalid parameter: id_token_hint');
+        }
+        if (postLogoutRedirectUri) {
+            if (!hintClaims && params.get('client_id') !== clientId) {
+                return errorPage('Missing parameters: id_token_hint');
+            }
+            if (!matchesRedirectUri(redirectUris, postLogoutRedirectUri)) {
+                return errorPage('Invalid redirect uri');
+            }
+        }
+
+        const sessionId = hintClaims?.sid || parseCookies(headers.cookie)[IDENTITY_COOKIE];
+        if (sessionId) endSession(sessionId);
+
+        const cookies = { 'Set-Cookie': expiredSessionCookies() };
+        if (!postLogoutRedirectUri) {
+            return html(200, renderMessagePage('You are logged out', 'You can close this page.'), cookies);
+        }
+
+        const target = new URL(postLogoutRedirectUri);
+        if (params.get('state')) target.searchParams.set('state', params.get('state'));
+        return redirect(target.toString(), cookies);
+    };
+
+    // Logout from the app without a redirect: POST client_id and refresh_token
+    const handleRefreshTokenLogout = (form) => {
+        if (form.get('client_id') !== clientId) {
+            return json(401, { error: 'invalid_client', error_description: 'Invalid client or Invalid client credentials' });
+        }
+
+        const entry = refreshTokens.get(form.get('refresh_token'));
+        if (!entry) return invalidGrant('Invalid refresh token');
+
+        endSession(entry.sessionId);
+        return { status: 204, headers: {}, body: '' };
+    };
+
+    // Admin API requests need an unexpired service account token of a service client
+    const isAdminRequest = (headers) => {
+        const [scheme, token] = (headers.authorization || '').split(' ');
+        const claims = scheme === 'Bearer' ? readSignedToken(token) : null;
+        return Boolean(claims?.typ === 'Bearer' && claims.iss === getIssuer() && claims.exp > now() && serviceAccountIds.has(claims.azp));
+    };
+
+    const organizationRepresentation = ({ id, name, alias, enabled, domains }) => ({ id, name, alias, enabled, description: '', domains });
+
+    // Keycloak matches search against the organization name and its domains (exact=true: whole values only)
+    const handleOrganizationSearch = (url) => {
+        const search = (url.searchParams.get('search') || '').toLowerCase();
+        const exact = url.searchParams.get('exact') === 'true';
+        const matches = (value) => (exact ? value.toLowerCase() === search : value.toLowerCase().includes(search));
+
+        return json(200, organizations
+            .filter((organization) => !search || matches(organization.name) || organization.domains.some((domain) => matches(domain.name)))
+            .map(organizationRepresentation));
+    };
+
+    const handleOrganizationIdentityProviders = (organizationId) => {
+        const organization = organizations.find((candidate) => candidate.id === organizationId);
+        if (!organization) return json(404, { error: 'Organization not found' });
+
+        return json(200, organization.identityProviders.map(({ alias, domain, redirectWhenEmailMatches }) => ({
+            alias,
+            displayName: identityProviders.find((provider) => provider.alias === alias)?.displayName || alias,
+            providerId: 'oidc',
+            enabled: true,
+            config: {
+                'kc.org.domain': domain,
+                'kc.org.broker.redirect.mode.email-matches': String(Boolean(redirectWhenEmailMatches))
+            }
+        })));
+    };
+
+    const userRepresentation = ({ id, username, email, firstName, lastName }) => ({
+        id, username, email, firstName, lastName, enabled: true, emailVerified: true
+    });
+
+    const handleUserSearch = (url) => {
+        const email = (url.searchParams.get('email') || '').toLowerCase();
+        const exact = url.searchParams.get('exact') === 'true';
+        return json(200, users
+            .filter((user) => !email || (exact ? user.email.toLowerCase() === email : user.email.toLowerCase().includes(email)))
+            .map(userRepresentation));
+    };
+
+    const handleFederatedIdentities = (userId) => {
+        const user = users.find((candidate) => candidate.id === userId);
+        if (!user) return json(404, { error: 'User not found' });
+
+        return json(200, linkedAliases(user).map((alias) => ({ identityProvider: alias, userId: `${alias}-${user.id}`, userName: user.email })));
+    };
+
+    const handleIdentityProviderInstances = () => json(200, identityProviders.map(({ alias, displayName }) => ({
+        alias,
+        displayName,
+        providerId: 'oidc',
+        enabled: true
+    })));
+
+    const routeAdmin = (method, url, headers) => {
+        if (!isAdminRequest(headers)) return json(401, { error: 'HTTP 401 Unauthorized' });
+
+        const [resource, id, subresource] = url.pathname.slice(`${adminPath}/`.length).split('/');
+        if (method === 'GET' && resource === 'organizations' && !id) return handleOrganizationSearch(url);
+        if (method === 'GET' && resource === 'organizations' && subresource === 'identity-providers') {
+            return handleOrganizationIdentityProviders(id);
+        }
+        if (method === 'GET' && resource === 'users' && !id) return handleUserSearch(url);
+        if (method === 'GET' && resource === 'users' && subresource === 'federated-identity') return handleFederatedIdentities(id);
+        if (method === 'GET' && resource === 'identity-provider' && id === 'instances' && !subresource) {
+            return handleIdentityProviderInstances();
+        }
+        return json(404, { error: 'not_found' });
+    };
+
+    const discoveryDocument = () => ({
+        issuer: getIssuer(),
+        authorization_endpoint: endpoint('auth'),
+        token_endpoint: endpoint('token'),
+        userinfo_endpoint: endpoint('userinfo'),
+        jwks_uri: endpoint('certs'),
+        end_session_endpoint: endpoint('logout'),
+        check_session_iframe: endpoint('login-status-iframe.html'),
+        response_types_supported: ['code'],
+        grant_types_supported: ['authorization_code', 'refresh_token', 'client_credentials'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported: ['none', 'client_secret_post'],
+        scopes_supported: ['openid', 'email', 'profile']
+    });
+
+    const route = (method, url, headers, body) => {
+        const path = url.pathname;
+        const form = () => new URLSearchParams(body);
+        const oidcPath = `${realmPath}/protocol/openid-connect`;
+
+        if (method === 'OPTIONS') {
+            return { status: 204, headers: { 'Access-Control-Allow-Headers': 'Authorization, Content-Type', 'Access-Control-Allow-Methods': 'GET, POST' }, body: '' };
+        }
+        if (method === 'GET' && path === `${realmPath}/.well-known/openid-configuration`) return json(200, discoveryDocument());
+        if (method === 'GET' && path === `${oidcPath}/certs`) return json(200, jwks);
+        if (method === 'GET' && path === `${oidcPath}/auth`) return handleAuthorize(url, headers);
+        if (method === 'POST' && path === `${oidcPath}/token`) return handleToken(form());
+        if ((method === 'GET' || method === 'POST') && path === `${oidcPath}/userinfo`) return handleUserInfo(headers);
+        if (method === 'GET' && path === `${oidcPath}/logout`) return handleLogout(url, headers);
+        if (method === 'POST' && path === `${oidcPath}/logout`) return handleRefreshTokenLogout(form());
+        if (method === 'GET' && path === `${oidcPath}/login-status-iframe.html`) {
+            return html(200, renderCheckSessionIframe({ clientId, webOrigins: allowedOrigins, cookieName: SESSION_COOKIE }));
+        }
+        if (method === 'POST' && path === `${realmPath}/login-actions/authenticate`) return handleLocalLogin(form());
+
+        if (path.startsWith(`${adminPath}/`)) return routeAdmin(method, url, headers);
+
+        if (path.startsWith(`${realmPath}/broker/`)) {
+            const [alias, action] = path.slice(`${realmPath}/broker/`.length).split('/');
+            if (method === 'GET' && action === 'login') return handleBrokerLogin(alias, url);
+            if (method === 'POST' && action === 'endpoint') return handleBrokerEndpoint(alias, form());
+        }
+
+        return json(404, { error: 'not_found' });
+    };
+
+    // Answer one request: { method, url, headers, body } -> { status, headers, body }
+    const handle = ({ method = 'GET', url, headers = {}, body = '' }) => {
+        const requestHeaders = lowerCaseHeaders(headers);
+        const response = route(method.toUpperCase(), new URL(url, origin || DEFAULT_BASE_URL), requestHeaders, body);
+        return { ...response, headers: { ...corsHeaders(requestHeaders.origin), ...response.headers } };
+    };
+
+    // fetch() answered in-process; redirects are returned rather than followed, as a page navigation would see them
+    const fetchImpl = async (input, init = {}) => {
+        const url = new URL(typeof input === 'object' && input.url ? input.url : String(input));
+        const issuerOrigin = new URL(getIssuer()).origin;
+        if (url.origin !== issuerOrigin) {
+            throw new TypeError(`Failed to fetch ${url}: the mock Keycloak only serves ${issuerOrigin}`);
+        }
+
+        const response = handle({
+            method: init.method || 'GET',
+            url: url.toString(),
+            headers: init.headers,
+            body: init.body === undefined || init.body === null ? '' : String(init.body)
+        });
+        return toFetchResponse(response, url.toString());
+    };
+
+    // Serve over HTTP; without a configured base URL the issuer uses the bound host and port
+    const listen = async ({ port = 0, host } = {}) => {
+        server = createServer(async (request, response) => {
+            try {
+                const result = handle({ method: request.method, url: request.url, headers: request.headers, body: await readBody(request) });
+                response.writeHead(result.status, result.headers);
+                response.end(result.body);
+            } catch (error) {
+                logger.error('Request failed:', error);
+                response.writeHead(500);
+                response.end();
+            }
+        });
+
+        await new Promise((resolve) => server.listen(port, host, resolve));
+        if (!baseUrl) {
+            origin = `http://${host || 'localhost'}:${server.address().port}`;
+        }
+        return getIssuer();
+    };
+
+    const close = () => new Promise((resolve) => {
+        if (!server) {
+            resolve();
+            return;
+        }
+        server.close(() => resolve());
+        server.closeAllConnections();
+    });
+
+    return {
+        get issuer() {
+            return getIssuer();
+        },
+        get jwksUri() {
+            return endpoint('certs');
+        },
+        realm,
+        clientId,
+        users,
+        organizations,
+        serviceClients,
+        sessions,
+        handle,
+        fetch: fetchImpl,
+        listen,
+        close,
+        signToken,
+        endSession
+    };
+};
+
+export default createMockKeycloak;
@@ -0,0 +1,29 @@
+// Start the mock Keycloak realm for local development (npm run mock-keycloak)
+//   MOCK_KEYCLOAK_PORT       listening port (default 8081)
+//   MOCK_KEYCLOAK_REALM      realm name (default idp-redirector-demo)
+//   MOCK_KEYCLOAK_CLIENT_ID  public client of the React app (default react-oidc-app)
+//   MOCK_KEYCLOAK_APP_URL    React app origin, allowed for redirects and CORS (default http://localhost:3001)
+import { createMockKeycloak } from './createMockKeycloak.mjs';
+
+const port = Number(process.env.MOCK_KEYCLOAK_PORT) || 8081;
+const appUrl = (process.env.MOCK_KEYCLOAK_APP_URL || 'http://localhost:3001').replace(/\/+$/, '');
+
+const keycloak = createMockKeycloak({
+    baseUrl: `http://localhost:${port}`,
+    realm: process.env.MOCK_KEYCLOAK_REALM || 'idp-redirector-demo',
+    clientId: process.env.MOCK_KEYCLOAK_CLIENT_ID || 'react-oidc-app',
+    redirectUris: [`${appUrl}/*`]
+});
+
+await keycloak.listen({ port });
+console.log(`Mock Keycloak listening, issuer ${keycloak.issuer}`);
+console.log(`Start the app with REACT_APP_KEYCLOAK_URL=http://localhost:${port} REACT_APP_KEYCLOAK_REALM=${keycloak.realm}`);
+keycloak.users.forEach((user) => {
+    console.log(`  ${user.username.padEnd(20)} ${user.identityProvider ? `via ${[user.identityProvider, ...(user.linkedIdentityProviders || [])].join(', ')}` : `password: ${user.password}`}`);
+});
+keycloak.organizations.forEach((organization) => {
+    console.log(`  organization ${organization.alias}: ${organization.domains.map(({ name }) => name).join(', ')}`);
+});
+keycloak.serviceClients.forEach((client) => {
+    console.log(`  service client ${client.clientId} (secret ${client.secret})`);
+});
@@ -0,0 +1,92 @@
+// HTML pages of the mock realm (login form, identity provider account chooser, session check iframe)
+
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (character) => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+})[character]);
+
+const layout = (title, content) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: Arial, sans-serif; background: #f5f5f5; display: flex; justify-content: center; padding: 3rem 1rem; }
+main { background: white; border-radius: 8px; padding: 2rem; width: 100%; max-width: 420px; box-shadow: 0 2px 8px rgba(0,0,0,0.1); }
+h1 { font-size: 1.4rem; margin-top: 0; }
+label, input, button, a.button { display: block; width: 100%; box-sizing: border-box; margin-bottom: 0.75rem; }
+input { padding: 8px; }
+button, a.button { padding: 10px; border: none; border-radius: 4px; background: #007bff; color: white; font-size: 1rem; cursor: pointer; text-align: center; text-decoration: none; }
+a.button.broker { background: #4a5568; }
+.error { color: #c53030; }
+.notice { color: #718096; font-size: 0.85rem; }
+</style>
+</head>
+<body>
+<main>
+<p class="notice">Mock Keycloak, for development and tests only</p>
+${content}
+</main>
+</body>
+</html>`;
+
+const hiddenInput = (name, value) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`;
+
+// Keycloak's own login page: username/password for local users, buttons for the brokered identity providers
+export const renderLoginPage = ({ realm, actionUrl, authSessionId, username = '', error = null, localUsers, identityProviders }) => layout(`Sign in to ${realm}`, `
+<h1>Sign in to ${escapeHtml(realm)}</h1>
+${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+<form id="kc-form-login" method="post" action="${escapeHtml(actionUrl)}">
+${hiddenInput('session', authSessionId)}
+<label>Username or email <input name="username" value="${escapeHtml(username)}" autofocus></label>
+<label>Password <input name="password" type="password"></label>
+<button type="submit">Sign In</button>
+</form>
+<p class="notice">Local users: ${localUsers.map((user) => `${escapeHtml(user.username)} / ${escapeHtml(user.password)}`).join(', ') || 'none'}</p>
+${identityProviders.map(({ displayName, loginUrl }) => `<a class="button broker" href="${escapeHtml(loginUrl)}">Sign in with ${escapeHtml(displayName)}</a>`).join('\n')}
+`);
+
+// Stands in for the upstream provider's sign-in: pick one of the seeded accounts of that provider
+// requestParameters: what the broker passed upstream (login_hint, hd, domain_hint), shown for debugging
+export const renderBrokerLoginPage = ({ displayName, actionUrl, authSessionId, users, requestParameters = [] }) => layout(`Sign in with ${displayName}`, `
+<h1>Sign in with ${escapeHtml(displayName)}</h1>
+${requestParameters.length ? `<p class="notice" id="upstream-parameters">${requestParameters.map(([name, value]) => `${escapeHtml(name)}=${escapeHtml(value)}`).join(', ')}</p>` : ''}
+${users.map((user) => `<form method="post" action="${escapeHtml(actionUrl)}" data-username="${escapeHtml(user.username)}">
+${hiddenInput('session', authSessionId)}
+${hiddenInput('username', user.username)}
+<button type="submit">Continue as ${escapeHtml(user.firstName)} ${escapeHtml(user.lastName)} (${escapeHtml(user.email)})</button>
+</form>`).join('\n') || '<p>No accounts</p>'}
+`);
+
+export const renderMessagePage = (title, message) => layout(title, `
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(message)}</p>
+`);
+
+// OIDC Session Management check_session_iframe: compares the RP's session_state with the session cookie
+// and only answers origins registered as web origins
+export const renderCheckSessionIframe = ({ clientId, webOrigins, cookieName }) => `<!DOCTYPE html>
+<html>
+<body>
+<script>
+const clientId = ${JSON.stringify(clientId)};
+const webOrigins = ${JSON.stringify(webOrigins)};
+const readCookie = () => {
+    const entry = document.cookie.split('; ').find((cookie) => cookie.startsWith(${JSON.stringify(`${cookieName}=`)}));
+    return entry ? decodeURIComponent(entry.slice(${cookieName.length + 1})) : null;
+};
+window.addEventListener('message', (event) => {
+    if (!webOrigins.includes(event.origin) || typeof event.data !== 'string') return;
+    const [messageClientId, sessionState] = event.data.split(' ');
+    if (messageClientId !== clientId || !sessionState) {
+        event.source.postMessage('error', event.origin);
+        return;
+    }
+    event.source.postMessage(readCookie() === sessionState ? 'unchanged' : 'changed', event.origin);
+});
+</script>
+</body>
+</html>`;
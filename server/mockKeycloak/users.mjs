@@ -0,0 +1,100 @@
+// Seed data of the mock realm: brokered Google, Microsoft and organization users, local password users,
+// a Keycloak 26 organization and the service client of the lookup service
+
+// Identity providers the realm brokers to (aliases and upstream parameters match the setup script)
+// loginHint passes the login_hint of the authorization request on, forwardParameters are passed on when present
+export const DEFAULT_IDENTITY_PROVIDERS = [
+    { alias: 'google', displayName: 'Google', loginHint: true, forwardParameters: ['hd'] },
+    { alias: 'microsoft', displayName: 'Microsoft', loginHint: true, forwardParameters: ['domain_hint'] },
+    { alias: 'contoso', displayName: 'Contoso', loginHint: true, forwardParameters: ['domain_hint'] }
+];
+
+// Organizations (Keycloak 26) with their email domains and linked identity providers; domain and
+// redirectWhenEmailMatches are the kc.org.domain and kc.org.broker.redirect.mode.email-matches settings of the link
+export const DEFAULT_ORGANIZATIONS = [
+    {
+        id: '7c1f5b2d-8a62-4d2f-b8e9-1d2e3f4a5b01',
+        name: 'Contoso',
+        alias: 'contoso',
+        enabled: true,
+        domains: [{ name: 'contoso.com', verified: true }],
+        identityProviders: [{ alias: 'contoso', domain: 'contoso.com', redirectWhenEmailMatches: true }]
+    }
+];
+
+// Confidential clients with a service account (client credentials grant) that may read the admin API
+export const DEFAULT_SERVICE_CLIENTS = [
+    { clientId: 'idp-redirector-lookup', secret: 'lookup-secret' }
+];
+
+// identityProvider is the broker alias the user signs in through, null for local users (username and password);
+// linkedIdentityProviders are further brokers linked to the same account (federated identities)
+export const DEFAULT_USERS = [
+    {
+        id: '5b0e4a1c-6f51-4c1e-9a7d-0c1d2e3f4a01',
+        username: 'alice@gmail.com',
+        email: 'alice@gmail.com',
+        firstName: 'Alice',
+        lastName: 'Anderson',
+        identityProvider: 'google',
+        roles: ['user']
+    },
+    {
+        id: '5b0e4a1c-6f51-4c1e-9a7d-0c1d2e3f4a02',
+        username: 'dave@gmail.com',
+        email: 'dave@gmail.com',
+        firstName: 'Dave',
+        lastName: 'Davis',
+        identityProvider: 'google',
+        roles: ['user']
+    },
+    {
+        id: '5b0e4a1c-6f51-4c1e-9a7d-0c1d2e3f4a03',
+        username: 'bob@outlook.com',
+        email: 'bob@outlook.com',
+        firstName: 'Bob',
+        lastName: 'Brown',
+        identityProvider: 'microsoft',
+        roles: ['user']
+    },
+    {
+        id: '5b0e4a1c-6f51-4c1e-9a7d-0c1d2e3f4a06',
+        username: 'frank@gmail.com',
+        email: 'frank@gmail.com',
+        firstName: 'Frank',
+        lastName: 'Fischer',
+        identityProvider: 'microsoft',
+        roles: ['user']
+    },
+    {
+        id: '5b0e4a1c-6f51-4c1e-9a7d-0c1d2e3f4a07',
+        username: 'grace@gmail.com',
+        email: 'grace@gmail.com',
+        firstName: 'Grace',
+        lastName: 'Green',
+        identityProvider: 'google',
+        linkedIdentityProviders: ['microsoft'],
+        roles: ['user']
+    },
+    {
+        id: '5b0e4a1c-6f51-4c1e-9a7d-0c1d2e3f4a05',
+        username: 'erin@contoso.com',
+        email: 'erin@contoso.com',
+        firstName: 'Erin',
+        lastName: 'Evans',
+        identityProvider: 'contoso',
+        roles: ['user']
+    },
+    {
+        id: '5b0e4a1c-6f51-4c1e-9a7d-0c1d2e3f4a04',
+        username: 'carol',
+        email: 'carol@example.com',
+        firstName: 'Carol',
+        lastName: 'Clark',
+        password: 'carol',
+        identityProvider: null,
+        roles: ['user', 'admin'],
+        clientRoles: ['reports-viewer'],
+        groups: ['/admins']
+    }
+];
@@ -0,0 +1,32 @@
+// Home realm discovery through Keycloak 26 Organizations: email domain -> organization -> linked identity provider
+//
+// An identity provider linked to an organization routes a domain when its kc.org.domain is that domain and
+// "redirect when email domain matches" (kc.org.broker.redirect.mode.email-matches) is on, as Keycloak's own
+// organization login does
+
+export const ORGANIZATION_DOMAIN_CONFIG = 'kc.org.domain';
+export const REDIRECT_EMAIL_MATCHES_CONFIG = 'kc.org.broker.redirect.mode.email-matches';
+
+// { organization: { alias, name }, identityProvider: { alias, displayName } | null } for a lowercase domain,
+// null when no enabled organization owns it; identityProvider is null when the organization has no broker
+// for the domain (Keycloak then shows the organization's sign-in options)
+export const findOrganizationRoute = async (admin, domain) => {
+    const candidates = await admin.get('/organizations', { search: domain, exact: 'true', briefRepresentation: 'false' });
+    const organization = candidates.find((candidate) => candidate.enabled !== false &&
+        (candidate.domains || []).some(({ name }) => name.toLowerCase() === domain));
+    if (!organization) return null;
+
+    const linkedProviders = await admin.get(`/organizations/${encodeURIComponent(organization.id)}/identity-providers`);
+    const identityProvider = linkedProviders.find(({ enabled, config = {} }) => enabled !== false &&
+        config[ORGANIZATION_DOMAIN_CONFIG]?.toLowerCase() === domain &&
+        config[REDIRECT_EMAIL_MATCHES_CONFIG] === 'true');
+
+    return {
+        organization: { alias: organization.alias || organization.name, name: organization.name },
+        identityProvider: identityProvider
+            ? { alias: identityProvider.alias, displayName: identityProvider.displayName || identityProvider.alias }
+            : null
+    };
+};
+
+export default findOrganizationRoute;
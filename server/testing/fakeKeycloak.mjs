@@ -0,0 +1,40 @@
+// Fake Keycloak realm for tests: the mock realm on a random local port, plus signers for arbitrary tokens
+import { randomUUID } from 'node:crypto';
+import { BACKCHANNEL_LOGOUT_EVENT } from '../logoutToken.mjs';
+import { createMockKeycloak } from '../mockKeycloak/createMockKeycloak.mjs';
+
+const silentLogger = { log: () => {}, warn: () => {}, error: () => {} };
+
+export const startFakeKeycloak = async ({ realm = 'test-realm', clientId = 'react-oidc-app', ...options } = {}) => {
+    const keycloak = createMockKeycloak({ realm, clientId, logger: silentLogger, ...options });
+    await keycloak.listen({ host: '127.0.0.1' });
+
+    const { issuer, signToken } = keycloak;
+    const now = () => Math.floor(Date.now() / 1000);
+
+    return {
+        issuer,
+        clientId,
+        jwksUri: keycloak.jwksUri,
+        signToken,
+        // Logout token as Keycloak sends it to the back-channel logout URL
+        signLogoutToken: (claims = {}, signOptions) => signToken({
+            iss: issuer,
+            aud: clientId,
+            iat: now(),
+            jti: randomUUID(),
+            events: { [BACKCHANNEL_LOGOUT_EVENT]: {} },
+            ...claims
+        }, signOptions),
+        signIdToken: (claims = {}, signOptions) => signToken({
+            iss: issuer,
+            aud: clientId,
+            iat: now(),
+            exp: now() + 300,
+            ...claims
+        }, signOptions),
+        close: () => keycloak.close()
+    };
+};
+
+export default startFakeKeycloak;
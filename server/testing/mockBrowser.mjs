@@ -0,0 +1,105 @@
+// Just enough browser to sign in through the mock realm's pages in tests:
+// follows redirects within the realm, keeps its cookies and submits the sign-in forms
+const decodeEntities = (value) => value
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+
+const readAttributes = (source) => Object.fromEntries(
+    [...source.matchAll(/([\w-]+)="([^"]*)"/g)].map(([, name, value]) => [name, decodeEntities(value)])
+);
+
+// Forms of a page with their action, attributes and hidden fields
+export const parseForms = (html) => [...html.matchAll(/<form\b([^>]*)>([\s\S]*?)<\/form>/g)].map(([, attributes, content]) => ({
+    attributes: readAttributes(attributes),
+    fields: Object.fromEntries([...content.matchAll(/<input\b([^>]*)>/g)]
+        .map(([, input]) => readAttributes(input))
+        .filter((input) => input.type === 'hidden')
+        .map((input) => [input.name, input.value]))
+}));
+
+export class MockBrowser {
+    // fetchImpl is global fetch for a listening realm, or the realm's in-process fetch
+    constructor({ fetchImpl = fetch } = {}) {
+        this.fetchImpl = fetchImpl;
+        // One realm per browser, so cookie paths and domains are not tracked
+        this.cookies = new Map();
+    }
+
+    async request(url, { method = 'GET', form = null } = {}) {
+        const headers = {};
+        if (this.cookies.size > 0) {
+            headers.Cookie = [...this.cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+        }
+        if (form) {
+            headers['Content-Type'] = 'application/x-www-form-urlencoded';
+        }
+
+        const response = await this.fetchImpl(url, {
+            method,
+            headers,
+            body: form ? new URLSearchParams(form).toString() : undefined,
+            redirect: 'manual'
+        });
+        this.storeCookies(response);
+        return response;
+    }
+
+    storeCookies(response) {
+        response.headers.getSetCookie().forEach((cookie) => {
+            const [pair, ...attributes] = cookie.split(';').map((part) => part.trim());
+            const name = pair.slice(0, pair.indexOf('='));
+            const value = pair.slice(pair.indexOf('=') + 1);
+            if (!value || attributes.includes('Max-Age=0')) {
+                this.cookies.delete(name);
+            } else {
+                this.cookies.set(name, value);
+            }
+        });
+    }
+
+    // Load a page, following redirects until a page is shown or a redirect leaves the realm's origin
+    // Returns { status, url, html } for a page and { location } for a redirect to another origin (e.g. the app)
+    async navigate(url, options) {
+        const origin = new URL(url).origin;
+        let currentUrl = url;
+        let response = await this.request(currentUrl, options);
+
+        while (response.status === 302) {
+            const location = new URL(response.headers.get('location'), currentUrl).toString();
+            if (new URL(location).origin !== origin) {
+                return { location };
+            }
+            currentUrl = location;
+            response = await this.request(currentUrl);
+        }
+
+        return { status: response.status, url: currentUrl, html: await response.text() };
+    }
+
+    // Sign in from an authorization URL: picks the account on the identity provider page, or fills in the
+    // local login form; returns the URL the realm finally redirects to (the app's callback)
+    async signIn(authorizationUrl, { username, password } = {}) {
+        let page = await this.navigate(authorizationUrl);
+
+        for (let attempt = 0; !page.location; attempt++) {
+            const forms = parseForms(page.html);
+            const form = forms.find(({ attributes }) => attributes['data-username'] === username) ||
+                forms.find(({ attributes }) => attributes.id === 'kc-form-login');
+            if (!form || attempt === 3) {
+                throw new Error(`Could not sign in as ${username} on ${page.url}: ${page.html.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim()}`);
+            }
+
+            page = await this.navigate(form.attributes.action, {
+                method: 'POST',
+                form: { ...form.fields, username, ...(password ? { password } : {}) }
+            });
+        }
+
+        return page.location;
+    }
+}
+
+export default MockBrowser;
@@ -2,21 +2,36 @@ import React from 'react';
 import LoginButtons from './components/LoginButtons';
 import Callback from './components/Callback';
 import LogoutCallback from './components/LogoutCallback';
+import Account from './components/Account';
+import { AuthProvider } from './auth/AuthProvider';
+import { RequireAuth } from './auth/RequireAuth';
+import { Router, Routes, Route, Navigate } from './router/Router';
 
-function App() {
-  // Simple routing based on pathname
-  const isCallback = window.location.pathname === '/callback';
-  const isLogout = window.location.pathname === '/logout';
-
-  if (isLogout) {
-    return <LogoutCallback />;
-  }
-
-  return (
+// Pages of the app; product pages go behind <RequireAuth>, role-restricted ones behind <RequireRole>
+const AppRoutes = () => (
+  <AuthProvider>
     <div className="App">
-      {isCallback ? <Callback /> : <LoginButtons />}
+      <Routes>
+        <Route path="/" element={<LoginButtons />} />
+        <Route path="/login" element={<LoginButtons />} />
+        <Route path="/callback" element={<Callback />} />
+        <Route path="/account" element={<RequireAuth><Account /></RequireAuth>} />
+        <Route path="*" element={<Navigate to="/" replace />} />
+      </Routes>
     </div>
+  </AuthProvider>
+);
+
+function App() {
+  return (
+    <Router>
+      <Routes>
+        {/* Front-channel logout runs in Keycloak's iframe, without the auth context */}
+        <Route path="/logout" element={<LogoutCallback />} />
+        <Route path="*" element={<AppRoutes />} />
+      </Routes>
+    </Router>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
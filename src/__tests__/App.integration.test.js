@@ -0,0 +1,171 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { webcrypto } from 'crypto';
+import { TextEncoder } from 'util';
+import App from '../App';
+import { KeycloakProvider } from '../providers/keycloak/KeycloakProvider';
+import { clearDiscoveryCache } from '../providers/keycloak/OidcDiscovery';
+import { sharedJwksCache } from '../providers/keycloak/IdTokenValidator';
+import { createMockKeycloak } from '../../server/mockKeycloak/createMockKeycloak.mjs';
+import { MockBrowser } from '../../server/testing/mockBrowser.mjs';
+
+// Whole login and logout round trips against the mock Keycloak, answered in-process (no network)
+
+// Mock logger
+jest.mock('../utils/logger', () => ({
+  log: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+// jsdom has no WebCrypto or TextEncoder, use Node's implementations (PKCE and ID token signatures are real)
+Object.defineProperty(global, 'crypto', { value: webcrypto, writable: true });
+Object.defineProperty(global, 'TextEncoder', { value: TextEncoder, writable: true });
+
+const silentLogger = { log: () => {}, warn: () => {}, error: () => {} };
+
+describe('login and logout against the mock Keycloak', () => {
+  const originalEnv = process.env;
+  let keycloak;
+  let browser;
+
+  beforeAll(() => {
+    keycloak = createMockKeycloak({ logger: silentLogger });
+  });
+
+  beforeEach(() => {
+    // The app points at the mock through its usual settings
+    process.env = {
+      ...originalEnv,
+      REACT_APP_KEYCLOAK_URL: 'http://localhost:8081',
+      REACT_APP_KEYCLOAK_REALM: keycloak.realm,
+      REACT_APP_KEYCLOAK_CLIENT_ID: keycloak.clientId,
+      REACT_APP_KEYCLOAK_SESSION_CHECK_INTERVAL: '0'
+    };
+    clearDiscoveryCache();
+    sharedJwksCache.clear();
+    fetch.mockImplementation(keycloak.fetch);
+    browser = new MockBrowser({ fetchImpl: keycloak.fetch });
+
+    // Login transactions live in sessionStorage across the redirect (same tab)
+    const stored = new Map();
+    sessionStorage.getItem.mockImplementation((key) => (stored.has(key) ? stored.get(key) : null));
+    sessionStorage.setItem.mockImplementation((key, value) => stored.set(key, String(value)));
+    sessionStorage.removeItem.mockImplementation((key) => stored.delete(key));
+
+    window.location.href = 'http://localhost:3001/';
+    window.location.pathname = '/';
+    window.location.search = '';
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  // A full page load of the app at the given URL (new provider, in-memory tokens start empty)
+  const openApp = (url) => {
+    const { pathname, search } = new URL(url);
+    window.location.href = url;
+    window.location.pathname = pathname;
+    window.location.search = search;
+    return render(<App />);
+  };
+
+  // Enter an email on the login page; resolves with the authorization URL the app navigated to
+  const startLogin = async (email) => {
+    const user = userEvent.setup();
+    await user.type(await screen.findByPlaceholderText('Enter your email address'), email);
+    await user.click(screen.getByRole('button', { name: 'Login' }));
+    await waitFor(() => expect(window.location.href).toMatch(/^http:\/\/localhost:8081\//));
+    return window.location.href;
+  };
+
+  test.each([
+    ['alice@gmail.com', { username: 'alice@gmail.com' }, 'Alice Anderson', 'google', 'Google'],
+    ['bob@outlook.com', { username: 'bob@outlook.com' }, 'Bob Brown', 'microsoft', 'Microsoft'],
+    ['carol@example.com', { username: 'carol', password: 'carol' }, 'Carol Clark', null, null]
+  ])('%s signs in and out', async (email, credentials, name, idpHint, providerName) => {
+    const { unmount } = openApp('http://localhost:3001/');
+    const authorizationUrl = new URL(await startLogin(email));
+    expect(authorizationUrl.searchParams.get('kc_idp_hint')).toBe(idpHint);
+    expect(authorizationUrl.searchParams.get('login_hint')).toBe(email);
+    unmount();
+
+    // Keycloak (and the identity provider for kc_idp_hint) sign the user in and redirect to /callback
+    const callbackUrl = await browser.signIn(authorizationUrl.toString(), credentials);
+    expect(callbackUrl).toMatch(/^http:\/\/localhost:3001\/callback\?/);
+
+    openApp(callbackUrl);
+    expect(await screen.findByText('Welcome Back!')).toBeInTheDocument();
+    expect(screen.getByText(name)).toBeInTheDocument();
+    expect(keycloak.sessions.size).toBe(1);
+
+    // The identity provider is read from the token claim the mock adds for brokered logins
+    await userEvent.setup().click(screen.getByRole('button', { name: `Logout from ${providerName || 'Keycloak'}` }));
+    await waitFor(() => expect(window.location.href).toMatch(/\/protocol\/openid-connect\/logout\?/));
+    expect(screen.queryByText('Welcome Back!')).not.toBeInTheDocument();
+
+    // Keycloak ends the SSO session and sends the browser back to the app
+    await expect(browser.navigate(window.location.href)).resolves.toEqual({ location: 'http://localhost:3001/' });
+    expect(keycloak.sessions.size).toBe(0);
+  });
+
+  test('refreshes tokens and ends the session once Keycloak no longer knows it', async () => {
+    const provider = new KeycloakProvider();
+    await provider.login('http://localhost:3001/callback', 'google', '/account');
+
+    const callbackUrl = new URL(await browser.signIn(window.location.href, { username: 'dave@gmail.com' }));
+    const { searchParams } = callbackUrl;
+    const result = await provider.handleCallback(searchParams.get('code'), searchParams.get('state'), searchParams.get('session_state'));
+
+    expect(result.user).toMatchObject({ name: 'Dave Davis', email: 'dave@gmail.com' });
+    expect(result.identityProvider).toEqual({ alias: 'google', displayName: 'Google', logo: null, source: 'token' });
+    expect(result.returnTo).toBe('/account');
+
+    const { accessToken } = provider.tokenManager.getTokens();
+    const refreshed = await provider.tokenManager.refresh();
+    expect(refreshed.accessToken).not.toBe(accessToken);
+
+    // Admin revocation: the next check finds the session gone and clears the local one
+    const listener = jest.fn();
+    provider.onTokenChange(listener);
+    keycloak.endSession(searchParams.get('session_state'));
+
+    await expect(provider.recheckSession()).resolves.toBe(false);
+    expect(provider.tokenManager.getTokens()).toBeNull();
+    expect(listener).toHaveBeenCalledWith(null, 'expired', 'local');
+    provider.stopAutoRefresh();
+  });
+
+  test('rejects a callback replayed after the code was used', async () => {
+    const provider = new KeycloakProvider();
+    await provider.login('http://localhost:3001/callback', null);
+
+    const { searchParams } = new URL(await browser.signIn(window.location.href, { username: 'carol', password: 'carol' }));
+    await provider.handleCallback(searchParams.get('code'), searchParams.get('state'), searchParams.get('session_state'));
+    provider.stopAutoRefresh();
+
+    // A reload of the callback URL starts a new provider; the code is never sent to Keycloak again
+    const reloaded = new KeycloakProvider();
+    await expect(reloaded.handleCallback(searchParams.get('code'), searchParams.get('state'))).rejects.toHaveProperty('code', 'state_already_used');
+  });
+
+  test('completes a login once when the callback page mounts twice', async () => {
+    const { unmount } = openApp('http://localhost:3001/');
+    const authorizationUrl = await startLogin('carol@example.com');
+    unmount();
+    const callbackUrl = await browser.signIn(authorizationUrl, { username: 'carol', password: 'carol' });
+
+    const { pathname, search } = new URL(callbackUrl);
+    window.location.href = callbackUrl;
+    window.location.pathname = pathname;
+    window.location.search = search;
+    render(<React.StrictMode><App /></React.StrictMode>);
+
+    expect(await screen.findByText('Welcome Back!')).toBeInTheDocument();
+    // The mock accepts each code once: a second exchange from the repeated effect would show an invalid_grant error
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,272 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { KeycloakProvider } from '../providers/keycloak/KeycloakProvider';
+import { OAuthError } from '../providers/keycloak/OAuthError';
+import { describeConfigurationStatus } from '../config/appConfig';
+import { RememberedAccountStore } from '../storage/RememberedAccountStore';
+import { createAuthorization } from './authorization';
+import logger from '../utils/logger';
+
+// Errors surfaced through useAuth().error besides the provider's typed login errors (OAuthError...)
+export class AuthError extends Error {
+  constructor(code, message, cause = null, details = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+    this.cause = cause;
+    this.details = details;
+  }
+}
+
+export const SESSION_EXPIRED_MESSAGE = 'Your session has expired. Please log in again.';
+
+const AuthContext = createContext(null);
+
+// Owns the single KeycloakProvider instance and the auth state shared by all components
+export const AuthProvider = ({ children, provider, accountStore }) => {
+  const [keycloakProvider] = useState(() => provider || new KeycloakProvider());
+  // Accounts the user chose to remember on this device (account chooser of the login screen)
+  const [rememberedAccountStore] = useState(() => accountStore || new RememberedAccountStore());
+  const [rememberedAccounts, setRememberedAccounts] = useState(() => rememberedAccountStore.list());
+  const [session, setSession] = useState(null);
+  // Roles, groups and scopes of the current access token, updated with every refresh
+  const [authorizationClaims, setAuthorizationClaims] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+
+    // Restore a session from a previous page load (tokens and stored profile, storage may be async)
+    const restore = async () => {
+      try {
+        const storedSession = (await keycloakProvider.restoreSession()) ? await keycloakProvider.loadUserSession() : null;
+        if (!active) return;
+
+        if (storedSession) {
+          setSession(storedSession);
+          setAuthorizationClaims(keycloakProvider.getAuthorizationClaims());
+          logger.log('User is logged in:', { provider: 'keycloak', user: storedSession.user?.name });
+
+          // Refresh right away if the stored access token has expired
+          keycloakProvider.getAccessToken();
+        } else {
+          logger.log('User is not logged in');
+        }
+      } catch (restoreError) {
+        logger.error('Could not restore the session:', restoreError);
+      } finally {
+        if (active) setIsLoading(false);
+      }
+    };
+    restore();
+
+    // Drop the session when tokens go away (refresh failure or logout, here or in another tab)
+    // and pick up logins made in another tab
+    const unsubscribe = keycloakProvider.onTokenChange((tokens, event, source) => {
+      setAuthorizationClaims(tokens ? keycloakProvider.getAuthorizationClaims(tokens) : null);
+      if (!tokens) {
+        setSession(null);
+        if (event === 'expired') {
+          setError(new AuthError('session_expired', SESSION_EXPIRED_MESSAGE));
+        }
+      } else if (source === 'remote' && event === 'login' && keycloakProvider.userSession) {
+        setSession(keycloakProvider.userSession);
+        setError(null);
+        setIsLoading(false);
+      }
+    });
+
+    // The Keycloak SSO session changed (logout in another app, revocation, timeout):
+    // re-check silently, the provider ends the local session when it is no longer active
+    const unsubscribeSessionChanged = keycloakProvider.onSessionChanged(async () => {
+      const stillActive = await keycloakProvider.recheckSession();
+      logger.log('Session re-check after sessionChanged:', stillActive ? 'still active' : 'ended');
+    });
+
+    return () => {
+      active = false;
+      unsubscribe();
+      unsubscribeSessionChanged();
+      keycloakProvider.stopAutoRefresh();
+    };
+  }, [keycloakProvider]);
+
+  // Start a login, routing to an IDP based on the (optional) email address: the IDPs already linked to its account
+  // first, then the domain routing
+  // returnTo is the app URL to land on afterwards (defaults to the current page)
+  // rememberAccount: remember the account on this device once the login completes
+  // idpHint: the IDP the user picked among the linked ones, skips the routing
+  // Resolves to { identityProviders } instead of redirecting when several IDPs are linked and the user has to choose
+  const login = useCallback(async (email = '', returnTo, { rememberAccount = false, idpHint: chosenIdpHint = null } = {}) => {
+    setError(null);
+
+    try {
+      // Names the missing and malformed settings, so the error screen says what to fix
+      const configuration = keycloakProvider.isConfigured();
+      if (!configuration.configured) {
+        throw new OAuthError(
+          'misconfigured',
+          `Keycloak is not configured (${describeConfigurationStatus(configuration)}). Please check config.json or the REACT_APP_* environment variables.`,
+          configuration
+        );
+      }
+
+      let idpHint = null;
+      let loginHint = null;
+      if (email.trim()) {
+        // Routed by the normalized address (trailing dots, case and Unicode domains do not change the IDP)
+        const analysis = keycloakProvider.analyzeEmail(email);
+        if (!analysis.valid) {
+          throw new AuthError('invalid_email', analysis.message, null, { reason: analysis.reason });
+        }
+        loginHint = analysis.email;
+        if (chosenIdpHint) {
+          idpHint = chosenIdpHint;
+        } else {
+          const linked = await keycloakProvider.findLinkedIdentityProviders(analysis.email);
+          if (linked.length > 1) {
+            logger.log('Several IDPs linked to the account, asking the user to choose');
+            return { identityProviders: linked };
+          }
+          idpHint = linked.length === 1 ? linked[0].alias : await keycloakProvider.determineIdpHintFromEmail(analysis.email);
+        }
+        logger.log('Email provided:', analysis.email, '-> IDP hint:', idpHint);
+      }
+
+      await keycloakProvider.login(window.location.origin + '/callback', idpHint, returnTo, { rememberAccount, loginHint });
+    } catch (loginError) {
+      logger.error('Error initiating login:', loginError);
+      setError(loginError);
+      throw loginError;
+    }
+  }, [keycloakProvider]);
+
+  // Start the login again from an error view: the same IDP and email (loginRequest of the error), or none to let
+  // the user pick any sign-in option on the Keycloak page; realm keeps a customer realm's login in that realm
+  const retryLogin = useCallback(async ({ idpHint = null, loginHint = null, returnTo, realm = null } = {}) => {
+    setError(null);
+
+    try {
+      await keycloakProvider.login(window.location.origin + '/callback', idpHint, returnTo, { loginHint, realm });
+    } catch (loginError) {
+      setError(loginError);
+      throw loginError;
+    }
+  }, [keycloakProvider]);
+
+  // One-click login as a remembered account, routed to the IDP it signed in with last time with its email as login_hint
+  const loginWithAccount = useCallback(async (account, returnTo) => {
+    setError(null);
+
+    try {
+      await keycloakProvider.login(window.location.origin + '/callback', account.idpHint, returnTo, { rememberAccount: true, loginHint: account.email });
+    } catch (loginError) {
+      logger.error('Error initiating login:', loginError);
+      setError(loginError);
+      throw loginError;
+    }
+  }, [keycloakProvider]);
+
+  const forgetAccount = useCallback((email) => {
+    setRememberedAccounts(rememberedAccountStore.forget(email));
+  }, [rememberedAccountStore]);
+
+  // Complete a login on the redirect URI, errors are rethrown for the callback page
+  const handleCallback = useCallback(async (code, state, sessionState = null) => {
+    setError(null);
+
+    try {
+      const result = await keycloakProvider.handleCallback(code, state, sessionState);
+      setSession({
+        user: result.user,
+        identityProvider: result.identityProvider?.alias ? result.identityProvider : null
+      });
+      setAuthorizationClaims(keycloakProvider.getAuthorizationClaims());
+      if (result.loginRequest?.rememberAccount) {
+        setRememberedAccounts(rememberedAccountStore.remember({
+          email: result.user.email,
+          name: result.user.name,
+          picture: result.user.picture,
+          idpHint: result.identityProvider?.alias || result.loginRequest.idpHint,
+          identityProviderName: result.identityProvider?.displayName
+        }));
+      }
+      return result;
+    } catch (callbackError) {
+      setError(callbackError);
+      throw callbackError;
+    }
+  }, [keycloakProvider, rememberedAccountStore]);
+
+  // The redirect URI received an error instead of a code: end the pending login and surface the typed error
+  // response: { state, error, errorDescription, errorUri } from the callback URL
+  const handleAuthorizationError = useCallback((response) => {
+    const authError = keycloakProvider.handleAuthorizationError(response);
+    setError(authError);
+    return authError;
+  }, [keycloakProvider]);
+
+  // Log out from Keycloak (and the upstream IDP); local state is cleared even if that fails
+  const logout = useCallback(async () => {
+    logger.log('Logout requested');
+
+    try {
+      await keycloakProvider.logout();
+    } catch (logoutError) {
+      logger.error('Logout error:', logoutError);
+      keycloakProvider.clearLocalStorage();
+    }
+    setSession(null);
+    setAuthorizationClaims(null);
+  }, [keycloakProvider]);
+
+  // Live feedback for the email field: rejection reason and "Did you mean" suggestion (see emailAnalysis)
+  const analyzeEmail = useCallback((email) => keycloakProvider.analyzeEmail(email), [keycloakProvider]);
+
+  // Valid access token for API calls, refreshed when needed (null when logged out)
+  const getAccessToken = useCallback(() => keycloakProvider.getAccessToken(), [keycloakProvider]);
+
+  // Role checks for the logged-in user (see useAuthorization), nothing is granted without a session
+  const authorization = useMemo(
+    () => createAuthorization(session?.user ? authorizationClaims : null),
+    [session, authorizationClaims]
+  );
+
+  const value = useMemo(() => ({
+    user: session?.user || null,
+    identityProvider: session?.identityProvider || null,
+    isAuthenticated: !!session?.user,
+    authorization,
+    isLoading,
+    error,
+    login,
+    logout,
+    handleCallback,
+    handleAuthorizationError,
+    retryLogin,
+    rememberedAccounts,
+    loginWithAccount,
+    forgetAccount,
+    analyzeEmail,
+    getAccessToken
+  }), [
+    session, authorization, isLoading, error, login, logout, handleCallback, handleAuthorizationError, retryLogin,
+    rememberedAccounts, loginWithAccount, forgetAccount, analyzeEmail, getAccessToken
+  ]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+// Auth state and actions for any component below <AuthProvider>
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+};
+
+// Roles, groups and scopes of the logged-in user: hasRole, hasAnyRole, hasScope and isInGroup (see authorization.js)
+export const useAuthorization = () => useAuth().authorization;
+
+export default AuthProvider;
@@ -0,0 +1,35 @@
+import React from 'react';
+import { useAuth } from './AuthProvider';
+import { Navigate, useLocation } from '../router/Router';
+
+// Login page URL that brings the user back to the given deep link afterwards
+export const loginPathFor = ({ pathname, search, hash }) => (
+  `/login?returnTo=${encodeURIComponent(`${pathname}${search}${hash}`)}`
+);
+
+// Protects a route: unauthenticated users are sent to login and return here afterwards
+export const RequireAuth = ({ children, fallback = <p style={styles.loading}>Checking your session...</p> }) => {
+  const { isAuthenticated, isLoading } = useAuth();
+  const location = useLocation();
+
+  // Wait for the stored session to be restored before deciding
+  if (isLoading) {
+    return fallback;
+  }
+
+  if (!isAuthenticated) {
+    return <Navigate to={loginPathFor(location)} replace />;
+  }
+
+  return children;
+};
+
+const styles = {
+  loading: {
+    textAlign: 'center',
+    marginTop: '4rem',
+    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif'
+  }
+};
+
+export default RequireAuth;
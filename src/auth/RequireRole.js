@@ -0,0 +1,33 @@
+import React from 'react';
+import { useAuthorization } from './AuthProvider';
+import { RequireAuth } from './RequireAuth';
+
+// Shown to logged-in users without the required role
+const Forbidden = () => (
+  <p role="alert" style={styles.forbidden}>You do not have access to this page.</p>
+);
+
+const RoleCheck = ({ roles, client, forbidden, children }) => {
+  const authorization = useAuthorization();
+  return authorization.hasAnyRole(roles, { client }) ? children : forbidden;
+};
+
+// Protects a route by role: unauthenticated users are sent to login (see RequireAuth),
+// users with none of the roles see the forbidden content instead
+// role / anyOf: realm roles or roles of the app's client; client: check that client's roles only
+export const RequireRole = ({ role, anyOf = [role], client = null, forbidden = <Forbidden />, fallback, children }) => (
+  <RequireAuth fallback={fallback}>
+    <RoleCheck roles={anyOf} client={client} forbidden={forbidden}>{children}</RoleCheck>
+  </RequireAuth>
+);
+
+const styles = {
+  forbidden: {
+    textAlign: 'center',
+    marginTop: '4rem',
+    color: '#c53030',
+    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif'
+  }
+};
+
+export default RequireRole;
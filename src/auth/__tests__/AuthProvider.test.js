@@ -0,0 +1,404 @@
+import React from 'react';
+import { render, screen, act, waitFor } from '@testing-library/react';
+import { AuthProvider, AuthError, useAuth, useAuthorization, SESSION_EXPIRED_MESSAGE } from '../AuthProvider';
+import { RememberedAccountStore } from '../../storage/RememberedAccountStore';
+import { analyzeEmail } from '../../routing/emailAnalysis';
+
+// Mock the Keycloak provider module (tests pass their own instance)
+jest.mock('../../providers/keycloak/KeycloakProvider', () => ({
+  KeycloakProvider: jest.fn()
+}));
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+  log: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+// Expose the hook value to the test
+const setupAuth = (provider, accountStore) => {
+  const auth = {};
+  const Probe = () => {
+    Object.assign(auth, useAuth());
+    return <div>{auth.isAuthenticated ? `Signed in as ${auth.user.name}` : 'Signed out'}</div>;
+  };
+  render(<AuthProvider provider={provider} accountStore={accountStore}><Probe /></AuthProvider>);
+  return auth;
+};
+
+describe('AuthProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = {
+      restoreSession: jest.fn().mockResolvedValue(false),
+      loadUserSession: jest.fn().mockResolvedValue(null),
+      getAccessToken: jest.fn().mockResolvedValue('access-token'),
+      onTokenChange: jest.fn(() => () => {}),
+      getAuthorizationClaims: jest.fn(),
+      onSessionChanged: jest.fn(() => () => {}),
+      recheckSession: jest.fn().mockResolvedValue(true),
+      stopAutoRefresh: jest.fn(),
+      isConfigured: jest.fn().mockReturnValue({ configured: true, missing: [], malformed: [] }),
+      analyzeEmail: jest.fn((email) => analyzeEmail(email, { knownDomains: ['gmail.com'] })),
+      determineIdpHintFromEmail: jest.fn().mockReturnValue('google'),
+      findLinkedIdentityProviders: jest.fn().mockResolvedValue([]),
+      login: jest.fn().mockResolvedValue(undefined),
+      handleCallback: jest.fn(),
+      handleAuthorizationError: jest.fn(),
+      logout: jest.fn().mockResolvedValue(undefined),
+      clearLocalStorage: jest.fn()
+    };
+  });
+
+  test('restores a stored session on mount', async () => {
+    provider.restoreSession.mockResolvedValue(true);
+    provider.loadUserSession.mockResolvedValue({ user: { name: 'Test User' }, identityProvider: null });
+
+    const auth = setupAuth(provider);
+    expect(auth.isLoading).toBe(true);
+
+    expect(await screen.findByText('Signed in as Test User')).toBeInTheDocument();
+    expect(auth.isLoading).toBe(false);
+    expect(provider.getAccessToken).toHaveBeenCalled();
+  });
+
+  test('login routes by email domain to the callback URI with the email as login_hint', async () => {
+    const auth = setupAuth(provider);
+
+    await act(() => auth.login(' user@gmail.com '));
+
+    expect(provider.determineIdpHintFromEmail).toHaveBeenCalledWith('user@gmail.com');
+    expect(provider.login).toHaveBeenCalledWith('http://localhost:3001/callback', 'google', undefined, { rememberAccount: false, loginHint: 'user@gmail.com' });
+  });
+
+  test('login prefers the identity provider linked to the account over the domain routing', async () => {
+    provider.findLinkedIdentityProviders.mockResolvedValue([{ alias: 'microsoft', displayName: 'Microsoft', logo: null }]);
+    const auth = setupAuth(provider);
+
+    await act(() => auth.login('frank@gmail.com'));
+
+    expect(provider.determineIdpHintFromEmail).not.toHaveBeenCalled();
+    expect(provider.login).toHaveBeenCalledWith('http://localhost:3001/callback', 'microsoft', undefined, { rememberAccount: false, loginHint: 'frank@gmail.com' });
+  });
+
+  test('login returns the linked identity providers to choose from instead of redirecting', async () => {
+    const linked = [{ alias: 'google', displayName: 'Google', logo: null }, { alias: 'microsoft', displayName: 'Microsoft', logo: null }];
+    provider.findLinkedIdentityProviders.mockResolvedValue(linked);
+    const auth = setupAuth(provider);
+
+    let result;
+    await act(async () => {
+      result = await auth.login('grace@gmail.com');
+    });
+    expect(result).toEqual({ identityProviders: linked });
+    expect(provider.login).not.toHaveBeenCalled();
+
+    // The user's pick skips every lookup
+    await act(() => auth.login('grace@gmail.com', '/reports', { idpHint: 'microsoft' }));
+    expect(provider.findLinkedIdentityProviders).toHaveBeenCalledTimes(1);
+    expect(provider.login).toHaveBeenCalledWith('http://localhost:3001/callback', 'microsoft', '/reports', { rememberAccount: false, loginHint: 'grace@gmail.com' });
+  });
+
+  test('login rejects invalid emails with a typed error', async () => {
+    const auth = setupAuth(provider);
+
+    await act(async () => {
+      await expect(auth.login('not-an-email')).rejects.toMatchObject({
+        code: 'invalid_email',
+        message: 'An email address needs an @ followed by a domain, e.g. name@example.com',
+        details: { reason: 'missing_at' }
+      });
+    });
+
+    expect(auth.error).toBeInstanceOf(AuthError);
+    expect(provider.login).not.toHaveBeenCalled();
+  });
+
+  test('login reports a missing configuration as a typed provider error', async () => {
+    provider.isConfigured.mockReturnValue({
+      configured: false,
+      missing: ['clientId'],
+      malformed: [{ key: 'keycloakUrl', source: '/config.json', message: 'keycloakUrl (/config.json): expected an absolute http/https URL' }]
+    });
+    const auth = setupAuth(provider);
+
+    await act(async () => {
+      await expect(auth.login('user@gmail.com')).rejects.toMatchObject({
+        name: 'OAuthError',
+        code: 'misconfigured',
+        message: expect.stringContaining('missing clientId; malformed keycloakUrl'),
+        details: { missing: ['clientId'], malformed: [expect.objectContaining({ key: 'keycloakUrl' })] }
+      });
+    });
+
+    expect(auth.error.correlationId).toEqual(expect.any(String));
+    expect(provider.login).not.toHaveBeenCalled();
+  });
+
+  test('provider login errors are surfaced unchanged', async () => {
+    const providerError = Object.assign(new Error('Could not reach the issuer'), { name: 'OAuthError', code: 'network_error' });
+    provider.login.mockRejectedValue(providerError);
+    const auth = setupAuth(provider);
+
+    await act(async () => {
+      await expect(auth.login()).rejects.toBe(providerError);
+    });
+
+    expect(auth.error).toBe(providerError);
+  });
+
+  test('retryLogin starts the login with the given IDP hint, login hint, return URL and realm', async () => {
+    const auth = setupAuth(provider);
+
+    await act(() => auth.retryLogin({ idpHint: 'microsoft', loginHint: 'user@outlook.com', returnTo: '/reports' }));
+    expect(provider.login).toHaveBeenLastCalledWith('http://localhost:3001/callback', 'microsoft', '/reports', { loginHint: 'user@outlook.com', realm: null });
+
+    await act(() => auth.retryLogin({ returnTo: '/reports', realm: 'acme' }));
+    expect(provider.login).toHaveBeenLastCalledWith('http://localhost:3001/callback', null, '/reports', { loginHint: null, realm: 'acme' });
+
+    await act(() => auth.retryLogin());
+    expect(provider.login).toHaveBeenLastCalledWith('http://localhost:3001/callback', null, undefined, { loginHint: null, realm: null });
+  });
+
+  test('handleAuthorizationError ends the pending login and exposes the typed error', async () => {
+    const cancelled = Object.assign(new Error('access_denied'), { name: 'OAuthError', code: 'login_cancelled' });
+    provider.handleAuthorizationError.mockReturnValue(cancelled);
+    const auth = setupAuth(provider);
+    const response = { state: 'state-1', error: 'access_denied', errorDescription: null, errorUri: null };
+
+    let returned;
+    act(() => {
+      returned = auth.handleAuthorizationError(response);
+    });
+
+    expect(provider.handleAuthorizationError).toHaveBeenCalledWith(response);
+    expect(returned).toBe(cancelled);
+    expect(auth.error).toBe(cancelled);
+  });
+
+  describe('remembered accounts', () => {
+    let accountStore;
+
+    beforeEach(() => {
+      const values = new Map();
+      accountStore = new RememberedAccountStore({
+        storage: {
+          getItem: (key) => (values.has(key) ? values.get(key) : null),
+          setItem: (key, value) => values.set(key, value),
+          removeItem: (key) => values.delete(key)
+        }
+      });
+    });
+
+    const googleLogin = (rememberAccount) => ({
+      user: { name: 'Google User', email: 'user@gmail.com', picture: 'https://example.com/user.png' },
+      identityProvider: { alias: 'google', displayName: 'Google', source: 'token' },
+      loginRequest: { idpHint: 'google', rememberAccount }
+    });
+
+    test('login asks the provider to remember the account when the user opted in', async () => {
+      const auth = setupAuth(provider, accountStore);
+
+      await act(() => auth.login('user@gmail.com', '/reports', { rememberAccount: true }));
+
+      expect(provider.login).toHaveBeenCalledWith('http://localhost:3001/callback', 'google', '/reports', { rememberAccount: true, loginHint: 'user@gmail.com' });
+    });
+
+    test('remembers the account of a login that opted in', async () => {
+      provider.handleCallback.mockResolvedValue(googleLogin(true));
+      const auth = setupAuth(provider, accountStore);
+
+      await act(() => auth.handleCallback('code', 'state'));
+
+      expect(auth.rememberedAccounts).toEqual([expect.objectContaining({
+        email: 'user@gmail.com',
+        name: 'Google User',
+        picture: 'https://example.com/user.png',
+        idpHint: 'google',
+        identityProviderName: 'Google'
+      })]);
+      expect(accountStore.list()).toHaveLength(1);
+    });
+
+    test('does not remember logins that did not opt in', async () => {
+      provider.handleCallback.mockResolvedValue(googleLogin(false));
+      const auth = setupAuth(provider, accountStore);
+
+      await act(() => auth.handleCallback('code', 'state'));
+
+      expect(auth.rememberedAccounts).toEqual([]);
+    });
+
+    test('logs in as a remembered account with its IDP and forgets it on request', async () => {
+      accountStore.remember({ email: 'user@outlook.com', idpHint: 'microsoft' });
+      const auth = setupAuth(provider, accountStore);
+      const [account] = auth.rememberedAccounts;
+
+      await act(() => auth.loginWithAccount(account, '/reports'));
+      expect(provider.login).toHaveBeenCalledWith('http://localhost:3001/callback', 'microsoft', '/reports', { rememberAccount: true, loginHint: 'user@outlook.com' });
+
+      act(() => auth.forgetAccount('user@outlook.com'));
+      expect(auth.rememberedAccounts).toEqual([]);
+      expect(accountStore.list()).toEqual([]);
+    });
+  });
+
+  test('handleCallback stores the logged-in user in context', async () => {
+    provider.handleCallback.mockResolvedValue({
+      user: { name: 'Google User' },
+      identityProvider: { alias: 'google', displayName: 'Google', source: 'token' }
+    });
+    const auth = setupAuth(provider);
+
+    await act(() => auth.handleCallback('code', 'state', 'sso-session-1'));
+
+    expect(provider.handleCallback).toHaveBeenCalledWith('code', 'state', 'sso-session-1');
+    expect(screen.getByText('Signed in as Google User')).toBeInTheDocument();
+    expect(auth.identityProvider.alias).toBe('google');
+  });
+
+  test('logout clears the session even when provider logout fails', async () => {
+    provider.restoreSession.mockResolvedValue(true);
+    provider.loadUserSession.mockResolvedValue({ user: { name: 'Test User' }, identityProvider: null });
+    provider.logout.mockRejectedValue(new Error('Logout failed'));
+    const auth = setupAuth(provider);
+    await screen.findByText('Signed in as Test User');
+
+    await act(() => auth.logout());
+
+    expect(provider.clearLocalStorage).toHaveBeenCalled();
+    expect(screen.getByText('Signed out')).toBeInTheDocument();
+  });
+
+  test('reports session expiry from the token manager', async () => {
+    provider.restoreSession.mockResolvedValue(true);
+    provider.loadUserSession.mockResolvedValue({ user: { name: 'Test User' }, identityProvider: null });
+    const auth = setupAuth(provider);
+    await screen.findByText('Signed in as Test User');
+
+    const [[listener]] = provider.onTokenChange.mock.calls;
+    act(() => listener(null, 'expired'));
+
+    expect(screen.getByText('Signed out')).toBeInTheDocument();
+    expect(auth.error).toMatchObject({ code: 'session_expired', message: SESSION_EXPIRED_MESSAGE });
+  });
+
+  test('signs in when another tab logs in', async () => {
+    setupAuth(provider);
+    await screen.findByText('Signed out');
+
+    provider.userSession = { user: { name: 'Other Tab User' }, identityProvider: null };
+    const [[listener]] = provider.onTokenChange.mock.calls;
+    act(() => listener({ accessToken: 'access-token' }, 'login', 'remote'));
+
+    expect(screen.getByText('Signed in as Other Tab User')).toBeInTheDocument();
+  });
+
+  test('signs out when another tab logs out', async () => {
+    provider.restoreSession.mockResolvedValue(true);
+    provider.loadUserSession.mockResolvedValue({ user: { name: 'Test User' }, identityProvider: null });
+    const auth = setupAuth(provider);
+    await screen.findByText('Signed in as Test User');
+
+    const [[listener]] = provider.onTokenChange.mock.calls;
+    act(() => listener(null, 'logout', 'remote'));
+
+    expect(screen.getByText('Signed out')).toBeInTheDocument();
+    expect(auth.error).toBeNull();
+  });
+
+  test('re-checks the session when the SSO session changes', async () => {
+    provider.restoreSession.mockResolvedValue(true);
+    provider.loadUserSession.mockResolvedValue({ user: { name: 'Test User' }, identityProvider: null });
+    setupAuth(provider);
+    await screen.findByText('Signed in as Test User');
+
+    const [[sessionChanged]] = provider.onSessionChanged.mock.calls;
+    await act(() => sessionChanged({ type: 'sessionChanged' }));
+
+    expect(provider.recheckSession).toHaveBeenCalled();
+  });
+
+  test('getAccessToken delegates to the provider', async () => {
+    const auth = setupAuth(provider);
+
+    await expect(auth.getAccessToken()).resolves.toBe('access-token');
+  });
+
+  test('stops token refresh on unmount', async () => {
+    const { unmount } = render(<AuthProvider provider={provider}><div /></AuthProvider>);
+    unmount();
+
+    await waitFor(() => expect(provider.stopAutoRefresh).toHaveBeenCalled());
+  });
+
+  describe('authorization', () => {
+    const userClaims = { clientId: 'react-oidc-app', realmRoles: ['user'], clientRoles: {}, groups: [], scopes: ['openid'] };
+    const adminClaims = { ...userClaims, realmRoles: ['user', 'admin'], groups: ['/admins'] };
+
+    beforeEach(() => {
+      provider.restoreSession.mockResolvedValue(true);
+      provider.loadUserSession.mockResolvedValue({ user: { name: 'Test User' }, identityProvider: null });
+      provider.getAuthorizationClaims.mockReturnValue(userClaims);
+    });
+
+    test('exposes the roles of the restored session through useAuthorization', async () => {
+      let authorization;
+      const Probe = () => {
+        authorization = useAuthorization();
+        return <div>{authorization.hasRole('user') ? 'User screen' : 'No role'}</div>;
+      };
+      render(<AuthProvider provider={provider}><Probe /></AuthProvider>);
+
+      expect(await screen.findByText('User screen')).toBeInTheDocument();
+      expect(authorization.roles).toEqual(['user']);
+      expect(authorization.hasRole('admin')).toBe(false);
+      expect(authorization.hasScope('openid')).toBe(true);
+    });
+
+    test('follows the roles of refreshed tokens and drops them on logout', async () => {
+      const auth = setupAuth(provider);
+      await screen.findByText('Signed in as Test User');
+
+      const [[listener]] = provider.onTokenChange.mock.calls;
+      provider.getAuthorizationClaims.mockReturnValue(adminClaims);
+      act(() => listener({ accessToken: 'refreshed-access-token' }, 'refresh', 'local'));
+
+      expect(provider.getAuthorizationClaims).toHaveBeenLastCalledWith({ accessToken: 'refreshed-access-token' });
+      expect(auth.authorization.hasRole('admin')).toBe(true);
+      expect(auth.authorization.isInGroup('/admins')).toBe(true);
+
+      await act(() => auth.logout());
+
+      expect(auth.authorization.roles).toEqual([]);
+      expect(auth.authorization.hasRole('user')).toBe(false);
+    });
+
+    test('reads the roles of a completed login', async () => {
+      provider.restoreSession.mockResolvedValue(false);
+      provider.handleCallback.mockResolvedValue({ user: { name: 'Admin User' }, identityProvider: null });
+      provider.getAuthorizationClaims.mockReturnValue(adminClaims);
+      const auth = setupAuth(provider);
+      await screen.findByText('Signed out');
+      expect(auth.authorization.hasRole('admin')).toBe(false);
+
+      await act(() => auth.handleCallback('code', 'state'));
+
+      expect(auth.authorization.hasRole('admin')).toBe(true);
+    });
+  });
+
+  test('useAuth throws outside an AuthProvider', () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const Orphan = () => {
+      useAuth();
+      return null;
+    };
+
+    expect(() => render(<Orphan />)).toThrow('useAuth must be used within an AuthProvider');
+    consoleError.mockRestore();
+  });
+});
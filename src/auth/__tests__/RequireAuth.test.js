@@ -0,0 +1,82 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { AuthProvider } from '../AuthProvider';
+import { RequireAuth, loginPathFor } from '../RequireAuth';
+import { Router, Routes, Route, useLocation } from '../../router/Router';
+
+// Mock the Keycloak provider module (tests pass their own instance)
+jest.mock('../../providers/keycloak/KeycloakProvider', () => ({
+  KeycloakProvider: jest.fn()
+}));
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+  log: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const LoginPage = () => {
+  const { search } = useLocation();
+  return <p>{`Login page ${search}`}</p>;
+};
+
+const renderProtected = (provider) => render(
+  <Router>
+    <AuthProvider provider={provider}>
+      <Routes>
+        <Route path="/login" element={<LoginPage />} />
+        <Route path="/reports" element={<RequireAuth><p>Secret reports</p></RequireAuth>} />
+      </Routes>
+    </AuthProvider>
+  </Router>
+);
+
+describe('RequireAuth', () => {
+  let provider;
+
+  beforeEach(() => {
+    window.location.pathname = '/reports';
+    window.location.search = '?year=2024';
+    window.location.hash = '#q4';
+
+    provider = {
+      restoreSession: jest.fn().mockResolvedValue(false),
+      loadUserSession: jest.fn().mockResolvedValue(null),
+      getAccessToken: jest.fn(),
+      onTokenChange: jest.fn(() => () => {}),
+      getAuthorizationClaims: jest.fn(),
+      onSessionChanged: jest.fn(() => () => {}),
+      recheckSession: jest.fn().mockResolvedValue(true),
+      stopAutoRefresh: jest.fn()
+    };
+  });
+
+  test('builds a login URL carrying the deep link', () => {
+    expect(loginPathFor({ pathname: '/reports', search: '?year=2024', hash: '#q4' }))
+      .toBe('/login?returnTo=%2Freports%3Fyear%3D2024%23q4');
+  });
+
+  test('waits for the stored session before deciding', () => {
+    renderProtected(provider);
+
+    expect(screen.getByText('Checking your session...')).toBeInTheDocument();
+  });
+
+  test('sends unauthenticated users to login with the deep link', async () => {
+    renderProtected(provider);
+
+    expect(await screen.findByText('Login page ?returnTo=%2Freports%3Fyear%3D2024%23q4')).toBeInTheDocument();
+    expect(screen.queryByText('Secret reports')).not.toBeInTheDocument();
+  });
+
+  test('renders the protected page for authenticated users', async () => {
+    provider.restoreSession.mockResolvedValue(true);
+    provider.loadUserSession.mockResolvedValue({ user: { name: 'Test User' }, identityProvider: null });
+
+    renderProtected(provider);
+
+    expect(await screen.findByText('Secret reports')).toBeInTheDocument();
+  });
+});
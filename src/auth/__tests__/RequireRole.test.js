@@ -0,0 +1,93 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { AuthProvider } from '../AuthProvider';
+import { RequireRole } from '../RequireRole';
+import { Router, Routes, Route, useLocation } from '../../router/Router';
+
+// Mock the Keycloak provider module (tests pass their own instance)
+jest.mock('../../providers/keycloak/KeycloakProvider', () => ({
+  KeycloakProvider: jest.fn()
+}));
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+  log: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const LoginPage = () => {
+  const { search } = useLocation();
+  return <p>{`Login page ${search}`}</p>;
+};
+
+const renderAdminPage = (provider, props = { role: 'admin' }) => render(
+  <Router>
+    <AuthProvider provider={provider}>
+      <Routes>
+        <Route path="/login" element={<LoginPage />} />
+        <Route path="/admin" element={<RequireRole {...props}><p>User management</p></RequireRole>} />
+      </Routes>
+    </AuthProvider>
+  </Router>
+);
+
+describe('RequireRole', () => {
+  const claims = (realmRoles, clientRoles = {}) => ({ clientId: 'react-oidc-app', realmRoles, clientRoles, groups: [], scopes: [] });
+
+  let provider;
+
+  beforeEach(() => {
+    window.location.pathname = '/admin';
+    window.location.search = '';
+    window.location.hash = '';
+
+    provider = {
+      restoreSession: jest.fn().mockResolvedValue(true),
+      loadUserSession: jest.fn().mockResolvedValue({ user: { name: 'Test User' }, identityProvider: null }),
+      getAccessToken: jest.fn(),
+      onTokenChange: jest.fn(() => () => {}),
+      getAuthorizationClaims: jest.fn().mockReturnValue(claims(['user'])),
+      onSessionChanged: jest.fn(() => () => {}),
+      recheckSession: jest.fn().mockResolvedValue(true),
+      stopAutoRefresh: jest.fn()
+    };
+  });
+
+  test('sends unauthenticated users to login with the deep link', async () => {
+    provider.restoreSession.mockResolvedValue(false);
+
+    renderAdminPage(provider);
+
+    expect(await screen.findByText('Login page ?returnTo=%2Fadmin')).toBeInTheDocument();
+  });
+
+  test('renders the page for users with the role', async () => {
+    provider.getAuthorizationClaims.mockReturnValue(claims(['user', 'admin']));
+
+    renderAdminPage(provider);
+
+    expect(await screen.findByText('User management')).toBeInTheDocument();
+  });
+
+  test('shows the forbidden content to users without the role', async () => {
+    renderAdminPage(provider);
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('You do not have access to this page.');
+    expect(screen.queryByText('User management')).not.toBeInTheDocument();
+  });
+
+  test('accepts any of several roles and a custom forbidden element', async () => {
+    renderAdminPage(provider, { anyOf: ['admin', 'auditor'], forbidden: <p>Ask an administrator for access</p> });
+    expect(await screen.findByText('Ask an administrator for access')).toBeInTheDocument();
+  });
+
+  test('checks the roles of another client', async () => {
+    provider.getAuthorizationClaims.mockReturnValue(claims(['user'], { reports: ['admin'] }));
+
+    renderAdminPage(provider, { role: 'admin', client: 'reports' });
+
+    expect(await screen.findByText('User management')).toBeInTheDocument();
+  });
+});
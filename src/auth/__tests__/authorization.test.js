@@ -0,0 +1,68 @@
+import { createAuthorization } from '../authorization';
+
+describe('createAuthorization', () => {
+  const claims = {
+    clientId: 'react-oidc-app',
+    realmRoles: ['user', 'admin'],
+    clientRoles: {
+      'react-oidc-app': ['reports-viewer', 'user'],
+      account: ['manage-account']
+    },
+    groups: ['/admins', '/staff/eu'],
+    scopes: ['openid', 'email']
+  };
+
+  test('combines the realm roles with the roles of the app\'s client', () => {
+    const authorization = createAuthorization(claims);
+
+    expect(authorization.roles).toEqual(['user', 'admin', 'reports-viewer']);
+    expect(authorization.hasRole('admin')).toBe(true);
+    expect(authorization.hasRole('reports-viewer')).toBe(true);
+    expect(authorization.hasRole('manage-account')).toBe(false);
+  });
+
+  test('checks the roles of another client only when asked for it', () => {
+    const authorization = createAuthorization(claims);
+
+    expect(authorization.hasRole('manage-account', { client: 'account' })).toBe(true);
+    expect(authorization.hasRole('admin', { client: 'account' })).toBe(false);
+    expect(authorization.hasRole('reports-viewer', { client: 'billing' })).toBe(false);
+  });
+
+  test('hasAnyRole matches when one of the roles is granted', () => {
+    const authorization = createAuthorization(claims);
+
+    expect(authorization.hasAnyRole(['auditor', 'admin'])).toBe(true);
+    expect(authorization.hasAnyRole(['auditor', 'billing-admin'])).toBe(false);
+    expect(authorization.hasAnyRole(['admin', 'manage-account'], { client: 'account' })).toBe(true);
+    expect(authorization.hasAnyRole([])).toBe(false);
+  });
+
+  test('checks granted scopes', () => {
+    const authorization = createAuthorization(claims);
+
+    expect(authorization.hasScope('email')).toBe(true);
+    expect(authorization.hasScope('offline_access')).toBe(false);
+  });
+
+  test('group paths also cover their subgroups', () => {
+    const authorization = createAuthorization(claims);
+
+    expect(authorization.isInGroup('/admins')).toBe(true);
+    expect(authorization.isInGroup('/staff')).toBe(true);
+    expect(authorization.isInGroup('/staff/')).toBe(true);
+    expect(authorization.isInGroup('/staff/us')).toBe(false);
+    expect(authorization.isInGroup('staff')).toBe(false);
+    expect(authorization.isInGroup('/adm')).toBe(false);
+  });
+
+  test('grants nothing without claims', () => {
+    const authorization = createAuthorization(null);
+
+    expect(authorization.roles).toEqual([]);
+    expect(authorization.hasRole('user')).toBe(false);
+    expect(authorization.hasAnyRole(['user', 'admin'])).toBe(false);
+    expect(authorization.hasScope('openid')).toBe(false);
+    expect(authorization.isInGroup('/admins')).toBe(false);
+  });
+});
@@ -0,0 +1,31 @@
+// Role, group and scope checks for the logged-in user, built from the access token's authorization claims
+// (see providers/keycloak/authorizationClaims.js); available through useAuthorization() and <RequireRole>
+// They decide what the UI shows, the APIs behind it still have to enforce the same rules
+
+// claims: { clientId, realmRoles, clientRoles, groups, scopes }, null when logged out (every check fails)
+export const createAuthorization = (claims = null) => {
+  const realmRoles = claims?.realmRoles || [];
+  const clientRoles = claims?.clientRoles || {};
+  const groups = claims?.groups || [];
+  const scopes = claims?.scopes || [];
+  // Roles of the app: realm roles plus the roles of the app's own client
+  const roles = [...new Set([...realmRoles, ...(clientRoles[claims?.clientId] || [])])];
+
+  // A realm role or a role of the app's client; options.client checks that client's roles only
+  const hasRole = (role, { client = null } = {}) => (
+    client ? (clientRoles[client] || []).includes(role) : roles.includes(role)
+  );
+
+  const hasAnyRole = (candidates, options) => candidates.some((role) => hasRole(role, options));
+
+  const hasScope = (scope) => scopes.includes(scope);
+
+  // Member of the group; a full path (/admins) also covers its subgroups (/admins/eu)
+  const isInGroup = (group) => groups.some((name) => (
+    name === group || (group.startsWith('/') && name.startsWith(`${group.replace(/\/+$/, '')}/`))
+  ));
+
+  return { roles, realmRoles, clientRoles, groups, scopes, hasRole, hasAnyRole, hasScope, isInGroup };
+};
+
+export default createAuthorization;
@@ -0,0 +1,86 @@
+import React from 'react';
+import { useAuth } from '../auth/AuthProvider';
+import { Link } from '../router/Router';
+import ProviderLogo from './ProviderLogo';
+
+// Example product page behind <RequireAuth>
+const Account = () => {
+  const { user, identityProvider, authorization, logout } = useAuth();
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.card}>
+        <h1 style={styles.title}>My Account</h1>
+
+        <p><strong>Name:</strong> {user.name}</p>
+        <p><strong>Email:</strong> {user.email}</p>
+        {authorization.roles.length > 0 && (
+          <p><strong>Roles:</strong> {authorization.roles.join(', ')}</p>
+        )}
+        {identityProvider && (
+          <div style={styles.provider}>
+            <p><strong>Logged in via:</strong> {identityProvider.displayName}</p>
+            <ProviderLogo alias={identityProvider.alias} logo={identityProvider.logo} name={identityProvider.displayName} />
+          </div>
+        )}
+
+        <div style={styles.actions}>
+          <Link to="/" style={styles.link}>Home</Link>
+          <button onClick={logout} style={styles.logoutButton}>Logout</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    minHeight: '100vh',
+    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif',
+    backgroundColor: '#f5f5f5',
+    padding: '20px',
+    boxSizing: 'border-box'
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    padding: '32px',
+    boxShadow: '0 4px 12px rgba(0,0,0,0.1)',
+    maxWidth: '500px',
+    width: '100%',
+    textAlign: 'center'
+  },
+  title: {
+    color: '#2d3748',
+    marginBottom: '1.5rem'
+  },
+  provider: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center'
+  },
+  actions: {
+    display: 'flex',
+    gap: '1rem',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: '1.5rem'
+  },
+  link: {
+    color: '#667eea',
+    fontWeight: '600'
+  },
+  logoutButton: {
+    padding: '10px 20px',
+    border: 'none',
+    borderRadius: '6px',
+    backgroundColor: '#e53e3e',
+    color: 'white',
+    cursor: 'pointer'
+  }
+};
+
+export default Account;
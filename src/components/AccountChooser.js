@@ -0,0 +1,126 @@
+import React from 'react';
+import ProviderLogo from './ProviderLogo';
+
+// Remembered accounts as one-click logins, each with a "forget" action
+const AccountChooser = ({ accounts, onSelect, onForget }) => (
+  <div style={styles.container}>
+    <div style={styles.title}>Continue as</div>
+    <ul style={styles.list}>
+      {accounts.map((account) => (
+        <li key={account.email} style={styles.item}>
+          <button
+            type="button"
+            onClick={() => onSelect(account)}
+            style={styles.account}
+            aria-label={`Continue as ${account.email}`}
+          >
+            {account.picture ? (
+              <img src={account.picture} alt="" style={styles.avatar} />
+            ) : (
+              <span style={{ ...styles.avatar, ...styles.initial }} aria-hidden="true">
+                {(account.name || account.email).charAt(0).toUpperCase()}
+              </span>
+            )}
+            <span style={styles.details}>
+              {account.name && <span style={styles.name}>{account.name}</span>}
+              <span style={styles.email}>{account.email}</span>
+              <span style={styles.provider}>
+                {account.identityProviderName ? `via ${account.identityProviderName}` : 'via Keycloak'}
+              </span>
+            </span>
+            <ProviderLogo alias={account.idpHint} />
+          </button>
+          <button
+            type="button"
+            onClick={() => onForget(account.email)}
+            style={styles.forget}
+            aria-label={`Forget ${account.email}`}
+            title="Forget this account"
+          >
+            ✕
+          </button>
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+const styles = {
+  container: {
+    marginBottom: '2rem',
+    textAlign: 'left'
+  },
+  title: {
+    fontSize: '1rem',
+    fontWeight: '600',
+    color: '#4a5568',
+    marginBottom: '0.75rem'
+  },
+  list: {
+    listStyle: 'none',
+    padding: 0,
+    margin: 0
+  },
+  item: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    marginBottom: '8px'
+  },
+  account: {
+    flex: 1,
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    padding: '12px 16px',
+    border: '2px solid #e2e8f0',
+    borderRadius: '12px',
+    backgroundColor: '#f7fafc',
+    cursor: 'pointer',
+    textAlign: 'left'
+  },
+  avatar: {
+    width: '40px',
+    height: '40px',
+    borderRadius: '50%',
+    flexShrink: 0
+  },
+  initial: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+    color: 'white',
+    fontWeight: '600'
+  },
+  details: {
+    flex: 1,
+    display: 'flex',
+    flexDirection: 'column',
+    minWidth: 0
+  },
+  name: {
+    fontWeight: '600',
+    color: '#2d3748'
+  },
+  email: {
+    fontSize: '0.9rem',
+    color: '#4a5568',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis'
+  },
+  provider: {
+    fontSize: '0.8rem',
+    color: '#a0aec0'
+  },
+  forget: {
+    padding: '8px 12px',
+    border: '1px solid #e2e8f0',
+    borderRadius: '8px',
+    backgroundColor: 'white',
+    color: '#718096',
+    cursor: 'pointer'
+  }
+};
+
+export default AccountChooser;
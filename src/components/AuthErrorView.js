@@ -0,0 +1,203 @@
+import React from 'react';
+import { getAppConfig } from '../config/appConfig';
+
+// What a failed login means for the user and how they can recover, by error type
+// actions: retry (same login again), choose_provider (Keycloak's page with every sign-in option), contact_support,
+// start_over (back to the start page, also offered whenever none of the others can be shown)
+const ERROR_DESCRIPTIONS = {
+  login_cancelled: {
+    title: 'Login cancelled',
+    description: 'The login was cancelled before it finished. You can try again or sign in another way.',
+    actions: ['retry', 'choose_provider']
+  },
+  idp_unavailable: {
+    title: 'Sign-in service unavailable',
+    description: 'The sign-in service is not responding right now. Try again in a moment or use a different sign-in option.',
+    actions: ['retry', 'choose_provider', 'contact_support']
+  },
+  invalid_grant: {
+    title: 'Login expired',
+    description: 'The login took too long or was already used. Please sign in again.',
+    actions: ['retry']
+  },
+  network_error: {
+    title: 'Connection problem',
+    description: 'The sign-in service could not be reached. Check your connection and try again.',
+    actions: ['retry']
+  },
+  unknown_identity_provider: {
+    title: 'Sign-in option not available',
+    description: 'The sign-in option for this account is not set up here. Use a different sign-in option or contact support.',
+    actions: ['choose_provider', 'contact_support']
+  },
+  misconfigured: {
+    title: 'Login is not set up correctly',
+    description: 'This application cannot sign you in because of a configuration problem. Please contact support.',
+    actions: ['contact_support', 'start_over']
+  }
+};
+
+const LOGIN_REJECTED = {
+  title: 'Login rejected',
+  description: 'The login response does not match a login started in this browser. Please sign in again.',
+  actions: ['retry']
+};
+
+const LOGIN_ALREADY_USED = {
+  title: 'Login already used',
+  description: 'This login response was already used, for example by reloading the page. Please sign in again.',
+  actions: ['retry']
+};
+
+const LOGIN_NOT_VERIFIED = {
+  title: 'Login could not be verified',
+  description: 'The login response failed a security check, so you were not signed in.',
+  actions: ['retry', 'contact_support']
+};
+
+const UNKNOWN_ERROR = {
+  title: 'Login failed',
+  description: 'Something went wrong while signing you in.',
+  actions: ['retry', 'contact_support']
+};
+
+// { title, description, actions } for an error from useAuth() (OAuthError, LoginTransactionError, IdTokenValidationError...)
+export const describeAuthError = (error) => {
+  if (error?.name === 'LoginTransactionError') return error.code === 'state_already_used' ? LOGIN_ALREADY_USED : LOGIN_REJECTED;
+  if (error?.name === 'IdTokenValidationError') return LOGIN_NOT_VERIFIED;
+  return ERROR_DESCRIPTIONS[error?.code] || UNKNOWN_ERROR;
+};
+
+// Only link to error pages on the web (error_uri comes from the authorization response)
+const safeErrorUri = (uri) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(uri).protocol) ? uri : null;
+  } catch (invalidUri) {
+    return null;
+  }
+};
+
+// Support link with the correlation ID (supportUrl setting, a mailto: link gets it in the subject)
+const supportLink = (correlationId) => {
+  const { supportUrl } = getAppConfig().values;
+  if (!supportUrl || !correlationId) return supportUrl || null;
+  if (supportUrl.startsWith('mailto:')) {
+    return `${supportUrl}${supportUrl.includes('?') ? '&' : '?'}subject=${encodeURIComponent(`Login problem (reference ${correlationId})`)}`;
+  }
+  return supportUrl;
+};
+
+// Failed login with the recovery actions for its type and the correlation ID it was reported under (errorReportUrl)
+const AuthErrorView = ({ error, onRetry, onChooseProvider }) => {
+  const { title, description, actions } = describeAuthError(error);
+  const detail = error.details?.errorDescription || error.message;
+  const errorUri = error.details?.errorUri ? safeErrorUri(error.details.errorUri) : null;
+  const supportUrl = actions.includes('contact_support') ? supportLink(error.correlationId) : null;
+  const showRetry = actions.includes('retry') && Boolean(onRetry);
+  const showChooseProvider = actions.includes('choose_provider') && Boolean(onChooseProvider);
+  const showStartOver = actions.includes('start_over') || (!showRetry && !showChooseProvider && !supportUrl);
+
+  return (
+    <div role="alert" style={styles.container}>
+      <h2 style={styles.title}>{title}</h2>
+      <p style={styles.description}>{description}</p>
+      {detail && (
+        <p style={styles.detail}>
+          {error.code ? `${detail} (${error.code})` : detail}
+          {errorUri && (
+            <>
+              {' '}
+              <a href={errorUri} target="_blank" rel="noopener noreferrer">More information</a>
+            </>
+          )}
+        </p>
+      )}
+
+      <div style={styles.actions}>
+        {showRetry && (
+          <button type="button" onClick={onRetry} style={styles.button}>
+            Try again
+          </button>
+        )}
+        {showChooseProvider && (
+          <button type="button" onClick={onChooseProvider} style={{ ...styles.button, ...styles.secondaryButton }}>
+            Use a different sign-in option
+          </button>
+        )}
+        {supportUrl && (
+          <a href={supportUrl} style={{ ...styles.button, ...styles.secondaryButton, ...styles.link }}>
+            Contact support
+          </a>
+        )}
+        {showStartOver && (
+          <a href={`${process.env.PUBLIC_URL || ''}/`} style={{ ...styles.button, ...styles.secondaryButton, ...styles.link }}>
+            Back to the start page
+          </a>
+        )}
+      </div>
+
+      {error.correlationId && (
+        <p style={styles.reference}>
+          Reference: <code>{error.correlationId}</code>
+        </p>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    backgroundColor: '#fff5f5',
+    border: '1px solid #feb2b2',
+    borderRadius: '12px',
+    padding: '20px',
+    marginBottom: '1.5rem',
+    textAlign: 'left',
+    maxWidth: '500px'
+  },
+  title: {
+    fontSize: '1.2rem',
+    color: '#c53030',
+    margin: '0 0 0.5rem'
+  },
+  description: {
+    color: '#4a5568',
+    margin: '0 0 0.5rem'
+  },
+  detail: {
+    fontSize: '0.9rem',
+    color: '#718096',
+    margin: '0 0 1rem',
+    wordBreak: 'break-word'
+  },
+  actions: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '8px'
+  },
+  button: {
+    padding: '10px 16px',
+    fontSize: '0.95rem',
+    fontWeight: '600',
+    border: 'none',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    background: '#667eea',
+    color: 'white'
+  },
+  secondaryButton: {
+    background: 'white',
+    color: '#4a5568',
+    border: '1px solid #cbd5e0'
+  },
+  link: {
+    textDecoration: 'none'
+  },
+  reference: {
+    fontSize: '0.8rem',
+    color: '#a0aec0',
+    margin: '1rem 0 0'
+  }
+};
+
+export default AuthErrorView;
@@ -1,178 +1,121 @@
 import { useEffect, useState } from 'react';
-import { KeycloakProvider } from '../providers/keycloak/KeycloakProvider';
+import { useAuth } from '../auth/AuthProvider';
+import { Link, useNavigate } from '../router/Router';
+import { OAuthError } from '../providers/keycloak/OAuthError';
 import logger from '../utils/logger';
+import AuthErrorView from './AuthErrorView';
+
+// Authorization response parameters of the callback URL
+const readAuthorizationResponse = () => {
+    const urlParams = new URLSearchParams(window.location.search);
+    return {
+        code: urlParams.get('code'),
+        state: urlParams.get('state'),
+        sessionState: urlParams.get('session_state'),
+        error: urlParams.get('error'),
+        errorDescription: urlParams.get('error_description'),
+        errorUri: urlParams.get('error_uri')
+    };
+};
 
 const Callback = () => {
+    // Read once per mount: the URL is cleaned up right away, and StrictMode runs the effect a second time
+    const [response] = useState(readAuthorizationResponse);
     const [status, setStatus] = useState('Processing...');
-    const [userInfo, setUserInfo] = useState(null);
-    const [identityProvider, setIdentityProvider] = useState(null);
-    const [keycloakProvider] = useState(() => new KeycloakProvider());
-
-    // Detect identity provider from email domain or session
-    const detectIdentityProvider = (email) => {
-        if (!email) return null;
-        
-        const domain = email.split('@')[1]?.toLowerCase();
-        const domainMappings = {
-            'gmail.com': 'Google',
-            'googlemail.com': 'Google',
-            'outlook.com': 'Microsoft',
-            'hotmail.com': 'Microsoft',
-            'live.com': 'Microsoft',
-            'msn.com': 'Microsoft'
-        };
-        
-        return domainMappings[domain] || 'Unknown Provider';
-    };
-
-    // Simple non-copyrighted logo components
-    const MicrosoftLogo = () => (
-        <div style={styles.logoContainer}>
-            <div style={styles.microsoftGrid}>
-                <div style={{...styles.microsoftSquare, backgroundColor: '#f25022'}}></div>
-                <div style={{...styles.microsoftSquare, backgroundColor: '#7fba00'}}></div>
-                <div style={{...styles.microsoftSquare, backgroundColor: '#00a4ef'}}></div>
-                <div style={{...styles.microsoftSquare, backgroundColor: '#ffb900'}}></div>
-            </div>
-        </div>
-    );
+    const [loginError, setLoginError] = useState(null);
+    const { isAuthenticated, isLoading, handleCallback: completeLogin, handleAuthorizationError, retryLogin } = useAuth();
+    const navigate = useNavigate();
 
-    const GoogleLogo = () => (
-        <div style={styles.logoContainer}>
-            <div style={styles.googleCircle}>
-                <div style={styles.googleInner}>
-                    <span style={styles.googleText}>G</span>
-                </div>
-            </div>
-        </div>
-    );
-
-    const renderProviderLogo = (provider) => {
-        if (provider === 'Microsoft') return <MicrosoftLogo />;
-        if (provider === 'Google') return <GoogleLogo />;
-        return null;
-    };
+    useEffect(() => {
+        let active = true;
+        logger.log('Keycloak callback handler started');
 
-    // Handle logout with proper backchannel IDP logout
-    const handleLogout = async () => {
-        logger.log('Initiating backchannel logout from identity provider:', identityProvider);
-        
-        // Show detailed logout status
-        setStatus(`Logging out from ${identityProvider}...`);
-        
-        try {
-            // Perform Keycloak backchannel logout which will also logout from the IDP
-            await keycloakProvider.logout();
-        } catch (error) {
-            logger.error('Logout error:', error);
-            // Show error status briefly before fallback
-            setStatus('Logout error, redirecting...');
-            
-            // Fallback: clear storage and redirect after brief delay
-            setTimeout(() => {
-                keycloakProvider.clearLocalStorage();
-                window.location.href = '/';
-            }, 1000);
+        // Drop code and state from the address bar and history entry, so a refresh or back/forward
+        // never submits the same response again
+        if (window.location.search) {
+            window.history.replaceState(window.history.state, '', window.location.pathname);
         }
-    };
-
-
 
-    useEffect(() => {
         const handleCallback = async () => {
-            logger.log('Keycloak callback handler started');
-            
-            // Prevent multiple executions
-            if (window.callbackProcessed) {
-                logger.log('Callback already processed, skipping');
+            const { code, state, sessionState, error, errorDescription, errorUri } = response;
+
+            // Nothing to process (the callback page reopened after its response was handled)
+            if (!code && !error && !state) {
+                navigate('/', { replace: true });
                 return;
             }
-            window.callbackProcessed = true;
-            
-            try {
-                const urlParams = new URLSearchParams(window.location.search);
-                const code = urlParams.get('code');
-                const error = urlParams.get('error');
 
+            try {
                 if (error) {
-                    setStatus(`Error: ${error}`);
+                    setLoginError(handleAuthorizationError({ state, error, errorDescription, errorUri }));
                     return;
                 }
 
                 if (!code) {
-                    setStatus('No authorization code received');
-                    return;
+                    throw new OAuthError('authorization_failed', 'No authorization code received');
                 }
 
                 logger.log('Processing OAuth callback...');
                 setStatus('Processing login...');
 
-                // Use Keycloak provider to handle callback
-                const result = await keycloakProvider.handleCallback(code, window.location.origin + '/callback');
-                
-                // Detect which identity provider was used
-                const detectedProvider = detectIdentityProvider(result.user.email);
-                
-                // Store authentication result
-                localStorage.setItem('access_token', result.tokens.access_token);
-                localStorage.setItem('user_info', JSON.stringify(result.user));
-                localStorage.setItem('auth_provider', 'keycloak');
-                localStorage.setItem('identity_provider', detectedProvider || 'Unknown');
-                
-                // Store id_token for logout (if available)
-                if (result.tokens.id_token) {
-                    sessionStorage.setItem('keycloak_id_token', result.tokens.id_token);
-                }
-                
-                // Update UI state
-                setUserInfo(result.user);
-                setIdentityProvider(detectedProvider);
-                setStatus(detectedProvider ? `${detectedProvider} login successful!` : 'Login successful!');
+                // Exchange the code; the auth context stores the session. The provider handles each
+                // state once, a repeated effect gets the same outcome
+                const result = await completeLogin(code, state, sessionState);
+                if (!active) return;
                 
+                // Identity provider actually used, resolved by the provider from token claims
+                const { displayName: detectedProvider } = result.identityProvider;
                 logger.log('Login completed successfully with provider:', detectedProvider);
 
+                // Leave /callback for the page the login was started from (replaces the callback history entry)
+                logger.log('Returning to:', result.returnTo || '/');
+                navigate(result.returnTo || '/', { replace: true });
+
             } catch (error) {
+                if (!active) return;
+                // Typed by the provider (rejected state, failed ID token checks, OAuth errors), never shown as a success
                 logger.error('Callback error:', error);
-                setStatus(`Error: ${error.message}`);
+                setLoginError(error);
             }
         };
 
         handleCallback();
-    }, [keycloakProvider]);
+        return () => {
+            active = false;
+        };
+    }, [response, completeLogin, handleAuthorizationError, navigate]);
+
+    // A response used by an earlier page load (refresh, back button to the IdP): a user who is signed in
+    // continues to where that login was going instead of seeing an error
+    const alreadyUsed = loginError?.code === 'state_already_used';
+    useEffect(() => {
+        if (alreadyUsed && !isLoading && isAuthenticated) {
+            navigate(loginError.details.returnTo || '/', { replace: true });
+        }
+    }, [alreadyUsed, isLoading, isAuthenticated, loginError, navigate]);
+
+    // Start the failed login again; without an IDP hint Keycloak shows every sign-in option
+    const retry = (loginRequest) => retryLogin(loginRequest).catch(setLoginError);
+
+    if (loginError && !(alreadyUsed && (isLoading || isAuthenticated))) {
+        return (
+            <div style={styles.container}>
+                <AuthErrorView
+                    error={loginError}
+                    onRetry={() => retry(loginError.loginRequest)}
+                    onChooseProvider={() => retry({ returnTo: loginError.loginRequest?.returnTo, realm: loginError.loginRequest?.realm })}
+                />
+
+                <Link to="/" style={{ ...styles.button, ...styles.retryButton }}>
+                    Back to login
+                </Link>
+            </div>
+        );
+    }
 
     return (
         <div style={styles.container}>
-            {userInfo && (
-                <div style={styles.userInfo}>
-                    {identityProvider && (
-                        <div style={styles.providerSection}>
-                            <p><strong>Logged in via:</strong> {identityProvider}</p>
-                            {renderProviderLogo(identityProvider)}
-                        </div>
-                    )}
-                    <h3>User Information:</h3>
-                    <p><strong>Name:</strong> {userInfo.name}</p>
-                    <p><strong>Email:</strong> {userInfo.email}</p>
-                    {userInfo.picture && (
-                        <img
-                            src={userInfo.picture}
-                            alt="Profile"
-                            style={styles.avatar}
-                        />
-                    )}
-                </div>
-            )}
-
-            {userInfo && (
-                <div style={styles.buttonContainer}>
-                    <button
-                        onClick={handleLogout}
-                        style={{ ...styles.button, ...styles.logoutButton }}
-                    >
-                        {identityProvider ? `Logout from ${identityProvider}` : 'Logout'}
-                    </button>
-                </div>
-            )}
+            <p style={styles.status}>{status}</p>
         </div>
     );
 };
@@ -192,73 +135,6 @@ const styles = {
         fontSize: '18px',
         marginBottom: '1rem'
     },
-    userInfo: {
-        backgroundColor: 'white',
-        padding: '1rem',
-        borderRadius: '8px',
-        boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
-        marginBottom: '1rem',
-        textAlign: 'center'
-    },
-    providerSection: {
-        display: 'flex',
-        flexDirection: 'column',
-        alignItems: 'center',
-        marginBottom: '1rem'
-    },
-    logoContainer: {
-        marginTop: '0.5rem'
-    },
-    // Microsoft logo styles (4 colored squares)
-    microsoftGrid: {
-        display: 'grid',
-        gridTemplate: '20px 20px / 20px 20px',
-        gap: '2px',
-        padding: '8px'
-    },
-    microsoftSquare: {
-        width: '20px',
-        height: '20px'
-    },
-    // Google logo styles (familiar circular design with G)
-    googleCircle: {
-        width: '48px',
-        height: '48px',
-        borderRadius: '50%',
-        background: 'conic-gradient(from 0deg, #4285f4 0deg 90deg, #34a853 90deg 180deg, #fbbc05 180deg 270deg, #ea4335 270deg 360deg)',
-        display: 'flex',
-        alignItems: 'center',
-        justifyContent: 'center',
-        position: 'relative',
-        padding: '3px'
-    },
-    googleInner: {
-        width: '100%',
-        height: '100%',
-        backgroundColor: 'white',
-        borderRadius: '50%',
-        display: 'flex',
-        alignItems: 'center',
-        justifyContent: 'center'
-    },
-    googleText: {
-        color: '#4285f4',
-        fontSize: '20px',
-        fontWeight: 'bold',
-        fontFamily: 'Arial, sans-serif'
-    },
-    avatar: {
-        width: '80px',
-        height: '80px',
-        borderRadius: '50%',
-        marginTop: '1rem'
-    },
-    buttonContainer: {
-        display: 'flex',
-        gap: '1rem',
-        flexWrap: 'wrap',
-        justifyContent: 'center'
-    },
     button: {
         padding: '12px 24px',
         fontSize: '16px',
@@ -268,9 +144,9 @@ const styles = {
         borderRadius: '6px',
         cursor: 'pointer'
     },
-    logoutButton: {
-        backgroundColor: '#dc3545'
+    retryButton: {
+        textDecoration: 'none'
     }
 };
 
-export default Callback;
\ No newline at end of file
+export default Callback;
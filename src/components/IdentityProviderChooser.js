@@ -0,0 +1,69 @@
+import React from 'react';
+import ProviderLogo from './ProviderLogo';
+
+// Identity providers linked to the account of the entered email, when there is more than one to route to
+const IdentityProviderChooser = ({ email, identityProviders, onSelect, onOtherOption }) => (
+  <div style={styles.container} role="group" aria-label="Choose how to sign in">
+    <div style={styles.title}>Sign in to {email} with</div>
+    <ul style={styles.list}>
+      {identityProviders.map((identityProvider) => (
+        <li key={identityProvider.alias} style={styles.item}>
+          <button type="button" onClick={() => onSelect(identityProvider)} style={styles.provider}>
+            <ProviderLogo alias={identityProvider.alias} logo={identityProvider.logo} name={identityProvider.displayName} />
+            <span>Continue with {identityProvider.displayName}</span>
+          </button>
+        </li>
+      ))}
+    </ul>
+    <button type="button" onClick={onOtherOption} style={styles.other}>
+      Use another sign-in option
+    </button>
+  </div>
+);
+
+const styles = {
+  container: {
+    marginTop: '1.5rem',
+    textAlign: 'left'
+  },
+  title: {
+    fontSize: '1rem',
+    fontWeight: '600',
+    color: '#4a5568',
+    marginBottom: '0.75rem'
+  },
+  list: {
+    listStyle: 'none',
+    padding: 0,
+    margin: 0
+  },
+  item: {
+    marginBottom: '8px'
+  },
+  provider: {
+    width: '100%',
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    padding: '12px 16px',
+    border: '2px solid #e2e8f0',
+    borderRadius: '12px',
+    backgroundColor: '#f7fafc',
+    color: '#2d3748',
+    fontSize: '1rem',
+    fontWeight: '600',
+    cursor: 'pointer',
+    textAlign: 'left'
+  },
+  other: {
+    padding: 0,
+    border: 'none',
+    background: 'none',
+    color: '#667eea',
+    fontSize: '0.9rem',
+    textDecoration: 'underline',
+    cursor: 'pointer'
+  }
+};
+
+export default IdentityProviderChooser;
@@ -1,92 +1,97 @@
-import React, { useState, useEffect } from 'react';
-import { KeycloakProvider } from '../providers/keycloak/KeycloakProvider';
-import logger from '../utils/logger';
+import React, { useState } from 'react';
+import { useAuth } from '../auth/AuthProvider';
+import { Link, Navigate, useLocation } from '../router/Router';
+import { sanitizeReturnTo } from '../providers/keycloak/LoginTransactionStore';
+import AccountChooser from './AccountChooser';
+import AuthErrorView from './AuthErrorView';
+import IdentityProviderChooser from './IdentityProviderChooser';
+import ProviderLogo from './ProviderLogo';
 
 const LoginButtons = () => {
-  const REDIRECT_URI = window.location.origin + '/callback';
-  
-  const [userInfo, setUserInfo] = useState(null);
-  const [isLoggedIn, setIsLoggedIn] = useState(false);
-  const [keycloakProvider] = useState(() => new KeycloakProvider());
+  const {
+    user: userInfo, identityProvider, isAuthenticated, isLoading, error, login, retryLogin, logout,
+    rememberedAccounts, loginWithAccount, forgetAccount, analyzeEmail
+  } = useAuth();
   const [email, setEmail] = useState('');
+  // Opt-in: remember this account on the device for the account chooser
+  const [rememberAccount, setRememberAccount] = useState(false);
+  // Identity providers linked to the entered email's account, when the user has to pick one
+  const [linkedIdentityProviders, setLinkedIdentityProviders] = useState(null);
 
-  useEffect(() => {
-    // Check if user is already logged in
-    const accessToken = localStorage.getItem('access_token');
-    const storedUserInfo = localStorage.getItem('user_info');
-    
-    if (accessToken && storedUserInfo) {
-      try {
-        const user = JSON.parse(storedUserInfo);
-        setUserInfo(user);
-        setIsLoggedIn(true);
-        
-        logger.log('User is logged in:', {
-          provider: 'keycloak',
-          user: user?.name
-        });
-      } catch (error) {
-        logger.error('Error parsing stored user info:', error);
-        // Clear invalid data
-        localStorage.removeItem('access_token');
-        localStorage.removeItem('user_info');
-      }
-    } else {
-      logger.log('User is not logged in');
-    }
-  }, []);
+  // "Did you mean ...?" for near misses of known provider domains (user@gmial.com)
+  const suggestion = email.trim() ? analyzeEmail(email).suggestion : null;
+
+  // Deep link a protected route sent us here from (see RequireAuth)
+  const requestedReturnTo = new URLSearchParams(useLocation().search).get('returnTo');
+  const returnTo = requestedReturnTo ? sanitizeReturnTo(requestedReturnTo) : undefined;
 
-  // Handle login with email-based IDP routing
+  // Handle login with email-based IDP routing (failures are shown from useAuth().error)
   const handleLogin = async () => {
-    if (!keycloakProvider.isConfigured()) {
-      alert('Keycloak is not configured. Please check your environment variables.');
-      return;
+    try {
+      const result = await login(email, returnTo, { rememberAccount });
+      setLinkedIdentityProviders(result?.identityProviders || null);
+    } catch (loginError) {
+      // Rendered below
     }
-    
+  };
+
+  // The user picked one of the identity providers linked to their account
+  const handleLinkedLogin = async (identityProvider) => {
     try {
-      let loginHint = null;
-      
-      // If email is provided, determine the IDP hint
-      if (email.trim()) {
-        if (!keycloakProvider.isValidEmail(email.trim())) {
-          alert('Please enter a valid email address');
-          return;
-        }
-        loginHint = keycloakProvider.determineLoginHintFromEmail(email.trim());
-        logger.log('Email provided:', email.trim(), '-> IDP hint:', loginHint);
-      }
-      
-      // Use the Keycloak provider with the determined login hint
-      await keycloakProvider.login(REDIRECT_URI, loginHint);
-    } catch (error) {
-      logger.error('Error initiating login:', error);
-      alert(`Failed to initiate login: ${error.message}`);
+      await login(email, returnTo, { rememberAccount, idpHint: identityProvider.alias });
+    } catch (loginError) {
+      // Rendered below
     }
   };
 
-  // Handle logout
-  const handleLogout = async () => {
-    logger.log('Logout button clicked');
+  // None of the linked ones: the Keycloak page with every sign-in option, the email prefilled
+  const handleOtherOption = async () => {
     try {
-      await keycloakProvider.logout();
-      
-      // Clear local state
-      setUserInfo(null);
-      setIsLoggedIn(false);
-      
-      logger.log('Logout completed');
-    } catch (error) {
-      logger.error('Logout error:', error);
-      // Still clear local state even if provider logout fails
-      keycloakProvider.clearLocalStorage();
-      setUserInfo(null);
-      setIsLoggedIn(false);
+      await retryLogin({ loginHint: analyzeEmail(email).email, returnTo });
+    } catch (loginError) {
+      // Rendered below
     }
   };
 
+  const handleEmailChange = (value) => {
+    setEmail(value);
+    setLinkedIdentityProviders(null);
+  };
 
+  // One click on a remembered account: straight to its IDP
+  const handleAccountLogin = async (account) => {
+    try {
+      await loginWithAccount(account, returnTo);
+    } catch (loginError) {
+      // Rendered below
+    }
+  };
 
-  if (isLoggedIn && userInfo) {
+  // Let the user pick any sign-in option on the Keycloak page instead of the one for their email, in the realm
+  // the failed login went to
+  const handleChooseProvider = async () => {
+    try {
+      await retryLogin({ returnTo, realm: error?.loginRequest?.realm });
+    } catch (loginError) {
+      // Rendered below
+    }
+  };
+
+  // Stored session is still being restored
+  if (isLoading) {
+    return (
+      <div style={styles.container}>
+        <p style={styles.loading}>Checking your session...</p>
+      </div>
+    );
+  }
+
+  // Already logged in (e.g. another tab completed the login): continue to the deep link
+  if (isAuthenticated && returnTo) {
+    return <Navigate to={returnTo} replace />;
+  }
+
+  if (isAuthenticated) {
     return (
       <div style={styles.container}>
         <div style={styles.userInfo}>
@@ -102,6 +107,12 @@ const LoginButtons = () => {
             <div style={styles.userDetail}>
               <span style={styles.userLabel}>Provider:</span> Keycloak
             </div>
+            {identityProvider && (
+              <div style={styles.userDetail}>
+                <span style={styles.userLabel}>Logged in via:</span> {identityProvider.displayName}
+                <ProviderLogo alias={identityProvider.alias} logo={identityProvider.logo} name={identityProvider.displayName} />
+              </div>
+            )}
             {userInfo.picture && (
               <img 
                 src={userInfo.picture} 
@@ -112,11 +123,14 @@ const LoginButtons = () => {
           </div>
 
           <div style={styles.buttonContainer}>
+            <Link to="/account" style={{ ...styles.button, ...styles.linkButton }}>
+              My Account
+            </Link>
             <button
-              onClick={handleLogout}
+              onClick={logout}
               style={{ ...styles.button, ...styles.logoutButton }}
             >
-              Logout from Keycloak
+              {identityProvider ? `Logout from ${identityProvider.displayName}` : 'Logout from Keycloak'}
             </button>
           </div>
         </div>
@@ -132,17 +146,58 @@ const LoginButtons = () => {
           Automatic identity provider routing based on email domain
         </p>
 
+        {error?.code === 'session_expired' && (
+          <p style={styles.notice}>{error.message}</p>
+        )}
+
+        {error && error.code !== 'session_expired' && error.code !== 'invalid_email' && (
+          <AuthErrorView error={error} onRetry={handleLogin} onChooseProvider={handleChooseProvider} />
+        )}
+
+        {rememberedAccounts.length > 0 && (
+          <AccountChooser accounts={rememberedAccounts} onSelect={handleAccountLogin} onForget={forgetAccount} />
+        )}
+
         <div style={styles.emailContainer}>
           <label style={styles.emailLabel}>
-            Email Address:
+            {rememberedAccounts.length > 0 ? 'Or use another email address:' : 'Email Address:'}
           </label>
           <input
             type="email"
             value={email}
-            onChange={(e) => setEmail(e.target.value)}
+            onChange={(e) => handleEmailChange(e.target.value)}
             placeholder="Enter your email address"
             style={styles.emailInput}
+            aria-invalid={error?.code === 'invalid_email'}
           />
+          {error?.code === 'invalid_email' && (
+            <p role="alert" style={styles.fieldError}>{error.message}</p>
+          )}
+          {suggestion && (
+            <p style={styles.suggestion}>
+              Did you mean{' '}
+              <button type="button" onClick={() => handleEmailChange(suggestion.email)} style={styles.suggestionButton}>
+                {suggestion.email}
+              </button>
+              ?
+            </p>
+          )}
+          <label style={styles.rememberLabel}>
+            <input
+              type="checkbox"
+              checked={rememberAccount}
+              onChange={(e) => setRememberAccount(e.target.checked)}
+            />
+            Remember me on this device
+          </label>
+          {linkedIdentityProviders && (
+            <IdentityProviderChooser
+              email={analyzeEmail(email).email}
+              identityProviders={linkedIdentityProviders}
+              onSelect={handleLinkedLogin}
+              onOtherOption={handleOtherOption}
+            />
+          )}
           
           <div style={styles.detectionCard}>
             <div style={styles.detectionTitle}>
@@ -223,6 +278,18 @@ const styles = {
     marginBottom: '2.5rem',
     lineHeight: '1.6'
   },
+  loading: {
+    color: 'white',
+    fontSize: '1.1rem'
+  },
+  notice: {
+    backgroundColor: '#fffaf0',
+    border: '1px solid #f6ad55',
+    borderRadius: '8px',
+    color: '#9c4221',
+    padding: '12px',
+    marginBottom: '1.5rem'
+  },
   emailContainer: {
     marginBottom: '2rem',
     textAlign: 'left'
@@ -245,6 +312,34 @@ const styles = {
     backgroundColor: '#f7fafc',
     boxSizing: 'border-box'
   },
+  suggestion: {
+    fontSize: '0.9rem',
+    color: '#4a5568',
+    margin: '0.5rem 0 0'
+  },
+  suggestionButton: {
+    padding: 0,
+    border: 'none',
+    background: 'none',
+    color: '#667eea',
+    fontSize: 'inherit',
+    fontWeight: '600',
+    textDecoration: 'underline',
+    cursor: 'pointer'
+  },
+  rememberLabel: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    marginTop: '0.75rem',
+    fontSize: '0.95rem',
+    color: '#4a5568'
+  },
+  fieldError: {
+    color: '#c53030',
+    fontSize: '0.9rem',
+    margin: '0.5rem 0 0'
+  },
   detectionCard: {
     backgroundColor: '#f8fafc',
     border: '1px solid #e2e8f0',
@@ -367,6 +462,10 @@ const styles = {
     background: 'linear-gradient(135deg, #f56565 0%, #e53e3e 100%)',
     boxShadow: '0 4px 15px rgba(245, 101, 101, 0.4)'
   },
+  linkButton: {
+    textDecoration: 'none',
+    boxSizing: 'border-box'
+  },
   logoutButtonHover: {
     boxShadow: '0 8px 25px rgba(245, 101, 101, 0.6)'
   }
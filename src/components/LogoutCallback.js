@@ -1,72 +1,53 @@
-import React, { useEffect } from 'react';
+import { useEffect, useRef } from 'react';
+import { KeycloakProvider } from '../providers/keycloak/KeycloakProvider';
 import logger from '../utils/logger';
 
-const LogoutCallback = () => {
+// OIDC Front-Channel Logout endpoint (/logout?iss=...&sid=...)
+// Keycloak loads it in a hidden iframe when the SSO session ends, so it renders nothing
+const LogoutCallback = ({ provider }) => {
+    // StrictMode runs effects twice: the logout is handled, and confirmed to Keycloak, once
+    const handled = useRef(false);
+
     useEffect(() => {
+        if (handled.current) return undefined;
+        handled.current = true;
         logger.log('Front-channel logout callback received');
-        
-        // This component is loaded in an iframe during front-channel logout
-        
-        // Optional: Send message to parent window if needed
-        if (window.parent && window.parent !== window) {
+
+        // Without a provider from the caller one is created for this request and closed once it is handled, so its
+        // tab channel and subscriptions do not outlive it
+        const keycloakProvider = provider || new KeycloakProvider();
+        const urlParams = new URLSearchParams(window.location.search);
+
+        const handleLogout = async () => {
             try {
-                window.parent.postMessage('logout-complete', '*');
-                logger.log('Sent logout-complete message to parent window');
+                const endedStoredSession = await keycloakProvider.handleFrontChannelLogout({
+                    iss: urlParams.get('iss'),
+                    sid: urlParams.get('sid')
+                });
+                logger.log('Front-channel logout completed', endedStoredSession ? '(stored session removed)' : '');
             } catch (error) {
-                logger.warn('Could not send message to parent window:', error);
+                logger.warn('Front-channel logout request rejected:', error.message);
+                return;
             }
-        }
-        
-        // The iframe will be closed automatically by Keycloak
-    }, []);
 
-    return (
-        <div style={styles.container}>
-            <div style={styles.message}>
-                <h2>Logging out...</h2>
-                <p>Please wait while we complete the logout process.</p>
-                <div style={styles.spinner}></div>
-            </div>
-        </div>
-    );
-};
+            // Tell Keycloak's page we are done, never revealing anything to another origin (iss is a configured realm)
+            if (window.parent && window.parent !== window) {
+                try {
+                    window.parent.postMessage('logout-complete', new URL(urlParams.get('iss')).origin);
+                    logger.log('Sent logout-complete message to parent window');
+                } catch (error) {
+                    logger.warn('Could not send message to parent window:', error);
+                }
+            }
+        };
 
-const styles = {
-    container: {
-        display: 'flex',
-        alignItems: 'center',
-        justifyContent: 'center',
-        minHeight: '100vh',
-        fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif',
-        backgroundColor: '#f5f5f5'
-    },
-    message: {
-        textAlign: 'center',
-        padding: '2rem',
-        backgroundColor: 'white',
-        borderRadius: '8px',
-        boxShadow: '0 2px 10px rgba(0,0,0,0.1)'
-    },
-    spinner: {
-        width: '40px',
-        height: '40px',
-        border: '4px solid #f3f3f3',
-        borderTop: '4px solid #3498db',
-        borderRadius: '50%',
-        animation: 'spin 1s linear infinite',
-        margin: '1rem auto'
-    }
-};
+        handleLogout().finally(() => {
+            if (!provider) keycloakProvider.close();
+        });
+        return undefined;
+    }, [provider]);
 
-// Add CSS animation for spinner
-const styleSheet = document.createElement('style');
-styleSheet.type = 'text/css';
-styleSheet.innerText = `
-    @keyframes spin {
-        0% { transform: rotate(0deg); }
-        100% { transform: rotate(360deg); }
-    }
-`;
-document.head.appendChild(styleSheet);
+    return null;
+};
 
-export default LogoutCallback;
\ No newline at end of file
+export default LogoutCallback;
@@ -0,0 +1,90 @@
+// Provider logos shown for brokered logins
+import React from 'react';
+
+// Simple non-copyrighted logo components
+const MicrosoftLogo = () => (
+    <div style={styles.logoContainer}>
+        <div style={styles.microsoftGrid}>
+            <div style={{...styles.microsoftSquare, backgroundColor: '#f25022'}}></div>
+            <div style={{...styles.microsoftSquare, backgroundColor: '#7fba00'}}></div>
+            <div style={{...styles.microsoftSquare, backgroundColor: '#00a4ef'}}></div>
+            <div style={{...styles.microsoftSquare, backgroundColor: '#ffb900'}}></div>
+        </div>
+    </div>
+);
+
+const GoogleLogo = () => (
+    <div style={styles.logoContainer}>
+        <div style={styles.googleCircle}>
+            <div style={styles.googleInner}>
+                <span style={styles.googleText}>G</span>
+            </div>
+        </div>
+    </div>
+);
+
+// Logo for an identity provider: the configured logo image (logo metadata), else a built-in one for the alias
+// (null for providers without one)
+const ProviderLogo = ({ alias, logo = null, name = null }) => {
+    if (logo) {
+        return (
+            <div style={styles.logoContainer}>
+                <img src={logo} alt={`${name || alias} logo`} style={styles.image} />
+            </div>
+        );
+    }
+    if (alias === 'microsoft') return <MicrosoftLogo />;
+    if (alias === 'google') return <GoogleLogo />;
+    return null;
+};
+
+const styles = {
+    logoContainer: {
+        marginTop: '0.5rem'
+    },
+    image: {
+        width: '48px',
+        height: '48px',
+        objectFit: 'contain'
+    },
+    // Microsoft logo styles (4 colored squares)
+    microsoftGrid: {
+        display: 'grid',
+        gridTemplate: '20px 20px / 20px 20px',
+        gap: '2px',
+        padding: '8px'
+    },
+    microsoftSquare: {
+        width: '20px',
+        height: '20px'
+    },
+    // Google logo styles (familiar circular design with G)
+    googleCircle: {
+        width: '48px',
+        height: '48px',
+        borderRadius: '50%',
+        background: 'conic-gradient(from 0deg, #4285f4 0deg 90deg, #34a853 90deg 180deg, #fbbc05 180deg 270deg, #ea4335 270deg 360deg)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        position: 'relative',
+        padding: '3px'
+    },
+    googleInner: {
+        width: '100%',
+        height: '100%',
+        backgroundColor: 'white',
+        borderRadius: '50%',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center'
+    },
+    googleText: {
+        color: '#4285f4',
+        fontSize: '20px',
+        fontWeight: 'bold',
+        fontFamily: 'Arial, sans-serif'
+    }
+};
+
+export default ProviderLogo;
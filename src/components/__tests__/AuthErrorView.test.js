@@ -0,0 +1,92 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import AuthErrorView, { describeAuthError } from '../AuthErrorView';
+import { OAuthError } from '../../providers/keycloak/OAuthError';
+import { LoginTransactionError } from '../../providers/keycloak/LoginTransactionStore';
+import { IdTokenValidationError } from '../../providers/keycloak/IdTokenValidator';
+
+describe('AuthErrorView', () => {
+  const originalEnv = process.env;
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test.each([
+    [new OAuthError('login_cancelled', 'access_denied'), ['retry', 'choose_provider']],
+    [new OAuthError('idp_unavailable', 'Token exchange failed: 503'), ['retry', 'choose_provider', 'contact_support']],
+    [new OAuthError('invalid_grant', 'Code not valid'), ['retry']],
+    [new OAuthError('network_error', 'Failed to fetch'), ['retry']],
+    [new OAuthError('misconfigured', 'invalid_client'), ['contact_support', 'start_over']],
+    [new OAuthError('unknown_identity_provider', 'Unknown identity provider "github"'), ['choose_provider', 'contact_support']],
+    [new LoginTransactionError('invalid_state', 'Unknown state'), ['retry']],
+    [new IdTokenValidationError('invalid_nonce', 'Nonce mismatch'), ['retry', 'contact_support']],
+    [new Error('Something else'), ['retry', 'contact_support']]
+  ])('offers the recovery actions for %s', (error, actions) => {
+    expect(describeAuthError(error).actions).toEqual(actions);
+  });
+
+  test('shows the error description, code and correlation ID', () => {
+    const error = new OAuthError('login_cancelled', 'access_denied: User cancelled login', {
+      error: 'access_denied',
+      errorDescription: 'User cancelled login'
+    });
+
+    render(<AuthErrorView error={error} onRetry={jest.fn()} onChooseProvider={jest.fn()} />);
+
+    expect(screen.getByRole('heading', { name: 'Login cancelled' })).toBeInTheDocument();
+    expect(screen.getByText('User cancelled login (login_cancelled)')).toBeInTheDocument();
+    expect(screen.getByText(error.correlationId)).toBeInTheDocument();
+  });
+
+  test('runs the recovery actions', async () => {
+    const onRetry = jest.fn();
+    const onChooseProvider = jest.fn();
+    const user = userEvent.setup();
+
+    render(<AuthErrorView error={new OAuthError('login_cancelled', 'access_denied')} onRetry={onRetry} onChooseProvider={onChooseProvider} />);
+
+    await user.click(screen.getByRole('button', { name: 'Try again' }));
+    await user.click(screen.getByRole('button', { name: 'Use a different sign-in option' }));
+
+    expect(onRetry).toHaveBeenCalledTimes(1);
+    expect(onChooseProvider).toHaveBeenCalledTimes(1);
+  });
+
+  test('links to support with the correlation ID', () => {
+    process.env = { ...originalEnv, REACT_APP_SUPPORT_URL: 'mailto:support@example.com' };
+    const error = new OAuthError('misconfigured', 'invalid_client');
+
+    render(<AuthErrorView error={error} onRetry={jest.fn()} />);
+
+    expect(screen.getByRole('link', { name: 'Contact support' })).toHaveAttribute(
+      'href',
+      `mailto:support@example.com?subject=${encodeURIComponent(`Login problem (reference ${error.correlationId})`)}`
+    );
+    expect(screen.queryByRole('button', { name: 'Try again' })).not.toBeInTheDocument();
+  });
+
+  test('offers the start page when support is not configured', () => {
+    render(<AuthErrorView error={new OAuthError('misconfigured', 'invalid_client')} onRetry={jest.fn()} />);
+
+    expect(screen.queryByRole('link', { name: 'Contact support' })).not.toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Back to the start page' })).toHaveAttribute('href', '/');
+  });
+
+  test('falls back to the start page when no other action can be shown', () => {
+    const { rerender } = render(<AuthErrorView error={new OAuthError('unknown_identity_provider', 'Unknown identity provider "github"')} />);
+    expect(screen.getByRole('link', { name: 'Back to the start page' })).toBeInTheDocument();
+
+    rerender(<AuthErrorView error={new OAuthError('login_cancelled', 'access_denied')} onRetry={jest.fn()} />);
+    expect(screen.queryByRole('link', { name: 'Back to the start page' })).not.toBeInTheDocument();
+  });
+
+  test('only links error_uri pages on the web', () => {
+    const { rerender } = render(<AuthErrorView error={new OAuthError('authorization_failed', 'login_required', { errorUri: 'data:text/html,<script>alert(1)</script>' })} />);
+    expect(screen.queryByRole('link', { name: 'More information' })).not.toBeInTheDocument();
+
+    rerender(<AuthErrorView error={new OAuthError('authorization_failed', 'login_required', { errorUri: 'https://idp.example.com/help' })} />);
+    expect(screen.getByRole('link', { name: 'More information' })).toHaveAttribute('href', 'https://idp.example.com/help');
+  });
+});
@@ -1,23 +1,15 @@
 import React from 'react';
-import { render, screen, waitFor } from '@testing-library/react';
+import { render, screen, waitFor, act } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import LoginButtons from '../LoginButtons';
+import { AuthProvider } from '../../auth/AuthProvider';
+import { Router } from '../../router/Router';
+import { REMEMBERED_ACCOUNTS_KEY } from '../../storage/RememberedAccountStore';
+import { analyzeEmail } from '../../routing/emailAnalysis';
 
 // Mock the Keycloak provider
 jest.mock('../../providers/keycloak/KeycloakProvider', () => ({
-  KeycloakProvider: jest.fn().mockImplementation(() => ({
-    isConfigured: jest.fn().mockReturnValue(true),
-    isValidEmail: jest.fn().mockReturnValue(true),
-    determineLoginHintFromEmail: jest.fn().mockImplementation((email) => {
-      const domain = email.split('@')[1];
-      if (domain === 'gmail.com') return 'google';
-      if (domain === 'outlook.com') return 'microsoft';
-      return null;
-    }),
-    login: jest.fn().mockResolvedValue(undefined),
-    logout: jest.fn().mockResolvedValue(undefined),
-    clearLocalStorage: jest.fn()
-  }))
+  KeycloakProvider: jest.fn()
 }));
 
 // Mock logger
@@ -28,6 +20,13 @@ jest.mock('../../utils/logger', () => ({
   debug: jest.fn()
 }));
 
+// Render inside the router and auth context, once the stored session has been restored
+const renderWithAuth = async (ui) => {
+  const view = render(<Router><AuthProvider>{ui}</AuthProvider></Router>);
+  await waitFor(() => expect(screen.queryByText('Checking your session...')).not.toBeInTheDocument());
+  return view;
+};
+
 describe('LoginButtons Component', () => {
   let mockKeycloakProvider;
 
@@ -36,15 +35,39 @@ describe('LoginButtons Component', () => {
     jest.clearAllMocks();
     localStorage.clear();
     sessionStorage.clear();
+    window.location.pathname = '/';
+    window.location.search = '';
     
-    // Get the mocked provider instance
+    // Wire the mocked provider instance (mocks are reset between tests)
     const { KeycloakProvider } = require('../../providers/keycloak/KeycloakProvider');
-    mockKeycloakProvider = new KeycloakProvider();
+    mockKeycloakProvider = {
+      isConfigured: jest.fn().mockReturnValue({ configured: true, missing: [], malformed: [] }),
+      analyzeEmail: jest.fn((email) => analyzeEmail(email, { knownDomains: ['gmail.com', 'outlook.com'] })),
+      determineIdpHintFromEmail: jest.fn().mockImplementation((email) => {
+        const domain = email.split('@')[1];
+        if (domain === 'gmail.com') return 'google';
+        if (domain === 'outlook.com') return 'microsoft';
+        return null;
+      }),
+      findLinkedIdentityProviders: jest.fn().mockResolvedValue([]),
+      login: jest.fn().mockResolvedValue(undefined),
+      logout: jest.fn().mockResolvedValue(undefined),
+      clearLocalStorage: jest.fn(),
+      restoreSession: jest.fn().mockResolvedValue(false),
+      loadUserSession: jest.fn().mockResolvedValue(null),
+      getAccessToken: jest.fn().mockResolvedValue('mock-access-token'),
+      onTokenChange: jest.fn(() => () => {}),
+      getAuthorizationClaims: jest.fn(),
+      onSessionChanged: jest.fn(() => () => {}),
+      recheckSession: jest.fn().mockResolvedValue(true),
+      stopAutoRefresh: jest.fn()
+    };
+    KeycloakProvider.mockImplementation(() => mockKeycloakProvider);
   });
 
   describe('Login State (Not Logged In)', () => {
-    test('renders login page with title and email input', () => {
-      render(<LoginButtons />);
+    test('renders login page with title and email input', async () => {
+      await renderWithAuth(<LoginButtons />);
       
       expect(screen.getByText('Keycloak IDP Redirector Demo')).toBeInTheDocument();
       expect(screen.getByText('Automatic identity provider routing based on email domain')).toBeInTheDocument();
@@ -52,18 +75,19 @@ describe('LoginButtons Component', () => {
       expect(screen.getByText('Login')).toBeInTheDocument();
     });
 
-    test('renders identity provider detection information', () => {
-      render(<LoginButtons />);
-      
-      expect(screen.getByText(' Automatic Identity Provider Detection:')).toBeInTheDocument();
-      expect(screen.getByText(/Gmail addresses.*Google login/)).toBeInTheDocument();
-      expect(screen.getByText(/Microsoft addresses.*Microsoft login/)).toBeInTheDocument();
-      expect(screen.getByText(/Other addresses.*Standard Keycloak login/)).toBeInTheDocument();
+    test('renders identity provider detection information', async () => {
+      await renderWithAuth(<LoginButtons />);
+      
+      expect(screen.getByText(/Automatic Identity Provider Detection:/)).toBeInTheDocument();
+      const listItem = (pattern) => (_, element) => element.tagName === 'LI' && pattern.test(element.textContent);
+      expect(screen.getByText(listItem(/Gmail addresses.*Google login/))).toBeInTheDocument();
+      expect(screen.getByText(listItem(/Microsoft addresses.*Microsoft login/))).toBeInTheDocument();
+      expect(screen.getByText(listItem(/Other addresses.*Standard Keycloak login/))).toBeInTheDocument();
     });
 
     test('allows user to enter email address', async () => {
       const user = userEvent.setup();
-      render(<LoginButtons />);
+      await renderWithAuth(<LoginButtons />);
       
       const emailInput = screen.getByPlaceholderText('Enter your email address');
       await user.type(emailInput, 'test@gmail.com');
@@ -73,22 +97,24 @@ describe('LoginButtons Component', () => {
 
     test('login button calls Keycloak provider with no hint for empty email', async () => {
       const user = userEvent.setup();
-      render(<LoginButtons />);
+      await renderWithAuth(<LoginButtons />);
       
       const loginButton = screen.getByText('Login');
       await user.click(loginButton);
       
       await waitFor(() => {
         expect(mockKeycloakProvider.login).toHaveBeenCalledWith(
-          'http://localhost/callback',
-          null
+          'http://localhost:3001/callback',
+          null,
+          undefined,
+          { rememberAccount: false, loginHint: null }
         );
       });
     });
 
     test('login button calls Keycloak provider with Google hint for Gmail', async () => {
       const user = userEvent.setup();
-      render(<LoginButtons />);
+      await renderWithAuth(<LoginButtons />);
       
       const emailInput = screen.getByPlaceholderText('Enter your email address');
       await user.type(emailInput, 'user@gmail.com');
@@ -97,17 +123,19 @@ describe('LoginButtons Component', () => {
       await user.click(loginButton);
       
       await waitFor(() => {
-        expect(mockKeycloakProvider.determineLoginHintFromEmail).toHaveBeenCalledWith('user@gmail.com');
+        expect(mockKeycloakProvider.determineIdpHintFromEmail).toHaveBeenCalledWith('user@gmail.com');
         expect(mockKeycloakProvider.login).toHaveBeenCalledWith(
-          'http://localhost/callback',
-          'google'
+          'http://localhost:3001/callback',
+          'google',
+          undefined,
+          { rememberAccount: false, loginHint: 'user@gmail.com' }
         );
       });
     });
 
     test('login button calls Keycloak provider with Microsoft hint for Outlook', async () => {
       const user = userEvent.setup();
-      render(<LoginButtons />);
+      await renderWithAuth(<LoginButtons />);
       
       const emailInput = screen.getByPlaceholderText('Enter your email address');
       await user.type(emailInput, 'user@outlook.com');
@@ -116,34 +144,71 @@ describe('LoginButtons Component', () => {
       await user.click(loginButton);
       
       await waitFor(() => {
-        expect(mockKeycloakProvider.determineLoginHintFromEmail).toHaveBeenCalledWith('user@outlook.com');
+        expect(mockKeycloakProvider.determineIdpHintFromEmail).toHaveBeenCalledWith('user@outlook.com');
         expect(mockKeycloakProvider.login).toHaveBeenCalledWith(
-          'http://localhost/callback',
-          'microsoft'
+          'http://localhost:3001/callback',
+          'microsoft',
+          undefined,
+          { rememberAccount: false, loginHint: 'user@outlook.com' }
         );
       });
     });
 
-    test('shows alert when Keycloak is not configured', async () => {
-      mockKeycloakProvider.isConfigured.mockReturnValue(false);
-      const alertSpy = jest.spyOn(window, 'alert').mockImplementation(() => {});
+    test('passes the deep link from a protected route through login', async () => {
+      window.location.pathname = '/login';
+      window.location.search = '?returnTo=%2Freports%3Fyear%3D2024';
+      const user = userEvent.setup();
+      await renderWithAuth(<LoginButtons />);
+      
+      await user.click(screen.getByText('Login'));
+      
+      await waitFor(() => {
+        expect(mockKeycloakProvider.login).toHaveBeenCalledWith(
+          'http://localhost:3001/callback',
+          null,
+          '/reports?year=2024',
+          { rememberAccount: false, loginHint: null }
+        );
+      });
+    });
+
+    test('ignores return URLs pointing to another site', async () => {
+      window.location.pathname = '/login';
+      window.location.search = '?returnTo=https%3A%2F%2Fevil.example.com%2F';
+      const user = userEvent.setup();
+      await renderWithAuth(<LoginButtons />);
+      
+      await user.click(screen.getByText('Login'));
+      
+      await waitFor(() => {
+        expect(mockKeycloakProvider.login).toHaveBeenCalledWith('http://localhost:3001/callback', null, '/', { rememberAccount: false, loginHint: null });
+      });
+    });
+
+    test('shows a configuration error when Keycloak is not configured', async () => {
+      mockKeycloakProvider.isConfigured.mockReturnValue({
+        configured: false,
+        missing: ['clientId'],
+        malformed: [{ key: 'keycloakUrl', source: '/config.json', message: 'keycloakUrl (/config.json): expected an absolute http/https URL' }]
+      });
       const user = userEvent.setup();
       
-      render(<LoginButtons />);
+      await renderWithAuth(<LoginButtons />);
       
       const loginButton = screen.getByText('Login');
       await user.click(loginButton);
       
-      expect(alertSpy).toHaveBeenCalledWith('Keycloak is not configured. Please check your environment variables.');
-      alertSpy.mockRestore();
+      expect(await screen.findByText('Login is not set up correctly')).toBeInTheDocument();
+      expect(screen.getByText('Keycloak is not configured (missing clientId; malformed keycloakUrl). Please check config.json or the REACT_APP_* environment variables. (misconfigured)')).toBeInTheDocument();
+      // Retrying cannot fix the configuration
+      expect(screen.queryByRole('button', { name: 'Try again' })).not.toBeInTheDocument();
+      expect(window.alert).not.toHaveBeenCalled();
     });
 
-    test('shows alert for invalid email', async () => {
-      mockKeycloakProvider.isValidEmail.mockReturnValue(false);
-      const alertSpy = jest.spyOn(window, 'alert').mockImplementation(() => {});
+    test('shows invalid emails next to the input', async () => {
       const user = userEvent.setup();
       
-      render(<LoginButtons />);
+      await renderWithAuth(<LoginButtons />);
       
       const emailInput = screen.getByPlaceholderText('Enter your email address');
       await user.type(emailInput, 'invalid-email');
@@ -151,49 +216,219 @@ describe('LoginButtons Component', () => {
       const loginButton = screen.getByText('Login');
       await user.click(loginButton);
       
-      expect(alertSpy).toHaveBeenCalledWith('Please enter a valid email address');
-      alertSpy.mockRestore();
+      expect(await screen.findByRole('alert')).toHaveTextContent('An email address needs an @ followed by a domain, e.g. name@example.com');
+      expect(emailInput).toHaveAttribute('aria-invalid', 'true');
+      expect(mockKeycloakProvider.login).not.toHaveBeenCalled();
+      expect(window.alert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Email suggestions', () => {
+    test('suggests the known domain for a near miss and applies it', async () => {
+      const user = userEvent.setup();
+      await renderWithAuth(<LoginButtons />);
+
+      const emailInput = screen.getByPlaceholderText('Enter your email address');
+      await user.type(emailInput, 'user@gmial.com');
+      await user.click(screen.getByRole('button', { name: 'user@gmail.com' }));
+
+      expect(emailInput).toHaveValue('user@gmail.com');
+      expect(screen.queryByText(/Did you mean/)).not.toBeInTheDocument();
+
+      await user.click(screen.getByText('Login'));
+      expect(mockKeycloakProvider.login).toHaveBeenCalledWith('http://localhost:3001/callback', 'google', undefined, { rememberAccount: false, loginHint: 'user@gmail.com' });
+    });
+
+    test('routes a normalized address', async () => {
+      const user = userEvent.setup();
+      await renderWithAuth(<LoginButtons />);
+
+      await user.type(screen.getByPlaceholderText('Enter your email address'), ' User@GMAIL.COM. ');
+      expect(screen.queryByText(/Did you mean/)).not.toBeInTheDocument();
+      await user.click(screen.getByText('Login'));
+
+      expect(mockKeycloakProvider.determineIdpHintFromEmail).toHaveBeenCalledWith('User@gmail.com');
+      // The normalized address is also the login_hint
+      expect(mockKeycloakProvider.login).toHaveBeenCalledWith('http://localhost:3001/callback', 'google', undefined, { rememberAccount: false, loginHint: 'User@gmail.com' });
+    });
+  });
+
+  describe('Linked identity providers', () => {
+    const google = { alias: 'google', displayName: 'Google', logo: null };
+    const microsoft = { alias: 'microsoft', displayName: 'Microsoft', logo: null };
+
+    test('routes to the only identity provider linked to the account instead of the domain\'s', async () => {
+      mockKeycloakProvider.findLinkedIdentityProviders.mockResolvedValue([microsoft]);
+      const user = userEvent.setup();
+      await renderWithAuth(<LoginButtons />);
+
+      await user.type(screen.getByPlaceholderText('Enter your email address'), 'frank@gmail.com');
+      await user.click(screen.getByText('Login'));
+
+      expect(mockKeycloakProvider.findLinkedIdentityProviders).toHaveBeenCalledWith('frank@gmail.com');
+      expect(mockKeycloakProvider.determineIdpHintFromEmail).not.toHaveBeenCalled();
+      expect(mockKeycloakProvider.login).toHaveBeenCalledWith('http://localhost:3001/callback', 'microsoft', undefined, { rememberAccount: false, loginHint: 'frank@gmail.com' });
+    });
+
+    test('offers a choice when several identity providers are linked', async () => {
+      mockKeycloakProvider.findLinkedIdentityProviders.mockResolvedValue([google, microsoft]);
+      const user = userEvent.setup();
+      await renderWithAuth(<LoginButtons />);
+
+      await user.type(screen.getByPlaceholderText('Enter your email address'), 'grace@gmail.com');
+      await user.click(screen.getByText('Login'));
+
+      expect(await screen.findByText('Sign in to grace@gmail.com with')).toBeInTheDocument();
+      expect(mockKeycloakProvider.login).not.toHaveBeenCalled();
+
+      await user.click(screen.getByRole('button', { name: 'Continue with Microsoft' }));
+      expect(mockKeycloakProvider.login).toHaveBeenCalledWith('http://localhost:3001/callback', 'microsoft', undefined, { rememberAccount: false, loginHint: 'grace@gmail.com' });
+      expect(mockKeycloakProvider.findLinkedIdentityProviders).toHaveBeenCalledTimes(1);
+    });
+
+    test('lets the user pick another sign-in option on the Keycloak page', async () => {
+      mockKeycloakProvider.findLinkedIdentityProviders.mockResolvedValue([google, microsoft]);
+      const user = userEvent.setup();
+      await renderWithAuth(<LoginButtons />);
+
+      await user.type(screen.getByPlaceholderText('Enter your email address'), 'grace@gmail.com');
+      await user.click(screen.getByText('Login'));
+      await user.click(await screen.findByRole('button', { name: 'Use another sign-in option' }));
+
+      expect(mockKeycloakProvider.login).toHaveBeenCalledWith('http://localhost:3001/callback', null, undefined, { loginHint: 'grace@gmail.com', realm: null });
+    });
+
+    test('drops the choice when the email changes', async () => {
+      mockKeycloakProvider.findLinkedIdentityProviders.mockResolvedValue([google, microsoft]);
+      const user = userEvent.setup();
+      await renderWithAuth(<LoginButtons />);
+
+      const emailInput = screen.getByPlaceholderText('Enter your email address');
+      await user.type(emailInput, 'grace@gmail.com');
+      await user.click(screen.getByText('Login'));
+      expect(await screen.findByText('Sign in to grace@gmail.com with')).toBeInTheDocument();
+
+      await user.type(emailInput, 'x');
+      expect(screen.queryByRole('group', { name: 'Choose how to sign in' })).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Remembered accounts', () => {
+    const accounts = [
+      { email: 'alice@gmail.com', name: 'Alice Anderson', picture: null, idpHint: 'google', identityProviderName: 'Google', lastUsedAt: 2 },
+      { email: 'bob@outlook.com', name: 'Bob Brown', picture: null, idpHint: 'microsoft', identityProviderName: 'Microsoft', lastUsedAt: 1 }
+    ];
+
+    beforeEach(() => {
+      localStorage.getItem.mockImplementation((key) => (key === REMEMBERED_ACCOUNTS_KEY ? JSON.stringify(accounts) : null));
+    });
+
+    test('remembers the account only when the user opts in', async () => {
+      localStorage.getItem.mockReturnValue(null);
+      const user = userEvent.setup();
+      await renderWithAuth(<LoginButtons />);
+
+      expect(screen.queryByText('Continue as')).not.toBeInTheDocument();
+      await user.type(screen.getByPlaceholderText('Enter your email address'), 'user@gmail.com');
+      await user.click(screen.getByLabelText('Remember me on this device'));
+      await user.click(screen.getByText('Login'));
+
+      expect(mockKeycloakProvider.login).toHaveBeenCalledWith('http://localhost:3001/callback', 'google', undefined, { rememberAccount: true, loginHint: 'user@gmail.com' });
+    });
+
+    test('shows remembered accounts as one-click logins', async () => {
+      const user = userEvent.setup();
+      await renderWithAuth(<LoginButtons />);
+
+      expect(screen.getByText('Continue as')).toBeInTheDocument();
+      expect(screen.getByText('Alice Anderson')).toBeInTheDocument();
+      expect(screen.getByText('via Microsoft')).toBeInTheDocument();
+
+      await user.click(screen.getByRole('button', { name: 'Continue as bob@outlook.com' }));
+
+      // Straight to the IDP the account used with the account as login_hint, no email typing
+      expect(mockKeycloakProvider.login).toHaveBeenCalledWith('http://localhost:3001/callback', 'microsoft', undefined, { rememberAccount: true, loginHint: 'bob@outlook.com' });
+      expect(mockKeycloakProvider.determineIdpHintFromEmail).not.toHaveBeenCalled();
+    });
+
+    test('forgets an account', async () => {
+      const user = userEvent.setup();
+      await renderWithAuth(<LoginButtons />);
+
+      await user.click(screen.getByRole('button', { name: 'Forget alice@gmail.com' }));
+
+      expect(screen.queryByText('Alice Anderson')).not.toBeInTheDocument();
+      expect(screen.getByText('Bob Brown')).toBeInTheDocument();
+      expect(localStorage.setItem).toHaveBeenCalledWith(REMEMBERED_ACCOUNTS_KEY, expect.not.stringContaining('alice@gmail.com'));
     });
   });
 
   describe('Logged In State', () => {
     beforeEach(() => {
-      // Mock localStorage to simulate logged in state
-      Storage.prototype.getItem = jest.fn((key) => {
-        switch (key) {
-          case 'user_info':
-            return JSON.stringify({
-              name: 'Test User',
-              email: 'test@example.com',
-              picture: 'https://example.com/avatar.jpg'
-            });
-          case 'access_token':
-            return 'mock-access-token';
-          default:
-            return null;
-        }
+      // Simulate a restored session with stored user info
+      mockKeycloakProvider.restoreSession.mockResolvedValue(true);
+      mockKeycloakProvider.loadUserSession.mockResolvedValue({
+        user: {
+          name: 'Test User',
+          email: 'test@example.com',
+          picture: 'https://example.com/avatar.jpg'
+        },
+        identityProvider: null
       });
     });
 
-    test('renders welcome page when logged in', () => {
-      render(<LoginButtons />);
+    test('renders welcome page when logged in', async () => {
+      await renderWithAuth(<LoginButtons />);
       
       expect(screen.getByText('Welcome Back!')).toBeInTheDocument();
-      expect(screen.getByText('Test User')).toBeInTheDocument();
-      expect(screen.getByText('test@example.com')).toBeInTheDocument();
-      expect(screen.getByText('Keycloak')).toBeInTheDocument();
+      expect(screen.getByText(/Test User/)).toBeInTheDocument();
+      expect(screen.getByText(/test@example\.com/)).toBeInTheDocument();
+      expect(screen.getByText((_, element) => (
+        element.tagName === 'DIV' && element.textContent === 'Provider: Keycloak'
+      ))).toBeInTheDocument();
     });
 
-    test('renders user avatar when available', () => {
-      render(<LoginButtons />);
+    test('renders user avatar when available', async () => {
+      await renderWithAuth(<LoginButtons />);
       
       const avatar = screen.getByAltText('Profile');
       expect(avatar).toBeInTheDocument();
       expect(avatar).toHaveAttribute('src', 'https://example.com/avatar.jpg');
     });
 
-    test('renders Keycloak logout button', () => {
-      render(<LoginButtons />);
+    test('shows the identity provider used for login with its logo', async () => {
+      mockKeycloakProvider.loadUserSession.mockResolvedValue({
+        user: { name: 'Google User', email: 'user@gmail.com' },
+        identityProvider: { alias: 'google', displayName: 'Google', source: 'storage' }
+      });
+
+      await renderWithAuth(<LoginButtons />);
+
+      expect(screen.getByText((_, element) => (
+        element.tagName === 'DIV' && element.textContent === 'Logged in via: GoogleG'
+      ))).toBeInTheDocument();
+      expect(screen.getByText('Logout from Google')).toBeInTheDocument();
+    });
+
+    test('links to the protected account page', async () => {
+      await renderWithAuth(<LoginButtons />);
+
+      expect(screen.getByText('My Account')).toHaveAttribute('href', '/account');
+    });
+
+    test('continues to the requested deep link when already logged in', async () => {
+      const replaceState = jest.spyOn(window.history, 'replaceState');
+      window.location.pathname = '/login';
+      window.location.search = '?returnTo=%2Freports';
+
+      await renderWithAuth(<LoginButtons />);
+
+      expect(replaceState).toHaveBeenCalledWith(null, '', '/reports');
+      replaceState.mockRestore();
+    });
+
+    test('renders Keycloak logout button', async () => {
+      await renderWithAuth(<LoginButtons />);
       
       expect(screen.getByText('Logout from Keycloak')).toBeInTheDocument();
     });
@@ -201,7 +436,7 @@ describe('LoginButtons Component', () => {
     test('logout button calls Keycloak provider logout', async () => {
       const user = userEvent.setup();
       
-      render(<LoginButtons />);
+      await renderWithAuth(<LoginButtons />);
       
       const logoutButton = screen.getByText('Logout from Keycloak');
       await user.click(logoutButton);
@@ -214,7 +449,7 @@ describe('LoginButtons Component', () => {
     test('logout clears local state on success', async () => {
       const user = userEvent.setup();
       
-      render(<LoginButtons />);
+      await renderWithAuth(<LoginButtons />);
       
       const logoutButton = screen.getByText('Logout from Keycloak');
       await user.click(logoutButton);
@@ -233,7 +468,7 @@ describe('LoginButtons Component', () => {
       mockKeycloakProvider.logout.mockRejectedValue(new Error('Logout failed'));
       const user = userEvent.setup();
       
-      render(<LoginButtons />);
+      await renderWithAuth(<LoginButtons />);
       
       const logoutButton = screen.getByText('Logout from Keycloak');
       await user.click(logoutButton);
@@ -245,41 +480,120 @@ describe('LoginButtons Component', () => {
     });
   });
 
+  describe('Token Lifecycle', () => {
+    beforeEach(() => {
+      mockKeycloakProvider.restoreSession.mockResolvedValue(true);
+      mockKeycloakProvider.loadUserSession.mockResolvedValue({
+        user: { name: 'Test User', email: 'test@example.com' },
+        identityProvider: null
+      });
+    });
+
+    test('does not treat stored user info without a session as logged in', async () => {
+      mockKeycloakProvider.restoreSession.mockResolvedValue(false);
+
+      await renderWithAuth(<LoginButtons />);
+
+      expect(screen.getByText('Keycloak IDP Redirector Demo')).toBeInTheDocument();
+      expect(screen.queryByText('Welcome Back!')).not.toBeInTheDocument();
+      expect(mockKeycloakProvider.loadUserSession).not.toHaveBeenCalled();
+    });
+
+    test('validates the restored access token on mount', async () => {
+      await renderWithAuth(<LoginButtons />);
+
+      expect(mockKeycloakProvider.getAccessToken).toHaveBeenCalled();
+    });
+
+    test('returns to the login form when the session expires', async () => {
+      await renderWithAuth(<LoginButtons />);
+      expect(screen.getByText('Welcome Back!')).toBeInTheDocument();
+
+      const [[listener]] = mockKeycloakProvider.onTokenChange.mock.calls;
+      act(() => listener(null, 'expired'));
+
+      expect(screen.getByText('Keycloak IDP Redirector Demo')).toBeInTheDocument();
+      expect(screen.getByText('Your session has expired. Please log in again.')).toBeInTheDocument();
+    });
+
+    test('stops token refresh on unmount', async () => {
+      const { unmount } = await renderWithAuth(<LoginButtons />);
+      unmount();
+
+      expect(mockKeycloakProvider.stopAutoRefresh).toHaveBeenCalled();
+    });
+  });
+
   describe('Error Handling', () => {
     test('handles login errors gracefully', async () => {
-      mockKeycloakProvider.login.mockRejectedValue(new Error('Network error'));
-      
-      const alertSpy = jest.spyOn(window, 'alert').mockImplementation(() => {});
+      mockKeycloakProvider.login.mockRejectedValue(Object.assign(new Error('Could not reach http://localhost:8080: Network error'), {
+        name: 'OAuthError',
+        code: 'network_error',
+        correlationId: '01JABCDEFG-XYZ123'
+      }));
       const user = userEvent.setup();
       
-      render(<LoginButtons />);
+      await renderWithAuth(<LoginButtons />);
       
       const loginButton = screen.getByText('Login');
       await user.click(loginButton);
       
-      await waitFor(() => {
-        expect(alertSpy).toHaveBeenCalledWith('Failed to initiate login: Network error');
-      });
-      
-      alertSpy.mockRestore();
+      expect(await screen.findByText('Connection problem')).toBeInTheDocument();
+      expect(screen.getByText('Reference:')).toHaveTextContent('Reference: 01JABCDEFG-XYZ123');
+      expect(window.alert).not.toHaveBeenCalled();
+
+      // Try again repeats the same login
+      mockKeycloakProvider.login.mockResolvedValue(undefined);
+      await user.click(screen.getByRole('button', { name: 'Try again' }));
+
+      expect(mockKeycloakProvider.login).toHaveBeenCalledTimes(2);
+      expect(screen.queryByText('Connection problem')).not.toBeInTheDocument();
     });
 
-    test('handles invalid stored user info gracefully', () => {
-      // Mock invalid JSON in localStorage
-      Storage.prototype.getItem = jest.fn((key) => {
-        if (key === 'access_token') return 'mock-token';
-        if (key === 'user_info') return 'invalid-json{';
-        return null;
-      });
-      
-      Storage.prototype.removeItem = jest.fn();
+    test('offers every sign-in option when the identity provider is unavailable', async () => {
+      mockKeycloakProvider.login.mockRejectedValueOnce(Object.assign(new Error('Token exchange failed: 503'), {
+        name: 'OAuthError',
+        code: 'idp_unavailable'
+      }));
+      const user = userEvent.setup();
+
+      await renderWithAuth(<LoginButtons />);
+
+      await user.type(screen.getByPlaceholderText('Enter your email address'), 'user@gmail.com');
+      await user.click(screen.getByText('Login'));
+      await user.click(await screen.findByRole('button', { name: 'Use a different sign-in option' }));
+
+      // No IDP hint: Keycloak's own page lists all providers
+      expect(mockKeycloakProvider.login).toHaveBeenLastCalledWith('http://localhost:3001/callback', null, undefined, { loginHint: null, realm: null });
+    });
+
+    test('keeps a different sign-in option in the customer realm the failed login went to', async () => {
+      mockKeycloakProvider.login.mockRejectedValueOnce(Object.assign(new Error('Token exchange failed: 503'), {
+        name: 'OAuthError',
+        code: 'idp_unavailable',
+        loginRequest: { idpHint: 'initech-oidc', loginHint: 'peter@initech.com', returnTo: '/', realm: 'acme' }
+      }));
+      const user = userEvent.setup();
+
+      await renderWithAuth(<LoginButtons />);
+
+      await user.type(screen.getByPlaceholderText('Enter your email address'), 'peter@initech.com');
+      await user.click(screen.getByText('Login'));
+      await user.click(await screen.findByRole('button', { name: 'Use a different sign-in option' }));
+
+      expect(mockKeycloakProvider.login).toHaveBeenLastCalledWith('http://localhost:3001/callback', null, undefined, { loginHint: null, realm: 'acme' });
+    });
+
+    test('shows the login form when no stored user can be restored', async () => {
+      // The provider discards unreadable user info and reports no session
+      mockKeycloakProvider.restoreSession.mockResolvedValue(true);
+      mockKeycloakProvider.loadUserSession.mockResolvedValue(null);
       
-      render(<LoginButtons />);
+      await renderWithAuth(<LoginButtons />);
       
       // Should show login form instead of user info
       expect(screen.getByText('Keycloak IDP Redirector Demo')).toBeInTheDocument();
-      expect(Storage.prototype.removeItem).toHaveBeenCalledWith('access_token');
-      expect(Storage.prototype.removeItem).toHaveBeenCalledWith('user_info');
+      expect(mockKeycloakProvider.getAccessToken).not.toHaveBeenCalled();
     });
   });
 });
\ No newline at end of file
@@ -1,6 +1,13 @@
 import React from 'react';
-import { render, screen } from '@testing-library/react';
+import { render, waitFor } from '@testing-library/react';
 import LogoutCallback from '../LogoutCallback';
+import { FrontChannelLogoutError, KeycloakProvider } from '../../providers/keycloak/KeycloakProvider';
+
+// Mock the Keycloak provider module (tests pass their own instance)
+jest.mock('../../providers/keycloak/KeycloakProvider', () => {
+  const actual = jest.requireActual('../../providers/keycloak/KeycloakProvider');
+  return { FrontChannelLogoutError: actual.FrontChannelLogoutError, KeycloakProvider: jest.fn() };
+});
 
 // Mock logger
 jest.mock('../../utils/logger', () => ({
@@ -10,10 +17,17 @@ jest.mock('../../utils/logger', () => ({
 
 describe('LogoutCallback Component', () => {
   let mockPostMessage;
+  let provider;
 
   beforeEach(() => {
     jest.clearAllMocks();
-    
+    window.location.search = '?iss=http%3A%2F%2Flocalhost%3A8080%2Frealms%2Fidp-redirector-demo&sid=session-1';
+
+    provider = {
+      issuer: 'http://localhost:8080/realms/idp-redirector-demo',
+      handleFrontChannelLogout: jest.fn().mockResolvedValue(true)
+    };
+
     // Mock window.parent.postMessage
     mockPostMessage = jest.fn();
     Object.defineProperty(window, 'parent', {
@@ -25,6 +39,7 @@ describe('LogoutCallback Component', () => {
   });
 
   afterEach(() => {
+    window.location.search = '';
     // Reset window.parent
     Object.defineProperty(window, 'parent', {
       value: window,
@@ -32,54 +47,93 @@ describe('LogoutCallback Component', () => {
     });
   });
 
-  test('renders logout message and spinner', () => {
-    render(<LogoutCallback />);
-    
-    expect(screen.getByText('Logging out...')).toBeInTheDocument();
-    expect(screen.getByText('Please wait while we complete the logout process.')).toBeInTheDocument();
+  test('renders nothing inside the logout iframe', () => {
+    const { container } = render(<LogoutCallback provider={provider} />);
+
+    expect(container).toBeEmptyDOMElement();
   });
 
-  test('sends logout-complete message to parent window', () => {
+  test('passes iss and sid to the provider', async () => {
+    render(<LogoutCallback provider={provider} />);
+
+    await waitFor(() => expect(provider.handleFrontChannelLogout).toHaveBeenCalledWith({
+      iss: 'http://localhost:8080/realms/idp-redirector-demo',
+      sid: 'session-1'
+    }));
+  });
+
+  test('sends logout-complete only to the Keycloak origin', async () => {
     const logger = require('../../utils/logger');
-    
-    render(<LogoutCallback />);
-    
-    expect(mockPostMessage).toHaveBeenCalledWith('logout-complete', '*');
+
+    render(<LogoutCallback provider={provider} />);
+
+    await waitFor(() => expect(mockPostMessage).toHaveBeenCalledWith('logout-complete', 'http://localhost:8080'));
     expect(logger.log).toHaveBeenCalledWith('Sent logout-complete message to parent window');
   });
 
-  test('handles postMessage error gracefully', () => {
+  test('answers the origin of the realm that sent the logout', async () => {
+    window.location.search = '?iss=https%3A%2F%2Fsso.acme.com%2Frealms%2Facme&sid=session-1';
+
+    render(<LogoutCallback provider={provider} />);
+
+    await waitFor(() => expect(mockPostMessage).toHaveBeenCalledWith('logout-complete', 'https://sso.acme.com'));
+  });
+
+  test('does not confirm rejected logout requests', async () => {
+    const logger = require('../../utils/logger');
+    provider.handleFrontChannelLogout.mockRejectedValue(
+      new FrontChannelLogoutError('invalid_issuer', 'Front-channel logout issuer does not match')
+    );
+
+    render(<LogoutCallback provider={provider} />);
+
+    await waitFor(() => expect(logger.warn).toHaveBeenCalledWith(
+      'Front-channel logout request rejected:',
+      'Front-channel logout issuer does not match'
+    ));
+    expect(mockPostMessage).not.toHaveBeenCalled();
+  });
+
+  test('handles postMessage error gracefully', async () => {
     const logger = require('../../utils/logger');
     mockPostMessage.mockImplementation(() => {
       throw new Error('PostMessage failed');
     });
-    
-    render(<LogoutCallback />);
-    
-    expect(logger.warn).toHaveBeenCalledWith('Could not send message to parent window:', expect.any(Error));
+
+    render(<LogoutCallback provider={provider} />);
+
+    await waitFor(() => expect(logger.warn).toHaveBeenCalledWith('Could not send message to parent window:', expect.any(Error)));
+  });
+
+  test('handles the logout once under StrictMode', async () => {
+    render(<React.StrictMode><LogoutCallback provider={provider} /></React.StrictMode>);
+
+    await waitFor(() => expect(mockPostMessage).toHaveBeenCalled());
+    expect(provider.handleFrontChannelLogout).toHaveBeenCalledTimes(1);
+    expect(mockPostMessage).toHaveBeenCalledTimes(1);
+  });
+
+  test('closes the provider it creates once the logout is handled', async () => {
+    const ownProvider = { ...provider, close: jest.fn() };
+    KeycloakProvider.mockImplementation(() => ownProvider);
+
+    render(<React.StrictMode><LogoutCallback /></React.StrictMode>);
+
+    await waitFor(() => expect(ownProvider.close).toHaveBeenCalledTimes(1));
+    expect(KeycloakProvider).toHaveBeenCalledTimes(1);
+    expect(mockPostMessage).toHaveBeenCalledTimes(1);
   });
 
-  test('does not send message when not in iframe', () => {
+  test('does not send message when not in iframe', async () => {
     // Mock window.parent to be the same as window (not in iframe)
     Object.defineProperty(window, 'parent', {
       value: window,
       writable: true
     });
-    
-    render(<LogoutCallback />);
-    
-    expect(mockPostMessage).not.toHaveBeenCalled();
-  });
 
-  test('applies correct styling', () => {
-    const { container } = render(<LogoutCallback />);
-    
-    const containerDiv = container.firstChild;
-    expect(containerDiv).toHaveStyle({
-      display: 'flex',
-      alignItems: 'center',
-      justifyContent: 'center',
-      minHeight: '100vh'
-    });
+    render(<LogoutCallback provider={provider} />);
+
+    await waitFor(() => expect(provider.handleFrontChannelLogout).toHaveBeenCalled());
+    expect(mockPostMessage).not.toHaveBeenCalled();
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,180 @@
+import {
+  resolveAppConfig,
+  loadAppConfig,
+  getAppConfig,
+  resetAppConfig,
+  getConfigurationStatus,
+  describeConfigurationStatus
+} from '../appConfig';
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+  log: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const respond = (body, status = 200) => Promise.resolve({ ok: status === 200, status, json: () => Promise.resolve(body) });
+
+describe('appConfig', () => {
+  const developmentEnv = { NODE_ENV: 'development' };
+  const productionEnv = { NODE_ENV: 'production' };
+
+  afterEach(() => {
+    delete window.__APP_CONFIG__;
+    resetAppConfig();
+  });
+
+  describe('resolveAppConfig', () => {
+    test('uses the local demo realm outside production builds', () => {
+      const { values, problems } = resolveAppConfig(null, developmentEnv);
+
+      expect(values).toMatchObject({
+        keycloakUrl: 'http://localhost:8080',
+        realm: 'idp-redirector-demo',
+        clientId: 'react-oidc-app',
+        issuer: null,
+        sessionCheckInterval: 5,
+        identityProviderEmailFallback: true,
+        tokenStorage: 'memory',
+        routingRules: null
+      });
+      expect(problems).toEqual([]);
+    });
+
+    test('converts the build-time variables', () => {
+      const { values } = resolveAppConfig(null, {
+        ...developmentEnv,
+        REACT_APP_KEYCLOAK_SESSION_CHECK_INTERVAL: '0',
+        REACT_APP_KEYCLOAK_IDP_EMAIL_FALLBACK: 'false',
+        REACT_APP_IDP_ROUTING_RULES: '{"rules":[{"domain":"acme.com","idp":"acme"}]}'
+      });
+
+      expect(values.sessionCheckInterval).toBe(0);
+      expect(values.identityProviderEmailFallback).toBe(false);
+      expect(values.routingRules).toEqual({ rules: [{ domain: 'acme.com', idp: 'acme' }] });
+    });
+
+    test('prefers the runtime configuration and falls back to the build-time variables', () => {
+      const { values } = resolveAppConfig(
+        { keycloakUrl: 'https://sso.example.com', clientId: 'portal', realm: null },
+        { ...productionEnv, REACT_APP_KEYCLOAK_URL: 'http://localhost:8080', REACT_APP_KEYCLOAK_REALM: 'staging' },
+        '/config.json'
+      );
+
+      expect(values).toMatchObject({ keycloakUrl: 'https://sso.example.com', realm: 'staging', clientId: 'portal' });
+    });
+
+    test('reports malformed settings with their source and uses the default instead', () => {
+      const { values, problems } = resolveAppConfig(
+        { keycloakUrl: 'sso.example.com', tokenMinValidity: '30', tokenStorage: 'cookies' },
+        { ...developmentEnv, REACT_APP_IDP_ROUTING_RULES: '{not json' },
+        '/config.json'
+      );
+
+      expect(problems).toEqual([
+        { key: 'keycloakUrl', reason: 'malformed', source: '/config.json', message: 'keycloakUrl (/config.json): expected an absolute http/https URL' },
+        { key: 'tokenMinValidity', reason: 'malformed', source: '/config.json', message: 'tokenMinValidity (/config.json): expected a number of seconds (0 or more)' },
+        { key: 'tokenStorage', reason: 'malformed', source: '/config.json', message: 'tokenStorage (/config.json): expected one of memory, session, local, encrypted-indexeddb' },
+        { key: 'routingRules', reason: 'malformed', source: 'REACT_APP_IDP_ROUTING_RULES', message: 'routingRules (REACT_APP_IDP_ROUTING_RULES): expected a JSON object' }
+      ]);
+      expect(values).toMatchObject({ keycloakUrl: 'http://localhost:8080', tokenMinValidity: 30, tokenStorage: 'memory', routingRules: null });
+    });
+
+    test('reports routing rules that do not compile as malformed', () => {
+      const rejected = (routingRules) => resolveAppConfig({ routingRules }, developmentEnv, '/config.json').problems;
+
+      expect(rejected({ rules: [{ idp: 'google' }] })).toEqual([
+        { key: 'routingRules', reason: 'malformed', source: '/config.json', message: 'routingRules (/config.json): Routing rule #0 is missing a domain' }
+      ]);
+      expect(rejected({ rules: [{ domain: 'acme.com' }] })[0].message).toMatch(/is missing an idp or realm/);
+      expect(rejected({ rules: [{ domain: 'a*.acme.com', idp: 'acme' }] })[0].message).toMatch(/unsupported pattern/);
+      expect(rejected({ rules: [{ domain: 'acme.com', realm: 'acme' }] })[0].message).toMatch(/unknown realm: acme/);
+      expect(rejected({ rules: 'acme.com' })[0].message).toMatch(/must be an array/);
+
+      const { values, problems } = resolveAppConfig({ routingRules: { rules: [{ domain: 'acme.com', idp: 'acme' }] } }, developmentEnv);
+      expect(problems).toEqual([]);
+      expect(values.routingRules).toEqual({ rules: [{ domain: 'acme.com', idp: 'acme' }] });
+    });
+
+    test('accepts paths for the lookup URLs and mailto: for support', () => {
+      const { values, problems } = resolveAppConfig({
+        organizationLookupUrl: '/api/organizations',
+        supportUrl: 'mailto:support@example.com',
+        backchannelLogoutUrl: '/logout-events'
+      }, developmentEnv);
+
+      expect(values.organizationLookupUrl).toBe('/api/organizations');
+      expect(values.supportUrl).toBe('mailto:support@example.com');
+      expect(problems.map(({ key }) => key)).toEqual(['backchannelLogoutUrl']);
+    });
+
+    test('reports the connection settings a production build is missing', () => {
+      expect(resolveAppConfig(null, productionEnv).problems.map(({ key, reason }) => [key, reason])).toEqual([
+        ['keycloakUrl', 'missing'],
+        ['realm', 'missing'],
+        ['clientId', 'missing']
+      ]);
+
+      // An issuer replaces the Keycloak URL and realm
+      const { problems } = resolveAppConfig({ issuer: 'https://login.example.com', clientId: 'portal' }, productionEnv);
+      expect(problems).toEqual([]);
+    });
+  });
+
+  describe('loadAppConfig', () => {
+    test('uses the configuration injected into the page without fetching', async () => {
+      window.__APP_CONFIG__ = { clientId: 'injected' };
+
+      const config = await loadAppConfig({ env: developmentEnv });
+
+      expect(config.source).toBe('window.__APP_CONFIG__');
+      expect(getAppConfig().values.clientId).toBe('injected');
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('loads config.json', async () => {
+      fetch.mockReturnValue(respond({ keycloakUrl: 'https://sso.example.com', realm: 'production', clientId: 'portal' }));
+
+      const config = await loadAppConfig({ env: productionEnv });
+
+      expect(fetch).toHaveBeenCalledWith('/config.json', { headers: { Accept: 'application/json' }, cache: 'no-store' });
+      expect(config.source).toBe('/config.json');
+      expect(getConfigurationStatus(config)).toEqual({ configured: true, missing: [], malformed: [] });
+    });
+
+    test('keeps the build-time settings without a usable config.json', async () => {
+      fetch.mockReturnValueOnce(respond(null, 404));
+      await expect(loadAppConfig({ env: developmentEnv })).resolves.toMatchObject({ source: null, problems: [] });
+
+      fetch.mockReturnValueOnce(respond(['not', 'an', 'object']));
+      await expect(loadAppConfig({ env: developmentEnv })).resolves.toMatchObject({ source: null, problems: [] });
+
+      fetch.mockRejectedValueOnce(new SyntaxError('Unexpected token <'));
+      await expect(loadAppConfig({ env: developmentEnv })).resolves.toMatchObject({ source: null, problems: [] });
+    });
+  });
+
+  test('reads the build-time settings until a configuration is loaded', async () => {
+    expect(getAppConfig().values.clientId).toBe('react-oidc-app');
+
+    window.__APP_CONFIG__ = { clientId: 'injected' };
+    await loadAppConfig();
+    expect(getAppConfig().values.clientId).toBe('injected');
+
+    resetAppConfig();
+    expect(getAppConfig().values.clientId).toBe('react-oidc-app');
+  });
+
+  test('summarizes what is missing or malformed', () => {
+    const status = getConfigurationStatus(resolveAppConfig({ keycloakUrl: 'localhost' }, productionEnv, '/config.json'));
+
+    expect(status).toEqual({
+      configured: false,
+      missing: ['realm', 'clientId'],
+      malformed: [{ key: 'keycloakUrl', source: '/config.json', message: 'keycloakUrl (/config.json): expected an absolute http/https URL' }]
+    });
+    expect(describeConfigurationStatus(status)).toBe('missing realm, clientId; malformed keycloakUrl');
+  });
+});
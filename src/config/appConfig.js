@@ -0,0 +1,204 @@
+// Runtime configuration: one build serves every environment
+// Settings come from window.__APP_CONFIG__ (injected into index.html by the server) or /config.json, loaded once at
+// startup (loadAppConfig), and are validated against CONFIG_SCHEMA. The build-time REACT_APP_* variables remain as
+// fallbacks for settings the runtime configuration leaves out.
+import logger from '../utils/logger';
+import { TOKEN_STORAGE_TYPES } from '../storage/createTokenStorage';
+import { RoutingRules } from '../routing/routingRules';
+
+// Fetched when the page does not carry window.__APP_CONFIG__
+export const CONFIG_URL = `${process.env.PUBLIC_URL || ''}/config.json`;
+
+// Setting -> build-time variable, type and defaults
+// default applies everywhere, developmentDefault only outside production builds (the local demo realm), so a
+// production build without configuration reports the connection settings as missing instead of using localhost
+// required settings must have a value: the Keycloak URL and realm only when no issuer is configured
+// check runs on a value of the right type and throws to reject it (routing rules must compile)
+export const CONFIG_SCHEMA = {
+    keycloakUrl: { env: 'REACT_APP_KEYCLOAK_URL', type: 'url', developmentDefault: 'http://localhost:8080', required: (values) => !values.issuer },
+    realm: { env: 'REACT_APP_KEYCLOAK_REALM', type: 'string', developmentDefault: 'idp-redirector-demo', required: (values) => !values.issuer },
+    clientId: { env: 'REACT_APP_KEYCLOAK_CLIENT_ID', type: 'string', developmentDefault: 'react-oidc-app', required: () => true },
+    issuer: { env: 'REACT_APP_OIDC_ISSUER', type: 'url' },
+    identityProviderClaim: { env: 'REACT_APP_KEYCLOAK_IDP_CLAIM', type: 'string', default: 'identity_provider' },
+    identityProviderEmailFallback: { env: 'REACT_APP_KEYCLOAK_IDP_EMAIL_FALLBACK', type: 'boolean', default: true },
+    tokenMinValidity: { env: 'REACT_APP_KEYCLOAK_TOKEN_MIN_VALIDITY', type: 'number', default: 30 },
+    clockSkew: { env: 'REACT_APP_KEYCLOAK_CLOCK_SKEW', type: 'number', default: 30 },
+    sessionCheckInterval: { env: 'REACT_APP_KEYCLOAK_SESSION_CHECK_INTERVAL', type: 'number', default: 5 },
+    tokenStorage: { env: 'REACT_APP_TOKEN_STORAGE', type: 'enum', values: TOKEN_STORAGE_TYPES, default: 'memory' },
+    routingRules: { env: 'REACT_APP_IDP_ROUTING_RULES', type: 'object', check: (value) => new RoutingRules(value) },
+    identityProvidersUrl: { env: 'REACT_APP_KEYCLOAK_IDENTITY_PROVIDERS_URL', type: 'url', relative: true },
+    organizationLookupUrl: { env: 'REACT_APP_ORGANIZATION_LOOKUP_URL', type: 'url', relative: true },
+    linkedIdentityProvidersUrl: { env: 'REACT_APP_LINKED_IDENTITY_PROVIDERS_URL', type: 'url', relative: true },
+    backchannelLogoutUrl: { env: 'REACT_APP_BACKCHANNEL_LOGOUT_URL', type: 'url' },
+    errorReportUrl: { env: 'REACT_APP_ERROR_REPORT_URL', type: 'url', relative: true },
+    supportUrl: { env: 'REACT_APP_SUPPORT_URL', type: 'url', protocols: ['http:', 'https:', 'mailto:'] }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Check one value against its schema entry: { value } when valid, { error } otherwise
+// Values from the environment are strings and are converted first, runtime values must have the right JSON type
+const validators = {
+    string: (value) => (typeof value === 'string' && value.trim()
+        ? { value: value.trim() }
+        : { error: 'expected a non-empty string' }),
+
+    url: (value, { relative = false, protocols = ['http:', 'https:'] }) => {
+        const expected = `expected an absolute ${protocols.map((protocol) => protocol.slice(0, -1)).join('/')} URL${relative ? ' or a path' : ''}`;
+        if (typeof value !== 'string') return { error: expected };
+        if (relative && value.startsWith('/') && !value.startsWith('//')) return { value };
+
+        try {
+            return protocols.includes(new URL(value).protocol) ? { value } : { error: expected };
+        } catch (error) {
+            return { error: expected };
+        }
+    },
+
+    number: (value, schema, fromEnv) => {
+        const number = fromEnv && typeof value === 'string' && value.trim() ? Number(value) : value;
+        return typeof number === 'number' && Number.isFinite(number) && number >= 0
+            ? { value: number }
+            : { error: 'expected a number of seconds (0 or more)' };
+    },
+
+    boolean: (value, schema, fromEnv) => {
+        if (fromEnv && (value === 'true' || value === 'false')) return { value: value === 'true' };
+        return typeof value === 'boolean' ? { value } : { error: 'expected true or false' };
+    },
+
+    enum: (value, { values }) => (values.includes(value)
+        ? { value }
+        : { error: `expected one of ${values.join(', ')}` }),
+
+    object: (value, schema, fromEnv) => {
+        let parsed = value;
+        if (fromEnv) {
+            try {
+                parsed = JSON.parse(value);
+            } catch (error) {
+                return { error: 'expected a JSON object' };
+            }
+        }
+        return isPlainObject(parsed) ? { value: parsed } : { error: `expected ${fromEnv ? 'a JSON ' : 'an '}object` };
+    }
+};
+
+// The type check, then the setting's own check
+const validate = (value, schema, fromEnv) => {
+    const result = validators[schema.type](value, schema, fromEnv);
+    if (result.error || !schema.check) return result;
+
+    try {
+        schema.check(result.value);
+        return result;
+    } catch (error) {
+        return { error: error.message };
+    }
+};
+
+// Unset in a source: absent, null or an empty string
+const isUnset = (value) => value === undefined || value === null || value === '';
+
+// Resolve every setting from the runtime configuration, then the environment, then the defaults
+// Returns { values, problems, source }; problems lists { key, reason: 'missing' | 'malformed', source, message }
+// A malformed setting is reported and replaced by its default, it never silently falls through to another source
+export const resolveAppConfig = (runtimeConfig = null, env = process.env, source = null) => {
+    const runtime = isPlainObject(runtimeConfig) ? runtimeConfig : {};
+    const isProduction = env.NODE_ENV === 'production';
+    const values = {};
+    const problems = [];
+
+    Object.keys(runtime)
+        .filter((key) => !Object.prototype.hasOwnProperty.call(CONFIG_SCHEMA, key))
+        .forEach((key) => logger.warn(`Ignoring unknown configuration setting "${key}" in ${source || 'the runtime configuration'}`));
+
+    Object.entries(CONFIG_SCHEMA).forEach(([key, schema]) => {
+        const fromRuntime = !isUnset(runtime[key]);
+        const fromEnv = !fromRuntime && !isUnset(env[schema.env]);
+        const fallback = schema.default ?? (isProduction ? undefined : schema.developmentDefault) ?? null;
+
+        if (!fromRuntime && !fromEnv) {
+            values[key] = fallback;
+            return;
+        }
+
+        const settingSource = fromRuntime ? source || 'runtime configuration' : schema.env;
+        const result = validate(fromRuntime ? runtime[key] : env[schema.env], schema, fromEnv);
+        if (result.error) {
+            problems.push({ key, reason: 'malformed', source: settingSource, message: `${key} (${settingSource}): ${result.error}` });
+            values[key] = fallback;
+        } else {
+            values[key] = result.value;
+        }
+    });
+
+    Object.entries(CONFIG_SCHEMA).forEach(([key, schema]) => {
+        const reported = problems.some((problem) => problem.key === key);
+        if (!reported && values[key] === null && schema.required?.(values)) {
+            problems.push({ key, reason: 'missing', source: null, message: `${key} is not set (config.json or ${schema.env})` });
+        }
+    });
+
+    return { values, problems, source };
+};
+
+// Configuration loaded by loadAppConfig, null until then
+let loadedAppConfig = null;
+
+// Load the runtime configuration once at startup: window.__APP_CONFIG__, else config.json
+// A missing or unreadable config.json leaves the build-time settings in place
+export const loadAppConfig = async ({ url = CONFIG_URL, env = process.env } = {}) => {
+    let runtimeConfig = window.__APP_CONFIG__ || null;
+    let source = runtimeConfig ? 'window.__APP_CONFIG__' : null;
+
+    if (!runtimeConfig) {
+        try {
+            const response = await fetch(url, { headers: { Accept: 'application/json' }, cache: 'no-store' });
+            if (response.ok) {
+                runtimeConfig = await response.json();
+                source = url;
+            } else if (response.status !== 404) {
+                logger.warn(`Could not load ${url} (HTTP ${response.status}), using the build-time settings`);
+            }
+        } catch (error) {
+            logger.warn(`Could not load ${url}, using the build-time settings:`, error);
+        }
+    }
+
+    if (runtimeConfig && !isPlainObject(runtimeConfig)) {
+        logger.error(`Runtime configuration in ${source} is not a JSON object, using the build-time settings`);
+        runtimeConfig = null;
+        source = null;
+    }
+
+    loadedAppConfig = resolveAppConfig(runtimeConfig, env, source);
+    loadedAppConfig.problems.forEach(({ message }) => logger.error('Invalid configuration:', message));
+    return loadedAppConfig;
+};
+
+// The loaded configuration, or (before loadAppConfig, e.g. in tests) the build-time settings as they are now
+export const getAppConfig = () => loadedAppConfig || resolveAppConfig(null, process.env);
+
+// Forget the loaded configuration (tests)
+export const resetAppConfig = () => {
+    loadedAppConfig = null;
+};
+
+// What isConfigured() reports: { configured, missing: [key], malformed: [{ key, source, message }] }
+export const getConfigurationStatus = ({ problems }) => {
+    const missing = problems.filter(({ reason }) => reason === 'missing').map(({ key }) => key);
+    const malformed = problems
+        .filter(({ reason }) => reason === 'malformed')
+        .map(({ key, source, message }) => ({ key, source, message }));
+
+    return { configured: missing.length === 0 && malformed.length === 0, missing, malformed };
+};
+
+// One-line summary of a configuration status for error messages
+export const describeConfigurationStatus = ({ missing, malformed }) => [
+    missing.length > 0 ? `missing ${missing.join(', ')}` : null,
+    malformed.length > 0 ? `malformed ${malformed.map(({ key }) => key).join(', ')}` : null
+].filter(Boolean).join('; ');
+
+export default getAppConfig;
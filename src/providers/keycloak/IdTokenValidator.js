@@ -0,0 +1,197 @@
+// ID token validation: JWKS signature (RS256/ES256), issuer, audience, azp, expiry, iat and nonce
+import logger from '../../utils/logger';
+import { decodeJwt, base64UrlToBytes } from '../../utils/jwt';
+
+export class IdTokenValidationError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'IdTokenValidationError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// WebCrypto parameters per supported JWS algorithm
+const ALGORITHMS = {
+    RS256: {
+        kty: 'RSA',
+        importParams: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+        verifyParams: { name: 'RSASSA-PKCS1-v1_5' }
+    },
+    ES256: {
+        kty: 'EC',
+        importParams: { name: 'ECDSA', namedCurve: 'P-256' },
+        verifyParams: { name: 'ECDSA', hash: 'SHA-256' }
+    }
+};
+
+export const SUPPORTED_ALGORITHMS = Object.keys(ALGORITHMS);
+
+// JWKS documents cached per URI; refetched when a token uses an unknown key (key rotation)
+export class JwksCache {
+    constructor({ minRefreshIntervalSeconds = 60 } = {}) {
+        this.minRefreshInterval = minRefreshIntervalSeconds * 1000;
+        this.entries = new Map();
+    }
+
+    async fetchKeys(jwksUri) {
+        let response;
+        try {
+            response = await fetch(jwksUri);
+        } catch (error) {
+            throw new IdTokenValidationError('jwks_unavailable', `Could not load signing keys from ${jwksUri}: ${error.message}`);
+        }
+
+        if (!response.ok) {
+            throw new IdTokenValidationError('jwks_unavailable', `Could not load signing keys from ${jwksUri}: HTTP ${response.status}`);
+        }
+
+        const jwks = await response.json();
+        return Array.isArray(jwks?.keys) ? jwks.keys : [];
+    }
+
+    async getKeys(jwksUri, { forceRefresh = false } = {}) {
+        const entry = this.entries.get(jwksUri);
+        const canRefresh = !entry || Date.now() - entry.fetchedAt >= this.minRefreshInterval;
+
+        if (entry && !(forceRefresh && canRefresh)) {
+            return entry.keys;
+        }
+
+        logger.log('Loading JWKS:', jwksUri);
+        const keys = this.fetchKeys(jwksUri);
+        this.entries.set(jwksUri, { keys, fetchedAt: Date.now() });
+
+        try {
+            return await keys;
+        } catch (error) {
+            this.entries.delete(jwksUri);
+            throw error;
+        }
+    }
+
+    // Find the signing key for a token header, reloading the JWKS once if the kid is unknown
+    async findKey(jwksUri, { kid, alg }) {
+        const matches = (keys) => keys.filter((key) => (
+            key.kty === ALGORITHMS[alg].kty &&
+            key.use !== 'enc' &&
+            (!key.alg || key.alg === alg) &&
+            (!kid || key.kid === kid)
+        ));
+
+        let candidates = matches(await this.getKeys(jwksUri));
+        if (candidates.length === 0) {
+            candidates = matches(await this.getKeys(jwksUri, { forceRefresh: true }));
+        }
+
+        // Without a kid the key must be unambiguous
+        if (candidates.length === 0 || (!kid && candidates.length > 1)) {
+            throw new IdTokenValidationError('unknown_signing_key', `No signing key found for kid "${kid}" (${alg})`, { kid, alg });
+        }
+
+        return candidates[0];
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+// Shared across provider instances so the realm keys are only fetched once
+export const sharedJwksCache = new JwksCache();
+
+export class IdTokenValidator {
+    constructor({ issuer, clientId, getJwksUri, clockSkewSeconds = 30, jwksCache = sharedJwksCache }) {
+        this.issuer = issuer;
+        this.clientId = clientId;
+        this.getJwksUri = getJwksUri;
+        this.clockSkewSeconds = clockSkewSeconds;
+        this.jwksCache = jwksCache;
+    }
+
+    // Validate an ID token and return its claims, throws IdTokenValidationError on failure
+    async validate(idToken, { nonce } = {}) {
+        if (!idToken) {
+            throw new IdTokenValidationError('missing_id_token', 'The token response did not contain an ID token');
+        }
+
+        const decoded = decodeJwt(idToken);
+        if (!decoded) {
+            throw new IdTokenValidationError('malformed_token', 'The ID token is not a valid JWT');
+        }
+
+        await this.verifySignature(decoded);
+        this.validateClaims(decoded.payload, { nonce });
+
+        logger.log('ID token validated for subject:', decoded.payload.sub);
+        return decoded.payload;
+    }
+
+    async verifySignature({ header, signature, signingInput }) {
+        const algorithm = ALGORITHMS[header.alg];
+        if (!algorithm) {
+            throw new IdTokenValidationError(
+                'unsupported_algorithm',
+                `ID token algorithm "${header.alg}" is not supported (expected ${SUPPORTED_ALGORITHMS.join(' or ')})`,
+                { alg: header.alg }
+            );
+        }
+
+        const jwksUri = await this.getJwksUri();
+        if (!jwksUri) {
+            throw new IdTokenValidationError('jwks_unavailable', `Issuer ${this.issuer} does not publish a jwks_uri`);
+        }
+
+        const jwk = await this.jwksCache.findKey(jwksUri, { kid: header.kid, alg: header.alg });
+
+        let valid;
+        try {
+            const key = await crypto.subtle.importKey('jwk', jwk, algorithm.importParams, false, ['verify']);
+            valid = await crypto.subtle.verify(
+                algorithm.verifyParams,
+                key,
+                base64UrlToBytes(signature),
+                new TextEncoder().encode(signingInput)
+            );
+        } catch (error) {
+            throw new IdTokenValidationError('invalid_signature', `ID token signature could not be verified: ${error.message}`);
+        }
+
+        if (!valid) {
+            throw new IdTokenValidationError('invalid_signature', 'ID token signature is invalid');
+        }
+    }
+
+    validateClaims(claims, { nonce }) {
+        const now = Math.floor(Date.now() / 1000);
+        const skew = this.clockSkewSeconds;
+
+        if (claims.iss !== this.issuer) {
+            throw new IdTokenValidationError('invalid_issuer', `ID token issuer "${claims.iss}" does not match "${this.issuer}"`, { iss: claims.iss });
+        }
+
+        const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+        if (!audiences.includes(this.clientId)) {
+            throw new IdTokenValidationError('invalid_audience', `ID token audience does not include client "${this.clientId}"`, { aud: claims.aud });
+        }
+
+        // azp is required with multiple audiences and must name this client when present
+        if ((audiences.length > 1 || claims.azp) && claims.azp !== this.clientId) {
+            throw new IdTokenValidationError('invalid_azp', `ID token authorized party "${claims.azp}" is not "${this.clientId}"`, { azp: claims.azp });
+        }
+
+        if (typeof claims.exp !== 'number' || now - skew >= claims.exp) {
+            throw new IdTokenValidationError('token_expired', 'ID token has expired', { exp: claims.exp });
+        }
+
+        if (typeof claims.iat !== 'number' || claims.iat > now + skew) {
+            throw new IdTokenValidationError('invalid_iat', 'ID token was issued in the future, check the device clock', { iat: claims.iat });
+        }
+
+        if (nonce !== undefined && claims.nonce !== nonce) {
+            throw new IdTokenValidationError('invalid_nonce', 'ID token nonce does not match the login request');
+        }
+    }
+}
+
+export default IdTokenValidator;
@@ -0,0 +1,137 @@
+// Identity providers (Keycloak broker aliases) a login may be sent to with kc_idp_hint, with their display metadata
+//
+//   { alias, displayName, logo, logoutUrl }
+//   logo       image URL shown next to the provider (Google and Microsoft have built-in logos)
+//   logoutUrl  the provider's own logout page, loaded after the Keycloak logout to end the upstream session too
+//
+// Known aliases come from the configured providers (the routing configuration's providers) or, when
+// REACT_APP_KEYCLOAK_IDENTITY_PROVIDERS_URL is set, from the realm's public list of identity providers:
+// a JSON array of { alias, displayName } such as the one the setup script exports from the realm.
+// Providers Keycloak reports for an organization or a user's account are added as the lookups find them (register),
+// for this page load only: the provider looks them up again for logins started later (resolveLoginIdentityProvider)
+import logger from '../../utils/logger';
+import { OAuthError } from './OAuthError';
+
+// An alias is a Keycloak identifier: letters, digits and - _ . (no spaces or URL syntax)
+const ALIAS_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+const toMetadata = (alias, metadata = {}) => ({
+    alias,
+    displayName: metadata.displayName || alias,
+    logo: metadata.logo || null,
+    logoutUrl: metadata.logoutUrl || null
+});
+
+// Entries of the realm's list with a usable alias, others are logged and skipped
+const parseRealmList = (list) => {
+    const entries = Array.isArray(list) ? list : list?.identityProviders;
+    if (!Array.isArray(entries)) {
+        throw new Error('expected a JSON array of identity providers');
+    }
+
+    return entries.filter((entry) => {
+        const valid = typeof entry?.alias === 'string' && ALIAS_PATTERN.test(entry.alias);
+        if (!valid) logger.warn('Ignoring identity provider without a valid alias:', entry);
+        return valid;
+    });
+};
+
+export class IdentityProviderRegistry {
+    // providers: configured metadata by alias, listUrl: the realm's public list (optional)
+    constructor({ providers = {}, listUrl = null } = {}) {
+        this.configured = providers;
+        this.listUrl = listUrl || null;
+        // Aliases published by the realm once loaded, null while only the configuration is known
+        this.realmProviders = null;
+        // Aliases Keycloak reported for an organization or account (OrganizationLookup, LinkedAccountLookup),
+        // known whatever the lists say
+        this.discoveredProviders = new Map();
+        this.loading = null;
+    }
+
+    // Add an identity provider Keycloak reported as linked to an organization or account
+    register(alias, metadata = {}) {
+        if (typeof alias !== 'string' || !ALIAS_PATTERN.test(alias)) {
+            logger.warn('Ignoring identity provider without a valid alias:', alias);
+            return null;
+        }
+        this.discoveredProviders.set(alias, metadata);
+        return this.get(alias);
+    }
+
+    // Load the realm's list once; a failed load is logged and retried on the next call, the configured
+    // providers apply meanwhile
+    async load() {
+        if (!this.listUrl || this.realmProviders) return this.list();
+
+        if (!this.loading) {
+            this.loading = (async () => {
+                try {
+                    const response = await fetch(this.listUrl, { headers: { Accept: 'application/json' } });
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    this.realmProviders = parseRealmList(await response.json());
+                    logger.log('Identity providers of the realm:', this.realmProviders.map(({ alias }) => alias));
+                } catch (error) {
+                    logger.error(`Could not load identity providers from ${this.listUrl}, using the configured ones:`, error);
+                } finally {
+                    this.loading = null;
+                }
+            })();
+        }
+        await this.loading;
+        return this.list();
+    }
+
+    // Every known identity provider with its metadata (configured metadata overrides the realm's display name)
+    list() {
+        const aliases = this.realmProviders
+            ? this.realmProviders.map(({ alias }) => alias)
+            : Object.keys(this.configured);
+        return aliases.map((alias) => this.get(alias));
+    }
+
+    // Metadata of a known alias, null for unknown ones
+    get(alias) {
+        if (!alias) return null;
+
+        const discoveredEntry = this.discoveredProviders.get(alias);
+        const realmEntry = this.realmProviders?.find((entry) => entry.alias === alias);
+        if (!discoveredEntry) {
+            if (this.realmProviders && !realmEntry) return null;
+            if (!realmEntry && !Object.prototype.hasOwnProperty.call(this.configured, alias)) return null;
+        }
+
+        return toMetadata(alias, { ...discoveredEntry, ...realmEntry, ...this.configured[alias] });
+    }
+
+    has(alias) {
+        return this.get(alias) !== null;
+    }
+
+    // Human readable name for any alias, also ones the app does not know (e.g. read from a token)
+    getDisplayName(alias) {
+        if (!alias) return null;
+        return this.get(alias)?.displayName || alias;
+    }
+
+    // Metadata of an alias a login is about to target, OAuthError unknown_identity_provider when the
+    // realm does not have it (Keycloak would ignore the hint and show its login page instead)
+    async resolve(alias) {
+        await this.load();
+
+        const identityProvider = this.get(alias);
+        if (!identityProvider) {
+            const knownAliases = this.list().map((known) => known.alias);
+            throw new OAuthError(
+                'unknown_identity_provider',
+                `Unknown identity provider "${alias}" (known: ${knownAliases.join(', ') || 'none'})`,
+                { idpHint: alias, knownAliases }
+            );
+        }
+        return identityProvider;
+    }
+}
+
+export default IdentityProviderRegistry;
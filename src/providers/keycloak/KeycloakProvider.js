@@ -1,98 +1,419 @@
 // Simple Keycloak OIDC Provider with PKCE
-import { generateCodeVerifier, generateCodeChallenge } from '../../utils/pkce';
+import { generateCodeChallenge } from '../../utils/pkce';
 import logger from '../../utils/logger';
+import { getTokenClaims } from '../../utils/jwt';
+import { getRoutingRules } from '../../routing/routingRules';
+import { getAppConfig, getConfigurationStatus, describeConfigurationStatus } from '../../config/appConfig';
+import { analyzeEmail } from '../../routing/emailAnalysis';
+import { OrganizationLookup } from '../../routing/organizationLookup';
+import { LinkedAccountLookup } from '../../routing/linkedAccountLookup';
+import { TokenManager, TOKEN_STORAGE_KEY } from './TokenManager';
+import { buildKeycloakIssuer } from './OidcDiscovery';
+import { IdTokenValidationError } from './IdTokenValidator';
+import { KeycloakRealm, DEFAULT_REALM_ID } from './KeycloakRealm';
+import { readAuthorizationClaims } from './authorizationClaims';
+import { LoginTransactionStore } from './LoginTransactionStore';
+import { IdentityProviderRegistry } from './IdentityProviderRegistry';
+import { SessionMonitor } from './SessionMonitor';
+import { LogoutEventSource } from './LogoutEventSource';
+import { LoginErrorReporter } from './LoginErrorReporter';
+import { OAuthError, fromAuthorizationResponse, fromErrorResponse, fromNetworkFailure } from './OAuthError';
+import { createTokenStorage } from '../../storage/createTokenStorage';
+import { SessionChannel } from '../../sync/SessionChannel';
+import { createCorrelationId } from '../../utils/correlationId';
+
+// Storage adapter key for the logged-in user's profile
+export const USER_STORAGE_KEY = 'user';
+
+// Keys written by earlier versions straight to localStorage/sessionStorage
+const LEGACY_LOCAL_STORAGE_KEYS = ['access_token', 'refresh_token', 'token_expires_at', 'refresh_token_expires_at', 'user_info', 'auth_provider', 'identity_provider'];
+const LEGACY_SESSION_STORAGE_KEYS = ['keycloak_id_token', 'keycloak_code_verifier', 'keycloak_nonce'];
+
+// Rejected OIDC Front-Channel Logout request (missing parameters or another issuer)
+export class FrontChannelLogoutError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'FrontChannelLogoutError';
+        this.code = code;
+    }
+}
 
 export class KeycloakProvider {
-    constructor() {
-        this.baseUrl = process.env.REACT_APP_KEYCLOAK_URL || 'http://localhost:8080/auth';
-        this.realm = process.env.REACT_APP_KEYCLOAK_REALM || 'idp-redirector-demo';
-        this.clientId = process.env.REACT_APP_KEYCLOAK_CLIENT_ID || 'react-oidc-app';
+    // config is the validated application configuration (runtime config.json or the build-time variables)
+    constructor(
+        routingRules = getRoutingRules(),
+        storage = createTokenStorage(getAppConfig().values.tokenStorage),
+        sessionChannel = new SessionChannel(),
+        organizations = new OrganizationLookup(),
+        linkedAccounts = new LinkedAccountLookup(),
+        config = getAppConfig()
+    ) {
+        const settings = config.values;
+        this.config = config;
+        this.baseUrl = settings.keycloakUrl;
+        this.realm = settings.realm;
+        this.clientId = settings.clientId;
+        // Issuer whose discovery document provides every endpoint (any OIDC issuer can be configured)
+        this.issuer = settings.issuer || (this.baseUrl && this.realm ? buildKeycloakIssuer(this.baseUrl, this.realm) : null);
+        // Tolerated clock difference (seconds) when checking ID token exp/iat
+        this.clockSkew = settings.clockSkew;
+        // Realms logins can go to by id: the configured one (DEFAULT_REALM_ID) and the customer realms the
+        // routing configuration routes email domains to, each with its own client, endpoints and ID token checks
+        this.realms = new Map([
+            [DEFAULT_REALM_ID, new KeycloakRealm({ id: DEFAULT_REALM_ID, issuer: this.issuer, clientId: this.clientId, clockSkewSeconds: this.clockSkew })],
+            ...Object.entries(routingRules.realms || {}).map(([id, config]) => [id, KeycloakRealm.fromConfig(id, config, {
+                baseUrl: this.baseUrl,
+                clientId: this.clientId,
+                clockSkewSeconds: this.clockSkew
+            })])
+        ]);
+        this.routingRules = routingRules;
+        // Keycloak Organizations consulted before the routing rules (home realm discovery by email domain)
+        this.organizations = organizations;
+        // Identity providers already linked to the account of an email, consulted before any domain routing
+        this.linkedAccounts = linkedAccounts;
+        // Broker aliases logins may target (kc_idp_hint) with their display metadata, from the routing
+        // configuration's providers or the realm's published list
+        this.identityProviders = new IdentityProviderRegistry({
+            providers: routingRules.providers,
+            listUrl: settings.identityProvidersUrl
+        });
+        // Token claim carrying the brokered IDP alias (added by a user session note mapper)
+        this.identityProviderClaim = settings.identityProviderClaim;
+        // Guess the IDP from the email domain when no token carries the claim
+        this.identityProviderEmailFallback = settings.identityProviderEmailFallback;
+        // Refresh access tokens this many seconds before they expire
+        this.tokenMinValidity = settings.tokenMinValidity;
+        // Where tokens and the user profile are kept (memory, sessionStorage, localStorage or encrypted IndexedDB)
+        this.storage = storage;
+        // Profile of the logged-in user ({ user, identityProvider }), null when logged out
+        this.userSession = null;
+        // Keeps the other open tabs in step with logins, refreshes and logouts in this one
+        this.sessionChannel = sessionChannel;
+        this.tokenManager = new TokenManager({
+            storage: this.storage,
+            refreshTokens: (refreshToken) => this.refreshTokens(refreshToken),
+            onSessionExpired: () => this.handleSessionExpired(),
+            minValiditySeconds: this.tokenMinValidity,
+            runExclusive: (callback) => this.sessionChannel.runExclusive('token-refresh', callback),
+            refreshRecord: {
+                get: () => this.sessionChannel.readShared('token-refresh'),
+                set: (record) => this.sessionChannel.writeShared('token-refresh', record)
+            },
+            publishRefresh: (tokens) => this.sessionChannel.post('refresh', { tokens })
+        });
+        this.tokenManager.subscribe((tokens, event, source) => this.broadcastTokenChange(tokens, event, source));
+        this.sessionChannel.subscribe((message) => {
+            this.handleSessionMessage(message).catch((error) => {
+                logger.error('Could not apply session change from another tab:', error);
+            });
+        });
+        // Poll Keycloak's check_session_iframe every n seconds while logged in (0 disables)
+        this.sessionCheckInterval = settings.sessionCheckInterval;
+        this.sessionChangeListeners = new Set();
+        this.sessionMonitor = new SessionMonitor({
+            clientId: this.clientId,
+            getCheckSessionIframeUrl: () => this.getCheckSessionIframeUrl(),
+            onChange: () => this.handleSessionChanged(),
+            intervalSeconds: this.sessionCheckInterval
+        });
+        // Back-channel logouts pushed by the companion receiver (server/), when one is configured
+        this.logoutEvents = new LogoutEventSource({
+            serviceUrl: settings.backchannelLogoutUrl,
+            onLogout: () => this.handleBackchannelLogout()
+        });
+        this.tokenManager.subscribe((tokens) => this.updateSessionWatchers(tokens));
+        // Failed logins are reported with their correlation ID when an error report endpoint is configured
+        this.errorReporter = new LoginErrorReporter({ url: settings.errorReportUrl });
+        // Pending logins keyed by OAuth state (PKCE verifier, nonce, return-to URL, realm)
+        this.transactions = new LoginTransactionStore();
+        // Authorization responses handled on this page by state (login promise or authorization error):
+        // handling the same response again (StrictMode effects, a re-mounted callback) returns the same outcome
+        this.handledResponses = new Map();
+    }
+
+    // Realm by id, the configured realm for none (tokens and transactions stored before realms existed)
+    // Unknown ids come from a login or session of a realm that is no longer configured
+    getRealm(id = null) {
+        const realm = this.realms.get(id || DEFAULT_REALM_ID);
+        if (!realm) {
+            throw new OAuthError('misconfigured', `Realm "${id}" is not configured`, { realm: id });
+        }
+        return realm;
+    }
+
+    // Realm that issued the given or current tokens: refreshes, logouts and session checks go there
+    getSessionRealm(tokens = this.tokenManager.getTokens()) {
+        return this.getRealm(tokens?.realm);
+    }
+
+    // Realm an email's logins go to (routing rules with a realm), null for the configured realm
+    determineRealmFromEmail(email) {
+        return email ? this.routingRules.resolve(email).realm : null;
+    }
+
+    // Load a realm's OIDC discovery document (cached after the first call)
+    getDiscoveryDocument(realm = this.getRealm()) {
+        return realm.getDiscoveryDocument();
+    }
+
+    // fetch() against the issuer, connection failures become network_error
+    async fetchFromIssuer(url, options) {
+        try {
+            return await fetch(url, options);
+        } catch (error) {
+            throw fromNetworkFailure(error, url);
+        }
+    }
+
+    // Resolve a single endpoint of a realm, failing when its issuer does not publish it
+    getEndpoint(name, realm = this.getRealm()) {
+        return realm.getEndpoint(name);
+    }
+
+    // JWKS endpoint for ID token signature validation (null when not published)
+    getJwksUri(realm = this.getRealm()) {
+        return realm.getJwksUri();
+    }
+
+    // OIDC Session Management iframe of the session's realm (null when the issuer does not support it)
+    async getCheckSessionIframeUrl(realm = this.getSessionRealm()) {
+        return realm.getCheckSessionIframeUrl();
     }
 
-    // Build OIDC authorization URL with PKCE and optional IDP hint
-    async buildAuthUrl(redirectUri, scope = 'openid email profile', loginHint = null) {
-        const codeVerifier = generateCodeVerifier();
-        const codeChallenge = await generateCodeChallenge(codeVerifier);
+    // Build OIDC authorization URL with PKCE, state, nonce and optional IDP hint
+    // idpHint is the alias of the Keycloak identity provider to go straight to (kc_idp_hint)
+    // options.loginHint is the user's email, sent as OIDC login_hint: Keycloak prefills its login form and the
+    // brokers configured to pass it on preselect the account upstream; routing rules with domainHint add the
+    // provider's organizational domain hint (Google hd, Microsoft domain_hint)
+    // options.rememberAccount asks the callback to remember the account on this device
+    // options.realm is the realm id to log in to (a retry of a failed login, which may send no loginHint), else the
+    // login goes to the realm the loginHint's domain is routed to, the configured realm otherwise
+    async buildAuthUrl(redirectUri, scope = 'openid email profile', idpHint = null, returnTo = '/', { rememberAccount = false, loginHint = null, realm: realmId = null } = {}) {
+        const realm = this.getRealm(realmId || this.determineRealmFromEmail(loginHint));
+        const authorizationEndpoint = await realm.getEndpoint('authorization_endpoint');
+        // Unknown aliases are rejected before a transaction is started (unknown_identity_provider)
+        const identityProvider = idpHint ? await this.resolveLoginIdentityProvider(idpHint, loginHint) : null;
 
-        // Store code verifier for token exchange
-        sessionStorage.setItem('keycloak_code_verifier', codeVerifier);
+        // State, code verifier and nonce are stored per login transaction for the callback, with the realm
+        // whose client and token endpoint complete it
+        const transaction = this.transactions.create({ redirectUri, returnTo, idpHint, loginHint, rememberAccount, realm: realm.id });
+        const codeChallenge = await generateCodeChallenge(transaction.codeVerifier);
 
         const params = new URLSearchParams({
             response_type: 'code',
-            client_id: this.clientId,
+            client_id: realm.clientId,
             redirect_uri: redirectUri,
             scope: scope,
+            state: transaction.state,
+            nonce: transaction.nonce,
             code_challenge: codeChallenge,
             code_challenge_method: 'S256'
         });
 
+        if (loginHint) {
+            params.append('login_hint', loginHint);
+        }
+
         // Use Keycloak's kc_idp_hint parameter for automatic IDP redirection
-        if (loginHint && (loginHint === 'google' || loginHint === 'microsoft')) {
-            params.append('kc_idp_hint', loginHint);
-            logger.log('Using kc_idp_hint for automatic redirection:', loginHint);
+        if (identityProvider) {
+            params.append('kc_idp_hint', identityProvider.alias);
+            logger.log('Using kc_idp_hint for automatic redirection:', identityProvider.alias);
+
+            // Keycloak forwards it to the IDP (forwardParameters of the broker, see the setup script)
+            const domainHint = loginHint ? this.routingRules.getDomainHint(loginHint, idpHint) : null;
+            if (domainHint) {
+                params.append(domainHint.parameter, domainHint.value);
+                logger.log(`Using ${domainHint.parameter} for the organizational domain:`, domainHint.value);
+            }
         }
 
-        return `${this.baseUrl}/realms/${this.realm}/protocol/openid-connect/auth?${params.toString()}`;
+        return `${authorizationEndpoint}?${params.toString()}`;
+    }
+
+    // Metadata of the alias a login targets (see IdentityProviderRegistry.resolve)
+    // Aliases the organization and linked account lookups reported are only registered for the page load that looked
+    // them up: a login started after a reload (a remembered account, the retry on the callback page) looks the
+    // loginHint up again before the alias is rejected
+    async resolveLoginIdentityProvider(idpHint, loginHint) {
+        await this.identityProviders.load();
+        if (loginHint && !this.identityProviders.has(idpHint)) {
+            await this.determineIdpHintFromEmail(loginHint);
+        }
+        if (loginHint && !this.identityProviders.has(idpHint)) {
+            await this.findLinkedIdentityProviders(loginHint);
+        }
+        return this.identityProviders.resolve(idpHint);
     }
 
     // Handle login initiation with optional email-based IDP routing
-    async login(redirectUri, loginHint = null) {
-        if (!this.isConfigured()) {
-            throw new Error('Keycloak not configured');
+    // idpHint is the IDP alias to route to, returnTo the app URL to land on after login (defaults to the current page)
+    // options.loginHint: the email address the user signs in with (see buildAuthUrl)
+    // options.rememberAccount: remember the account on this device once the login completes
+    // options.realm: the realm id to log in to, for retries (see buildAuthUrl)
+    async login(redirectUri, idpHint = null, returnTo = window.location.pathname + window.location.search + window.location.hash, options = {}) {
+        try {
+            const status = this.isConfigured();
+            if (!status.configured) {
+                throw new OAuthError('misconfigured', `Keycloak is not configured: ${describeConfigurationStatus(status)}`, status);
+            }
+
+            const authUrl = await this.buildAuthUrl(redirectUri, 'openid email profile', idpHint, returnTo, options);
+            logger.log('Redirecting to Keycloak with IDP hint:', idpHint);
+            window.location.href = authUrl;
+        } catch (error) {
+            throw this.reportLoginError(error, {
+                idpHint,
+                loginHint: options.loginHint,
+                returnTo,
+                realm: options.realm || this.determineRealmFromEmail(options.loginHint)
+            });
         }
+    }
 
-        const authUrl = await this.buildAuthUrl(redirectUri, 'openid email profile', loginHint);
-        logger.log('Redirecting to Keycloak with IDP hint:', loginHint);
-        window.location.href = authUrl;
+    // Discard the pending login for a callback that carries no code (e.g. the user cancelled)
+    discardLoginTransaction(state) {
+        this.transactions.remove(state);
     }
 
-    // Determine login hint based on email domain
-    determineLoginHintFromEmail(email) {
-        const domain = email.split('@')[1]?.toLowerCase();
-        
-        const domainMappings = {
-            'gmail.com': 'google',
-            'outlook.com': 'microsoft',
-            'hotmail.com': 'microsoft',
-            'live.com': 'microsoft',
-            'msn.com': 'microsoft'
-        };
+    // The authorization response carries an error instead of a code (error, error_description, error_uri)
+    // Ends the pending login and returns the typed error, which can retry the login it was started as
+    handleAuthorizationError({ state, error, errorDescription = null, errorUri = null }) {
+        if (state && this.handledResponses.has(state)) {
+            return this.handledResponses.get(state);
+        }
 
-        const loginHint = domainMappings[domain];
-        
-        if (loginHint) {
-            logger.log(`Domain ${domain} mapped to IDP: ${loginHint}`);
+        const transaction = this.transactions.get(state);
+        this.discardLoginTransaction(state);
+        const authorizationError = this.reportLoginError(fromAuthorizationResponse({ error, errorDescription, errorUri }), transaction || {});
+        if (state) this.handledResponses.set(state, authorizationError);
+        return authorizationError;
+    }
+
+    // Give a login failure a correlation ID (OAuthErrors come with one), log it and report it to the error report
+    // endpoint, where support looks it up (error.reported is false without one: the ID is then only in this console)
+    // loginRequest is what the login was started with, so the error view can offer to retry it, in the same realm
+    reportLoginError(error, { idpHint = null, loginHint = null, returnTo = '/', realm = null } = {}) {
+        if (!error.correlationId) {
+            error.correlationId = createCorrelationId();
+        }
+        error.loginRequest = { idpHint, loginHint, returnTo, realm };
+        logger.error(`Login failed [${error.correlationId}]:`, {
+            name: error.name,
+            code: error.code,
+            message: error.message,
+            details: error.details
+        });
+        error.reported = this.errorReporter.report(error);
+        return error;
+    }
+
+    // Determine the IDP alias (kc_idp_hint) for a normalized email: the identity provider linked to the domain's
+    // Keycloak organization, else the email domain routing rules
+    // A domain whose organization has no identity provider for it gets no hint: the login_hint lets Keycloak's
+    // organization login pick among the organization's sign-in options
+    // Domains routed to a customer realm use the rule's IDP within that realm (none shows the realm's login page),
+    // organizations are only looked up in the configured realm
+    async determineIdpHintFromEmail(email) {
+        const route = this.routingRules.resolve(email);
+
+        if (route.realm) {
+            logger.log(`Domain ${route.domain} mapped to realm ${route.realm}, IDP: ${route.idp || 'none'} (rule ${route.rule.pattern})`);
+            if (!route.idp) return null;
+
+            // The configured realm's list of identity providers does not cover the customer realm's
+            this.identityProviders.register(route.idp, this.routingRules.providers[route.idp]);
+            return route.idp;
+        }
+
+        const organizationRoute = await this.organizations.find(route.domain);
+        if (organizationRoute) {
+            const { organization, identityProvider } = organizationRoute;
+            if (!identityProvider) {
+                logger.log(`Domain ${route.domain} belongs to organization ${organization.alias}, Keycloak will pick its sign-in option`);
+                return null;
+            }
+
+            this.identityProviders.register(identityProvider.alias, { displayName: identityProvider.displayName });
+            logger.log(`Domain ${route.domain} mapped to IDP: ${identityProvider.alias} (organization ${organization.alias})`);
+            return identityProvider.alias;
+        }
+
+        if (route.rule) {
+            logger.log(`Domain ${route.domain} mapped to IDP: ${route.idp} (rule ${route.rule.pattern})`);
+        } else if (route.idp) {
+            logger.log(`Domain ${route.domain} not mapped, using default route: ${route.idp}`);
         } else {
-            logger.log(`Domain ${domain} not mapped, will use standard Keycloak login`);
+            logger.log(`Domain ${route.domain} not mapped, will use standard Keycloak login`);
         }
 
-        return loginHint || null;
+        return route.idp || null;
+    }
+
+    // Identity providers already linked to the account of a normalized email, with display metadata; [] when
+    // none are (or no account exists, the lookup does not tell), the lookup is not configured or it fails
+    // Accounts are looked up in the configured realm, emails routed to a customer realm have none there
+    async findLinkedIdentityProviders(email) {
+        if (this.determineRealmFromEmail(email)) return [];
+
+        const linked = await this.linkedAccounts.find(email);
+        if (!linked) return [];
+
+        logger.log(`Account lookup found ${linked.length} linked identity provider(s)`);
+        return linked
+            .map(({ alias, displayName }) => this.identityProviders.register(alias, { displayName }))
+            .filter(Boolean)
+            .map(({ alias, displayName, logo }) => ({ alias, displayName, logo }));
+    }
+
+    // Normalize and validate an email address, with typo suggestions for the consumer provider domains (see emailAnalysis)
+    analyzeEmail(email) {
+        return analyzeEmail(email, { knownDomains: this.routingRules.getKnownDomains() });
     }
 
-    // Basic email validation
     isValidEmail(email) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(email);
+        return this.analyzeEmail(email).valid;
+    }
+
+    // Handle OIDC callback: check state, then exchange the code with PKCE verification
+    // sessionState is the session_state parameter of the authorization response (OIDC Session Management)
+    // Failures are typed (OAuthError, LoginTransactionError, IdTokenValidationError) and carry a correlation ID
+    // The code is exchanged once per state, repeated calls on this page share the first call's outcome
+    handleCallback(code, state, sessionState = null) {
+        if (state && this.handledResponses.has(state)) {
+            logger.log('Login response already handled, reusing its outcome');
+            return this.handledResponses.get(state);
+        }
+
+        const outcome = this.completeLogin(code, state, sessionState);
+        if (state) this.handledResponses.set(state, outcome);
+        return outcome;
     }
 
-    // Handle OIDC callback with PKCE verification
-    async handleCallback(code, redirectUri) {
+    async completeLogin(code, state, sessionState) {
         logger.log('Starting callback handling with code:', code?.substring(0, 10) + '...');
-        logger.log('Redirect URI:', redirectUri);
-        
-        const codeVerifier = sessionStorage.getItem('keycloak_code_verifier');
-        
-        if (!codeVerifier) {
-            logger.error('PKCE code verifier not found in sessionStorage');
-            throw new Error('PKCE code verifier not found. Please restart the authentication flow.');
+
+        let transaction = null;
+        try {
+            // Rejects missing, unknown (CSRF) and expired states; the transaction cannot be replayed
+            transaction = this.transactions.consume(state);
+            return await this.exchangeCode(code, transaction, sessionState);
+        } catch (error) {
+            throw this.reportLoginError(error, transaction || {});
         }
+    }
+
+    // Token exchange, ID token validation and userinfo for a consumed login transaction
+    // The realm the login was started in completes it (transactions without one belong to the configured realm)
+    async exchangeCode(code, { codeVerifier, nonce, redirectUri, returnTo, idpHint = null, rememberAccount = false, realm: realmId = null }, sessionState) {
+        const realm = this.getRealm(realmId);
         
-        logger.log('Found PKCE code verifier:', codeVerifier.substring(0, 10) + '...');
+        logger.log('Found login transaction, redirect URI:', redirectUri, 'realm:', realm.id);
 
         // Prepare token exchange parameters
         const tokenParams = {
             grant_type: 'authorization_code',
-            client_id: this.clientId,
+            client_id: realm.clientId,
             code: code,
             redirect_uri: redirectUri,
             code_verifier: codeVerifier
@@ -107,7 +428,7 @@ export class KeycloakProvider {
         });
 
         // Exchange code for tokens
-        const tokenResponse = await fetch(`${this.baseUrl}/realms/${this.realm}/protocol/openid-connect/token`, {
+        const tokenResponse = await this.fetchFromIssuer(await realm.getEndpoint('token_endpoint'), {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/x-www-form-urlencoded',
@@ -116,54 +437,324 @@ export class KeycloakProvider {
         });
 
         if (!tokenResponse.ok) {
-            const errorData = await tokenResponse.text();
-            logger.error('Token exchange failed:', {
-                status: tokenResponse.status,
-                statusText: tokenResponse.statusText,
-                error: errorData
-            });
-            throw new Error(`Token exchange failed: ${tokenResponse.status} - ${errorData}`);
+            throw await fromErrorResponse(tokenResponse, 'Token exchange failed');
         }
 
         const tokens = await tokenResponse.json();
         logger.log('Token exchange successful, received tokens');
-        
-        // Store id_token for logout if available
-        if (tokens.id_token) {
-            sessionStorage.setItem('keycloak_id_token', tokens.id_token);
-            logger.log('Stored id_token for logout');
-        }
+
+        // Validate the ID token before trusting anything from this login
+        const idTokenClaims = await realm.idTokenValidator.validate(tokens.id_token, { nonce });
 
         // Get user info
         logger.log('Fetching user info with access token');
-        const userResponse = await fetch(`${this.baseUrl}/realms/${this.realm}/protocol/openid-connect/userinfo`, {
+        const userResponse = await this.fetchFromIssuer(await realm.getEndpoint('userinfo_endpoint'), {
             headers: {
                 'Authorization': `Bearer ${tokens.access_token}`
             }
         });
 
         if (!userResponse.ok) {
-            const errorData = await userResponse.text();
-            logger.error('User info fetch failed:', {
-                status: userResponse.status,
-                statusText: userResponse.statusText,
-                error: errorData
-            });
-            throw new Error(`Failed to get user info: ${userResponse.status} - ${errorData}`);
+            throw await fromErrorResponse(userResponse, 'Failed to get user info');
         }
 
         const user = await userResponse.json();
         logger.log('User info retrieved successfully:', user);
 
-        // Clean up
-        sessionStorage.removeItem('keycloak_code_verifier');
+        // UserInfo must describe the same subject as the validated ID token
+        if (user.sub !== idTokenClaims.sub) {
+            throw new IdTokenValidationError('subject_mismatch', 'User info subject does not match the ID token subject');
+        }
+
+        // Only a login that got this far becomes a session: track expiry and schedule refresh (also stores id_token
+        // for logout, session_state for the session check and the realm that refreshes and ends the session)
+        this.tokenManager.setTokens({ session_state: sessionState, ...tokens, realm: realm.id }, 'login');
+
+        const identityProvider = this.resolveIdentityProvider(tokens, user);
+        logger.log('Identity provider used for login:', identityProvider);
+
+        const normalizedUser = this.normalizeUser(user);
+        await this.saveUserSession(normalizedUser, identityProvider);
+
+        // Other tabs pick up the new session (tokens are only sent over BroadcastChannel)
+        this.sessionChannel.post('login', {
+            tokens: this.tokenManager.getTokens(),
+            userSession: this.userSession
+        });
 
         return {
             tokens,
-            user: this.normalizeUser(user)
+            user: normalizedUser,
+            identityProvider,
+            returnTo,
+            realm: realm.id,
+            // What the login was started with, for remembering the account on this device
+            loginRequest: { idpHint, rememberAccount }
         };
     }
 
+    // Determine the identity provider actually used for the login
+    // Prefers the brokered IDP claim from the ID/access token, the email domain is only a fallback
+    resolveIdentityProvider(tokens, user) {
+        for (const token of [tokens.id_token, tokens.access_token]) {
+            const alias = getTokenClaims(token)[this.identityProviderClaim];
+            if (alias) {
+                return this.describeIdentityProvider(alias, 'token');
+            }
+        }
+
+        if (this.identityProviderEmailFallback && user?.email) {
+            const { idp } = this.routingRules.resolve(user.email);
+            if (idp) {
+                return this.describeIdentityProvider(idp, 'email');
+            }
+        }
+
+        // No brokered IDP: direct Keycloak login (or unknown when the claim mapper is missing)
+        return { alias: null, displayName: null, logo: null, source: null };
+    }
+
+    // Display form of the identity provider of a session: { alias, displayName, logo, source }
+    describeIdentityProvider(alias, source) {
+        return {
+            alias,
+            displayName: this.identityProviders.getDisplayName(alias),
+            logo: this.identityProviders.get(alias)?.logo || null,
+            source
+        };
+    }
+
+    // Persist the logged-in user's profile next to the tokens
+    async saveUserSession(user, identityProvider) {
+        this.userSession = { user, identityProvider: identityProvider?.alias ? identityProvider : null };
+        await this.storage.set(USER_STORAGE_KEY, {
+            user,
+            identityProvider: this.userSession.identityProvider?.alias || null
+        });
+    }
+
+    // Read the stored user profile, returns null (and clears the session) when missing or unreadable
+    async loadUserSession() {
+        let stored = null;
+        try {
+            stored = await this.storage.get(USER_STORAGE_KEY);
+        } catch (error) {
+            logger.error('Error reading stored user info:', error);
+        }
+
+        if (!stored?.user) {
+            if (stored) this.clearLocalStorage();
+            return null;
+        }
+
+        const alias = stored.identityProvider;
+        this.userSession = {
+            user: stored.user,
+            identityProvider: alias ? this.describeIdentityProvider(alias, 'storage') : null
+        };
+        return this.userSession;
+    }
+
+    // Exchange a refresh token for new tokens at the realm that issued it
+    async refreshTokens(refreshToken, realm = this.getSessionRealm()) {
+        const tokenResponse = await this.fetchFromIssuer(await realm.getEndpoint('token_endpoint'), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+            },
+            body: new URLSearchParams({
+                grant_type: 'refresh_token',
+                client_id: realm.clientId,
+                refresh_token: refreshToken
+            })
+        });
+
+        if (!tokenResponse.ok) {
+            throw await fromErrorResponse(tokenResponse, 'Token refresh failed');
+        }
+
+        return tokenResponse.json();
+    }
+
+    // Restore tokens from a previous page load, returns true when a session exists
+    async restoreSession() {
+        this.removeLegacyStorage();
+        const tokens = await this.tokenManager.load();
+        if (tokens && !this.realms.has(tokens.realm || DEFAULT_REALM_ID)) {
+            logger.warn(`Stored session belongs to realm ${tokens.realm}, which is no longer configured; ending it`);
+            this.clearLocalStorage();
+            return false;
+        }
+        this.updateSessionWatchers(tokens);
+        return !!tokens;
+    }
+
+    // Watch the SSO session of the current tokens (session check iframe, back-channel logout events)
+    // and stop when logged out
+    updateSessionWatchers(tokens) {
+        if (!tokens) {
+            this.sessionMonitor.stop();
+            this.logoutEvents.stop();
+            return;
+        }
+        if (tokens.sessionState) {
+            this.sessionMonitor.start(tokens.sessionState, this.getSessionRealm(tokens).clientId);
+        }
+        this.logoutEvents.start(tokens.idToken, this.getSessionId(tokens));
+    }
+
+    // Keycloak ended the session through back-channel logout
+    // Not broadcast to the other tabs: each one has its own subscription for its own session
+    handleBackchannelLogout() {
+        logger.warn('Session ended by Keycloak (back-channel logout), clearing local session');
+        this.tokenManager.clear('logout', 'backchannel');
+        this.clearLocalStorage();
+    }
+
+    // Subscribe to sessionChanged events (the SSO session ended or changed); returns an unsubscribe function
+    onSessionChanged(listener) {
+        this.sessionChangeListeners.add(listener);
+        return () => this.sessionChangeListeners.delete(listener);
+    }
+
+    handleSessionChanged() {
+        logger.log('sessionChanged: the Keycloak SSO session is no longer the one this app logged in with');
+        this.sessionChangeListeners.forEach((listener) => {
+            try {
+                listener({ type: 'sessionChanged' });
+            } catch (error) {
+                logger.error('sessionChanged listener failed:', error);
+            }
+        });
+    }
+
+    // Silently ask Keycloak whether the session is still active: a refresh only succeeds while it is
+    // When Keycloak rejects the refresh token the local session ends (tokens cleared, 'expired' event); when it
+    // cannot be reached the session is kept and checked again later. Returns true when still logged in
+    async recheckSession() {
+        if (!this.tokenManager.getTokens()) return false;
+        await this.tokenManager.refresh();
+        return !!this.tokenManager.getTokens();
+    }
+
+    // Remove tokens and profile data left in web storage by earlier versions
+    removeLegacyStorage() {
+        LEGACY_LOCAL_STORAGE_KEYS.forEach((key) => localStorage.removeItem(key));
+        LEGACY_SESSION_STORAGE_KEYS.forEach((key) => sessionStorage.removeItem(key));
+    }
+
+    // Get a valid access token, refreshing it if needed (null when the session has ended)
+    getAccessToken() {
+        return this.tokenManager.getAccessToken();
+    }
+
+    // Subscribe to token changes (login, refresh, expired, logout); returns an unsubscribe function
+    onTokenChange(listener) {
+        return this.tokenManager.subscribe(listener);
+    }
+
+    // Stop scheduled token refreshes and session checks, e.g. when the owning component unmounts
+    stopAutoRefresh() {
+        this.tokenManager.stopAutoRefresh();
+        this.sessionMonitor.stop();
+        this.logoutEvents.stop();
+    }
+
+    // Done with this provider (one created for a single request): stop its timers and leave the tab channel,
+    // so it neither keeps running nor answers the other tabs' messages
+    close() {
+        this.stopAutoRefresh();
+        this.sessionChannel.close();
+    }
+
+    // Tell the other tabs about logouts made in this tab (logins are posted by handleCallback, refreshes by
+    // the token manager while it holds the refresh lock, after the write that tabs reading shared storage need)
+    broadcastTokenChange(tokens, event, source) {
+        if (source === 'local' && !tokens) {
+            this.sessionChannel.post(event);
+        }
+    }
+
+    // Apply a session change made in another tab
+    async handleSessionMessage({ type, tokens = null, userSession = null, sid = null }) {
+        logger.log('Session change in another tab:', type);
+
+        // Front-channel logouts name the Keycloak session they end, other sessions are kept
+        if (type === 'logout' && sid && sid !== this.getSessionId()) return;
+
+        if (type === 'logout' || type === 'expired') {
+            this.tokenManager.clear(type, 'remote');
+            this.clearLocalStorage();
+            return;
+        }
+        if (type !== 'login' && type !== 'refresh') return;
+
+        // Storage event messages carry no tokens: read them from the storage shared with the other tab
+        const latestTokens = tokens || await this.tokenManager.readStoredTokens();
+        if (!latestTokens) {
+            logger.log('Tokens of the other tab are not shared with this one (in-memory or per-tab storage)');
+            return;
+        }
+
+        if (type === 'login') {
+            if (userSession?.user) {
+                await this.saveUserSession(userSession.user, userSession.identityProvider);
+            } else if (!(await this.loadUserSession())) {
+                return;
+            }
+        }
+
+        this.tokenManager.applyRemoteTokens(latestTokens, type);
+    }
+
+    // Roles, groups and scopes of the given or current access token (null without one)
+    // Client roles count as the app's when they belong to the client of the realm that issued the token
+    getAuthorizationClaims(tokens = this.tokenManager.getTokens()) {
+        if (!tokens?.accessToken) return null;
+        return readAuthorizationClaims(tokens.accessToken, this.getSessionRealm(tokens).clientId);
+    }
+
+    // Keycloak session ID (sid claim of the ID token) of the given or current tokens
+    getSessionId(tokens = this.tokenManager.getTokens()) {
+        return tokens?.idToken ? getTokenClaims(tokens.idToken).sid || null : null;
+    }
+
+    // OIDC Front-Channel Logout: Keycloak loads /logout?iss=...&sid=... in a hidden iframe
+    // Runs in that iframe's own page, so it ends the session through the shared storage and the other tabs
+    // Returns true when the session stored in this browser was the one logged out
+    // Any configured realm may send it, the stored session only ends when that realm issued it
+    async handleFrontChannelLogout({ iss, sid }) {
+        if (!iss || !sid) {
+            throw new FrontChannelLogoutError('missing_parameters', 'Front-channel logout requires the iss and sid parameters');
+        }
+        const realm = [...this.realms.values()].find((candidate) => candidate.issuer === iss);
+        if (!realm) {
+            throw new FrontChannelLogoutError('invalid_issuer', `Front-channel logout issuer ${iss} is not a configured realm`);
+        }
+
+        // Open tabs compare the sid with their own session (covers tokens kept in memory)
+        this.sessionChannel.post('logout', { sid });
+
+        const storedTokens = await this.tokenManager.readStoredTokens();
+        if (!storedTokens || (storedTokens.realm || DEFAULT_REALM_ID) !== realm.id || this.getSessionId(storedTokens) !== sid) {
+            logger.log('Front-channel logout does not match the stored session');
+            return false;
+        }
+
+        logger.log('Front-channel logout: removing the stored session');
+        await Promise.all([
+            this.storage.remove(TOKEN_STORAGE_KEY),
+            this.storage.remove(USER_STORAGE_KEY)
+        ]);
+        return true;
+    }
+
+    // Refresh failed or the refresh token expired: end the local session cleanly
+    handleSessionExpired() {
+        logger.warn('Session expired, clearing local session');
+        this.clearLocalStorage();
+    }
+
     // Normalize user data to common format
     normalizeUser(user) {
         return {
@@ -175,15 +766,16 @@ export class KeycloakProvider {
         };
     }
 
-    // Handle logout with proper backchannel session termination
+    // Handle logout with proper backchannel session termination, at the realm that issued the session
     async logout() {
         logger.log('Starting backchannel logout process');
         
         try {
             // Get stored tokens and user info for logout BEFORE clearing storage
-            const idToken = sessionStorage.getItem('keycloak_id_token');
-            const userInfo = JSON.parse(localStorage.getItem('user_info') || '{}');
-            const identityProvider = localStorage.getItem('identity_provider');
+            const idToken = this.tokenManager.getTokens()?.idToken;
+            const realm = this.getSessionRealm();
+            const userInfo = this.userSession?.user || {};
+            const identityProvider = this.userSession?.identityProvider?.alias || null;
             
             logger.log('Logout details:', {
                 hasIdToken: !!idToken,
@@ -198,11 +790,12 @@ export class KeycloakProvider {
                 
                 // Build logout URL for backchannel logout with redirect back to home
                 const logoutParams = new URLSearchParams();
-                logoutParams.append('client_id', this.clientId);
+                logoutParams.append('client_id', realm.clientId);
                 logoutParams.append('id_token_hint', idToken);
                 logoutParams.append('post_logout_redirect_uri', `${window.location.origin}/`);
                 
-                const logoutUrl = `${this.baseUrl}/realms/${this.realm}/protocol/openid-connect/logout?${logoutParams.toString()}`;
+                const endSessionEndpoint = await realm.getEndpoint('end_session_endpoint');
+                const logoutUrl = `${endSessionEndpoint}?${logoutParams.toString()}`;
                 
                 logger.log('Redirecting to Keycloak logout (with backchannel):', logoutUrl);
                 
@@ -233,24 +826,16 @@ export class KeycloakProvider {
         }
     }
 
-    // Perform IDP-specific logout for additional session termination
+    // Perform IDP-specific logout for additional session termination (logoutUrl of the provider's metadata)
     performIdpSpecificLogout(identityProvider, idToken) {
         if (!identityProvider || !idToken) return;
         
         try {
-            let idpLogoutUrl = null;
-            
-            if (identityProvider === 'Google') {
-                // Google logout URL
-                idpLogoutUrl = 'https://accounts.google.com/logout';
-                logger.log('Creating hidden iframe for additional Google logout');
-            } else if (identityProvider === 'Microsoft') {
-                // Microsoft logout URL
-                idpLogoutUrl = 'https://login.microsoftonline.com/common/oauth2/v2.0/logout';
-                logger.log('Creating hidden iframe for additional Microsoft logout');
-            }
+            const idpLogoutUrl = this.identityProviders.get(identityProvider)?.logoutUrl || null;
             
             if (idpLogoutUrl) {
+                logger.log(`Creating hidden iframe for additional ${identityProvider} logout`);
+
                 // Create a hidden iframe to trigger IDP logout
                 const iframe = document.createElement('iframe');
                 iframe.style.display = 'none';
@@ -268,22 +853,19 @@ export class KeycloakProvider {
         }
     }
 
-    // Clear local storage
+    // Clear the stored session (tokens and user profile) from the configured storage
     clearLocalStorage() {
-        localStorage.removeItem('access_token');
-        localStorage.removeItem('user_info');
-        localStorage.removeItem('auth_provider');
-        sessionStorage.removeItem('keycloak_code_verifier');
-        sessionStorage.removeItem('keycloak_id_token');
-        
-        // Clear callback processing flag for fresh login
-        if (window.callbackProcessed) {
-            delete window.callbackProcessed;
-        }
+        this.tokenManager.clear();
+        this.userSession = null;
+        this.storage.remove(USER_STORAGE_KEY).catch((error) => {
+            logger.error('Could not remove stored user info:', error);
+        });
+        this.removeLegacyStorage();
+        this.transactions.pruneExpired();
     }
 
-    // Check if credentials are configured
+    // Which settings are missing or malformed: { configured, missing: [key], malformed: [{ key, source, message }] }
     isConfigured() {
-        return !!(this.baseUrl && this.realm && this.clientId);
+        return getConfigurationStatus(this.config);
     }
 }
\ No newline at end of file
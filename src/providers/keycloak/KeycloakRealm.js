@@ -0,0 +1,66 @@
+// One Keycloak realm (or any OIDC issuer) logins can go to: its client, endpoints and ID token validation
+// Customers with a realm of their own each get one, so their logins, tokens and logouts never mix
+import { buildKeycloakIssuer, loadDiscoveryDocument } from './OidcDiscovery';
+import { IdTokenValidator } from './IdTokenValidator';
+import { fromDiscoveryError } from './OAuthError';
+
+// Realm of logins not routed to another one (REACT_APP_KEYCLOAK_REALM), and of sessions stored before realms existed
+export const DEFAULT_REALM_ID = 'default';
+
+export class KeycloakRealm {
+    constructor({ id, issuer, clientId, clockSkewSeconds = 30 }) {
+        this.id = id;
+        this.issuer = issuer;
+        this.clientId = clientId;
+        this.idTokenValidator = new IdTokenValidator({
+            issuer,
+            clientId,
+            getJwksUri: () => this.getJwksUri(),
+            clockSkewSeconds
+        });
+    }
+
+    // Realm of the routing configuration: { issuer } or { url, realm }, with the client the app uses there
+    static fromConfig(id, { issuer, url, realm, clientId }, defaults) {
+        const baseUrl = url || defaults.baseUrl;
+        return new KeycloakRealm({
+            id,
+            issuer: issuer || (baseUrl ? buildKeycloakIssuer(baseUrl, realm || id) : null),
+            clientId: clientId || defaults.clientId,
+            clockSkewSeconds: defaults.clockSkewSeconds
+        });
+    }
+
+    // Load the issuer's OIDC discovery document (cached after the first call)
+    async getDiscoveryDocument() {
+        try {
+            return await loadDiscoveryDocument(this.issuer);
+        } catch (error) {
+            throw fromDiscoveryError(error);
+        }
+    }
+
+    // Resolve a single endpoint from the discovery document, failing when the issuer does not publish it
+    async getEndpoint(name) {
+        const discovery = await this.getDiscoveryDocument();
+
+        if (!discovery[name]) {
+            throw new Error(`OIDC issuer ${this.issuer} does not publish ${name}`);
+        }
+        return discovery[name];
+    }
+
+    // JWKS endpoint for ID token signature validation (null when not published)
+    async getJwksUri() {
+        const discovery = await this.getDiscoveryDocument();
+        return discovery.jwks_uri || null;
+    }
+
+    // OIDC Session Management iframe (null when the issuer does not support it)
+    async getCheckSessionIframeUrl() {
+        const discovery = await this.getDiscoveryDocument();
+        return discovery.check_session_iframe || null;
+    }
+}
+
+export default KeycloakRealm;
@@ -0,0 +1,46 @@
+// Sends failed logins with their correlation ID to the error report endpoint (errorReportUrl, e.g. the receiver in
+// server/), so the reference a user gives support matches a record on the server and not just their browser console
+// Only what describes the failure is sent: no tokens, codes, state or the email address
+import logger from '../../utils/logger';
+
+export class LoginErrorReporter {
+    constructor({ url }) {
+        this.url = url || null;
+    }
+
+    // Report the error (fire and forget); returns whether a report was sent, i.e. whether support can look it up
+    report(error) {
+        if (!this.url || !error.correlationId) return false;
+
+        const report = {
+            correlationId: error.correlationId,
+            name: error.name,
+            code: error.code || null,
+            message: error.message,
+            error: error.details?.error || null,
+            errorDescription: error.details?.errorDescription || null,
+            status: error.details?.status || null,
+            idpHint: error.loginRequest?.idpHint || null,
+            occurredAt: new Date().toISOString()
+        };
+
+        // keepalive: the report still goes out when the error page is left right away
+        Promise.resolve()
+            .then(() => fetch(this.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(report),
+                credentials: 'omit',
+                keepalive: true
+            }))
+            .then((response) => {
+                if (!response?.ok) throw new Error(`HTTP ${response?.status}`);
+            })
+            .catch((reportError) => {
+                logger.warn(`Could not report login error [${error.correlationId}]:`, reportError.message);
+            });
+        return true;
+    }
+}
+
+export default LoginErrorReporter;
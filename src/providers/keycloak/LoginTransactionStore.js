@@ -0,0 +1,161 @@
+// Login transactions: per-request state, PKCE verifier, nonce and return-to URL keyed by the OAuth state
+import logger from '../../utils/logger';
+import { generateCodeVerifier, generateRandomString } from '../../utils/pkce';
+
+// Storage key prefix, one entry per pending login so concurrent logins in several tabs don't collide
+export const TRANSACTION_KEY_PREFIX = 'keycloak_login_tx.';
+
+// Storage key prefix of states whose transaction was used, so a replayed response (refresh, back button
+// to the IdP) is told apart from one this browser never issued
+export const USED_STATE_KEY_PREFIX = 'keycloak_login_used.';
+
+// Pending logins older than this are discarded
+const DEFAULT_MAX_AGE_SECONDS = 10 * 60;
+
+export class LoginTransactionError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'LoginTransactionError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Reduce a return-to URL to a same-origin path, anything else falls back to the app root
+export const sanitizeReturnTo = (returnTo, callbackPath = '/callback') => {
+    if (!returnTo) return '/';
+
+    try {
+        const url = new URL(returnTo, window.location.origin);
+        if (url.origin !== window.location.origin || url.pathname === callbackPath) {
+            return '/';
+        }
+        return `${url.pathname}${url.search}${url.hash}`;
+    } catch (error) {
+        return '/';
+    }
+};
+
+export class LoginTransactionStore {
+    // sessionStorage by default: the verifier and nonce only matter to the tab that started the login, which is
+    // the tab the redirect comes back to, so they are neither kept on disk nor readable from the site's other tabs
+    // Pass localStorage only for a flow that completes the login in another tab (e.g. a callback opened in a popup)
+    constructor({ storage = sessionStorage, maxAgeSeconds = DEFAULT_MAX_AGE_SECONDS } = {}) {
+        this.storage = storage;
+        this.maxAge = maxAgeSeconds * 1000;
+    }
+
+    // Start a login: generate state, PKCE verifier and nonce and persist them under the state
+    // realm is the id of the realm the login goes to (null for the configured realm)
+    create({ redirectUri, returnTo, idpHint = null, loginHint = null, rememberAccount = false, realm = null }) {
+        this.pruneExpired();
+
+        const transaction = {
+            state: generateRandomString(32),
+            codeVerifier: generateCodeVerifier(),
+            nonce: generateRandomString(32),
+            redirectUri,
+            returnTo: sanitizeReturnTo(returnTo),
+            idpHint,
+            loginHint,
+            rememberAccount,
+            realm,
+            createdAt: Date.now()
+        };
+
+        this.storage.setItem(TRANSACTION_KEY_PREFIX + transaction.state, JSON.stringify(transaction));
+        logger.log('Login transaction created, return to:', transaction.returnTo);
+        return transaction;
+    }
+
+    // Read a transaction without removing it (null when unknown or unreadable)
+    get(state) {
+        if (!state) return null;
+
+        try {
+            return JSON.parse(this.storage.getItem(TRANSACTION_KEY_PREFIX + state)) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Take the transaction for a callback; each state can be used only once
+    consume(state) {
+        if (!state) {
+            throw new LoginTransactionError('missing_state', 'The login response did not include a state parameter. Please restart the login.');
+        }
+
+        const transaction = this.get(state);
+        this.remove(state);
+
+        // The stored state is the CSRF check: an unknown state was not issued by this browser
+        if (!transaction || transaction.state !== state) {
+            const used = this.getUsed(state);
+            if (used) {
+                throw new LoginTransactionError('state_already_used', 'This login response was already used. Please log in again.', {
+                    returnTo: used.returnTo
+                });
+            }
+            throw new LoginTransactionError('invalid_state', 'The login response does not match a login started in this browser. Please restart the login.');
+        }
+
+        if (Date.now() - transaction.createdAt > this.maxAge) {
+            throw new LoginTransactionError('transaction_expired', 'The login took too long to complete. Please try again.');
+        }
+
+        this.storage.setItem(USED_STATE_KEY_PREFIX + state, JSON.stringify({ returnTo: transaction.returnTo, usedAt: Date.now() }));
+        return transaction;
+    }
+
+    // Record of a consumed state ({ returnTo, usedAt }), null when the state was never used
+    getUsed(state) {
+        try {
+            return JSON.parse(this.storage.getItem(USED_STATE_KEY_PREFIX + state)) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    remove(state) {
+        if (state) {
+            this.storage.removeItem(TRANSACTION_KEY_PREFIX + state);
+        }
+    }
+
+    // State keys of all stored transactions (or used states with USED_STATE_KEY_PREFIX)
+    keys(prefix = TRANSACTION_KEY_PREFIX) {
+        const keys = [];
+        for (let i = 0; i < (this.storage.length || 0); i++) {
+            const key = this.storage.key(i);
+            if (key && key.startsWith(prefix)) {
+                keys.push(key.slice(prefix.length));
+            }
+        }
+        return keys;
+    }
+
+    // Drop abandoned logins (e.g. the user closed the IdP page) and used states past the same age,
+    // by then Keycloak no longer accepts their code anyway
+    pruneExpired() {
+        const now = Date.now();
+        this.keys().forEach((state) => {
+            const transaction = this.get(state);
+            if (!transaction || now - transaction.createdAt > this.maxAge) {
+                this.remove(state);
+            }
+        });
+        this.keys(USED_STATE_KEY_PREFIX).forEach((state) => {
+            const used = this.getUsed(state);
+            if (!used || now - used.usedAt > this.maxAge) {
+                this.storage.removeItem(USED_STATE_KEY_PREFIX + state);
+            }
+        });
+    }
+
+    clear() {
+        this.keys().forEach((state) => this.remove(state));
+        this.keys(USED_STATE_KEY_PREFIX).forEach((state) => this.storage.removeItem(USED_STATE_KEY_PREFIX + state));
+    }
+}
+
+export default LoginTransactionStore;
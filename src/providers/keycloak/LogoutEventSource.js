@@ -0,0 +1,59 @@
+// Subscribes to the back-channel logout receiver (server/) and reports logouts pushed over Server-Sent Events
+import logger from '../../utils/logger';
+
+export class LogoutEventSource {
+    constructor({ serviceUrl, onLogout, EventSourceImpl = window.EventSource }) {
+        this.serviceUrl = serviceUrl ? serviceUrl.replace(/\/+$/, '') : null;
+        this.onLogout = onLogout;
+        this.EventSourceImpl = EventSourceImpl;
+        this.sessionId = null;
+        this.eventSource = null;
+    }
+
+    // Listen for the logout of the Keycloak session the ID token belongs to (no-op when already listening)
+    async start(idToken, sessionId) {
+        if (!this.serviceUrl || !this.EventSourceImpl || !idToken || !sessionId) return;
+        if (sessionId === this.sessionId) return;
+
+        this.stop();
+        this.sessionId = sessionId;
+
+        let subscriptionId;
+        try {
+            // The receiver checks the ID token before it tells us anything about this session
+            const response = await fetch(`${this.serviceUrl}/sessions`, {
+                method: 'POST',
+                headers: { Authorization: `Bearer ${idToken}` }
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            ({ subscriptionId } = await response.json());
+        } catch (error) {
+            logger.warn('Could not subscribe to back-channel logout events:', error.message);
+            if (this.sessionId === sessionId) this.sessionId = null;
+            return;
+        }
+
+        // Stopped or restarted while registering
+        if (this.sessionId !== sessionId || this.eventSource) return;
+
+        this.eventSource = new this.EventSourceImpl(`${this.serviceUrl}/events?subscription=${encodeURIComponent(subscriptionId)}`);
+        this.eventSource.addEventListener('logout', () => {
+            logger.log('Back-channel logout received for the current session');
+            this.stop();
+            this.onLogout();
+        });
+        logger.log('Listening for back-channel logout events');
+    }
+
+    stop() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+        this.sessionId = null;
+    }
+}
+
+export default LogoutEventSource;
@@ -0,0 +1,103 @@
+// Typed login errors: what went wrong (code), the OAuth error details and a correlation ID for support
+//
+//   login_cancelled        the user cancelled at Keycloak or the identity provider (access_denied)
+//   idp_unavailable        Keycloak or the identity provider is down or failing (5xx, temporarily_unavailable)
+//   invalid_grant          the code expired, was already used or does not match (token endpoint invalid_grant)
+//   network_error          the issuer could not be reached at all
+//   misconfigured          client, redirect URI, scopes or issuer settings are wrong; retrying will not help
+//   unknown_identity_provider  the login targets an identity provider alias the realm does not have
+//   authorization_failed   any other error of the authorization response
+//   token_request_failed   any other error response of the token or userinfo endpoint
+import { createCorrelationId } from '../../utils/correlationId';
+import { OidcDiscoveryError } from './OidcDiscovery';
+
+export class OAuthError extends Error {
+    // details: error, errorDescription and errorUri of the OAuth error response, status, cause
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'OAuthError';
+        this.code = code;
+        this.details = details;
+        this.correlationId = createCorrelationId();
+    }
+}
+
+// Authorization response errors (RFC 6749 section 4.1.2.1) by the type of failure they mean for the user
+const AUTHORIZATION_ERROR_CODES = {
+    access_denied: 'login_cancelled',
+    temporarily_unavailable: 'idp_unavailable',
+    server_error: 'idp_unavailable',
+    invalid_request: 'misconfigured',
+    unauthorized_client: 'misconfigured',
+    unsupported_response_type: 'misconfigured',
+    invalid_scope: 'misconfigured'
+};
+
+// Token endpoint errors (RFC 6749 section 5.2) that are configuration problems
+const MISCONFIGURATION_TOKEN_ERRORS = ['invalid_client', 'unauthorized_client', 'unsupported_grant_type', 'invalid_scope'];
+
+// Error returned to the redirect URI instead of a code (error, error_description and error_uri parameters)
+export const fromAuthorizationResponse = ({ error, errorDescription = null, errorUri = null }) => new OAuthError(
+    AUTHORIZATION_ERROR_CODES[error] || 'authorization_failed',
+    errorDescription ? `${error}: ${errorDescription}` : error,
+    { error, errorDescription, errorUri }
+);
+
+// Error response of the token or userinfo endpoint; action names the request, e.g. "Token exchange failed"
+export const fromErrorResponse = async (response, action) => {
+    let body = '';
+    try {
+        body = await response.text();
+    } catch (readError) {
+        // No body to explain the status
+    }
+
+    let error = null;
+    let errorDescription = null;
+    let errorUri = null;
+    try {
+        ({ error = null, error_description: errorDescription = null, error_uri: errorUri = null } = JSON.parse(body));
+    } catch (parseError) {
+        errorDescription = body || null;
+    }
+
+    let code = 'token_request_failed';
+    if (response.status >= 500) {
+        code = 'idp_unavailable';
+    } else if (error === 'invalid_grant') {
+        code = 'invalid_grant';
+    } else if (MISCONFIGURATION_TOKEN_ERRORS.includes(error)) {
+        code = 'misconfigured';
+    }
+
+    const reason = [error, errorDescription].filter(Boolean).join(': ');
+    return new OAuthError(code, `${action}: ${response.status}${reason ? ` - ${reason}` : ''}`, {
+        error,
+        errorDescription,
+        errorUri,
+        status: response.status
+    });
+};
+
+// fetch() rejected: offline, DNS, CORS or the server refused the connection
+export const fromNetworkFailure = (error, url) => new OAuthError(
+    'network_error',
+    `Could not reach ${url}: ${error.message}`,
+    { cause: error }
+);
+
+// OidcDiscoveryError: unreachable issuer, server failure, or a wrong issuer setting
+export const fromDiscoveryError = (error) => {
+    if (!(error instanceof OidcDiscoveryError)) return error;
+
+    const { cause, status } = error.details || {};
+    let code = 'misconfigured';
+    if (cause) {
+        code = 'network_error';
+    } else if (status >= 500) {
+        code = 'idp_unavailable';
+    }
+    return new OAuthError(code, error.message, { ...error.details, cause: error });
+};
+
+export default OAuthError;
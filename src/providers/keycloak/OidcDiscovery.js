@@ -0,0 +1,108 @@
+// OIDC discovery: loads and caches /.well-known/openid-configuration per issuer
+import logger from '../../utils/logger';
+
+export class OidcDiscoveryError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'OidcDiscoveryError';
+        this.details = details;
+    }
+}
+
+// Endpoints every issuer must publish for the authorization code flow
+const REQUIRED_ENDPOINTS = ['authorization_endpoint', 'token_endpoint'];
+
+// Cached discovery documents (as promises, so concurrent callers share one request)
+const discoveryCache = new Map();
+
+const trimTrailingSlash = (url) => url.replace(/\/+$/, '');
+
+// Keycloak realm issuer URL, e.g. http://localhost:8080/realms/demo
+export const buildKeycloakIssuer = (baseUrl, realm) => `${trimTrailingSlash(baseUrl)}/realms/${realm}`;
+
+export const getDiscoveryUrl = (issuer) => `${trimTrailingSlash(issuer)}/.well-known/openid-configuration`;
+
+// Hint for the most common misconfiguration: the legacy /auth prefix of Keycloak < 17
+const describePathMismatch = (issuer) => (
+    /\/auth\/realms\//.test(issuer)
+        ? 'Keycloak 17+ no longer uses the /auth path prefix, remove it from REACT_APP_KEYCLOAK_URL.'
+        : 'Keycloak 16 and older serve realms under /auth, add it to REACT_APP_KEYCLOAK_URL if needed.'
+);
+
+// Check the discovery document belongs to the configured issuer and has the endpoints we need
+export const validateDiscoveryDocument = (issuer, document) => {
+    if (!document || typeof document !== 'object') {
+        throw new OidcDiscoveryError(`Discovery document for ${issuer} is not a JSON object`, { issuer });
+    }
+
+    if (trimTrailingSlash(document.issuer || '') !== trimTrailingSlash(issuer)) {
+        throw new OidcDiscoveryError(
+            `Discovery issuer mismatch: configured issuer is "${issuer}" but the server reports "${document.issuer}". ` +
+            'Check REACT_APP_KEYCLOAK_URL, REACT_APP_KEYCLOAK_REALM and the Keycloak frontend URL (hostname) setting.',
+            { issuer, discoveredIssuer: document.issuer }
+        );
+    }
+
+    const missing = REQUIRED_ENDPOINTS.filter((endpoint) => !document[endpoint]);
+    if (missing.length > 0) {
+        throw new OidcDiscoveryError(
+            `Discovery document for ${issuer} is missing required endpoints: ${missing.join(', ')}`,
+            { issuer, missing }
+        );
+    }
+
+    return document;
+};
+
+const fetchDiscoveryDocument = async (issuer) => {
+    const discoveryUrl = getDiscoveryUrl(issuer);
+    logger.log('Loading OIDC discovery document:', discoveryUrl);
+
+    let response;
+    try {
+        response = await fetch(discoveryUrl);
+    } catch (error) {
+        throw new OidcDiscoveryError(
+            `Could not reach the OIDC discovery endpoint ${discoveryUrl}: ${error.message}`,
+            { issuer, discoveryUrl, cause: error }
+        );
+    }
+
+    if (!response.ok) {
+        const hint = response.status === 404 ? ` ${describePathMismatch(issuer)}` : '';
+        throw new OidcDiscoveryError(
+            `OIDC discovery failed: ${discoveryUrl} returned ${response.status}.${hint}`,
+            { issuer, discoveryUrl, status: response.status }
+        );
+    }
+
+    let document;
+    try {
+        document = await response.json();
+    } catch (error) {
+        throw new OidcDiscoveryError(`Discovery document at ${discoveryUrl} is not valid JSON`, { issuer, discoveryUrl });
+    }
+
+    return validateDiscoveryDocument(issuer, document);
+};
+
+// Load the discovery document for an issuer once, failures are not cached so they can be retried
+export const loadDiscoveryDocument = (issuer) => {
+    const key = trimTrailingSlash(issuer);
+
+    if (!discoveryCache.has(key)) {
+        const request = fetchDiscoveryDocument(issuer).catch((error) => {
+            discoveryCache.delete(key);
+            logger.error('OIDC discovery error:', error.message);
+            throw error;
+        });
+        discoveryCache.set(key, request);
+    }
+
+    return discoveryCache.get(key);
+};
+
+// Drop cached discovery documents (e.g. after a configuration change or in tests)
+export const clearDiscoveryCache = () => {
+    discoveryCache.clear();
+};
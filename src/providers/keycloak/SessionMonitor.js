@@ -0,0 +1,98 @@
+// OIDC Session Management: polls the issuer's check_session_iframe with the login's session_state
+// The iframe answers "changed" once the SSO session ends (logout in another app, admin revocation, timeout)
+import logger from '../../utils/logger';
+
+export class SessionMonitor {
+    constructor({ clientId, getCheckSessionIframeUrl, onChange, intervalSeconds = 5 }) {
+        // Client of the configured realm, sessions of another realm are checked with that realm's client
+        this.defaultClientId = clientId;
+        this.clientId = clientId;
+        this.getCheckSessionIframeUrl = getCheckSessionIframeUrl;
+        this.onChange = onChange;
+        this.intervalSeconds = intervalSeconds;
+        this.sessionState = null;
+        // Session state the iframe already reported as changed, not watched again
+        this.changedSessionState = null;
+        this.iframe = null;
+        this.origin = null;
+        this.timer = null;
+        this.handleMessage = this.handleMessage.bind(this);
+    }
+
+    // Watch the SSO session identified by sessionState (no-op when already watching it)
+    async start(sessionState, clientId = this.defaultClientId) {
+        if (!sessionState || this.intervalSeconds <= 0) return;
+        if (sessionState === this.sessionState || sessionState === this.changedSessionState) return;
+
+        this.stop();
+        this.sessionState = sessionState;
+        this.clientId = clientId;
+
+        let iframeUrl = null;
+        try {
+            iframeUrl = await this.getCheckSessionIframeUrl();
+        } catch (error) {
+            logger.warn('Could not load the check session iframe URL:', error);
+        }
+
+        // Stopped or restarted while the discovery document was loading
+        if (this.sessionState !== sessionState || this.iframe) return;
+
+        if (!iframeUrl) {
+            logger.log('Issuer does not support OIDC session management, session changes are not monitored');
+            return;
+        }
+
+        this.origin = new URL(iframeUrl).origin;
+        window.addEventListener('message', this.handleMessage);
+
+        this.iframe = document.createElement('iframe');
+        this.iframe.title = 'Keycloak session check';
+        this.iframe.style.display = 'none';
+        this.iframe.onload = () => {
+            this.check();
+            this.timer = setInterval(() => this.check(), this.intervalSeconds * 1000);
+        };
+        this.iframe.src = iframeUrl;
+        document.body.appendChild(this.iframe);
+
+        logger.log('Monitoring SSO session every', this.intervalSeconds, 'seconds');
+    }
+
+    // Ask the iframe whether the session is unchanged; only the issuer's origin may receive it
+    check() {
+        if (!this.iframe?.contentWindow) return;
+        this.iframe.contentWindow.postMessage(`${this.clientId} ${this.sessionState}`, this.origin);
+    }
+
+    handleMessage(event) {
+        if (!this.iframe || event.origin !== this.origin || event.source !== this.iframe.contentWindow) return;
+
+        if (event.data === 'changed') {
+            logger.log('SSO session changed');
+            this.changedSessionState = this.sessionState;
+            this.stop();
+            this.onChange();
+        } else if (event.data === 'error') {
+            // The iframe does not recognize the client or message, polling again will not help
+            logger.warn('Check session iframe reported an error, session monitoring stopped');
+            this.stop();
+        }
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.iframe) {
+            this.iframe.remove();
+            this.iframe = null;
+        }
+        window.removeEventListener('message', this.handleMessage);
+        this.sessionState = null;
+        this.origin = null;
+    }
+}
+
+export default SessionMonitor;
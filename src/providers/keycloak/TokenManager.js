@@ -0,0 +1,312 @@
+// Token lifecycle manager: tracks expiry, refreshes before expiry and notifies subscribers
+import logger from '../../utils/logger';
+import { MemoryStorage } from '../../storage/MemoryStorage';
+
+// Storage adapter key for the persisted token set
+export const TOKEN_STORAGE_KEY = 'tokens';
+
+// Identifies a token set across tabs, so a tab can tell that its set was already refreshed elsewhere (not a secret)
+const createTokenSetId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+// Token set as persisted and shared between tabs
+const normalizeTokens = (tokens) => ({
+    id: tokens.id || null,
+    accessToken: tokens.accessToken,
+    refreshToken: tokens.refreshToken || null,
+    idToken: tokens.idToken || null,
+    expiresAt: Number(tokens.expiresAt) || 0,
+    refreshExpiresAt: Number(tokens.refreshExpiresAt) || null,
+    sessionState: tokens.sessionState || null,
+    realm: tokens.realm || null
+});
+
+// setTimeout cannot schedule further ahead than ~24.8 days
+const MAX_TIMER_DELAY = 2147483647;
+
+// Keycloak no longer accepts the refresh token (session ended, revoked or token used up): retrying cannot help
+// Any other failure (offline, Keycloak down) may pass, so the session is kept and the refresh retried
+const isSessionEnded = (error) => error?.code === 'invalid_grant';
+
+export class TokenManager {
+    constructor({
+        refreshTokens,
+        onSessionExpired = () => {},
+        minValiditySeconds = 30,
+        storage = new MemoryStorage(),
+        runExclusive = (callback) => callback(),
+        refreshRecord = { get: () => null, set: () => {} },
+        publishRefresh = () => {},
+        rotationWaitMs = 5000,
+        retryDelayMs = 10000
+    } = {}) {
+        this.refreshTokens = refreshTokens;
+        // Serializes refreshes across tabs, so a rotated refresh token is never used twice
+        this.runExclusive = runExclusive;
+        // Which token set the last refresh replaced, shared by the tabs and only touched under the lock:
+        // a tab that gets the lock before the other tab's tokens reach it learns here that its set is used up
+        this.refreshRecord = refreshRecord;
+        // Hands refreshed tokens to the other tabs, called before the lock is released
+        this.publishRefresh = publishRefresh;
+        // How long a tab whose token set was refreshed elsewhere waits for the new tokens
+        this.rotationWaitMs = rotationWaitMs;
+        // How long to wait before refreshing again after a failure that did not end the session
+        this.retryDelayMs = retryDelayMs;
+        this.storage = storage;
+        this.onSessionExpired = onSessionExpired;
+        this.minValiditySeconds = minValiditySeconds;
+        this.tokens = null;
+        this.listeners = new Set();
+        this.refreshTimer = null;
+        this.refreshPromise = null;
+        // Completes when the latest token write has reached the storage adapter
+        this.lastWrite = Promise.resolve();
+    }
+
+    // Restore tokens persisted by a previous page load and schedule their refresh
+    async load() {
+        this.tokens = await this.readStoredTokens();
+        if (this.tokens) {
+            this.scheduleRefresh();
+        }
+        return this.tokens;
+    }
+
+    // Read the persisted token set without applying it (null when missing or unreadable)
+    async readStoredTokens() {
+        let stored = null;
+        try {
+            stored = await this.storage.get(TOKEN_STORAGE_KEY);
+        } catch (error) {
+            logger.error('Could not read stored tokens:', error);
+        }
+
+        return stored?.accessToken ? normalizeTokens(stored) : null;
+    }
+
+    // Store a token endpoint response (authorization_code or refresh_token grant)
+    setTokens(tokenResponse, event = 'login') {
+        const now = Date.now();
+        const previous = this.tokens;
+
+        this.tokens = {
+            id: createTokenSetId(),
+            accessToken: tokenResponse.access_token,
+            // Keycloak may omit the refresh token on refresh, keep the previous one then
+            refreshToken: tokenResponse.refresh_token || previous?.refreshToken || null,
+            idToken: tokenResponse.id_token || previous?.idToken || null,
+            expiresAt: now + (Number(tokenResponse.expires_in) || 0) * 1000,
+            // refresh_expires_in of 0 means the refresh token does not expire (offline tokens)
+            refreshExpiresAt: tokenResponse.refresh_expires_in
+                ? now + Number(tokenResponse.refresh_expires_in) * 1000
+                : null,
+            // OIDC Session Management: identifies the SSO session for the check_session_iframe
+            sessionState: tokenResponse.session_state || previous?.sessionState || null,
+            // Realm that issued the tokens (set by the login, kept across refreshes)
+            realm: tokenResponse.realm || previous?.realm || null
+        };
+
+        this.lastWrite = this.persist();
+        this.scheduleRefresh();
+        this.notify(event);
+
+        logger.log('Tokens updated:', {
+            event,
+            expiresAt: new Date(this.tokens.expiresAt).toISOString(),
+            hasRefreshToken: !!this.tokens.refreshToken
+        });
+
+        return this.tokens;
+    }
+
+    // Adopt tokens obtained by another tab (login or refresh there)
+    applyRemoteTokens(tokens, event) {
+        if (!tokens?.accessToken || tokens.accessToken === this.tokens?.accessToken) return;
+
+        this.tokens = normalizeTokens(tokens);
+        this.lastWrite = this.persist();
+        this.scheduleRefresh();
+        this.notify(event, 'remote');
+    }
+
+    getTokens() {
+        return this.tokens;
+    }
+
+    // Access token expires within minValidity seconds (or is missing)
+    isAccessTokenExpired(minValiditySeconds = this.minValiditySeconds) {
+        if (!this.tokens?.accessToken) return true;
+        return Date.now() + minValiditySeconds * 1000 >= this.tokens.expiresAt;
+    }
+
+    // A refresh token is available and not yet expired
+    canRefresh() {
+        if (!this.tokens?.refreshToken) return false;
+        return !this.tokens.refreshExpiresAt || Date.now() < this.tokens.refreshExpiresAt;
+    }
+
+    // Return a valid access token, refreshing first when it is about to expire
+    async getAccessToken() {
+        if (!this.tokens) return null;
+
+        if (!this.isAccessTokenExpired()) {
+            return this.tokens.accessToken;
+        }
+
+        const tokens = await this.refresh();
+        return tokens ? tokens.accessToken : null;
+    }
+
+    // Refresh tokens with the refresh_token grant, concurrent callers share one request
+    refresh() {
+        if (this.refreshPromise) {
+            return this.refreshPromise;
+        }
+
+        if (!this.canRefresh()) {
+            logger.warn('Access token expired and no usable refresh token, ending session');
+            this.expireSession();
+            return Promise.resolve(null);
+        }
+
+        const staleAccessToken = this.tokens.accessToken;
+        this.refreshPromise = (async () => {
+            try {
+                return await this.runExclusive(async () => {
+                    // Another tab may have refreshed (or logged out) while this one waited for the lock
+                    if (!this.tokens) return null;
+                    if (this.tokens.accessToken !== staleAccessToken) return this.tokens;
+
+                    // Its new tokens may not have arrived yet, but the refresh token here is already rotated
+                    const stale = this.tokens;
+                    if (stale.id && this.refreshRecord.get()?.replaced === stale.id) {
+                        return await this.awaitRotatedTokens(stale);
+                    }
+
+                    logger.log('Refreshing access token');
+                    const tokenResponse = await this.refreshTokens(stale.refreshToken);
+                    const tokens = this.setTokens(tokenResponse, 'refresh');
+                    this.refreshRecord.set({ replaced: stale.id, by: tokens.id });
+                    await this.lastWrite;
+                    this.publishRefresh(tokens);
+                    return tokens;
+                });
+            } catch (error) {
+                if (isSessionEnded(error) || !this.tokens) {
+                    logger.error('Token refresh failed, ending session:', error);
+                    this.expireSession();
+                    return null;
+                }
+                // Only this tab's attempt failed: the other tabs keep the session, this one tries again later
+                logger.warn(`Token refresh failed, retrying in ${this.retryDelayMs / 1000}s:`, error);
+                this.scheduleRefresh(this.retryDelayMs);
+                // The access token may still be valid for a moment (refreshes start minValiditySeconds early)
+                return this.isAccessTokenExpired(0) ? null : this.tokens;
+            } finally {
+                this.refreshPromise = null;
+            }
+        })();
+
+        return this.refreshPromise;
+    }
+
+    // Another tab refreshed this token set: adopt its tokens from the shared storage or its message
+    // Without them this tab's session ends, but not the other tabs' (the refresh token must not be sent again)
+    async awaitRotatedTokens(stale) {
+        const stored = await this.readStoredTokens();
+        if (stored && stored.id !== stale.id) {
+            this.applyRemoteTokens(stored, 'refresh');
+        } else if (this.tokens?.id === stale.id) {
+            await this.waitForRemoteChange();
+        }
+
+        if (this.tokens?.id === stale.id) {
+            logger.warn('Tokens refreshed by another tab did not arrive, ending the session in this tab');
+            this.clear('expired', 'remote');
+            this.onSessionExpired();
+            return null;
+        }
+        return this.tokens;
+    }
+
+    // Resolves on the next change made by another tab, or after rotationWaitMs
+    waitForRemoteChange() {
+        return new Promise((resolve) => {
+            const done = () => {
+                clearTimeout(timer);
+                unsubscribe();
+                resolve();
+            };
+            const timer = setTimeout(done, this.rotationWaitMs);
+            const unsubscribe = this.subscribe((tokens, event, source) => {
+                if (source === 'remote') done();
+            });
+        });
+    }
+
+    // Subscribe to token changes, listener receives (tokens, event, source); returns an unsubscribe function
+    // source is 'remote' when the change was made by another tab, 'backchannel' when Keycloak ended the session
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    // Forget all tokens, e.g. on logout
+    clear(event = 'logout', source = 'local') {
+        const hadTokens = !!this.tokens;
+
+        this.stopAutoRefresh();
+        this.tokens = null;
+        this.storage.remove(TOKEN_STORAGE_KEY).catch((error) => {
+            logger.error('Could not remove stored tokens:', error);
+        });
+
+        if (hadTokens) {
+            this.notify(event, source);
+        }
+    }
+
+    stopAutoRefresh() {
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+    }
+
+    // Refresh token rejected or expired: drop tokens (the other tabs follow) and let the provider end the session
+    expireSession() {
+        this.clear('expired');
+        this.onSessionExpired();
+    }
+
+    // Schedule a refresh shortly before the access token expires, or after retryDelay ms
+    scheduleRefresh(retryDelay = null) {
+        this.stopAutoRefresh();
+        if (!this.tokens) return;
+
+        const delay = retryDelay ?? this.tokens.expiresAt - this.minValiditySeconds * 1000 - Date.now();
+
+        this.refreshTimer = setTimeout(() => {
+            this.refreshTimer = null;
+            this.refresh();
+        }, Math.min(Math.max(delay, 0), MAX_TIMER_DELAY));
+    }
+
+    // Write the current tokens to the storage adapter (asynchronous, failures are logged)
+    persist() {
+        return this.storage.set(TOKEN_STORAGE_KEY, this.tokens).catch((error) => {
+            logger.error('Could not store tokens:', error);
+        });
+    }
+
+    notify(event, source = 'local') {
+        this.listeners.forEach((listener) => {
+            try {
+                listener(this.tokens, event, source);
+            } catch (error) {
+                logger.error('Token listener failed:', error);
+            }
+        });
+    }
+}
+
+export default TokenManager;
@@ -0,0 +1,146 @@
+import { generateKeyPairSync, sign, webcrypto } from 'crypto';
+import { TextEncoder } from 'util';
+import { IdTokenValidator, IdTokenValidationError, JwksCache } from '../IdTokenValidator';
+
+// Mock logger
+jest.mock('../../../utils/logger', () => ({
+  log: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+// jsdom has no WebCrypto or TextEncoder, use Node's implementations
+Object.defineProperty(global, 'crypto', { value: webcrypto, writable: true });
+Object.defineProperty(global, 'TextEncoder', { value: TextEncoder, writable: true });
+
+const issuer = 'http://localhost:8080/realms/idp-redirector-demo';
+const clientId = 'react-oidc-app';
+const jwksUri = `${issuer}/protocol/openid-connect/certs`;
+
+const rsaKeys = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const ecKeys = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const otherRsaKeys = generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+const publicJwk = (keyPair, kid, alg) => ({ ...keyPair.publicKey.export({ format: 'jwk' }), kid, alg, use: 'sig' });
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// Sign a JWT with Node's crypto (ES256 signatures use the raw r||s JWS encoding)
+const createIdToken = (claims, { alg = 'RS256', kid = 'rsa-key', keyPair = rsaKeys } = {}) => {
+  const signingInput = `${encode({ alg, kid, typ: 'JWT' })}.${encode(claims)}`;
+  const signature = sign('sha256', Buffer.from(signingInput), {
+    key: keyPair.privateKey,
+    ...(alg === 'ES256' ? { dsaEncoding: 'ieee-p1363' } : {})
+  });
+  return `${signingInput}.${signature.toString('base64url')}`;
+};
+
+const now = () => Math.floor(Date.now() / 1000);
+
+const validClaims = (overrides = {}) => ({
+  iss: issuer,
+  aud: clientId,
+  sub: 'user-123',
+  exp: now() + 300,
+  iat: now(),
+  nonce: 'expected-nonce',
+  ...overrides
+});
+
+const expectValidationError = async (promise, code) => {
+  await expect(promise).rejects.toBeInstanceOf(IdTokenValidationError);
+  await expect(promise).rejects.toHaveProperty('code', code);
+};
+
+describe('IdTokenValidator', () => {
+  let validator;
+
+  beforeEach(() => {
+    fetch.mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ keys: [publicJwk(rsaKeys, 'rsa-key', 'RS256'), publicJwk(ecKeys, 'ec-key', 'ES256')] })
+    });
+
+    validator = new IdTokenValidator({
+      issuer,
+      clientId,
+      getJwksUri: () => Promise.resolve(jwksUri),
+      clockSkewSeconds: 30,
+      jwksCache: new JwksCache()
+    });
+  });
+
+  test('accepts a valid RS256 ID token', async () => {
+    const claims = validClaims();
+
+    await expect(validator.validate(createIdToken(claims), { nonce: 'expected-nonce' })).resolves.toEqual(claims);
+    expect(fetch).toHaveBeenCalledWith(jwksUri);
+  });
+
+  test('accepts a valid ES256 ID token', async () => {
+    const token = createIdToken(validClaims(), { alg: 'ES256', kid: 'ec-key', keyPair: ecKeys });
+
+    await expect(validator.validate(token, { nonce: 'expected-nonce' })).resolves.toHaveProperty('sub', 'user-123');
+  });
+
+  test('caches the JWKS between validations', async () => {
+    await validator.validate(createIdToken(validClaims()), { nonce: 'expected-nonce' });
+    await validator.validate(createIdToken(validClaims()), { nonce: 'expected-nonce' });
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects a token signed with another key', async () => {
+    const token = createIdToken(validClaims(), { keyPair: otherRsaKeys });
+
+    await expectValidationError(validator.validate(token, { nonce: 'expected-nonce' }), 'invalid_signature');
+  });
+
+  test('rejects unsupported algorithms', async () => {
+    const token = `${encode({ alg: 'none' })}.${encode(validClaims())}.`;
+
+    await expectValidationError(validator.validate(token, { nonce: 'expected-nonce' }), 'unsupported_algorithm');
+  });
+
+  test('rejects unknown key ids', async () => {
+    const token = createIdToken(validClaims(), { kid: 'rotated-away' });
+
+    await expectValidationError(validator.validate(token, { nonce: 'expected-nonce' }), 'unknown_signing_key');
+  });
+
+  test.each([
+    ['invalid_issuer', { iss: 'http://evil.example.com/realms/idp-redirector-demo' }],
+    ['invalid_audience', { aud: 'another-client' }],
+    ['invalid_azp', { aud: [clientId, 'account'] }],
+    ['invalid_azp', { azp: 'another-client' }],
+    ['token_expired', { exp: now() - 31 }],
+    ['invalid_iat', { iat: now() + 120 }],
+    ['invalid_nonce', { nonce: 'replayed-nonce' }]
+  ])('rejects tokens with %s', async (code, overrides) => {
+    const token = createIdToken(validClaims(overrides));
+
+    await expectValidationError(validator.validate(token, { nonce: 'expected-nonce' }), code);
+  });
+
+  test('tolerates clock skew within the configured window', async () => {
+    const token = createIdToken(validClaims({ exp: now() - 10, iat: now() + 10 }));
+
+    await expect(validator.validate(token, { nonce: 'expected-nonce' })).resolves.toBeDefined();
+  });
+
+  test('accepts multiple audiences when azp names this client', async () => {
+    const token = createIdToken(validClaims({ aud: [clientId, 'account'], azp: clientId }));
+
+    await expect(validator.validate(token, { nonce: 'expected-nonce' })).resolves.toBeDefined();
+  });
+
+  test('rejects a missing nonce in storage', async () => {
+    await expectValidationError(validator.validate(createIdToken(validClaims()), { nonce: null }), 'invalid_nonce');
+  });
+
+  test('rejects missing or malformed tokens', async () => {
+    await expectValidationError(validator.validate(undefined), 'missing_id_token');
+    await expectValidationError(validator.validate('not.a.jwt'), 'malformed_token');
+  });
+});
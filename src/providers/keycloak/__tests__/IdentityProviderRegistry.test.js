@@ -0,0 +1,115 @@
+import { IdentityProviderRegistry } from '../IdentityProviderRegistry';
+import { DEFAULT_ROUTING_CONFIG } from '../../../routing/routingRules';
+
+// Mock logger
+jest.mock('../../../utils/logger', () => ({
+  log: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const listResponse = (body, status = 200) => ({ ok: status === 200, status, json: () => Promise.resolve(body) });
+
+describe('IdentityProviderRegistry', () => {
+  const providers = {
+    ...DEFAULT_ROUTING_CONFIG.providers,
+    github: { displayName: 'GitHub', logo: '/logos/github.svg' }
+  };
+
+  describe('configured providers', () => {
+    const registry = new IdentityProviderRegistry({ providers });
+
+    test('lists the configured aliases with their display metadata', () => {
+      expect(registry.list().map(({ alias }) => alias)).toEqual(['google', 'microsoft', 'github']);
+      expect(registry.get('github')).toEqual({ alias: 'github', displayName: 'GitHub', logo: '/logos/github.svg', logoutUrl: null });
+      expect(registry.get('google').logoutUrl).toBe('https://accounts.google.com/logout');
+    });
+
+    test('knows nothing about other aliases but still names them', () => {
+      expect(registry.get('corporate-saml')).toBeNull();
+      expect(registry.has('toString')).toBe(false);
+      expect(registry.getDisplayName('corporate-saml')).toBe('corporate-saml');
+      expect(registry.getDisplayName(null)).toBeNull();
+    });
+
+    test('resolves known aliases without loading anything', async () => {
+      await expect(registry.resolve('github')).resolves.toMatchObject({ alias: 'github', displayName: 'GitHub' });
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('rejects unknown aliases with the known ones', async () => {
+      await expect(registry.resolve('gitlab')).rejects.toMatchObject({
+        name: 'OAuthError',
+        code: 'unknown_identity_provider',
+        message: 'Unknown identity provider "gitlab" (known: google, microsoft, github)',
+        details: { idpHint: 'gitlab', knownAliases: ['google', 'microsoft', 'github'] }
+      });
+    });
+  });
+
+  describe('the realm\'s list', () => {
+    const listUrl = '/identity-providers.json';
+
+    test('takes the aliases from the realm with the configured metadata on top', async () => {
+      fetch.mockResolvedValueOnce(listResponse([
+        { alias: 'google', displayName: 'Google Workspace' },
+        { alias: 'corporate-saml', displayName: 'Corporate SSO', providerId: 'saml' },
+        { alias: 'bad alias' },
+        null
+      ]));
+      const registry = new IdentityProviderRegistry({ providers, listUrl });
+
+      await expect(registry.resolve('corporate-saml')).resolves.toEqual({
+        alias: 'corporate-saml',
+        displayName: 'Corporate SSO',
+        logo: null,
+        logoutUrl: null
+      });
+      expect(fetch).toHaveBeenCalledWith(listUrl, { headers: { Accept: 'application/json' } });
+      expect(registry.list().map(({ alias }) => alias)).toEqual(['google', 'corporate-saml']);
+      expect(registry.get('google').displayName).toBe('Google');
+
+      // Configured, but not in the realm: Keycloak would ignore the hint
+      await expect(registry.resolve('github')).rejects.toMatchObject({ code: 'unknown_identity_provider' });
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('falls back to the configured providers while the list cannot be loaded', async () => {
+      fetch.mockResolvedValueOnce(listResponse(null, 404));
+      const registry = new IdentityProviderRegistry({ providers, listUrl });
+
+      await expect(registry.resolve('github')).resolves.toMatchObject({ alias: 'github' });
+
+      fetch.mockResolvedValueOnce(listResponse({ identityProviders: [{ alias: 'gitlab' }] }));
+      await expect(registry.resolve('gitlab')).resolves.toMatchObject({ alias: 'gitlab', displayName: 'gitlab' });
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('loads the list once for concurrent logins', async () => {
+      fetch.mockResolvedValueOnce(listResponse([{ alias: 'google' }]));
+      const registry = new IdentityProviderRegistry({ providers, listUrl });
+
+      await Promise.all([registry.resolve('google'), registry.resolve('google')]);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('organization providers', () => {
+    test('accepts providers linked to an organization next to the realm\'s list', async () => {
+      fetch.mockResolvedValueOnce(listResponse([{ alias: 'google' }]));
+      const registry = new IdentityProviderRegistry({ providers, listUrl: '/identity-providers.json' });
+
+      expect(registry.register('contoso', { displayName: 'Contoso' })).toMatchObject({ alias: 'contoso', displayName: 'Contoso' });
+      await expect(registry.resolve('contoso')).resolves.toMatchObject({ alias: 'contoso', displayName: 'Contoso' });
+      expect(registry.list().map(({ alias }) => alias)).toEqual(['google']);
+    });
+
+    test('ignores invalid aliases', () => {
+      const registry = new IdentityProviderRegistry({ providers });
+
+      expect(registry.register('evil"><script>')).toBeNull();
+      expect(registry.has('evil"><script>')).toBe(false);
+    });
+  });
+});
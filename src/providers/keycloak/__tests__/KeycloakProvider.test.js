@@ -0,0 +1,1227 @@
+import { KeycloakProvider } from '../KeycloakProvider';
+import { RoutingRules, DEFAULT_ROUTING_CONFIG } from '../../../routing/routingRules';
+import { clearDiscoveryCache } from '../OidcDiscovery';
+import { MemoryStorage } from '../../../storage/MemoryStorage';
+import { WebStorage } from '../../../storage/WebStorage';
+import { SessionChannel } from '../../../sync/SessionChannel';
+import { OrganizationLookup } from '../../../routing/organizationLookup';
+import { LinkedAccountLookup } from '../../../routing/linkedAccountLookup';
+import { LoginErrorReporter } from '../LoginErrorReporter';
+import { resolveAppConfig } from '../../../config/appConfig';
+
+// Deterministic PKCE values (random strings are numbered so state and nonce differ)
+let mockRandomCounter = 0;
+jest.mock('../../../utils/pkce', () => ({
+  generateRandomString: () => `random-${++mockRandomCounter}`,
+  generateCodeVerifier: () => 'test-code-verifier',
+  generateCodeChallenge: () => Promise.resolve('test-code-challenge')
+}));
+
+// Mock logger
+jest.mock('../../../utils/logger', () => ({
+  log: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+// Back a mocked Storage with a Map
+const useMemoryStorage = (storage) => {
+  const values = new Map();
+  storage.getItem.mockImplementation((key) => (values.has(key) ? values.get(key) : null));
+  storage.setItem.mockImplementation((key, value) => values.set(key, String(value)));
+  storage.removeItem.mockImplementation((key) => values.delete(key));
+  return values;
+};
+
+// In-process BroadcastChannel: delivers to every other open channel
+const createBroadcastChannel = () => {
+  const channels = new Set();
+  return class FakeBroadcastChannel {
+    constructor() {
+      channels.add(this);
+    }
+
+    postMessage(data) {
+      channels.forEach((channel) => channel !== this && channel.onmessage?.({ data }));
+    }
+
+    close() {
+      channels.delete(this);
+    }
+  };
+};
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// Build an unsigned JWT carrying the given claims
+const createToken = (claims) => {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'none' })}.${encode(claims)}.`;
+};
+
+describe('KeycloakProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    clearDiscoveryCache();
+    mockRandomCounter = 0;
+    provider = new KeycloakProvider(new RoutingRules(DEFAULT_ROUTING_CONFIG));
+  });
+
+  // Discovery document with endpoint paths that differ from Keycloak's defaults
+  const issuer = 'http://localhost:8080/realms/idp-redirector-demo';
+  const discoveryDocument = {
+    issuer,
+    authorization_endpoint: 'https://sso.example.com/authorize',
+    token_endpoint: 'https://sso.example.com/token',
+    userinfo_endpoint: 'https://sso.example.com/userinfo',
+    end_session_endpoint: 'https://sso.example.com/logout',
+    jwks_uri: 'https://sso.example.com/jwks',
+    check_session_iframe: 'https://sso.example.com/check-session'
+  };
+
+  const mockDiscovery = (document = discoveryDocument) => {
+    fetch.mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve(document) });
+  };
+
+  describe('OIDC discovery', () => {
+    test('defaults to the Keycloak issuer without the legacy /auth prefix', () => {
+      expect(provider.issuer).toBe(issuer);
+    });
+
+    test('builds the authorization URL from the discovered endpoint', async () => {
+      mockDiscovery();
+
+      const authUrl = new URL(await provider.buildAuthUrl('http://localhost:3001/callback', 'openid', 'google'));
+
+      expect(fetch).toHaveBeenCalledWith(`${issuer}/.well-known/openid-configuration`);
+      expect(`${authUrl.origin}${authUrl.pathname}`).toBe('https://sso.example.com/authorize');
+      expect(authUrl.searchParams.get('code_challenge')).toBe('test-code-challenge');
+      expect(authUrl.searchParams.get('kc_idp_hint')).toBe('google');
+      expect(authUrl.searchParams.get('state')).toBe('random-1');
+      expect(authUrl.searchParams.get('nonce')).toBe('random-2');
+    });
+
+    test('stores a login transaction per state', async () => {
+      useMemoryStorage(sessionStorage);
+      mockDiscovery();
+
+      const authUrl = new URL(await provider.buildAuthUrl('http://localhost:3001/callback', 'openid', null, '/reports?year=2024'));
+      const transaction = provider.transactions.get(authUrl.searchParams.get('state'));
+
+      expect(transaction).toMatchObject({
+        codeVerifier: 'test-code-verifier',
+        nonce: authUrl.searchParams.get('nonce'),
+        redirectUri: 'http://localhost:3001/callback',
+        returnTo: '/reports?year=2024'
+      });
+    });
+
+    test('exposes the JWKS and session management endpoints', async () => {
+      mockDiscovery();
+
+      await expect(provider.getJwksUri()).resolves.toBe('https://sso.example.com/jwks');
+      await expect(provider.getCheckSessionIframeUrl()).resolves.toBe('https://sso.example.com/check-session');
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('refreshes tokens against the discovered token endpoint', async () => {
+      mockDiscovery();
+      fetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ access_token: 'new' }) });
+
+      await expect(provider.refreshTokens('refresh-token')).resolves.toEqual({ access_token: 'new' });
+
+      const [url, options] = fetch.mock.calls[1];
+      expect(url).toBe('https://sso.example.com/token');
+      expect(options.body.get('grant_type')).toBe('refresh_token');
+      expect(options.body.get('refresh_token')).toBe('refresh-token');
+    });
+
+    test('fails login with a diagnostic when the issuer does not match', async () => {
+      mockDiscovery({ ...discoveryDocument, issuer: 'http://keycloak:8080/realms/other' });
+
+      await expect(provider.login('http://localhost:3001/callback')).rejects.toThrow(/Discovery issuer mismatch/);
+    });
+  });
+
+  describe('configuration', () => {
+    const createConfiguredProvider = (runtimeConfig) => new KeycloakProvider(
+      new RoutingRules(DEFAULT_ROUTING_CONFIG),
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      resolveAppConfig(runtimeConfig, { NODE_ENV: 'production' }, '/config.json')
+    );
+
+    test('takes the realm and client from the runtime configuration', () => {
+      const configuredProvider = createConfiguredProvider({ keycloakUrl: 'https://sso.example.com', realm: 'production', clientId: 'portal', sessionCheckInterval: 0 });
+
+      expect(configuredProvider.issuer).toBe('https://sso.example.com/realms/production');
+      expect(configuredProvider.getRealm().clientId).toBe('portal');
+      expect(configuredProvider.sessionCheckInterval).toBe(0);
+      expect(configuredProvider.isConfigured()).toEqual({ configured: true, missing: [], malformed: [] });
+    });
+
+    test('reports missing and malformed settings and refuses to log in', async () => {
+      const configuredProvider = createConfiguredProvider({ keycloakUrl: 'sso.example.com', realm: 'production' });
+
+      expect(configuredProvider.isConfigured()).toEqual({
+        configured: false,
+        missing: ['clientId'],
+        malformed: [{ key: 'keycloakUrl', source: '/config.json', message: 'keycloakUrl (/config.json): expected an absolute http/https URL' }]
+      });
+      await expect(configuredProvider.login('http://localhost:3001/callback')).rejects.toMatchObject({
+        code: 'misconfigured',
+        message: 'Keycloak is not configured: missing clientId; malformed keycloakUrl'
+      });
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('refuses to log in with routing rules that do not compile', async () => {
+      const configuredProvider = createConfiguredProvider({
+        keycloakUrl: 'https://sso.example.com',
+        realm: 'production',
+        clientId: 'portal',
+        routingRules: { rules: [{ domain: 'acme.com', realm: 'acme' }] }
+      });
+
+      expect(configuredProvider.isConfigured()).toEqual({
+        configured: false,
+        missing: [],
+        malformed: [{ key: 'routingRules', source: '/config.json', message: 'routingRules (/config.json): Routing rule #0 (acme.com) uses an unknown realm: acme' }]
+      });
+      await expect(configuredProvider.login('http://localhost:3001/callback')).rejects.toMatchObject({ code: 'misconfigured' });
+    });
+  });
+
+  describe('handleCallback', () => {
+    const mockTokenExchange = (user) => {
+      mockDiscovery();
+      fetch
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ access_token: 'access', id_token: 'id-token', expires_in: 300 }) })
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(user) });
+    };
+
+    let transaction;
+
+    beforeEach(() => {
+      useMemoryStorage(sessionStorage);
+      transaction = provider.transactions.create({ redirectUri: 'http://localhost:3001/callback', returnTo: '/reports' });
+      provider.getRealm().idTokenValidator = { validate: jest.fn(() => Promise.resolve({ sub: 'user-123' })) };
+    });
+
+    afterEach(() => {
+      provider.stopAutoRefresh();
+    });
+
+    test('exchanges the code with the transaction verifier and validates its nonce', async () => {
+      mockTokenExchange({ sub: 'user-123', email: 'user@gmail.com' });
+
+      const result = await provider.handleCallback('auth-code', transaction.state);
+
+      const [, options] = fetch.mock.calls[1];
+      expect(options.body.get('code_verifier')).toBe('test-code-verifier');
+      expect(options.body.get('redirect_uri')).toBe('http://localhost:3001/callback');
+      expect(provider.getRealm().idTokenValidator.validate).toHaveBeenCalledWith('id-token', { nonce: transaction.nonce });
+      expect(result.user.email).toBe('user@gmail.com');
+      expect(result.returnTo).toBe('/reports');
+      expect(result.loginRequest).toEqual({ idpHint: null, rememberAccount: false });
+    });
+
+    test('passes the remember-account choice of the login to the callback result', async () => {
+      mockDiscovery();
+      const authUrl = new URL(await provider.buildAuthUrl('http://localhost:3001/callback', 'openid', 'google', '/', { rememberAccount: true }));
+      fetch
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ access_token: 'access', id_token: 'id-token', expires_in: 300 }) })
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ sub: 'user-123', email: 'user@gmail.com' }) });
+
+      const result = await provider.handleCallback('auth-code', authUrl.searchParams.get('state'));
+
+      expect(result.loginRequest).toEqual({ idpHint: 'google', rememberAccount: true });
+    });
+
+    test('rejects unknown states without exchanging the code', async () => {
+      await expect(provider.handleCallback('auth-code', 'forged-state'))
+        .rejects.toMatchObject({ name: 'LoginTransactionError', code: 'invalid_state' });
+      await expect(provider.handleCallback('auth-code', null))
+        .rejects.toMatchObject({ name: 'LoginTransactionError', code: 'missing_state' });
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('exchanges the code once when the same response is handled again', async () => {
+      mockTokenExchange({ sub: 'user-123' });
+
+      const [first, second] = await Promise.all([
+        provider.handleCallback('auth-code', transaction.state),
+        provider.handleCallback('auth-code', transaction.state)
+      ]);
+
+      expect(second).toBe(first);
+      await expect(provider.handleCallback('auth-code', transaction.state)).resolves.toBe(first);
+      // Discovery, token and userinfo requests of a single exchange
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('rejects a response replayed on a later page load', async () => {
+      mockTokenExchange({ sub: 'user-123' });
+      await provider.handleCallback('auth-code', transaction.state);
+      provider.stopAutoRefresh();
+
+      const reloaded = new KeycloakProvider(new RoutingRules(DEFAULT_ROUTING_CONFIG));
+      await expect(reloaded.handleCallback('auth-code', transaction.state))
+        .rejects.toMatchObject({ name: 'LoginTransactionError', code: 'state_already_used', details: { returnTo: '/reports' } });
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('does not store tokens when ID token validation fails', async () => {
+      mockTokenExchange({ sub: 'user-123' });
+      provider.getRealm().idTokenValidator.validate.mockRejectedValue(new Error('ID token has expired'));
+
+      await expect(provider.handleCallback('auth-code', transaction.state)).rejects.toThrow('ID token has expired');
+      expect(provider.tokenManager.getTokens()).toBeNull();
+    });
+
+    test('does not store tokens when the userinfo request fails', async () => {
+      mockDiscovery();
+      fetch
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ access_token: 'access', refresh_token: 'refresh', id_token: 'id-token', expires_in: 300 }) })
+        .mockResolvedValueOnce({ ok: false, status: 500, text: () => Promise.resolve('Internal Server Error') });
+
+      await expect(provider.handleCallback('auth-code', transaction.state)).rejects.toMatchObject({ code: 'idp_unavailable' });
+      expect(provider.tokenManager.getTokens()).toBeNull();
+      await expect(provider.storage.get('tokens')).resolves.toBeNull();
+      await expect(provider.restoreSession()).resolves.toBe(false);
+    });
+
+    test('rejects a userinfo response for another subject', async () => {
+      mockTokenExchange({ sub: 'someone-else' });
+
+      await expect(provider.handleCallback('auth-code', transaction.state))
+        .rejects.toMatchObject({ name: 'IdTokenValidationError', code: 'subject_mismatch' });
+      expect(provider.tokenManager.getTokens()).toBeNull();
+    });
+  });
+
+  describe('identity provider hints', () => {
+    const routingRules = new RoutingRules({
+      rules: [{ domain: 'example.org', idp: 'github' }],
+      providers: { github: { displayName: 'GitHub', logo: '/logos/github.svg', logoutUrl: 'https://github.com/logout' } }
+    });
+
+    test('sends any configured broker alias as kc_idp_hint', async () => {
+      mockDiscovery();
+      const routedProvider = new KeycloakProvider(routingRules);
+
+      const authUrl = new URL(await routedProvider.buildAuthUrl('http://localhost:3001/callback', 'openid', 'github'));
+
+      expect(authUrl.searchParams.get('kc_idp_hint')).toBe('github');
+    });
+
+    test('rejects an unknown alias before the login starts', async () => {
+      mockDiscovery();
+      window.location.href = 'http://localhost:3001/';
+      const routedProvider = new KeycloakProvider(routingRules);
+
+      await expect(routedProvider.login('http://localhost:3001/callback', 'google', '/reports')).rejects.toMatchObject({
+        code: 'unknown_identity_provider',
+        message: 'Unknown identity provider "google" (known: github)',
+        loginRequest: { idpHint: 'google', returnTo: '/reports' }
+      });
+      // No login transaction was stored
+      expect(sessionStorage.setItem).not.toHaveBeenCalled();
+      expect(window.location.href).toBe('http://localhost:3001/');
+    });
+
+    test('describes the session\'s provider and logs out upstream with its metadata', () => {
+      const routedProvider = new KeycloakProvider(routingRules);
+      const tokens = { id_token: createToken({ identity_provider: 'github' }) };
+
+      expect(routedProvider.resolveIdentityProvider(tokens, {})).toEqual({
+        alias: 'github',
+        displayName: 'GitHub',
+        logo: '/logos/github.svg',
+        source: 'token'
+      });
+
+      routedProvider.performIdpSpecificLogout('github', 'id-token');
+      routedProvider.performIdpSpecificLogout('corporate-saml', 'id-token');
+      const iframes = document.querySelectorAll('iframe');
+      expect([...iframes].map((iframe) => iframe.src)).toEqual(['https://github.com/logout']);
+      iframes.forEach((iframe) => iframe.remove());
+    });
+  });
+
+  describe('login hints', () => {
+    const organizationRules = new RoutingRules({
+      rules: [
+        ...DEFAULT_ROUTING_CONFIG.rules,
+        { domain: 'example.org', idp: 'google', domainHint: true },
+        { domain: '*.contoso.com', idp: 'microsoft', domainHint: 'contoso.com' }
+      ],
+      providers: DEFAULT_ROUTING_CONFIG.providers
+    });
+
+    const buildAuthUrl = async (routingRules, idpHint, loginHint) => {
+      mockDiscovery();
+      const routedProvider = new KeycloakProvider(routingRules);
+      return new URL(await routedProvider.buildAuthUrl('http://localhost:3001/callback', 'openid', idpHint, '/', { loginHint })).searchParams;
+    };
+
+    test('sends the email as login_hint without a domain hint for consumer domains', async () => {
+      const params = await buildAuthUrl(organizationRules, 'google', 'user@gmail.com');
+
+      expect(params.get('login_hint')).toBe('user@gmail.com');
+      expect(params.get('kc_idp_hint')).toBe('google');
+      expect(params.has('hd')).toBe(false);
+    });
+
+    test('adds the organizational domain hint of the routing rule for the IDP', async () => {
+      const google = await buildAuthUrl(organizationRules, 'google', 'ann@example.org');
+      expect(google.get('hd')).toBe('example.org');
+      expect(google.has('domain_hint')).toBe(false);
+
+      const microsoft = await buildAuthUrl(organizationRules, 'microsoft', 'ben@eu.contoso.com');
+      expect(microsoft.get('login_hint')).toBe('ben@eu.contoso.com');
+      expect(microsoft.get('domain_hint')).toBe('contoso.com');
+    });
+
+    test('sends no domain hint without an email or when the login is not routed to the rule\'s IDP', async () => {
+      expect((await buildAuthUrl(organizationRules, 'google', null)).has('hd')).toBe(false);
+      expect((await buildAuthUrl(organizationRules, null, 'ann@example.org')).has('hd')).toBe(false);
+      expect((await buildAuthUrl(organizationRules, 'microsoft', 'ann@example.org')).has('domain_hint')).toBe(false);
+    });
+
+    test('keeps the login hint in the transaction and the login to retry', async () => {
+      useMemoryStorage(sessionStorage);
+      const params = await buildAuthUrl(organizationRules, 'google', 'ann@example.org');
+      expect(provider.transactions.get(params.get('state'))).toMatchObject({ idpHint: 'google', loginHint: 'ann@example.org' });
+
+      clearDiscoveryCache();
+      fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+      await expect(provider.login('http://localhost:3001/callback', 'google', '/', { loginHint: 'ann@example.org' }))
+        .rejects.toMatchObject({ loginRequest: { idpHint: 'google', loginHint: 'ann@example.org', returnTo: '/' } });
+    });
+  });
+
+  describe('typed login errors', () => {
+    let transaction;
+
+    beforeEach(() => {
+      useMemoryStorage(sessionStorage);
+      transaction = provider.transactions.create({ redirectUri: 'http://localhost:3001/callback', returnTo: '/reports', idpHint: 'google' });
+    });
+
+    const errorResponse = (status, body) => ({ ok: false, status, text: () => Promise.resolve(body) });
+
+    test('reports an expired or reused code as invalid_grant with the login to retry', async () => {
+      mockDiscovery();
+      fetch.mockResolvedValueOnce(errorResponse(400, JSON.stringify({ error: 'invalid_grant', error_description: 'Code not valid' })));
+
+      const error = await provider.handleCallback('auth-code', transaction.state).catch((callbackError) => callbackError);
+
+      expect(error).toMatchObject({
+        name: 'OAuthError',
+        code: 'invalid_grant',
+        message: 'Token exchange failed: 400 - invalid_grant: Code not valid',
+        details: { error: 'invalid_grant', errorDescription: 'Code not valid', status: 400 },
+        loginRequest: { idpHint: 'google', returnTo: '/reports' }
+      });
+      expect(error.correlationId).toMatch(/^[0-9A-Z]+-[0-9A-Z]{6}$/);
+    });
+
+    test('reports server failures of the token endpoint as idp_unavailable', async () => {
+      mockDiscovery();
+      fetch.mockResolvedValueOnce(errorResponse(503, 'Service Unavailable'));
+
+      await expect(provider.handleCallback('auth-code', transaction.state))
+        .rejects.toMatchObject({ code: 'idp_unavailable', details: { status: 503, errorDescription: 'Service Unavailable' } });
+    });
+
+    test('reports an unreachable token endpoint as network_error', async () => {
+      mockDiscovery();
+      fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+      await expect(provider.handleCallback('auth-code', transaction.state))
+        .rejects.toMatchObject({ code: 'network_error', message: 'Could not reach https://sso.example.com/token: Failed to fetch' });
+    });
+
+    test('gives errors of other types a correlation ID too', async () => {
+      const error = await provider.handleCallback('auth-code', 'forged-state').catch((callbackError) => callbackError);
+
+      expect(error).toMatchObject({ name: 'LoginTransactionError', loginRequest: { idpHint: null, returnTo: '/' } });
+      expect(error.correlationId).toEqual(expect.any(String));
+    });
+
+    test('reports login errors to the error report endpoint when one is configured', async () => {
+      expect((await provider.handleCallback('auth-code', 'forged-state').catch((callbackError) => callbackError)).reported).toBe(false);
+
+      fetch.mockResolvedValue({ ok: true, status: 204 });
+      provider.errorReporter = new LoginErrorReporter({ url: '/login-errors' });
+      const error = await provider.handleCallback('auth-code', 'another-forged-state').catch((callbackError) => callbackError);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(error.reported).toBe(true);
+      expect(fetch).toHaveBeenCalledWith('/login-errors', expect.objectContaining({ method: 'POST' }));
+      expect(JSON.parse(fetch.mock.calls[0][1].body)).toMatchObject({ correlationId: error.correlationId, name: 'LoginTransactionError' });
+    });
+
+    test('reports an unreachable issuer on login as network_error', async () => {
+      fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+      await expect(provider.login('http://localhost:3001/callback', 'microsoft', '/account'))
+        .rejects.toMatchObject({ code: 'network_error', loginRequest: { idpHint: 'microsoft', returnTo: '/account' } });
+    });
+
+    test('ends the pending login for an authorization error response', () => {
+      const error = provider.handleAuthorizationError({
+        state: transaction.state,
+        error: 'access_denied',
+        errorDescription: 'User cancelled login',
+        errorUri: null
+      });
+
+      expect(error).toMatchObject({
+        code: 'login_cancelled',
+        details: { error: 'access_denied', errorDescription: 'User cancelled login' },
+        loginRequest: { idpHint: 'google', returnTo: '/reports' }
+      });
+      expect(provider.transactions.get(transaction.state)).toBeNull();
+      // The same response handled again (StrictMode effects) gives the same error
+      expect(provider.handleAuthorizationError({ state: transaction.state, error: 'access_denied' })).toBe(error);
+    });
+  });
+
+  describe('user session', () => {
+    test('stores the user profile and identity provider alias in the storage adapter', async () => {
+      await provider.saveUserSession({ name: 'Test User' }, { alias: 'google', displayName: 'Google', source: 'token' });
+
+      await expect(provider.storage.get('user')).resolves.toEqual({ user: { name: 'Test User' }, identityProvider: 'google' });
+      expect(localStorage.setItem).not.toHaveBeenCalled();
+
+      const restored = new KeycloakProvider(new RoutingRules(DEFAULT_ROUTING_CONFIG), provider.storage);
+      await expect(restored.loadUserSession()).resolves.toEqual({
+        user: { name: 'Test User' },
+        identityProvider: { alias: 'google', displayName: 'Google', logo: null, source: 'storage' }
+      });
+    });
+
+    test('restores the session from tokens kept in the storage adapter', async () => {
+      await provider.storage.set('tokens', { accessToken: 'access', expiresAt: Date.now() + 60000 });
+
+      await expect(provider.restoreSession()).resolves.toBe(true);
+      await expect(provider.getAccessToken()).resolves.toBe('access');
+      provider.stopAutoRefresh();
+    });
+
+    test('discards a stored profile without a user', async () => {
+      await provider.storage.set('user', { identityProvider: 'google' });
+
+      await expect(provider.loadUserSession()).resolves.toBeNull();
+      await expect(provider.storage.get('user')).resolves.toBeNull();
+    });
+
+    test('clearLocalStorage removes the session and legacy web storage keys', async () => {
+      await provider.saveUserSession({ name: 'Test User' }, null);
+
+      provider.clearLocalStorage();
+
+      await expect(provider.storage.get('user')).resolves.toBeNull();
+      expect(localStorage.removeItem).toHaveBeenCalledWith('access_token');
+      expect(sessionStorage.removeItem).toHaveBeenCalledWith('keycloak_id_token');
+    });
+  });
+
+  describe('session management', () => {
+    afterEach(() => {
+      provider.stopAutoRefresh();
+    });
+
+    test('watches the SSO session of tokens carrying a session state and stops on logout', () => {
+      const start = jest.spyOn(provider.sessionMonitor, 'start').mockResolvedValue(undefined);
+      const stop = jest.spyOn(provider.sessionMonitor, 'stop');
+
+      provider.tokenManager.setTokens({ access_token: 'access', expires_in: 300, session_state: 'sso-session-1' });
+      expect(start).toHaveBeenCalledWith('sso-session-1', 'react-oidc-app');
+
+      provider.clearLocalStorage();
+      expect(stop).toHaveBeenCalled();
+    });
+
+    test('raises sessionChanged to subscribers', () => {
+      const listener = jest.fn();
+      provider.onSessionChanged(listener);
+
+      provider.sessionMonitor.onChange();
+
+      expect(listener).toHaveBeenCalledWith({ type: 'sessionChanged' });
+    });
+
+    test('back-channel logout ends this tab session without broadcasting it', () => {
+      const listener = jest.fn();
+      const post = jest.spyOn(provider.sessionChannel, 'post');
+      provider.tokenManager.setTokens({ access_token: 'access', expires_in: 300 });
+      provider.onTokenChange(listener);
+
+      provider.handleBackchannelLogout();
+
+      expect(provider.tokenManager.getTokens()).toBeNull();
+      expect(listener).toHaveBeenCalledWith(null, 'logout', 'backchannel');
+      expect(post).not.toHaveBeenCalled();
+    });
+
+    test('recheckSession ends the local session when Keycloak no longer accepts the refresh token', async () => {
+      const listener = jest.fn();
+      provider.tokenManager.setTokens({ access_token: 'access', refresh_token: 'refresh', expires_in: 300 });
+      provider.onTokenChange(listener);
+      mockDiscovery();
+      fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 400,
+        statusText: 'Bad Request',
+        text: () => Promise.resolve(JSON.stringify({ error: 'invalid_grant', error_description: 'Session not active' }))
+      });
+
+      await expect(provider.recheckSession()).resolves.toBe(false);
+
+      expect(provider.tokenManager.getTokens()).toBeNull();
+      expect(listener).toHaveBeenCalledWith(null, 'expired', 'local');
+    });
+
+    test('recheckSession keeps the session when Keycloak cannot be reached', async () => {
+      const listener = jest.fn();
+      provider.tokenManager.setTokens({ access_token: 'access', refresh_token: 'refresh', expires_in: 300 });
+      provider.onTokenChange(listener);
+      mockDiscovery();
+      fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+      await expect(provider.recheckSession()).resolves.toBe(true);
+
+      expect(provider.tokenManager.getTokens().accessToken).toBe('access');
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('recheckSession keeps a session Keycloak still accepts', async () => {
+      provider.tokenManager.setTokens({ access_token: 'access', refresh_token: 'refresh', expires_in: 300 });
+      mockDiscovery();
+      fetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ access_token: 'access-2', expires_in: 300 }) });
+
+      await expect(provider.recheckSession()).resolves.toBe(true);
+      expect(provider.tokenManager.getTokens().accessToken).toBe('access-2');
+    });
+  });
+
+  describe('front-channel logout', () => {
+    const logoutRequest = { iss: issuer, sid: 'sso-session-1' };
+
+    test('removes the stored session named by sid', async () => {
+      await provider.storage.set('tokens', { accessToken: 'access', idToken: createToken({ sid: 'sso-session-1' }), expiresAt: Date.now() + 60000 });
+      await provider.storage.set('user', { user: { name: 'Test User' }, identityProvider: null });
+      const post = jest.spyOn(provider.sessionChannel, 'post');
+
+      await expect(provider.handleFrontChannelLogout(logoutRequest)).resolves.toBe(true);
+
+      await expect(provider.storage.get('tokens')).resolves.toBeNull();
+      await expect(provider.storage.get('user')).resolves.toBeNull();
+      expect(post).toHaveBeenCalledWith('logout', { sid: 'sso-session-1' });
+    });
+
+    test('keeps a stored session with another sid', async () => {
+      await provider.storage.set('tokens', { accessToken: 'access', idToken: createToken({ sid: 'sso-session-2' }), expiresAt: Date.now() + 60000 });
+
+      await expect(provider.handleFrontChannelLogout(logoutRequest)).resolves.toBe(false);
+      await expect(provider.storage.get('tokens')).resolves.not.toBeNull();
+    });
+
+    test('rejects requests from another issuer or without sid', async () => {
+      const post = jest.spyOn(provider.sessionChannel, 'post');
+
+      await expect(provider.handleFrontChannelLogout({ iss: 'https://evil.example.com', sid: 'sso-session-1' }))
+        .rejects.toMatchObject({ name: 'FrontChannelLogoutError', code: 'invalid_issuer' });
+      await expect(provider.handleFrontChannelLogout({ iss: issuer, sid: null }))
+        .rejects.toMatchObject({ code: 'missing_parameters' });
+      expect(post).not.toHaveBeenCalled();
+    });
+
+    test('leaves the tab channel when closed after the request', () => {
+      const closeChannel = jest.spyOn(provider.sessionChannel, 'close');
+      const stopRefresh = jest.spyOn(provider.tokenManager, 'stopAutoRefresh');
+
+      provider.close();
+
+      expect(closeChannel).toHaveBeenCalled();
+      expect(stopRefresh).toHaveBeenCalled();
+    });
+  });
+
+  describe('across tabs', () => {
+    let tabs;
+
+    // Two providers (tabs) sharing a channel; each keeps its own in-memory storage unless given one
+    const openTabs = ({ BroadcastChannelImpl = createBroadcastChannel(), storage, locks = { request: (name, callback) => callback() } } = {}) => {
+      tabs = [0, 1].map(() => new KeycloakProvider(
+        new RoutingRules(DEFAULT_ROUTING_CONFIG),
+        storage || new MemoryStorage(),
+        new SessionChannel({ BroadcastChannelImpl, locks })
+      ));
+      return tabs;
+    };
+
+    afterEach(() => {
+      tabs.forEach((tab) => {
+        tab.stopAutoRefresh();
+        tab.sessionChannel.close();
+      });
+    });
+
+    const tokenResponse = { access_token: 'access-1', refresh_token: 'refresh-1', id_token: 'id-1', expires_in: 300 };
+    const userSession = { user: { name: 'Test User' }, identityProvider: { alias: 'google', displayName: 'Google', source: 'token' } };
+
+    test('shares a login with the other tabs', async () => {
+      const [first, second] = openTabs();
+      const listener = jest.fn();
+      second.onTokenChange(listener);
+
+      first.tokenManager.setTokens(tokenResponse, 'login');
+      await first.saveUserSession(userSession.user, userSession.identityProvider);
+      first.sessionChannel.post('login', { tokens: first.tokenManager.getTokens(), userSession: first.userSession });
+      await flushPromises();
+
+      expect(second.tokenManager.getTokens()).toEqual(first.tokenManager.getTokens());
+      expect(second.userSession).toEqual(userSession);
+      await expect(second.storage.get('user')).resolves.toEqual({ user: userSession.user, identityProvider: 'google' });
+      expect(listener).toHaveBeenCalledWith(first.tokenManager.getTokens(), 'login', 'remote');
+    });
+
+    test('shares refreshed tokens with the other tabs', async () => {
+      useMemoryStorage(localStorage);
+      const [first, second] = openTabs();
+      first.tokenManager.setTokens(tokenResponse, 'login');
+      second.tokenManager.setTokens(tokenResponse, 'login');
+      jest.spyOn(first, 'refreshTokens').mockResolvedValue({ ...tokenResponse, access_token: 'access-2' });
+
+      await first.tokenManager.refresh();
+      await flushPromises();
+
+      expect(second.tokenManager.getTokens().accessToken).toBe('access-2');
+    });
+
+    test('does not refresh again in a tab that gets the lock before the refreshed tokens reach it', async () => {
+      useMemoryStorage(localStorage);
+      // Messages wait until the test delivers them, the lock is a queue shared by both tabs
+      const queued = [];
+      const channels = new Set();
+      class SlowBroadcastChannel {
+        constructor() {
+          channels.add(this);
+        }
+
+        postMessage(data) {
+          channels.forEach((channel) => channel !== this && queued.push(() => channel.onmessage?.({ data })));
+        }
+
+        close() {
+          channels.delete(this);
+        }
+      }
+      let lockQueue = Promise.resolve();
+      const locks = {
+        request: (name, callback) => {
+          const run = lockQueue.then(callback);
+          lockQueue = run.catch(() => {});
+          return run;
+        }
+      };
+      const [first, second] = openTabs({ BroadcastChannelImpl: SlowBroadcastChannel, locks });
+      first.tokenManager.setTokens(tokenResponse, 'login');
+      second.tokenManager.applyRemoteTokens(first.tokenManager.getTokens(), 'login');
+      jest.spyOn(first, 'refreshTokens').mockResolvedValue({ ...tokenResponse, access_token: 'access-2', refresh_token: 'refresh-2' });
+      const secondRefresh = jest.spyOn(second, 'refreshTokens');
+      const expired = jest.fn();
+      first.onTokenChange((tokens, event) => event === 'expired' && expired());
+
+      // The second tab is inside the lock, waiting, before the first tab's message arrives
+      const secondWaiting = new Promise((resolve) => {
+        const waitForRemoteChange = second.tokenManager.waitForRemoteChange.bind(second.tokenManager);
+        second.tokenManager.waitForRemoteChange = () => {
+          resolve();
+          return waitForRemoteChange();
+        };
+      });
+      const refreshes = Promise.all([first.tokenManager.refresh(), second.tokenManager.refresh()]);
+      await secondWaiting;
+      queued.splice(0).forEach((deliver) => deliver());
+      await refreshes;
+
+      expect(secondRefresh).not.toHaveBeenCalled();
+      expect(second.tokenManager.getTokens()).toMatchObject({ accessToken: 'access-2', refreshToken: 'refresh-2' });
+      expect(first.tokenManager.getTokens().accessToken).toBe('access-2');
+      expect(expired).not.toHaveBeenCalled();
+    });
+
+    test('keeps the other tabs signed in when a refresh fails on the network', async () => {
+      useMemoryStorage(localStorage);
+      const [first, second] = openTabs();
+      first.tokenManager.setTokens(tokenResponse, 'login');
+      second.tokenManager.setTokens(tokenResponse, 'login');
+      const listener = jest.fn();
+      second.onTokenChange(listener);
+      jest.spyOn(first, 'refreshTokens').mockRejectedValue(Object.assign(new Error('Could not reach the issuer'), { code: 'network_error' }));
+
+      await first.tokenManager.refresh();
+      await flushPromises();
+
+      expect(first.tokenManager.getTokens()).not.toBeNull();
+      expect(second.tokenManager.getTokens()).not.toBeNull();
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('signs the other tabs out when Keycloak rejects the refresh token', async () => {
+      const [first, second] = openTabs();
+      first.tokenManager.setTokens(tokenResponse, 'login');
+      second.tokenManager.setTokens(tokenResponse, 'login');
+      const listener = jest.fn();
+      second.onTokenChange(listener);
+      jest.spyOn(first, 'refreshTokens').mockRejectedValue(Object.assign(new Error('Token refresh failed: 400 - invalid_grant'), { code: 'invalid_grant' }));
+
+      await first.tokenManager.refresh();
+      await flushPromises();
+
+      expect(second.tokenManager.getTokens()).toBeNull();
+      expect(listener).toHaveBeenCalledWith(null, 'expired', 'remote');
+    });
+
+    test('logs the other tabs out', async () => {
+      const [first, second] = openTabs();
+      const listener = jest.fn();
+      first.tokenManager.setTokens(tokenResponse, 'login');
+      second.tokenManager.setTokens(tokenResponse, 'login');
+      await second.saveUserSession(userSession.user, userSession.identityProvider);
+      second.onTokenChange(listener);
+
+      first.clearLocalStorage();
+      await flushPromises();
+
+      expect(second.tokenManager.getTokens()).toBeNull();
+      expect(second.userSession).toBeNull();
+      expect(listener).toHaveBeenCalledWith(null, 'logout', 'remote');
+    });
+
+    test('only ends the tab session named by a front-channel logout', async () => {
+      const [first, second] = openTabs();
+      second.tokenManager.setTokens({ ...tokenResponse, id_token: createToken({ sid: 'sso-session-1' }) }, 'login');
+
+      await first.handleFrontChannelLogout({ iss: issuer, sid: 'sso-session-2' });
+      await flushPromises();
+      expect(second.tokenManager.getTokens()).not.toBeNull();
+
+      await first.handleFrontChannelLogout({ iss: issuer, sid: 'sso-session-1' });
+      await flushPromises();
+      expect(second.tokenManager.getTokens()).toBeNull();
+    });
+
+    test('reads a login from shared storage on the storage event fallback', async () => {
+      useMemoryStorage(localStorage);
+      const [first, second] = openTabs({ BroadcastChannelImpl: null, storage: new WebStorage(localStorage) });
+      // jsdom does not raise storage events for the mocked localStorage, so deliver the message directly
+      first.sessionChannel.post = (type, payload) => second.sessionChannel.dispatch({ type, sender: first.sessionChannel.tabId });
+
+      first.tokenManager.setTokens(tokenResponse, 'login');
+      await first.saveUserSession(userSession.user, userSession.identityProvider);
+      first.sessionChannel.post('login', { tokens: first.tokenManager.getTokens() });
+      await flushPromises();
+
+      expect(second.tokenManager.getTokens().accessToken).toBe('access-1');
+      expect(second.userSession.user).toEqual(userSession.user);
+    });
+  });
+
+  describe('determineIdpHintFromEmail', () => {
+    test('uses the shared routing rules', async () => {
+      await expect(provider.determineIdpHintFromEmail('user@googlemail.com')).resolves.toBe('google');
+      await expect(provider.determineIdpHintFromEmail('user@hotmail.com')).resolves.toBe('microsoft');
+      await expect(provider.determineIdpHintFromEmail('user@company.com')).resolves.toBeNull();
+    });
+
+    test('routes normalized addresses', async () => {
+      await expect(provider.determineIdpHintFromEmail('User@GMAIL.COM.')).resolves.toBe('google');
+    });
+
+    test('suggests corrections towards the routed domains', () => {
+      expect(provider.analyzeEmail('user@hotmial.com').suggestion).toEqual({ domain: 'hotmail.com', email: 'user@hotmail.com' });
+      expect(provider.isValidEmail('user@hotmial.com')).toBe(true);
+      expect(provider.isValidEmail('user@')).toBe(false);
+    });
+  });
+
+  describe('organization routing', () => {
+    const lookupUrl = 'http://localhost:3003/organizations';
+    const contoso = { alias: 'contoso', name: 'Contoso' };
+
+    const createOrganizationProvider = () => new KeycloakProvider(
+      new RoutingRules(DEFAULT_ROUTING_CONFIG),
+      undefined,
+      undefined,
+      new OrganizationLookup({ url: lookupUrl })
+    );
+
+    const mockLookup = (body) => {
+      fetch.mockImplementation((url) => {
+        if (url.startsWith(lookupUrl)) {
+          return Promise.resolve({ ok: true, json: () => Promise.resolve({ domain: new URL(url).searchParams.get('domain'), ...body }) });
+        }
+        return Promise.resolve({ ok: true, json: () => Promise.resolve(discoveryDocument) });
+      });
+    };
+
+    test('routes to the identity provider linked to the domain\'s organization', async () => {
+      mockLookup({ organization: contoso, identityProvider: { alias: 'contoso', displayName: 'Contoso' } });
+      const organizationProvider = createOrganizationProvider();
+
+      await expect(organizationProvider.determineIdpHintFromEmail('erin@contoso.com')).resolves.toBe('contoso');
+      expect(fetch).toHaveBeenCalledWith(`${lookupUrl}?domain=contoso.com`, expect.anything());
+
+      // The organization's provider is accepted as kc_idp_hint although no configuration lists it
+      const authUrl = new URL(await organizationProvider.buildAuthUrl('http://localhost:3001/callback', 'openid', 'contoso'));
+      expect(authUrl.searchParams.get('kc_idp_hint')).toBe('contoso');
+      expect(organizationProvider.identityProviders.getDisplayName('contoso')).toBe('Contoso');
+    });
+
+    test('accepts the organization\'s provider after a reload by looking the login hint up again', async () => {
+      mockLookup({ organization: contoso, identityProvider: { alias: 'contoso', displayName: 'Contoso' } });
+      await createOrganizationProvider().determineIdpHintFromEmail('erin@contoso.com');
+
+      // A remembered account or a retry after the page was loaded again: a new provider that never looked it up
+      const reloaded = createOrganizationProvider();
+      await reloaded.login('http://localhost:3001/callback', 'contoso', '/', { loginHint: 'erin@contoso.com' });
+
+      expect(new URL(window.location.href).searchParams.get('kc_idp_hint')).toBe('contoso');
+      expect(fetch).toHaveBeenCalledWith(`${lookupUrl}?domain=contoso.com`, expect.anything());
+    });
+
+    test('still rejects an organization\'s provider the lookup no longer reports', async () => {
+      mockLookup({ organization: contoso, identityProvider: null });
+
+      await expect(createOrganizationProvider().buildAuthUrl('http://localhost:3001/callback', 'openid', 'contoso', '/', { loginHint: 'erin@contoso.com' }))
+        .rejects.toMatchObject({ code: 'unknown_identity_provider' });
+    });
+
+    test('leaves the choice to Keycloak for an organization without a linked provider', async () => {
+      mockLookup({ organization: contoso, identityProvider: null });
+      const organizationProvider = createOrganizationProvider();
+
+      await expect(organizationProvider.determineIdpHintFromEmail('erin@contoso.com')).resolves.toBeNull();
+    });
+
+    test('falls back to the routing rules without an organization or when the lookup fails', async () => {
+      mockLookup({ organization: null, identityProvider: null });
+      const organizationProvider = createOrganizationProvider();
+      await expect(organizationProvider.determineIdpHintFromEmail('user@gmail.com')).resolves.toBe('google');
+
+      fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+      await expect(organizationProvider.determineIdpHintFromEmail('user@outlook.com')).resolves.toBe('microsoft');
+    });
+
+    test('does not look up organizations without a lookup URL', async () => {
+      await expect(provider.determineIdpHintFromEmail('erin@contoso.com')).resolves.toBeNull();
+      expect(fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('linked identity providers', () => {
+    const lookupUrl = 'http://localhost:3003/linked-identity-providers';
+
+    const createLinkedProvider = () => new KeycloakProvider(
+      new RoutingRules(DEFAULT_ROUTING_CONFIG),
+      undefined,
+      undefined,
+      undefined,
+      new LinkedAccountLookup({ url: lookupUrl })
+    );
+
+    test('returns the providers linked to the account and accepts them as hints', async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve({ identityProviders: [{ alias: 'github', displayName: 'GitHub' }, { alias: 'microsoft', displayName: 'Microsoft' }] })
+      });
+      const linkedProvider = createLinkedProvider();
+
+      await expect(linkedProvider.findLinkedIdentityProviders('grace@gmail.com')).resolves.toEqual([
+        { alias: 'github', displayName: 'GitHub', logo: null },
+        { alias: 'microsoft', displayName: 'Microsoft', logo: null }
+      ]);
+      expect(fetch).toHaveBeenCalledWith(lookupUrl, expect.objectContaining({ method: 'POST', body: JSON.stringify({ email: 'grace@gmail.com' }) }));
+      expect(linkedProvider.identityProviders.has('github')).toBe(true);
+    });
+
+    test('accepts a linked provider after a reload by looking the account up again', async () => {
+      fetch.mockImplementation((url) => Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve(url === lookupUrl ? { identityProviders: [{ alias: 'github', displayName: 'GitHub' }] } : discoveryDocument)
+      }));
+
+      // A remembered account signed in through GitHub, logged in with from a new page load
+      await createLinkedProvider().login('http://localhost:3001/callback', 'github', '/', { loginHint: 'grace@gmail.com', rememberAccount: true });
+
+      expect(new URL(window.location.href).searchParams.get('kc_idp_hint')).toBe('github');
+      expect(fetch).toHaveBeenCalledWith(lookupUrl, expect.objectContaining({ body: JSON.stringify({ email: 'grace@gmail.com' }) }));
+    });
+
+    test('returns nothing without a lookup URL or when the lookup fails', async () => {
+      await expect(provider.findLinkedIdentityProviders('grace@gmail.com')).resolves.toEqual([]);
+      expect(fetch).not.toHaveBeenCalled();
+
+      fetch.mockResolvedValue({ ok: false, status: 502, json: () => Promise.resolve({ error: 'lookup_unavailable' }) });
+      await expect(createLinkedProvider().findLinkedIdentityProviders('grace@gmail.com')).resolves.toEqual([]);
+    });
+  });
+
+  describe('authorization claims', () => {
+    test('reads the roles, groups and scopes of the current access token', () => {
+      provider.tokenManager.setTokens({
+        access_token: createToken({ realm_access: { roles: ['user', 'admin'] }, groups: ['/admins'], scope: 'openid email profile' }),
+        expires_in: 300
+      });
+
+      expect(provider.getAuthorizationClaims()).toEqual({
+        clientId: 'react-oidc-app',
+        realmRoles: ['user', 'admin'],
+        clientRoles: {},
+        groups: ['/admins'],
+        scopes: ['openid', 'email', 'profile']
+      });
+      provider.stopAutoRefresh();
+    });
+
+    test('has no claims without an access token', () => {
+      expect(provider.getAuthorizationClaims()).toBeNull();
+    });
+  });
+
+  describe('customer realms', () => {
+    const acmeIssuer = 'http://localhost:8080/realms/acme';
+    const acmeDiscovery = {
+      issuer: acmeIssuer,
+      authorization_endpoint: `${acmeIssuer}/protocol/openid-connect/auth`,
+      token_endpoint: `${acmeIssuer}/protocol/openid-connect/token`,
+      userinfo_endpoint: `${acmeIssuer}/protocol/openid-connect/userinfo`,
+      end_session_endpoint: `${acmeIssuer}/protocol/openid-connect/logout`
+    };
+    const realmRules = new RoutingRules({
+      ...DEFAULT_ROUTING_CONFIG,
+      rules: [
+        ...DEFAULT_ROUTING_CONFIG.rules,
+        { domain: 'acme.com', realm: 'acme' },
+        { domain: 'initech.com', realm: 'acme', idp: 'initech-oidc' }
+      ],
+      realms: { acme: { realm: 'acme', clientId: 'acme-portal' } }
+    });
+
+    let realmProvider;
+
+    // Discovery documents by issuer, token and userinfo responses for any realm
+    const mockRealms = () => {
+      fetch.mockImplementation((url) => {
+        const json = (body) => Promise.resolve({ ok: true, json: () => Promise.resolve(body) });
+        if (url === `${acmeIssuer}/.well-known/openid-configuration`) return json(acmeDiscovery);
+        if (url.endsWith('/.well-known/openid-configuration')) return json(discoveryDocument);
+        if (url.endsWith('/token')) return json({ access_token: 'access', refresh_token: 'refresh', id_token: createToken({ sid: 'acme-session' }), expires_in: 300 });
+        return json({ sub: 'user-123', email: 'wile@acme.com' });
+      });
+    };
+
+    beforeEach(() => {
+      useMemoryStorage(sessionStorage);
+      mockRealms();
+      realmProvider = new KeycloakProvider(realmRules, new MemoryStorage());
+      realmProvider.getRealm('acme').idTokenValidator = { validate: jest.fn(() => Promise.resolve({ sub: 'user-123' })) };
+    });
+
+    afterEach(() => {
+      realmProvider.stopAutoRefresh();
+    });
+
+    const loginToAcme = async () => {
+      const authUrl = new URL(await realmProvider.buildAuthUrl('http://localhost:3001/callback', 'openid', null, '/', { loginHint: 'wile@acme.com' }));
+      return realmProvider.handleCallback('auth-code', authUrl.searchParams.get('state'));
+    };
+
+    test('sends logins of a customer domain to its realm and client', async () => {
+      const authUrl = new URL(await realmProvider.buildAuthUrl('http://localhost:3001/callback', 'openid', null, '/', { loginHint: 'wile@acme.com' }));
+
+      expect(`${authUrl.origin}${authUrl.pathname}`).toBe(acmeDiscovery.authorization_endpoint);
+      expect(authUrl.searchParams.get('client_id')).toBe('acme-portal');
+      expect(realmProvider.transactions.get(authUrl.searchParams.get('state')).realm).toBe('acme');
+
+      const defaultUrl = new URL(await realmProvider.buildAuthUrl('http://localhost:3001/callback', 'openid', null, '/', { loginHint: 'user@gmail.com' }));
+      expect(`${defaultUrl.origin}${defaultUrl.pathname}`).toBe('https://sso.example.com/authorize');
+      expect(defaultUrl.searchParams.get('client_id')).toBe('react-oidc-app');
+    });
+
+    test('completes the login at the realm it was started in', async () => {
+      const result = await loginToAcme();
+
+      const [url, options] = fetch.mock.calls.find(([requestUrl]) => requestUrl.endsWith('/token'));
+      expect(url).toBe(acmeDiscovery.token_endpoint);
+      expect(options.body.get('client_id')).toBe('acme-portal');
+      expect(realmProvider.getRealm('acme').idTokenValidator.validate).toHaveBeenCalled();
+      expect(result.realm).toBe('acme');
+      expect(realmProvider.tokenManager.getTokens().realm).toBe('acme');
+      expect(realmProvider.getSessionRealm().issuer).toBe(acmeIssuer);
+    });
+
+    test('refreshes and logs out at the realm that issued the session', async () => {
+      await loginToAcme();
+      fetch.mockClear();
+
+      await realmProvider.refreshTokens('refresh');
+      const [url, options] = fetch.mock.calls.find(([requestUrl]) => requestUrl.endsWith('/token'));
+      expect(url).toBe(acmeDiscovery.token_endpoint);
+      expect(options.body.get('client_id')).toBe('acme-portal');
+
+      await realmProvider.logout();
+      const logoutUrl = new URL(window.location.href);
+      expect(`${logoutUrl.origin}${logoutUrl.pathname}`).toBe(acmeDiscovery.end_session_endpoint);
+      expect(logoutUrl.searchParams.get('client_id')).toBe('acme-portal');
+    });
+
+    test('accepts front-channel logouts of any configured realm for sessions it issued', async () => {
+      await loginToAcme();
+      await realmProvider.tokenManager.lastWrite;
+
+      await expect(realmProvider.handleFrontChannelLogout({ iss: issuer, sid: 'acme-session' })).resolves.toBe(false);
+      await expect(realmProvider.handleFrontChannelLogout({ iss: acmeIssuer, sid: 'acme-session' })).resolves.toBe(true);
+    });
+
+    test('ends a restored session of a realm that is no longer configured', async () => {
+      const storage = new MemoryStorage();
+      await storage.set('tokens', { accessToken: 'access', expiresAt: Date.now() + 60000, realm: 'globex' });
+
+      await expect(new KeycloakProvider(realmRules, storage).restoreSession()).resolves.toBe(false);
+      await expect(storage.get('tokens')).resolves.toBeNull();
+    });
+
+    test('retries without a login hint in the realm the failed login went to', async () => {
+      const authUrl = new URL(await realmProvider.buildAuthUrl('http://localhost:3001/callback', 'openid', null, '/', { loginHint: 'peter@initech.com' }));
+      const error = realmProvider.handleAuthorizationError({ state: authUrl.searchParams.get('state'), error: 'access_denied' });
+      expect(error.loginRequest).toMatchObject({ loginHint: 'peter@initech.com', realm: 'acme' });
+
+      // "Use a different sign-in option": no IDP and no login hint, still the customer realm's client
+      await realmProvider.login('http://localhost:3001/callback', null, error.loginRequest.returnTo, { realm: error.loginRequest.realm });
+      const retryUrl = new URL(window.location.href);
+      expect(`${retryUrl.origin}${retryUrl.pathname}`).toBe(acmeDiscovery.authorization_endpoint);
+      expect(retryUrl.searchParams.get('client_id')).toBe('acme-portal');
+    });
+
+    test('reports the realm of logins that fail before leaving the app', async () => {
+      await expect(realmProvider.login('http://localhost:3001/callback', 'unknown-idp', '/', { loginHint: 'wile@acme.com' }))
+        .rejects.toMatchObject({ code: 'unknown_identity_provider', loginRequest: { loginHint: 'wile@acme.com', realm: 'acme' } });
+    });
+
+    test('accepts the rule\'s IDP within the realm after a reload', async () => {
+      // The rule's IDP is not among the configured providers, a fresh provider never registered it
+      const reloaded = new KeycloakProvider(realmRules, new MemoryStorage());
+
+      await reloaded.login('http://localhost:3001/callback', 'initech-oidc', '/', { loginHint: 'peter@initech.com' });
+
+      const authUrl = new URL(window.location.href);
+      expect(authUrl.searchParams.get('kc_idp_hint')).toBe('initech-oidc');
+      expect(authUrl.searchParams.get('client_id')).toBe('acme-portal');
+    });
+
+    test('routes to the rule\'s IDP within the realm without consulting the lookups', async () => {
+      const lookupProvider = new KeycloakProvider(
+        realmRules,
+        undefined,
+        undefined,
+        new OrganizationLookup({ url: 'http://localhost:3003/organizations' }),
+        new LinkedAccountLookup({ url: 'http://localhost:3003/linked-identity-providers' })
+      );
+      fetch.mockClear();
+
+      await expect(lookupProvider.determineIdpHintFromEmail('wile@acme.com')).resolves.toBeNull();
+      await expect(lookupProvider.determineIdpHintFromEmail('peter@initech.com')).resolves.toBe('initech-oidc');
+      await expect(lookupProvider.findLinkedIdentityProviders('peter@initech.com')).resolves.toEqual([]);
+      expect(fetch).not.toHaveBeenCalled();
+      expect(lookupProvider.identityProviders.has('initech-oidc')).toBe(true);
+    });
+
+    test('reads the client roles of the realm\'s own client', () => {
+      const accessToken = createToken({
+        realm_access: { roles: ['user'] },
+        resource_access: { 'react-oidc-app': { roles: ['viewer'] }, 'acme-portal': { roles: ['editor'] } }
+      });
+
+      expect(realmProvider.getAuthorizationClaims({ accessToken, realm: 'acme' })).toMatchObject({
+        clientId: 'acme-portal',
+        realmRoles: ['user'],
+        clientRoles: { 'react-oidc-app': ['viewer'], 'acme-portal': ['editor'] }
+      });
+      expect(realmProvider.getAuthorizationClaims({ accessToken }).clientId).toBe('react-oidc-app');
+    });
+  });
+
+  describe('resolveIdentityProvider', () => {
+    test('reads the brokered IDP from the ID token claim', () => {
+      const tokens = { id_token: createToken({ identity_provider: 'microsoft' }) };
+
+      expect(provider.resolveIdentityProvider(tokens, { email: 'user@gmail.com' })).toEqual({
+        alias: 'microsoft',
+        displayName: 'Microsoft',
+        logo: null,
+        source: 'token'
+      });
+    });
+
+    test('falls back to the access token claim', () => {
+      const tokens = {
+        id_token: createToken({ sub: '123' }),
+        access_token: createToken({ identity_provider: 'corporate-saml' })
+      };
+
+      expect(provider.resolveIdentityProvider(tokens, { email: 'user@company.com' })).toEqual({
+        alias: 'corporate-saml',
+        displayName: 'corporate-saml',
+        logo: null,
+        source: 'token'
+      });
+    });
+
+    test('uses the email domain only when no token carries the claim', () => {
+      const tokens = { id_token: createToken({ sub: '123' }), access_token: 'opaque-token' };
+
+      expect(provider.resolveIdentityProvider(tokens, { email: 'user@gmail.com' })).toEqual({
+        alias: 'google',
+        displayName: 'Google',
+        logo: null,
+        source: 'email'
+      });
+    });
+
+    test('reports a direct Keycloak login when nothing matches', () => {
+      const tokens = { id_token: createToken({ sub: '123' }) };
+
+      expect(provider.resolveIdentityProvider(tokens, { email: 'user@company.com' })).toEqual({
+        alias: null,
+        displayName: null,
+        logo: null,
+        source: null
+      });
+    });
+
+    test('can disable the email fallback', () => {
+      provider.identityProviderEmailFallback = false;
+      const tokens = { id_token: createToken({ sub: '123' }) };
+
+      expect(provider.resolveIdentityProvider(tokens, { email: 'user@gmail.com' }).alias).toBeNull();
+    });
+
+    test('honours a custom claim name', () => {
+      provider.identityProviderClaim = 'idp';
+      const tokens = { access_token: createToken({ idp: 'github' }) };
+
+      expect(provider.resolveIdentityProvider(tokens, {}).alias).toBe('github');
+    });
+  });
+});
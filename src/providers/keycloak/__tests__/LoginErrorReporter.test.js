@@ -0,0 +1,72 @@
+import { LoginErrorReporter } from '../LoginErrorReporter';
+import { OAuthError } from '../OAuthError';
+import logger from '../../../utils/logger';
+
+// Mock logger
+jest.mock('../../../utils/logger', () => ({
+  log: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('LoginErrorReporter', () => {
+  const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+  const loginError = () => Object.assign(
+    new OAuthError('access_denied', 'Login was cancelled', { error: 'access_denied', errorDescription: 'User cancelled', status: 400 }),
+    {
+      correlationId: '1K3F9QZ8A-7Q4MX2',
+      loginRequest: { idpHint: 'google', loginHint: 'someone@example.com', returnTo: '/reports' }
+    }
+  );
+
+  test('posts the error with its correlation ID to the report endpoint', async () => {
+    fetch.mockResolvedValue({ ok: true, status: 204 });
+
+    expect(new LoginErrorReporter({ url: 'http://localhost:3002/login-errors' }).report(loginError())).toBe(true);
+    await flush();
+
+    expect(fetch).toHaveBeenCalledWith('http://localhost:3002/login-errors', expect.objectContaining({
+      method: 'POST',
+      credentials: 'omit',
+      keepalive: true
+    }));
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+      correlationId: '1K3F9QZ8A-7Q4MX2',
+      name: 'OAuthError',
+      code: 'access_denied',
+      message: 'Login was cancelled',
+      error: 'access_denied',
+      errorDescription: 'User cancelled',
+      status: 400,
+      idpHint: 'google',
+      occurredAt: expect.any(String)
+    });
+  });
+
+  test('never sends the login hint', async () => {
+    fetch.mockResolvedValue({ ok: true, status: 204 });
+
+    new LoginErrorReporter({ url: '/login-errors' }).report(loginError());
+    await flush();
+
+    expect(fetch.mock.calls[0][1].body).not.toContain('someone@example.com');
+  });
+
+  test('reports nothing without a report endpoint', async () => {
+    expect(new LoginErrorReporter({ url: null }).report(loginError())).toBe(false);
+    await flush();
+
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('only warns when the report cannot be delivered', async () => {
+    fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+    expect(new LoginErrorReporter({ url: '/login-errors' }).report(loginError())).toBe(true);
+    await flush();
+
+    expect(logger.warn).toHaveBeenCalledWith('Could not report login error [1K3F9QZ8A-7Q4MX2]:', 'Failed to fetch');
+  });
+});
@@ -0,0 +1,123 @@
+import { LoginTransactionStore, LoginTransactionError, TRANSACTION_KEY_PREFIX, USED_STATE_KEY_PREFIX, sanitizeReturnTo } from '../LoginTransactionStore';
+import { createStorage } from '../../../testUtils/createStorage';
+
+let mockRandomCounter = 0;
+jest.mock('../../../utils/pkce', () => ({
+  generateRandomString: () => `random-${++mockRandomCounter}`,
+  generateCodeVerifier: () => `verifier-${++mockRandomCounter}`
+}));
+
+// Mock logger
+jest.mock('../../../utils/logger', () => ({
+  log: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('LoginTransactionStore', () => {
+  let storage;
+  let store;
+
+  beforeEach(() => {
+    mockRandomCounter = 0;
+    storage = createStorage();
+    store = new LoginTransactionStore({ storage, maxAgeSeconds: 600 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('keeps transactions in the tab\'s sessionStorage by default', () => {
+    const { state } = new LoginTransactionStore().create({ redirectUri: 'http://localhost:3001/callback', returnTo: '/a' });
+
+    expect(sessionStorage.setItem).toHaveBeenCalledWith(TRANSACTION_KEY_PREFIX + state, expect.any(String));
+    expect(localStorage.setItem).not.toHaveBeenCalled();
+  });
+
+  test('stores each login under its own state', () => {
+    const first = store.create({ redirectUri: 'http://localhost:3001/callback', returnTo: '/a' });
+    const second = store.create({ redirectUri: 'http://localhost:3001/callback', returnTo: '/b' });
+
+    expect(first.state).not.toBe(second.state);
+    expect(first.codeVerifier).not.toBe(second.codeVerifier);
+    expect(storage.values.has(TRANSACTION_KEY_PREFIX + first.state)).toBe(true);
+    expect(store.consume(second.state).returnTo).toBe('/b');
+    expect(store.consume(first.state).returnTo).toBe('/a');
+  });
+
+  test('consumes a transaction only once', () => {
+    const { state } = store.create({ redirectUri: 'http://localhost:3001/callback' });
+
+    expect(store.consume(state).state).toBe(state);
+    expect(() => store.consume(state)).toThrow(LoginTransactionError);
+  });
+
+  test('tells a replayed state apart from an unknown one', () => {
+    const { state } = store.create({ redirectUri: 'http://localhost:3001/callback', returnTo: '/reports' });
+    store.consume(state);
+
+    expect(() => store.consume(state)).toThrow(expect.objectContaining({
+      code: 'state_already_used',
+      details: { returnTo: '/reports' }
+    }));
+    expect(storage.values.has(USED_STATE_KEY_PREFIX + state)).toBe(true);
+  });
+
+  test('prunes used states after the transaction lifetime', () => {
+    jest.useFakeTimers();
+    const { state } = store.create({ redirectUri: 'http://localhost:3001/callback' });
+    store.consume(state);
+
+    jest.advanceTimersByTime(601 * 1000);
+    store.pruneExpired();
+
+    expect(store.keys(USED_STATE_KEY_PREFIX)).toEqual([]);
+    expect(() => store.consume(state)).toThrow(expect.objectContaining({ code: 'invalid_state' }));
+  });
+
+  test('rejects missing and unknown states', () => {
+    expect(() => store.consume(null)).toThrow(expect.objectContaining({ code: 'missing_state' }));
+    expect(() => store.consume('forged')).toThrow(expect.objectContaining({ code: 'invalid_state' }));
+  });
+
+  test('rejects and prunes expired transactions', () => {
+    jest.useFakeTimers();
+    const expired = store.create({ redirectUri: 'http://localhost:3001/callback' });
+    const abandoned = store.create({ redirectUri: 'http://localhost:3001/callback' });
+
+    jest.advanceTimersByTime(601 * 1000);
+
+    expect(() => store.consume(expired.state)).toThrow(expect.objectContaining({ code: 'transaction_expired' }));
+    store.create({ redirectUri: 'http://localhost:3001/callback' });
+    expect(store.get(abandoned.state)).toBeNull();
+    expect(store.keys()).toHaveLength(1);
+  });
+
+  test('clear removes every pending transaction', () => {
+    store.create({ redirectUri: 'http://localhost:3001/callback' });
+    store.consume(store.create({ redirectUri: 'http://localhost:3001/callback' }).state);
+    storage.setItem('user_info', '{}');
+
+    store.clear();
+
+    expect(store.keys()).toEqual([]);
+    expect(store.keys(USED_STATE_KEY_PREFIX)).toEqual([]);
+    expect(storage.getItem('user_info')).toBe('{}');
+  });
+});
+
+describe('sanitizeReturnTo', () => {
+  test('keeps same-origin paths with query and hash', () => {
+    expect(sanitizeReturnTo('/reports?year=2024#summary')).toBe('/reports?year=2024#summary');
+    expect(sanitizeReturnTo('http://localhost:3001/settings')).toBe('/settings');
+  });
+
+  test('falls back to the root for other origins and the callback page', () => {
+    expect(sanitizeReturnTo('https://evil.example.com/')).toBe('/');
+    expect(sanitizeReturnTo('//evil.example.com/path')).toBe('/');
+    expect(sanitizeReturnTo('/callback?code=abc')).toBe('/');
+    expect(sanitizeReturnTo(undefined)).toBe('/');
+  });
+});
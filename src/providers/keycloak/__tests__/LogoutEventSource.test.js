@@ -0,0 +1,100 @@
+import { LogoutEventSource } from '../LogoutEventSource';
+
+// Mock logger
+jest.mock('../../../utils/logger', () => ({
+  log: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+// EventSource stand-in that lets the test emit server events
+class FakeEventSource {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.listeners = {};
+    this.closed = false;
+    FakeEventSource.instances.push(this);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  emit(type) {
+    this.listeners[type]?.({ type, data: '{}' });
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+
+describe('LogoutEventSource', () => {
+  let onLogout;
+  let events;
+
+  beforeEach(() => {
+    FakeEventSource.instances = [];
+    onLogout = jest.fn();
+    events = new LogoutEventSource({ serviceUrl: 'http://localhost:3002/', onLogout, EventSourceImpl: FakeEventSource });
+    fetch.mockResolvedValue({ ok: true, status: 201, json: () => Promise.resolve({ subscriptionId: 'sub/1' }) });
+  });
+
+  test('registers the session with its ID token and opens the event stream', async () => {
+    await events.start('id-token', 'session-1');
+
+    expect(fetch).toHaveBeenCalledWith('http://localhost:3002/sessions', {
+      method: 'POST',
+      headers: { Authorization: 'Bearer id-token' }
+    });
+    expect(FakeEventSource.instances.map(({ url }) => url)).toEqual(['http://localhost:3002/events?subscription=sub%2F1']);
+  });
+
+  test('reports a pushed logout once and closes the stream', async () => {
+    await events.start('id-token', 'session-1');
+    const [stream] = FakeEventSource.instances;
+
+    stream.emit('logout');
+
+    expect(onLogout).toHaveBeenCalledTimes(1);
+    expect(stream.closed).toBe(true);
+  });
+
+  test('keeps one stream per session', async () => {
+    await events.start('id-token', 'session-1');
+    await events.start('refreshed-id-token', 'session-1');
+    expect(FakeEventSource.instances).toHaveLength(1);
+
+    await events.start('id-token-2', 'session-2');
+    expect(FakeEventSource.instances).toHaveLength(2);
+    expect(FakeEventSource.instances[0].closed).toBe(true);
+  });
+
+  test('does not open a stream when stopped while registering', async () => {
+    const started = events.start('id-token', 'session-1');
+    events.stop();
+    await started;
+
+    expect(FakeEventSource.instances).toHaveLength(0);
+  });
+
+  test('gives up quietly when the receiver rejects the registration', async () => {
+    fetch.mockResolvedValue({ ok: false, status: 401 });
+
+    await events.start('id-token', 'session-1');
+
+    expect(FakeEventSource.instances).toHaveLength(0);
+    expect(events.sessionId).toBeNull();
+  });
+
+  test('is disabled without a receiver URL', async () => {
+    events = new LogoutEventSource({ serviceUrl: undefined, onLogout, EventSourceImpl: FakeEventSource });
+
+    await events.start('id-token', 'session-1');
+
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
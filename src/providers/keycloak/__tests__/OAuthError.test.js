@@ -0,0 +1,106 @@
+import {
+  OAuthError,
+  fromAuthorizationResponse,
+  fromDiscoveryError,
+  fromErrorResponse,
+  fromNetworkFailure
+} from '../OAuthError';
+import { OidcDiscoveryError } from '../OidcDiscovery';
+
+const response = (status, body) => ({ status, text: () => Promise.resolve(body) });
+
+describe('OAuthError', () => {
+  test('carries a code, details and a correlation ID', () => {
+    const error = new OAuthError('network_error', 'Could not reach the issuer', { status: 0 });
+
+    expect(error).toBeInstanceOf(Error);
+    expect(error).toMatchObject({ name: 'OAuthError', code: 'network_error', details: { status: 0 } });
+    expect(error.correlationId).toMatch(/^[0-9A-Z]+-[0-9A-Z]{6}$/);
+    expect(new OAuthError('network_error', 'again').correlationId).not.toBe(error.correlationId);
+  });
+
+  test.each([
+    ['access_denied', 'login_cancelled'],
+    ['temporarily_unavailable', 'idp_unavailable'],
+    ['server_error', 'idp_unavailable'],
+    ['unauthorized_client', 'misconfigured'],
+    ['invalid_scope', 'misconfigured'],
+    ['login_required', 'authorization_failed']
+  ])('maps the authorization error %s to %s', (error, code) => {
+    expect(fromAuthorizationResponse({ error }).code).toBe(code);
+  });
+
+  test('keeps error_description and error_uri of the authorization response', () => {
+    const error = fromAuthorizationResponse({
+      error: 'access_denied',
+      errorDescription: 'User cancelled login',
+      errorUri: 'https://idp.example.com/errors/cancelled'
+    });
+
+    expect(error.message).toBe('access_denied: User cancelled login');
+    expect(error.details).toEqual({
+      error: 'access_denied',
+      errorDescription: 'User cancelled login',
+      errorUri: 'https://idp.example.com/errors/cancelled'
+    });
+  });
+
+  test.each([
+    [400, { error: 'invalid_grant', error_description: 'Code not valid' }, 'invalid_grant'],
+    [401, { error: 'invalid_client' }, 'misconfigured'],
+    [400, { error: 'unsupported_grant_type' }, 'misconfigured'],
+    [400, { error: 'invalid_request' }, 'token_request_failed'],
+    [502, { error: 'invalid_grant' }, 'idp_unavailable']
+  ])('maps a %s token endpoint response %j to %s', async (status, body, code) => {
+    await expect(fromErrorResponse(response(status, JSON.stringify(body)), 'Token exchange failed'))
+      .resolves.toMatchObject({ code, details: { status, error: body.error } });
+  });
+
+  test('describes token endpoint errors from their JSON body', async () => {
+    const error = await fromErrorResponse(response(400, JSON.stringify({
+      error: 'invalid_grant',
+      error_description: 'Code not valid',
+      error_uri: 'https://sso.example.com/errors'
+    })), 'Token exchange failed');
+
+    expect(error.message).toBe('Token exchange failed: 400 - invalid_grant: Code not valid');
+    expect(error.details.errorUri).toBe('https://sso.example.com/errors');
+  });
+
+  test('keeps a plain text body as the description', async () => {
+    const error = await fromErrorResponse(response(400, 'Session not active'), 'Token refresh failed');
+
+    expect(error).toMatchObject({
+      code: 'token_request_failed',
+      message: 'Token refresh failed: 400 - Session not active',
+      details: { error: null, errorDescription: 'Session not active' }
+    });
+  });
+
+  test('wraps fetch failures as network_error', () => {
+    const cause = new TypeError('Failed to fetch');
+    const error = fromNetworkFailure(cause, 'https://sso.example.com/token');
+
+    expect(error).toMatchObject({ code: 'network_error', message: 'Could not reach https://sso.example.com/token: Failed to fetch' });
+    expect(error.details.cause).toBe(cause);
+  });
+
+  test.each([
+    [{ cause: new TypeError('Failed to fetch') }, 'network_error'],
+    [{ status: 503 }, 'idp_unavailable'],
+    [{ status: 404 }, 'misconfigured'],
+    [{ discoveredIssuer: 'http://keycloak:8080/realms/other' }, 'misconfigured']
+  ])('maps discovery failures with %j to %s', (details, code) => {
+    const discoveryError = new OidcDiscoveryError('Discovery failed', { issuer: 'http://localhost:8080/realms/demo', ...details });
+    const error = fromDiscoveryError(discoveryError);
+
+    expect(error).toMatchObject({ name: 'OAuthError', code, message: 'Discovery failed' });
+    expect(error.details.cause).toBe(discoveryError);
+  });
+
+  test('leaves other errors unchanged', () => {
+    const error = new Error('unexpected');
+
+    expect(fromDiscoveryError(error)).toBe(error);
+  });
+});
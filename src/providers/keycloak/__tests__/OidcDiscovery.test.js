@@ -0,0 +1,86 @@
+import {
+  buildKeycloakIssuer,
+  getDiscoveryUrl,
+  loadDiscoveryDocument,
+  clearDiscoveryCache,
+  validateDiscoveryDocument,
+  OidcDiscoveryError
+} from '../OidcDiscovery';
+
+// Mock logger
+jest.mock('../../../utils/logger', () => ({
+  log: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const issuer = 'http://localhost:8080/realms/idp-redirector-demo';
+
+const discoveryDocument = {
+  issuer,
+  authorization_endpoint: `${issuer}/protocol/openid-connect/auth`,
+  token_endpoint: `${issuer}/protocol/openid-connect/token`,
+  userinfo_endpoint: `${issuer}/protocol/openid-connect/userinfo`,
+  end_session_endpoint: `${issuer}/protocol/openid-connect/logout`,
+  jwks_uri: `${issuer}/protocol/openid-connect/certs`,
+  check_session_iframe: `${issuer}/protocol/openid-connect/login-status-iframe.html`
+};
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: jest.fn().mockResolvedValue(body)
+});
+
+describe('OIDC Discovery', () => {
+  beforeEach(() => {
+    clearDiscoveryCache();
+  });
+
+  test('builds Keycloak issuer and discovery URLs', () => {
+    expect(buildKeycloakIssuer('http://localhost:8080/', 'demo')).toBe('http://localhost:8080/realms/demo');
+    expect(getDiscoveryUrl(`${issuer}/`)).toBe(`${issuer}/.well-known/openid-configuration`);
+  });
+
+  test('loads the discovery document once and caches it', async () => {
+    fetch.mockResolvedValue(jsonResponse(discoveryDocument));
+
+    const first = await loadDiscoveryDocument(issuer);
+    const second = await loadDiscoveryDocument(`${issuer}/`);
+
+    expect(first).toEqual(discoveryDocument);
+    expect(second).toBe(first);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch).toHaveBeenCalledWith(`${issuer}/.well-known/openid-configuration`);
+  });
+
+  test('rejects a document issued for a different issuer', async () => {
+    fetch.mockResolvedValue(jsonResponse({ ...discoveryDocument, issuer: 'http://keycloak:8080/realms/idp-redirector-demo' }));
+
+    await expect(loadDiscoveryDocument(issuer)).rejects.toThrow(/Discovery issuer mismatch/);
+  });
+
+  test('explains the /auth prefix on 404', async () => {
+    fetch.mockResolvedValue(jsonResponse({}, 404));
+
+    await expect(loadDiscoveryDocument('http://localhost:8080/auth/realms/demo'))
+      .rejects.toThrow(/no longer uses the \/auth path prefix/);
+    await expect(loadDiscoveryDocument(issuer))
+      .rejects.toThrow(/serve realms under \/auth/);
+  });
+
+  test('does not cache failures', async () => {
+    fetch
+      .mockRejectedValueOnce(new Error('Failed to fetch'))
+      .mockResolvedValueOnce(jsonResponse(discoveryDocument));
+
+    await expect(loadDiscoveryDocument(issuer)).rejects.toBeInstanceOf(OidcDiscoveryError);
+    await expect(loadDiscoveryDocument(issuer)).resolves.toEqual(discoveryDocument);
+  });
+
+  test('requires the authorization and token endpoints', () => {
+    expect(() => validateDiscoveryDocument(issuer, { issuer, authorization_endpoint: 'x' }))
+      .toThrow('missing required endpoints: token_endpoint');
+  });
+});
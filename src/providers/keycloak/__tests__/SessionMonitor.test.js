@@ -0,0 +1,116 @@
+import { SessionMonitor } from '../SessionMonitor';
+
+// Mock logger
+jest.mock('../../../utils/logger', () => ({
+  log: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const CHECK_SESSION_URL = 'https://sso.example.com/realms/demo/protocol/openid-connect/login-status-iframe.html';
+
+describe('SessionMonitor', () => {
+  let onChange;
+  let monitor;
+
+  const getIframe = () => document.querySelector('iframe[title="Keycloak session check"]');
+
+  // Answer from the check session iframe, as Keycloak posts it
+  const reply = (data, { origin = 'https://sso.example.com', source = getIframe().contentWindow } = {}) => {
+    window.dispatchEvent(new MessageEvent('message', { data, origin, source }));
+  };
+
+  // Start monitoring and load the iframe, returns the iframe's postMessage spy
+  const startMonitor = async (sessionState = 'session-1') => {
+    await monitor.start(sessionState);
+    const postMessage = jest.spyOn(getIframe().contentWindow, 'postMessage').mockImplementation(() => {});
+    getIframe().onload();
+    return postMessage;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    onChange = jest.fn();
+    monitor = new SessionMonitor({
+      clientId: 'react-oidc-app',
+      getCheckSessionIframeUrl: jest.fn().mockResolvedValue(CHECK_SESSION_URL),
+      onChange,
+      intervalSeconds: 5
+    });
+  });
+
+  afterEach(() => {
+    monitor.stop();
+    jest.useRealTimers();
+  });
+
+  test('polls the iframe with the client ID and session state, only for its origin', async () => {
+    const postMessage = await startMonitor();
+
+    expect(getIframe().src).toBe(CHECK_SESSION_URL);
+    expect(postMessage).toHaveBeenCalledWith('react-oidc-app session-1', 'https://sso.example.com');
+
+    jest.advanceTimersByTime(10000);
+    expect(postMessage).toHaveBeenCalledTimes(3);
+  });
+
+  test('raises a change and stops polling when the session changed', async () => {
+    const postMessage = await startMonitor();
+
+    reply('unchanged');
+    expect(onChange).not.toHaveBeenCalled();
+
+    reply('changed');
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(getIframe()).toBeNull();
+
+    jest.advanceTimersByTime(10000);
+    expect(postMessage).toHaveBeenCalledTimes(1);
+  });
+
+  test('ignores messages from other origins or windows', async () => {
+    await startMonitor();
+
+    reply('changed', { origin: 'https://evil.example.com' });
+    reply('changed', { source: window });
+
+    expect(onChange).not.toHaveBeenCalled();
+  });
+
+  test('does not watch a session again once it was reported as changed', async () => {
+    await startMonitor();
+    reply('changed');
+
+    await monitor.start('session-1');
+    expect(getIframe()).toBeNull();
+
+    await monitor.start('session-2');
+    expect(getIframe()).not.toBeNull();
+  });
+
+  test('stops on an iframe error', async () => {
+    await startMonitor();
+
+    reply('error');
+
+    expect(getIframe()).toBeNull();
+    expect(onChange).not.toHaveBeenCalled();
+  });
+
+  test('does nothing when the issuer has no check session iframe', async () => {
+    monitor.getCheckSessionIframeUrl.mockResolvedValue(null);
+
+    await monitor.start('session-1');
+
+    expect(getIframe()).toBeNull();
+  });
+
+  test('can be disabled with a zero interval', async () => {
+    monitor.intervalSeconds = 0;
+
+    await monitor.start('session-1');
+
+    expect(monitor.getCheckSessionIframeUrl).not.toHaveBeenCalled();
+  });
+});
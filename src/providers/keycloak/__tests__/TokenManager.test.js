@@ -0,0 +1,338 @@
+import { TokenManager, TOKEN_STORAGE_KEY } from '../TokenManager';
+import { MemoryStorage } from '../../../storage/MemoryStorage';
+
+// Mock logger
+jest.mock('../../../utils/logger', () => ({
+  log: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const tokenResponse = (overrides = {}) => ({
+  access_token: 'access-1',
+  refresh_token: 'refresh-1',
+  id_token: 'id-1',
+  expires_in: 300,
+  refresh_expires_in: 1800,
+  ...overrides
+});
+
+describe('TokenManager', () => {
+  let refreshTokens;
+  let onSessionExpired;
+  let manager;
+  let storage;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+    storage = new MemoryStorage();
+
+    refreshTokens = jest.fn();
+    onSessionExpired = jest.fn();
+    manager = new TokenManager({ refreshTokens, onSessionExpired, minValiditySeconds: 30, storage });
+  });
+
+  afterEach(() => {
+    manager.stopAutoRefresh();
+    jest.useRealTimers();
+  });
+
+  test('stores tokens with their expiry in the storage adapter', async () => {
+    manager.setTokens(tokenResponse({ session_state: 'sso-session-1' }));
+
+    await expect(storage.get(TOKEN_STORAGE_KEY)).resolves.toEqual({
+      id: expect.any(String),
+      accessToken: 'access-1',
+      refreshToken: 'refresh-1',
+      idToken: 'id-1',
+      expiresAt: Date.now() + 300000,
+      refreshExpiresAt: Date.now() + 1800000,
+      sessionState: 'sso-session-1',
+      realm: null
+    });
+    expect(manager.isAccessTokenExpired()).toBe(false);
+  });
+
+  test('restores persisted tokens', async () => {
+    manager.setTokens(tokenResponse());
+
+    const restored = await new TokenManager({ refreshTokens, onSessionExpired, storage }).load();
+    expect(restored).toEqual(expect.objectContaining({
+      accessToken: 'access-1',
+      refreshToken: 'refresh-1',
+      idToken: 'id-1',
+      expiresAt: Date.now() + 300000
+    }));
+  });
+
+  test('returns null from load when nothing is stored', async () => {
+    await expect(manager.load()).resolves.toBeNull();
+  });
+
+  test('returns null from load when the storage cannot be read', async () => {
+    storage.get = jest.fn().mockRejectedValue(new Error('decryption failed'));
+
+    await expect(manager.load()).resolves.toBeNull();
+  });
+
+  test('refreshes automatically before the access token expires', async () => {
+    refreshTokens.mockResolvedValue(tokenResponse({ access_token: 'access-2', refresh_token: 'refresh-2' }));
+    manager.setTokens(tokenResponse());
+
+    jest.advanceTimersByTime(269000);
+    expect(refreshTokens).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1000);
+    expect(refreshTokens).toHaveBeenCalledWith('refresh-1');
+
+    // Joining the in-flight refresh does not trigger a second request
+    await manager.refresh();
+    expect(refreshTokens).toHaveBeenCalledTimes(1);
+    expect(manager.getTokens().accessToken).toBe('access-2');
+  });
+
+  test('getAccessToken refreshes an expiring token and shares one request', async () => {
+    refreshTokens.mockResolvedValue(tokenResponse({ access_token: 'access-2' }));
+    manager.setTokens(tokenResponse({ expires_in: 10 }));
+
+    const [first, second] = await Promise.all([manager.getAccessToken(), manager.getAccessToken()]);
+
+    expect(first).toBe('access-2');
+    expect(second).toBe('access-2');
+    expect(refreshTokens).toHaveBeenCalledTimes(1);
+  });
+
+  test('keeps the previous refresh token when the response omits it', async () => {
+    refreshTokens.mockResolvedValue({ access_token: 'access-2', expires_in: 300 });
+    manager.setTokens(tokenResponse({ expires_in: 10 }));
+
+    await manager.refresh();
+
+    expect(manager.getTokens().refreshToken).toBe('refresh-1');
+    expect(manager.getTokens().idToken).toBe('id-1');
+  });
+
+  test('keeps the realm that issued the tokens across refreshes', async () => {
+    refreshTokens.mockResolvedValue({ access_token: 'access-2', expires_in: 300 });
+    manager.setTokens(tokenResponse({ expires_in: 10, realm: 'acme' }));
+
+    await manager.refresh();
+
+    expect(manager.getTokens().realm).toBe('acme');
+    await expect(new TokenManager({ refreshTokens, onSessionExpired, storage }).load()).resolves.toMatchObject({ realm: 'acme' });
+  });
+
+  test('notifies subscribers of token changes', async () => {
+    const listener = jest.fn();
+    refreshTokens.mockResolvedValue(tokenResponse({ access_token: 'access-2' }));
+    const unsubscribe = manager.subscribe(listener);
+
+    manager.setTokens(tokenResponse());
+    await manager.refresh();
+    unsubscribe();
+    manager.clear();
+
+    expect(listener.mock.calls.map(([, event]) => event)).toEqual(['login', 'refresh']);
+  });
+
+  test('ends the session when Keycloak rejects the refresh token', async () => {
+    const listener = jest.fn();
+    refreshTokens.mockRejectedValue(Object.assign(new Error('Token refresh failed: 400 - invalid_grant'), { code: 'invalid_grant' }));
+    manager.setTokens(tokenResponse({ expires_in: 10 }));
+    manager.subscribe(listener);
+
+    await expect(manager.getAccessToken()).resolves.toBeNull();
+
+    expect(onSessionExpired).toHaveBeenCalled();
+    expect(listener).toHaveBeenCalledWith(null, 'expired', 'local');
+    expect(storage.values.has(TOKEN_STORAGE_KEY)).toBe(false);
+  });
+
+  test('keeps the session and retries when the refresh fails for another reason', async () => {
+    const listener = jest.fn();
+    refreshTokens.mockRejectedValueOnce(Object.assign(new Error('Could not reach the issuer'), { code: 'network_error' }));
+    manager.setTokens(tokenResponse({ expires_in: 40 }));
+    manager.subscribe(listener);
+
+    // The access token is still valid for a few seconds
+    await expect(manager.refresh()).resolves.toMatchObject({ accessToken: 'access-1' });
+    expect(onSessionExpired).not.toHaveBeenCalled();
+    expect(listener).not.toHaveBeenCalled();
+    expect(storage.values.has(TOKEN_STORAGE_KEY)).toBe(true);
+
+    refreshTokens.mockResolvedValueOnce(tokenResponse({ access_token: 'access-2' }));
+    jest.advanceTimersByTime(10000);
+    expect(refreshTokens).toHaveBeenCalledTimes(2);
+    await manager.refresh();
+    expect(manager.getTokens().accessToken).toBe('access-2');
+  });
+
+  test('returns no access token while a failed refresh is retried after it expired', async () => {
+    refreshTokens.mockRejectedValue(Object.assign(new Error('Token refresh failed: 503'), { code: 'idp_unavailable' }));
+    manager.setTokens(tokenResponse({ expires_in: 10 }));
+    jest.setSystemTime(Date.now() + 11000);
+
+    await expect(manager.getAccessToken()).resolves.toBeNull();
+    expect(manager.getTokens()).toMatchObject({ accessToken: 'access-1' });
+    expect(onSessionExpired).not.toHaveBeenCalled();
+  });
+
+  test('ends the session when the refresh token has expired', async () => {
+    manager.setTokens(tokenResponse({ expires_in: 10, refresh_expires_in: 20 }));
+    jest.setSystemTime(Date.now() + 21000);
+
+    await expect(manager.getAccessToken()).resolves.toBeNull();
+
+    expect(refreshTokens).not.toHaveBeenCalled();
+    expect(onSessionExpired).toHaveBeenCalled();
+  });
+
+  test('clear removes all persisted tokens', () => {
+    manager.setTokens(tokenResponse());
+    manager.clear();
+
+    expect(manager.getTokens()).toBeNull();
+    expect(storage.values.size).toBe(0);
+  });
+
+  describe('across tabs', () => {
+    test('adopts tokens refreshed by another tab without a token request', () => {
+      const listener = jest.fn();
+      manager.setTokens(tokenResponse());
+      manager.subscribe(listener);
+
+      const remoteTokens = { ...manager.getTokens(), accessToken: 'access-2', expiresAt: Date.now() + 600000 };
+      manager.applyRemoteTokens(remoteTokens, 'refresh');
+
+      expect(manager.getTokens()).toEqual(remoteTokens);
+      expect(listener).toHaveBeenCalledWith(remoteTokens, 'refresh', 'remote');
+      expect(refreshTokens).not.toHaveBeenCalled();
+
+      // The refresh is rescheduled for the new expiry
+      jest.advanceTimersByTime(300000);
+      expect(refreshTokens).not.toHaveBeenCalled();
+    });
+
+    test('ignores tokens it already has', () => {
+      const listener = jest.fn();
+      manager.setTokens(tokenResponse());
+      manager.subscribe(listener);
+
+      manager.applyRemoteTokens(manager.getTokens(), 'refresh');
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('refreshes inside the cross-tab lock', async () => {
+      const runExclusive = jest.fn((callback) => callback());
+      manager = new TokenManager({ refreshTokens, storage, runExclusive });
+      refreshTokens.mockResolvedValue(tokenResponse({ access_token: 'access-2' }));
+      manager.setTokens(tokenResponse({ expires_in: 10 }));
+
+      await expect(manager.getAccessToken()).resolves.toBe('access-2');
+      expect(runExclusive).toHaveBeenCalledTimes(1);
+    });
+
+    test('skips the request when another tab refreshed while waiting for the lock', async () => {
+      let releaseLock;
+      const lockReleased = new Promise((resolve) => { releaseLock = resolve; });
+      manager = new TokenManager({ refreshTokens, storage, runExclusive: (callback) => lockReleased.then(callback) });
+      manager.setTokens(tokenResponse({ expires_in: 10 }));
+
+      const pending = manager.getAccessToken();
+      manager.applyRemoteTokens({ ...manager.getTokens(), accessToken: 'access-2', expiresAt: Date.now() + 300000 }, 'refresh');
+      releaseLock();
+
+      await expect(pending).resolves.toBe('access-2');
+      expect(refreshTokens).not.toHaveBeenCalled();
+    });
+
+    describe('when another tab rotated the refresh token first', () => {
+      // Two tabs holding the same token set, refreshing under one lock with a shared refresh record
+      let first;
+      let second;
+      let published;
+      let secondWaiting;
+
+      beforeEach(() => {
+        let lockQueue = Promise.resolve();
+        const runExclusive = (callback) => {
+          const run = lockQueue.then(callback);
+          lockQueue = run.catch(() => {});
+          return run;
+        };
+        const refreshRecord = { value: null, get: () => refreshRecord.value, set: (value) => { refreshRecord.value = value; } };
+        published = [];
+        first = new TokenManager({ refreshTokens, storage, runExclusive, refreshRecord, publishRefresh: (tokens) => published.push(tokens) });
+        second = new TokenManager({ refreshTokens, onSessionExpired, storage: new MemoryStorage(), runExclusive, refreshRecord });
+        refreshTokens.mockResolvedValue(tokenResponse({ access_token: 'access-2', refresh_token: 'refresh-2' }));
+        first.setTokens(tokenResponse({ expires_in: 10 }));
+        second.applyRemoteTokens(first.getTokens(), 'login');
+
+        // Resolves once the second tab holds the lock and waits for the first tab's tokens
+        secondWaiting = new Promise((resolve) => {
+          const waitForRemoteChange = second.waitForRemoteChange.bind(second);
+          second.waitForRemoteChange = () => {
+            resolve();
+            return waitForRemoteChange();
+          };
+        });
+      });
+
+      afterEach(() => {
+        first.stopAutoRefresh();
+        second.stopAutoRefresh();
+      });
+
+      test('publishes the new tokens before releasing the lock', async () => {
+        await first.refresh();
+
+        expect(published).toEqual([first.getTokens()]);
+      });
+
+      test('waits for the other tab\'s tokens instead of sending the rotated refresh token', async () => {
+        const refreshes = Promise.all([first.refresh(), second.refresh()]);
+        await secondWaiting;
+        second.applyRemoteTokens(published[0], 'refresh');
+
+        const [, secondTokens] = await refreshes;
+        expect(secondTokens).toMatchObject({ accessToken: 'access-2', refreshToken: 'refresh-2' });
+        expect(refreshTokens).toHaveBeenCalledTimes(1);
+        expect(onSessionExpired).not.toHaveBeenCalled();
+      });
+
+      test('ends only its own session when the tokens never arrive', async () => {
+        const listener = jest.fn();
+        second.subscribe(listener);
+
+        const refreshes = Promise.all([first.refresh(), second.refresh()]);
+        await secondWaiting;
+        jest.advanceTimersByTime(5000);
+
+        const [firstTokens, secondTokens] = await refreshes;
+        expect(firstTokens.accessToken).toBe('access-2');
+        expect(secondTokens).toBeNull();
+        expect(refreshTokens).toHaveBeenCalledTimes(1);
+        // 'remote': the other tabs keep their session, nothing is broadcast
+        expect(listener).toHaveBeenCalledWith(null, 'expired', 'remote');
+        expect(onSessionExpired).toHaveBeenCalled();
+      });
+    });
+
+    test('returns null when another tab logged out while waiting for the lock', async () => {
+      let releaseLock;
+      const lockReleased = new Promise((resolve) => { releaseLock = resolve; });
+      manager = new TokenManager({ refreshTokens, storage, runExclusive: (callback) => lockReleased.then(callback) });
+      manager.setTokens(tokenResponse({ expires_in: 10 }));
+
+      const pending = manager.getAccessToken();
+      manager.clear('logout', 'remote');
+      releaseLock();
+
+      await expect(pending).resolves.toBeNull();
+      expect(refreshTokens).not.toHaveBeenCalled();
+    });
+  });
+});
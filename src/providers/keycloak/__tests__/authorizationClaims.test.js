@@ -0,0 +1,45 @@
+import { readAuthorizationClaims } from '../authorizationClaims';
+
+// Build an unsigned JWT carrying the given claims
+const createToken = (claims) => {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'none' })}.${encode(claims)}.`;
+};
+
+describe('readAuthorizationClaims', () => {
+  test('reads realm roles, client roles, groups and scopes of a Keycloak access token', () => {
+    const accessToken = createToken({
+      realm_access: { roles: ['default-roles-demo', 'user', 'admin'] },
+      resource_access: {
+        'react-oidc-app': { roles: ['reports-viewer'] },
+        account: { roles: ['manage-account', 'view-profile'] }
+      },
+      groups: ['/admins', '/staff/eu'],
+      scope: 'openid email profile'
+    });
+
+    expect(readAuthorizationClaims(accessToken, 'react-oidc-app')).toEqual({
+      clientId: 'react-oidc-app',
+      realmRoles: ['default-roles-demo', 'user', 'admin'],
+      clientRoles: {
+        'react-oidc-app': ['reports-viewer'],
+        account: ['manage-account', 'view-profile']
+      },
+      groups: ['/admins', '/staff/eu'],
+      scopes: ['openid', 'email', 'profile']
+    });
+  });
+
+  test('returns empty lists for missing or malformed claims', () => {
+    const empty = { clientId: 'react-oidc-app', realmRoles: [], clientRoles: {}, groups: [], scopes: [] };
+
+    expect(readAuthorizationClaims(createToken({ sub: 'user-1' }), 'react-oidc-app')).toEqual(empty);
+    expect(readAuthorizationClaims('not-a-jwt', 'react-oidc-app')).toEqual(empty);
+    expect(readAuthorizationClaims(createToken({
+      realm_access: { roles: 'admin' },
+      resource_access: { 'react-oidc-app': null, account: { roles: [42, 'view-profile'] } },
+      groups: [null, '/admins'],
+      scope: ['openid']
+    }), 'react-oidc-app')).toEqual({ ...empty, clientRoles: { account: ['view-profile'] }, groups: ['/admins'] });
+  });
+});
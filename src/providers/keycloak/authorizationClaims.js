@@ -0,0 +1,25 @@
+// Authorization claims of a Keycloak access token: realm roles (realm_access.roles), client roles
+// (resource_access[client].roles), groups (group membership mapper) and the granted scopes (scope)
+// Read for display and routing only: APIs must check the token themselves
+import { getTokenClaims } from '../../utils/jwt';
+
+const strings = (value) => (Array.isArray(value) ? value.filter((item) => typeof item === 'string' && item) : []);
+
+// { clientId, realmRoles, clientRoles: { client: [role] }, groups, scopes }, empty lists for missing or malformed claims
+// clientId is the app's client in the realm that issued the token, whose client roles count as the app's roles
+export const readAuthorizationClaims = (accessToken, clientId) => {
+    const claims = getTokenClaims(accessToken);
+    const resourceAccess = claims.resource_access && typeof claims.resource_access === 'object' ? claims.resource_access : {};
+
+    return {
+        clientId,
+        realmRoles: strings(claims.realm_access?.roles),
+        clientRoles: Object.fromEntries(Object.entries(resourceAccess)
+            .map(([client, access]) => [client, strings(access?.roles)])
+            .filter(([, roles]) => roles.length > 0)),
+        groups: strings(claims.groups),
+        scopes: typeof claims.scope === 'string' ? claims.scope.split(' ').filter(Boolean) : []
+    };
+};
+
+export default readAuthorizationClaims;
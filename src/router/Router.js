@@ -0,0 +1,96 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+
+// Minimal client-side router on top of the History API
+
+const RouterContext = createContext(null);
+
+// Split a URL (absolute or app-relative) into the parts the router tracks
+const toLocation = (url) => {
+  const { pathname, search, hash } = new URL(url, window.location.origin);
+  return { pathname, search, hash };
+};
+
+const readLocation = () => toLocation(`${window.location.pathname || '/'}${window.location.search || ''}${window.location.hash || ''}`);
+
+// Exact path match ignoring a trailing slash, '*' matches everything
+export const matchPath = (path, pathname) => {
+  if (path === '*') return true;
+  const normalize = (value) => (value.length > 1 ? value.replace(/\/+$/, '') : value);
+  return normalize(path) === normalize(pathname);
+};
+
+export const Router = ({ children }) => {
+  const [location, setLocation] = useState(readLocation);
+
+  // Back/forward buttons
+  useEffect(() => {
+    const handlePopState = () => setLocation(readLocation());
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const navigate = useCallback((to, { replace = false } = {}) => {
+    const next = toLocation(to);
+    const url = `${next.pathname}${next.search}${next.hash}`;
+
+    if (replace) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+    setLocation(next);
+  }, []);
+
+  const value = useMemo(() => ({ location, navigate }), [location, navigate]);
+
+  return <RouterContext.Provider value={value}>{children}</RouterContext.Provider>;
+};
+
+const useRouter = () => {
+  const context = useContext(RouterContext);
+  if (!context) {
+    throw new Error('Router hooks must be used within a <Router>');
+  }
+  return context;
+};
+
+export const useLocation = () => useRouter().location;
+
+export const useNavigate = () => useRouter().navigate;
+
+// Render the element of the first <Route> whose path matches the current location
+export const Routes = ({ children }) => {
+  const { pathname } = useLocation();
+  const match = React.Children.toArray(children).find((child) => matchPath(child.props.path, pathname));
+  return match ? match.props.element : null;
+};
+
+// Route declarations are read by <Routes>, they render nothing themselves
+export const Route = () => null;
+
+// Navigate as soon as this element renders (e.g. redirects)
+export const Navigate = ({ to, replace = false }) => {
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    navigate(to, { replace });
+  }, [navigate, to, replace]);
+
+  return null;
+};
+
+// In-app link that navigates without a page load (modified clicks open normally)
+export const Link = ({ to, onClick, children, ...props }) => {
+  const navigate = useNavigate();
+
+  const handleClick = (event) => {
+    if (onClick) onClick(event);
+    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+      return;
+    }
+    event.preventDefault();
+    navigate(to);
+  };
+
+  return <a href={to} onClick={handleClick} {...props}>{children}</a>;
+};
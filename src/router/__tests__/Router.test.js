@@ -0,0 +1,89 @@
+import React from 'react';
+import { render, screen, act } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { Router, Routes, Route, Link, Navigate, matchPath, useLocation } from '../Router';
+
+const ShowLocation = () => {
+  const { pathname, search } = useLocation();
+  return <p>{`At ${pathname}${search}`}</p>;
+};
+
+const renderApp = () => render(
+  <Router>
+    <Routes>
+      <Route path="/" element={<Link to="/reports?year=2024">Reports</Link>} />
+      <Route path="/reports" element={<ShowLocation />} />
+      <Route path="/old" element={<Navigate to="/reports" replace />} />
+      <Route path="*" element={<p>Not found</p>} />
+    </Routes>
+  </Router>
+);
+
+describe('Router', () => {
+  beforeEach(() => {
+    window.location.pathname = '/';
+    window.location.search = '';
+    window.location.hash = '';
+    jest.spyOn(window.history, 'pushState');
+    jest.spyOn(window.history, 'replaceState');
+  });
+
+  afterEach(() => {
+    window.history.pushState.mockRestore();
+    window.history.replaceState.mockRestore();
+  });
+
+  test('matches exact paths, ignoring a trailing slash', () => {
+    expect(matchPath('/reports', '/reports/')).toBe(true);
+    expect(matchPath('/reports', '/reports/2024')).toBe(false);
+    expect(matchPath('/', '/')).toBe(true);
+    expect(matchPath('*', '/anything')).toBe(true);
+  });
+
+  test('renders the route for the current location', () => {
+    window.location.pathname = '/reports';
+    window.location.search = '?year=2023';
+
+    renderApp();
+
+    expect(screen.getByText('At /reports?year=2023')).toBeInTheDocument();
+  });
+
+  test('falls back to the catch-all route', () => {
+    window.location.pathname = '/missing';
+
+    renderApp();
+
+    expect(screen.getByText('Not found')).toBeInTheDocument();
+  });
+
+  test('links navigate with pushState', async () => {
+    const user = userEvent.setup();
+    renderApp();
+
+    await user.click(screen.getByText('Reports'));
+
+    expect(window.history.pushState).toHaveBeenCalledWith(null, '', '/reports?year=2024');
+    expect(screen.getByText('At /reports?year=2024')).toBeInTheDocument();
+  });
+
+  test('Navigate replaces the current history entry', () => {
+    window.location.pathname = '/old';
+
+    renderApp();
+
+    expect(window.history.replaceState).toHaveBeenCalledWith(null, '', '/reports');
+    expect(screen.getByText('At /reports')).toBeInTheDocument();
+  });
+
+  test('follows back/forward navigation', () => {
+    renderApp();
+
+    window.location.pathname = '/reports';
+    act(() => {
+      window.dispatchEvent(new PopStateEvent('popstate'));
+    });
+
+    expect(screen.getByText('At /reports')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,86 @@
+import { analyzeEmail, normalizeDomain, suggestDomain, EMAIL_REJECTION_MESSAGES } from '../emailAnalysis';
+
+const knownDomains = ['gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'live.com', 'msn.com'];
+
+describe('emailAnalysis', () => {
+  describe('normalizeDomain', () => {
+    test.each([
+      ['GMAIL.COM', 'gmail.com'],
+      ['gmail.com.', 'gmail.com'],
+      [' gmail.com.. ', 'gmail.com'],
+      ['gmail。com', 'gmail.com'],
+      ['München.de', 'xn--mnchen-3ya.de'],
+      ['xn--mnchen-3ya.de', 'xn--mnchen-3ya.de']
+    ])('normalizes %s to %s', (domain, normalized) => {
+      expect(normalizeDomain(domain)).toBe(normalized);
+    });
+
+    test.each(['', '.', 'gmail.com/path', 'a b.com', 'xn--zz.com', null])('rejects %p', (domain) => {
+      expect(normalizeDomain(domain)).toBeNull();
+    });
+  });
+
+  describe('analyzeEmail', () => {
+    test('accepts and normalizes a valid address', () => {
+      expect(analyzeEmail('  Jane.Doe@GMAIL.COM.  ', { knownDomains })).toEqual({
+        input: '  Jane.Doe@GMAIL.COM.  ',
+        valid: true,
+        reason: null,
+        message: null,
+        email: 'Jane.Doe@gmail.com',
+        localPart: 'Jane.Doe',
+        domain: 'gmail.com',
+        suggestion: null
+      });
+    });
+
+    test('converts Unicode domains to punycode', () => {
+      expect(analyzeEmail('anna@bücher.example')).toMatchObject({ valid: true, email: 'anna@xn--bcher-kva.example' });
+    });
+
+    test.each([
+      ['', 'empty'],
+      ['   ', 'empty'],
+      ['jane doe@gmail.com', 'contains_whitespace'],
+      ['jane.gmail.com', 'missing_at'],
+      ['jane@doe@gmail.com', 'multiple_at'],
+      ['@gmail.com', 'missing_local_part'],
+      ['.jane@gmail.com', 'invalid_local_part'],
+      ['jane..doe@gmail.com', 'invalid_local_part'],
+      [`${'a'.repeat(65)}@gmail.com`, 'local_part_too_long'],
+      ['jane@', 'missing_domain'],
+      ['jane@.', 'missing_domain'],
+      ['jane@exa_mple.com', 'invalid_domain'],
+      ['jane@-gmail.com', 'invalid_domain'],
+      ['jane@1.2.3.4', 'invalid_domain'],
+      ['jane@localhost', 'missing_tld'],
+      [`jane@${'abcdefghij.'.repeat(25)}com`, 'domain_too_long']
+    ])('rejects %p as %s', (input, reason) => {
+      const analysis = analyzeEmail(input);
+
+      expect(analysis).toMatchObject({ valid: false, reason, message: EMAIL_REJECTION_MESSAGES[reason], email: null, domain: null });
+    });
+
+    test.each([
+      ['jane@gmial.com', 'gmail.com'],
+      ['jane@gmail.con', 'gmail.com'],
+      ['jane@hotmial.com', 'hotmail.com'],
+      ['jane@outlok.com', 'outlook.com'],
+      ['jane@GMAI.COM.', 'gmail.com']
+    ])('suggests a correction for %s', (input, domain) => {
+      expect(analyzeEmail(input, { knownDomains }).suggestion).toEqual({ domain, email: `jane@${domain}` });
+    });
+
+    test('does not suggest known or distant domains', () => {
+      expect(analyzeEmail('jane@gmail.com', { knownDomains }).suggestion).toBeNull();
+      expect(analyzeEmail('jane@company.com', { knownDomains }).suggestion).toBeNull();
+      expect(analyzeEmail('jane@gmial.com').suggestion).toBeNull();
+    });
+  });
+
+  describe('suggestDomain', () => {
+    test('gives no suggestion when two known domains are equally close', () => {
+      expect(suggestDomain('mail.com', ['gmail.com', 'xmail.com'])).toBeNull();
+    });
+  });
+});
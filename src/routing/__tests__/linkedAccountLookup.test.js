@@ -0,0 +1,49 @@
+import { LinkedAccountLookup } from '../linkedAccountLookup';
+
+jest.mock('../../utils/logger', () => ({
+  log: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const url = 'http://localhost:3003/linked-identity-providers';
+
+const respond = (body, ok = true, status = 200) => Promise.resolve({ ok, status, json: () => Promise.resolve(body) });
+
+describe('LinkedAccountLookup', () => {
+  test('is disabled without a URL', async () => {
+    const lookup = new LinkedAccountLookup({ url: '' });
+
+    expect(lookup.isEnabled()).toBe(false);
+    await expect(lookup.find('grace@gmail.com')).resolves.toBeNull();
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('posts the email and returns the linked identity providers', async () => {
+    fetch.mockReturnValue(respond({ identityProviders: [{ alias: 'microsoft', displayName: 'Microsoft' }] }));
+
+    await expect(new LinkedAccountLookup({ url }).find('frank@gmail.com')).resolves.toEqual([{ alias: 'microsoft', displayName: 'Microsoft' }]);
+    // The address goes in the body, not the URL (no email addresses in access logs)
+    expect(fetch).toHaveBeenCalledWith(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({ email: 'frank@gmail.com' })
+    });
+  });
+
+  test('returns an empty list for addresses without linked providers', async () => {
+    fetch.mockReturnValue(respond({ identityProviders: [] }));
+
+    await expect(new LinkedAccountLookup({ url }).find('nobody@gmail.com')).resolves.toEqual([]);
+  });
+
+  test('returns null when the service fails', async () => {
+    fetch.mockReturnValueOnce(respond({ error: 'lookup_unavailable' }, false, 502));
+    fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    const lookup = new LinkedAccountLookup({ url });
+
+    await expect(lookup.find('grace@gmail.com')).resolves.toBeNull();
+    await expect(lookup.find('grace@gmail.com')).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,72 @@
+import { OrganizationLookup } from '../organizationLookup';
+
+jest.mock('../../utils/logger', () => ({
+  log: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const url = 'http://localhost:3003/organizations';
+
+const respond = (body, ok = true, status = 200) => Promise.resolve({ ok, status, json: () => Promise.resolve(body) });
+
+describe('OrganizationLookup', () => {
+  test('is disabled without a URL', async () => {
+    const lookup = new OrganizationLookup({ url: '' });
+
+    expect(lookup.isEnabled()).toBe(false);
+    await expect(lookup.find('contoso.com')).resolves.toBeNull();
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('returns the organization and its identity provider', async () => {
+    fetch.mockReturnValue(respond({
+      domain: 'contoso.com',
+      organization: { alias: 'contoso', name: 'Contoso' },
+      identityProvider: { alias: 'contoso-entra', displayName: 'Contoso Entra ID' }
+    }));
+    const lookup = new OrganizationLookup({ url });
+
+    await expect(lookup.find('contoso.com')).resolves.toEqual({
+      organization: { alias: 'contoso', name: 'Contoso' },
+      identityProvider: { alias: 'contoso-entra', displayName: 'Contoso Entra ID' }
+    });
+    expect(fetch).toHaveBeenCalledWith(`${url}?domain=contoso.com`, { headers: { Accept: 'application/json' } });
+  });
+
+  test('returns null for domains without an organization', async () => {
+    fetch.mockReturnValue(respond({ domain: 'gmail.com', organization: null, identityProvider: null }));
+
+    await expect(new OrganizationLookup({ url }).find('gmail.com')).resolves.toBeNull();
+  });
+
+  test('asks once per domain', async () => {
+    fetch.mockReturnValue(respond({ domain: 'contoso.com', organization: { alias: 'contoso', name: 'Contoso' }, identityProvider: null }));
+    const lookup = new OrganizationLookup({ url });
+
+    await lookup.find('contoso.com');
+    await lookup.find('contoso.com');
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('treats a failed lookup as no organization and asks again next time', async () => {
+    fetch.mockReturnValueOnce(respond({ error: 'lookup_unavailable' }, false, 502));
+    const lookup = new OrganizationLookup({ url });
+
+    await expect(lookup.find('contoso.com')).resolves.toBeNull();
+
+    fetch.mockReturnValueOnce(respond({ domain: 'contoso.com', organization: { alias: 'contoso', name: 'Contoso' }, identityProvider: null }));
+    await expect(lookup.find('contoso.com')).resolves.toMatchObject({ organization: { alias: 'contoso' } });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('resolves a relative URL against the app origin', async () => {
+    fetch.mockReturnValue(respond({ domain: 'contoso.com', organization: null, identityProvider: null }));
+
+    await new OrganizationLookup({ url: '/api/organizations' }).find('contoso.com');
+
+    expect(fetch.mock.calls[0][0]).toBe('http://localhost:3001/api/organizations?domain=contoso.com');
+  });
+});
@@ -0,0 +1,214 @@
+import {
+  RoutingRules,
+  DEFAULT_ROUTING_CONFIG,
+  getEmailDomain
+} from '../routingRules';
+import { analyzeEmail } from '../emailAnalysis';
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+  log: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('Routing Rules', () => {
+  describe('getEmailDomain', () => {
+    test('extracts and lowercases the domain', () => {
+      expect(getEmailDomain('User@GMAIL.com')).toBe('gmail.com');
+    });
+
+    test('returns null for missing domains', () => {
+      expect(getEmailDomain('no-domain')).toBeNull();
+      expect(getEmailDomain('')).toBeNull();
+      expect(getEmailDomain(null)).toBeNull();
+    });
+
+    test('normalizes trailing dots, whitespace and Unicode domains', () => {
+      expect(getEmailDomain(' user@GMAIL.COM. ')).toBe('gmail.com');
+      expect(getEmailDomain('user@München.de')).toBe('xn--mnchen-3ya.de');
+    });
+  });
+
+  describe('default configuration', () => {
+    const routingRules = new RoutingRules(DEFAULT_ROUTING_CONFIG);
+
+    test.each([
+      ['user@gmail.com', 'google'],
+      ['user@googlemail.com', 'google'],
+      ['user@outlook.com', 'microsoft'],
+      ['user@hotmail.com', 'microsoft'],
+      ['user@live.com', 'microsoft'],
+      ['user@msn.com', 'microsoft']
+    ])('routes %s to %s', (email, idp) => {
+      expect(routingRules.resolve(email).idp).toBe(idp);
+    });
+
+    test('returns no IDP for unmapped domains', () => {
+      const route = routingRules.resolve('user@company.com');
+      expect(route.idp).toBeNull();
+      expect(route.isDefault).toBe(true);
+    });
+
+    test('routes an address with a trailing dot like the plain domain', () => {
+      expect(routingRules.resolve('user@GMAIL.COM.').idp).toBe('google');
+    });
+
+    test('lists the exact rule domains as known domains', () => {
+      expect(routingRules.getKnownDomains()).toEqual(expect.arrayContaining(['gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'live.com', 'msn.com']));
+      expect(routingRules.getKnownDomains()).toHaveLength(6);
+    });
+
+    test('provides display names for known providers', () => {
+      expect(routingRules.getDisplayName('google')).toBe('Google');
+      expect(routingRules.getDisplayName('microsoft')).toBe('Microsoft');
+      expect(routingRules.getDisplayName('github')).toBe('github');
+      expect(routingRules.getDisplayName(null)).toBeNull();
+    });
+  });
+
+  describe('wildcards, priority and default route', () => {
+    const routingRules = new RoutingRules({
+      defaultRoute: 'keycloak-default',
+      rules: [
+        { domain: '*.contoso.com', idp: 'contoso-azure' },
+        { domain: 'contoso.com', idp: 'contoso-saml' },
+        { domain: '*.eu.contoso.com', idp: 'contoso-eu' },
+        { domain: 'legacy.contoso.com', idp: 'contoso-legacy', priority: -1 },
+        { domain: '*.fabrikam.com', idp: 'fabrikam-low' },
+        { domain: 'sales.fabrikam.com', idp: 'fabrikam-high', priority: 10 }
+      ]
+    });
+
+    test('wildcards match subdomains but not the apex domain', () => {
+      expect(routingRules.resolve('a@dev.contoso.com').idp).toBe('contoso-azure');
+      expect(routingRules.resolve('a@contoso.com').idp).toBe('contoso-saml');
+      expect(routingRules.resolve('a@notcontoso.com').idp).toBe('keycloak-default');
+    });
+
+    test('more specific wildcard wins at equal priority', () => {
+      expect(routingRules.resolve('a@paris.eu.contoso.com').idp).toBe('contoso-eu');
+    });
+
+    test('higher priority wins over specificity', () => {
+      expect(routingRules.resolve('a@legacy.contoso.com').idp).toBe('contoso-azure');
+      expect(routingRules.resolve('a@sales.fabrikam.com').idp).toBe('fabrikam-high');
+    });
+
+    test('falls back to the default route', () => {
+      const route = routingRules.resolve('a@example.org');
+      expect(route.idp).toBe('keycloak-default');
+      expect(route.rule).toBeNull();
+      expect(route.isDefault).toBe(true);
+    });
+  });
+
+  describe('internationalized domains', () => {
+    test('matches Unicode and punycode spellings of a rule domain', () => {
+      const routingRules = new RoutingRules({
+        rules: [
+          { domain: 'bücher.example', idp: 'books' },
+          { domain: '*.xn--mnchen-3ya.de', idp: 'munich' }
+        ]
+      });
+
+      expect(routingRules.resolve('reader@xn--bcher-kva.example').idp).toBe('books');
+      expect(routingRules.resolve('reader@BÜCHER.example').idp).toBe('books');
+      expect(routingRules.resolve('staff@rathaus.münchen.de').idp).toBe('munich');
+    });
+  });
+
+  describe('organizational domain hints', () => {
+    const routingRules = new RoutingRules({
+      rules: [
+        { domain: 'gmail.com', idp: 'google' },
+        { domain: 'example.org', idp: 'google', domainHint: true },
+        { domain: '*.contoso.com', idp: 'microsoft', domainHint: 'CONTOSO.com.' },
+        { domain: 'acme.com', idp: 'acme-sso', domainHint: true }
+      ],
+      providers: { acme: { displayName: 'Acme' } }
+    });
+
+    test('uses the provider\'s parameter with the email domain or the configured one', () => {
+      expect(routingRules.getDomainHint('ann@example.org', 'google')).toEqual({ parameter: 'hd', value: 'example.org' });
+      expect(routingRules.getDomainHint('ben@eu.contoso.com', 'microsoft')).toEqual({ parameter: 'domain_hint', value: 'contoso.com' });
+    });
+
+    test('gives none to consumer domains, other IDPs or IDPs without a parameter', () => {
+      expect(routingRules.getDomainHint('user@gmail.com', 'google')).toBeNull();
+      expect(routingRules.getDomainHint('ann@example.org', 'microsoft')).toBeNull();
+      expect(routingRules.getDomainHint('ann@example.org', null)).toBeNull();
+      expect(routingRules.getDomainHint('eve@acme.com', 'acme-sso')).toBeNull();
+    });
+
+    test('reads the parameter from the provider configuration', () => {
+      const custom = new RoutingRules({
+        rules: [{ domain: 'acme.com', idp: 'acme-sso', domainHint: true }],
+        providers: { 'acme-sso': { domainHintParameter: 'organization' } }
+      });
+      expect(custom.getDomainHint('eve@acme.com', 'acme-sso')).toEqual({ parameter: 'organization', value: 'acme.com' });
+    });
+  });
+
+  describe('customer realms', () => {
+    const rules = new RoutingRules({
+      defaultRoute: 'google',
+      rules: [
+        { domain: 'acme.com', realm: 'acme' },
+        { domain: '*.acme.com', realm: 'acme', idp: 'acme-saml' }
+      ],
+      realms: { acme: { realm: 'acme', clientId: 'acme-portal' } }
+    });
+
+    test('resolves domains to their realm, with or without an IDP in it', () => {
+      expect(rules.resolve('wile@acme.com')).toMatchObject({ realm: 'acme', idp: null, isDefault: false });
+      expect(rules.resolve('wile@eu.acme.com')).toMatchObject({ realm: 'acme', idp: 'acme-saml' });
+    });
+
+    test('keeps other domains in the configured realm', () => {
+      expect(rules.resolve('user@example.com')).toMatchObject({ realm: null, idp: 'google', isDefault: true });
+    });
+
+    test('never suggests customer or organization domains for typos', () => {
+      const mixed = new RoutingRules({
+        rules: [
+          { domain: 'gmail.com', idp: 'google' },
+          { domain: 'acme.com', realm: 'acme' },
+          { domain: 'contoso.com', idp: 'microsoft', domainHint: true }
+        ],
+        realms: { acme: { realm: 'acme' } }
+      });
+      const knownDomains = mixed.getKnownDomains();
+
+      expect(knownDomains).toEqual(['gmail.com']);
+      expect(analyzeEmail('wile@acme.co', { knownDomains }).suggestion).toBeNull();
+      expect(analyzeEmail('ben@contoso.co', { knownDomains }).suggestion).toBeNull();
+      expect(analyzeEmail('jane@gmial.com', { knownDomains }).suggestion).toEqual({ domain: 'gmail.com', email: 'jane@gmail.com' });
+    });
+
+    test('rejects rules for realms that are not configured', () => {
+      expect(() => new RoutingRules({ rules: [{ domain: 'acme.com', realm: 'acme' }] })).toThrow('unknown realm: acme');
+    });
+  });
+
+  describe('configuration validation', () => {
+    test('rejects rules without a domain or idp', () => {
+      expect(() => new RoutingRules({ rules: [{ idp: 'google' }] })).toThrow('missing a domain');
+      expect(() => new RoutingRules({ rules: [{ domain: 'gmail.com' }] })).toThrow('missing an idp');
+    });
+
+    test('rejects wildcards outside the leading label', () => {
+      expect(() => new RoutingRules({ rules: [{ domain: 'mail.*.com', idp: 'x' }] })).toThrow('unsupported pattern');
+    });
+
+    test('rejects rule domains that are not valid domains', () => {
+      expect(() => new RoutingRules({ rules: [{ domain: 'acme.com/path', idp: 'x' }] })).toThrow('invalid domain');
+    });
+
+    test('rejects domain hints that are not a domain or true', () => {
+      expect(() => new RoutingRules({ rules: [{ domain: 'acme.com', idp: 'x', domainHint: 'acme com' }] })).toThrow('invalid domainHint');
+      expect(() => new RoutingRules({ rules: [{ domain: 'acme.com', idp: 'x', domainHint: 1 }] })).toThrow('invalid domainHint');
+    });
+  });
+});
@@ -0,0 +1,149 @@
+// Email address analysis for login: normalization, validation with a reason, and typo suggestions
+// for near misses of known provider domains. Routing and validation both read its result.
+
+// Why an address was rejected, with the message shown next to the email field
+export const EMAIL_REJECTION_MESSAGES = {
+    empty: 'Please enter an email address',
+    contains_whitespace: 'An email address cannot contain spaces',
+    missing_at: 'An email address needs an @ followed by a domain, e.g. name@example.com',
+    multiple_at: 'An email address can contain only one @',
+    missing_local_part: 'Enter the part before the @',
+    invalid_local_part: 'The part before the @ is not valid',
+    local_part_too_long: 'The part before the @ can be at most 64 characters',
+    missing_domain: 'Enter the domain after the @, e.g. example.com',
+    invalid_domain: 'The domain after the @ is not valid',
+    missing_tld: 'The domain needs an ending such as .com',
+    domain_too_long: 'The domain after the @ is too long'
+};
+
+const MAX_LOCAL_PART_LENGTH = 64;
+const MAX_DOMAIN_LENGTH = 253;
+// Letters, digits and inner hyphens, as every label is after IDNA conversion (xn-- for Unicode labels)
+const DOMAIN_LABEL = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+// Characters the URL parser would interpret instead of rejecting
+const URL_SYNTAX = /[/\\?#%:[\]]/;
+
+// Lowercased ASCII (punycode) form of a domain without trailing dots, null when it cannot be a domain
+// München.de and xn--mnchen-3ya.de both become xn--mnchen-3ya.de, GMAIL.COM. becomes gmail.com
+export const normalizeDomain = (domain) => {
+    if (typeof domain !== 'string') return null;
+
+    const trimmed = domain.trim().replace(/[.。．｡]+$/, '');
+    if (!trimmed || URL_SYNTAX.test(trimmed)) return null;
+
+    try {
+        // IDNA (UTS #46) mapping: case folding, full-width dots, Unicode labels to punycode
+        return new URL(`http://${trimmed}`).hostname.replace(/\.+$/, '') || null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Optimal string alignment distance: edits, with swapped neighbours (gmial/gmail) counting as one
+const editDistance = (a, b) => {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+};
+
+// Closest known domain within a small edit distance, null for known domains or when nothing is close
+// (or two known domains are equally close)
+export const suggestDomain = (domain, knownDomains = []) => {
+    if (!domain || knownDomains.includes(domain)) return null;
+
+    const maxDistance = domain.length < 8 ? 1 : 2;
+    let best = null;
+    let bestDistance = Infinity;
+    let tie = false;
+
+    knownDomains.forEach((known) => {
+        const distance = editDistance(domain, known);
+        if (distance < bestDistance) {
+            best = known;
+            bestDistance = distance;
+            tie = false;
+        } else if (distance === bestDistance && known !== best) {
+            tie = true;
+        }
+    });
+
+    return bestDistance <= maxDistance && !tie ? best : null;
+};
+
+const rejectLocalPart = (localPart) => {
+    if (!localPart) return 'missing_local_part';
+    if (localPart.length > MAX_LOCAL_PART_LENGTH) return 'local_part_too_long';
+    if (localPart.startsWith('.') || localPart.endsWith('.') || localPart.includes('..') || /[\s"(),;<>[\]\\]/.test(localPart)) {
+        return 'invalid_local_part';
+    }
+    return null;
+};
+
+const rejectDomain = (rawDomain, domain) => {
+    if (!rawDomain.replace(/\.+$/, '')) return 'missing_domain';
+    if (!domain) return 'invalid_domain';
+    if (domain.length > MAX_DOMAIN_LENGTH) return 'domain_too_long';
+
+    const labels = domain.split('.');
+    if (!labels.every((label) => DOMAIN_LABEL.test(label))) return 'invalid_domain';
+    if (labels.length < 2) return 'missing_tld';
+    // A numeric ending is an IP address, not a domain
+    if (/^\d+$/.test(labels[labels.length - 1])) return 'invalid_domain';
+    return null;
+};
+
+// Analyze what the user typed into the email field
+// knownDomains: domains of known providers to suggest corrections for (e.g. the routing rules' domains)
+// Returns { input, valid, reason, message, email, localPart, domain, suggestion }:
+//   email/domain are normalized (trimmed, ASCII lowercase domain without trailing dot) when the address is valid
+//   suggestion is { domain, email } for a near miss of a known domain ("Did you mean gmail.com?")
+export const analyzeEmail = (input, { knownDomains = [] } = {}) => {
+    const result = {
+        input,
+        valid: false,
+        reason: null,
+        message: null,
+        email: null,
+        localPart: null,
+        domain: null,
+        suggestion: null
+    };
+    const reject = (reason) => ({ ...result, reason, message: EMAIL_REJECTION_MESSAGES[reason] });
+
+    const trimmed = typeof input === 'string' ? input.trim() : '';
+    if (!trimmed) return reject('empty');
+    if (/\s/.test(trimmed)) return reject('contains_whitespace');
+
+    const at = trimmed.lastIndexOf('@');
+    if (at === -1) return reject('missing_at');
+    if (trimmed.indexOf('@') !== at) return reject('multiple_at');
+
+    const localPart = trimmed.slice(0, at);
+    const rawDomain = trimmed.slice(at + 1);
+    const domain = normalizeDomain(rawDomain);
+
+    const reason = rejectLocalPart(localPart) || rejectDomain(rawDomain, domain);
+    if (reason) return reject(reason);
+
+    const suggestedDomain = suggestDomain(domain, knownDomains);
+    return {
+        ...result,
+        valid: true,
+        email: `${localPart}@${domain}`,
+        localPart,
+        domain,
+        suggestion: suggestedDomain ? { domain: suggestedDomain, email: `${localPart}@${suggestedDomain}` } : null
+    };
+};
+
+export default analyzeEmail;
@@ -0,0 +1,43 @@
+// User-specific routing: the identity providers already linked to the account of an email address, from the
+// lookup service (npm run lookup) at linkedIdentityProvidersUrl (REACT_APP_LINKED_IDENTITY_PROVIDERS_URL)
+//
+//   POST <url> { email } -> { identityProviders: [{ alias, displayName }] }
+//
+// The service answers unknown addresses like accounts without linked providers (see server/lookupServer.mjs),
+// so an empty list only means "route by domain"
+import logger from '../utils/logger';
+import { getAppConfig } from '../config/appConfig';
+
+export class LinkedAccountLookup {
+    constructor({ url = getAppConfig().values.linkedIdentityProvidersUrl } = {}) {
+        this.url = url || null;
+    }
+
+    isEnabled() {
+        return Boolean(this.url);
+    }
+
+    // [{ alias, displayName }] for a normalized email, null without a URL or when the service fails
+    async find(email) {
+        if (!this.url || !email) return null;
+
+        try {
+            const response = await fetch(new URL(this.url, window.location.origin).toString(), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+                body: JSON.stringify({ email })
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const { identityProviders } = await response.json();
+            return Array.isArray(identityProviders) ? identityProviders : [];
+        } catch (error) {
+            logger.error('Linked identity provider lookup failed, routing by domain:', error);
+            return null;
+        }
+    }
+}
+
+export default LinkedAccountLookup;
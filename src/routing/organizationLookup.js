@@ -0,0 +1,56 @@
+// Home realm discovery through Keycloak Organizations: the email domain's organization and the identity
+// provider linked to it, from the lookup service (npm run lookup) at organizationLookupUrl
+// (REACT_APP_ORGANIZATION_LOOKUP_URL)
+//
+//   GET <url>?domain=<domain> -> { domain, organization: { alias, name } | null, identityProvider: { alias, displayName } | null }
+//
+// Without a URL, or when the service fails, there is no organization and the local routing rules apply
+import logger from '../utils/logger';
+import { getAppConfig } from '../config/appConfig';
+
+export class OrganizationLookup {
+    constructor({ url = getAppConfig().values.organizationLookupUrl } = {}) {
+        this.url = url || null;
+        // Lookups by domain (successful ones only, a failure is retried on the next login)
+        this.lookups = new Map();
+    }
+
+    isEnabled() {
+        return Boolean(this.url);
+    }
+
+    // { organization, identityProvider } for a normalized domain, null when no organization owns it
+    async find(domain) {
+        if (!this.url || !domain) return null;
+
+        if (!this.lookups.has(domain)) {
+            const lookup = this.fetchRoute(domain);
+            this.lookups.set(domain, lookup);
+            lookup.then((route) => {
+                if (route === undefined) this.lookups.delete(domain);
+            });
+        }
+        return (await this.lookups.get(domain)) || null;
+    }
+
+    // The service's answer, undefined when it could not be asked
+    async fetchRoute(domain) {
+        try {
+            const url = new URL(this.url, window.location.origin);
+            url.searchParams.set('domain', domain);
+
+            const response = await fetch(url.toString(), { headers: { Accept: 'application/json' } });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const { organization = null, identityProvider = null } = await response.json();
+            return organization ? { organization, identityProvider } : null;
+        } catch (error) {
+            logger.error(`Organization lookup for ${domain} failed, using the local routing rules:`, error);
+            return undefined;
+        }
+    }
+}
+
+export default OrganizationLookup;
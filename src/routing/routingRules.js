@@ -0,0 +1,189 @@
+// Domain-to-IDP routing rules shared by login (kc_idp_hint, domain hints) and callback (provider display)
+import logger from '../utils/logger';
+import { analyzeEmail, normalizeDomain } from './emailAnalysis';
+import { getAppConfig } from '../config/appConfig';
+
+// Built-in rules used when no routing configuration is supplied
+export const DEFAULT_ROUTING_CONFIG = {
+    defaultRoute: null,
+    rules: [
+        { domain: 'gmail.com', idp: 'google' },
+        { domain: 'googlemail.com', idp: 'google' },
+        { domain: 'outlook.com', idp: 'microsoft' },
+        { domain: 'hotmail.com', idp: 'microsoft' },
+        { domain: 'live.com', idp: 'microsoft' },
+        { domain: 'msn.com', idp: 'microsoft' }
+    ],
+    // Identity providers logins may target, with display metadata (see IdentityProviderRegistry)
+    providers: {
+        google: {
+            displayName: 'Google',
+            domainHintParameter: 'hd',
+            logoutUrl: 'https://accounts.google.com/logout'
+        },
+        microsoft: {
+            displayName: 'Microsoft',
+            domainHintParameter: 'domain_hint',
+            logoutUrl: 'https://login.microsoftonline.com/common/oauth2/v2.0/logout'
+        }
+    }
+};
+
+// Upstream parameter that names an organization's domain, for providers configured without one
+// (Google's hd limits the account chooser to a Workspace domain, Microsoft's domain_hint skips home realm discovery)
+export const DEFAULT_DOMAIN_HINT_PARAMETERS = {
+    google: 'hd',
+    microsoft: 'domain_hint'
+};
+
+// Normalized domain of a valid email address (lowercase ASCII, no trailing dot), null otherwise
+export const getEmailDomain = (email) => analyzeEmail(email).domain;
+
+// Validate a single rule and convert it to the internal matching format
+const compileRule = (rule, index) => {
+    if (!rule || typeof rule.domain !== 'string' || !rule.domain.trim()) {
+        throw new Error(`Routing rule #${index} is missing a domain`);
+    }
+    // A rule routes to an IDP, to a customer's realm (its login page) or to an IDP within that realm
+    const hasIdp = typeof rule.idp === 'string' && rule.idp.trim() !== '';
+    const hasRealm = typeof rule.realm === 'string' && rule.realm.trim() !== '';
+    if (!hasIdp && !hasRealm) {
+        throw new Error(`Routing rule #${index} (${rule.domain}) is missing an idp or realm`);
+    }
+
+    const rawPattern = rule.domain.trim().toLowerCase();
+    const isWildcard = rawPattern.startsWith('*.');
+
+    if (rawPattern.slice(isWildcard ? 2 : 0).includes('*')) {
+        throw new Error(`Routing rule #${index} has an unsupported pattern: ${rule.domain}`);
+    }
+
+    // Same normalization as email domains, so Unicode and punycode spellings of a domain match each other
+    const domain = normalizeDomain(rawPattern.slice(isWildcard ? 2 : 0));
+    if (!domain) {
+        throw new Error(`Routing rule #${index} has an invalid domain: ${rule.domain}`);
+    }
+    const pattern = isWildcard ? `*.${domain}` : domain;
+
+    // domainHint: true sends the email's domain to the IDP, a string sends that domain (e.g. the tenant's primary one)
+    let domainHint = rule.domainHint ?? null;
+    if (typeof domainHint === 'string') {
+        domainHint = normalizeDomain(domainHint);
+        if (!domainHint) {
+            throw new Error(`Routing rule #${index} (${rule.domain}) has an invalid domainHint: ${rule.domainHint}`);
+        }
+    } else if (domainHint !== null && typeof domainHint !== 'boolean') {
+        throw new Error(`Routing rule #${index} (${rule.domain}) has an invalid domainHint: ${rule.domainHint}`);
+    }
+
+    return {
+        ...rule,
+        pattern,
+        isWildcard,
+        // Wildcards match subdomains only: *.contoso.com matches eu.contoso.com, not contoso.com
+        suffix: isWildcard ? pattern.slice(1) : null,
+        idp: hasIdp ? rule.idp : null,
+        realm: hasRealm ? rule.realm : null,
+        domainHint: domainHint || null,
+        priority: Number.isFinite(rule.priority) ? rule.priority : 0,
+        index
+    };
+};
+
+// Order candidates: priority first, then exact over wildcard, then the more specific pattern, then config order
+const compareRules = (a, b) => {
+    if (a.priority !== b.priority) return b.priority - a.priority;
+    if (a.isWildcard !== b.isWildcard) return a.isWildcard ? 1 : -1;
+    if (a.pattern.length !== b.pattern.length) return b.pattern.length - a.pattern.length;
+    return a.index - b.index;
+};
+
+export class RoutingRules {
+    constructor(config = DEFAULT_ROUTING_CONFIG) {
+        if (config.rules !== undefined && !Array.isArray(config.rules)) {
+            throw new Error('Routing rules must be an array');
+        }
+        this.rules = (config.rules || []).map(compileRule).sort(compareRules);
+        this.defaultRoute = config.defaultRoute || null;
+        this.providers = config.providers || {};
+        // Realms other than the configured one, by id: { issuer } or { url, realm }, with an optional clientId
+        this.realms = config.realms || {};
+
+        const unknownRealm = this.rules.find((rule) => rule.realm && !Object.prototype.hasOwnProperty.call(this.realms, rule.realm));
+        if (unknownRealm) {
+            throw new Error(`Routing rule #${unknownRealm.index} (${unknownRealm.pattern}) uses an unknown realm: ${unknownRealm.realm}`);
+        }
+    }
+
+    // Find the rule matching an email, or null when only the default route applies
+    findRule(email) {
+        const domain = getEmailDomain(email);
+        if (!domain) return null;
+
+        return this.rules.find((rule) => (
+            rule.isWildcard ? domain.endsWith(rule.suffix) : domain === rule.pattern
+        )) || null;
+    }
+
+    // Resolve an email to an IDP alias and realm, falling back to the default route in the configured realm
+    // realm is null for the configured realm (REACT_APP_KEYCLOAK_REALM)
+    resolve(email) {
+        const rule = this.findRule(email);
+        const idp = rule ? rule.idp : this.defaultRoute;
+
+        return {
+            domain: getEmailDomain(email),
+            idp,
+            realm: rule?.realm || null,
+            rule,
+            isDefault: !rule
+        };
+    }
+
+    // Organizational domain hint for a login routed to idp: { parameter, value } (e.g. hd=contoso.com), or null
+    // Only rules with domainHint get one, consumer domains like gmail.com must not restrict the account chooser
+    getDomainHint(email, idp) {
+        const rule = this.findRule(email);
+        if (!idp || !rule || rule.idp !== idp || !rule.domainHint) return null;
+
+        const parameter = this.providers[idp]?.domainHintParameter || DEFAULT_DOMAIN_HINT_PARAMETERS[idp];
+        if (!parameter) {
+            logger.warn(`Routing rule ${rule.pattern} has a domainHint, but IDP ${idp} has no domainHintParameter`);
+            return null;
+        }
+
+        return {
+            parameter,
+            value: rule.domainHint === true ? getEmailDomain(email) : rule.domainHint
+        };
+    }
+
+    // Exact consumer provider domains (gmail.com, outlook.com): the domains email typos are corrected towards
+    // Organizations' domains (customer realms, rules with a domainHint) are never suggested, so a near miss of a
+    // consumer domain does not reveal which customers are configured
+    getKnownDomains() {
+        return [...new Set(this.rules
+            .filter((rule) => !rule.isWildcard && rule.idp && !rule.realm && !rule.domainHint)
+            .map((rule) => rule.pattern))];
+    }
+
+    // Human readable provider name for an IDP alias
+    getDisplayName(idp) {
+        if (!idp) return null;
+        return this.providers[idp]?.displayName || idp;
+    }
+}
+
+// Shared instance built from the application configuration (routingRules setting, the defaults when unset)
+// The configuration compiles the rules when it is loaded: rules that do not compile are reported as a malformed
+// setting (isConfigured(), the configuration error screen) and never get here
+let sharedRoutingRules = null;
+
+export const getRoutingRules = () => {
+    if (!sharedRoutingRules) {
+        sharedRoutingRules = new RoutingRules(getAppConfig().values.routingRules || DEFAULT_ROUTING_CONFIG);
+    }
+    return sharedRoutingRules;
+};
+
+export default getRoutingRules;
@@ -0,0 +1,115 @@
+// IndexedDB storage adapter with AES-GCM encryption (WebCrypto)
+// The encryption key is a non-extractable CryptoKey kept in the same database: scripts can use it
+// through WebCrypto but cannot read it, and the stored values are useless when copied off the disk.
+import logger from '../utils/logger';
+
+const KEY_STORE = 'keys';
+const VALUE_STORE = 'values';
+const ENCRYPTION_KEY_ID = 'encryption-key';
+
+// Wrap an IDBRequest in a promise
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+export class EncryptedIndexedDbStorage {
+    constructor({ databaseName = 'keycloak-session', indexedDB = window.indexedDB, crypto = window.crypto } = {}) {
+        this.databaseName = databaseName;
+        this.indexedDB = indexedDB;
+        this.crypto = crypto;
+        this.databasePromise = null;
+        this.keyPromise = null;
+        // Operations run one after another so a slow encrypted write can never land after a later remove
+        this.queue = Promise.resolve();
+    }
+
+    static isSupported() {
+        return typeof window !== 'undefined' && !!window.indexedDB && !!window.crypto?.subtle;
+    }
+
+    openDatabase() {
+        if (!this.databasePromise) {
+            const request = this.indexedDB.open(this.databaseName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(KEY_STORE);
+                request.result.createObjectStore(VALUE_STORE);
+            };
+            this.databasePromise = promisify(request);
+        }
+        return this.databasePromise;
+    }
+
+    async request(storeName, mode, operation) {
+        const database = await this.openDatabase();
+        const store = database.transaction(storeName, mode).objectStore(storeName);
+        return promisify(operation(store));
+    }
+
+    // Load the encryption key, generating it on first use
+    getEncryptionKey() {
+        if (!this.keyPromise) {
+            this.keyPromise = (async () => {
+                const storedKey = await this.request(KEY_STORE, 'readonly', (store) => store.get(ENCRYPTION_KEY_ID));
+                if (storedKey) return storedKey;
+
+                const key = await this.crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+                await this.request(KEY_STORE, 'readwrite', (store) => store.put(key, ENCRYPTION_KEY_ID));
+                return key;
+            })();
+            this.keyPromise.catch(() => {
+                this.keyPromise = null;
+            });
+        }
+        return this.keyPromise;
+    }
+
+    enqueue(operation) {
+        const result = this.queue.then(operation);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    get(key) {
+        return this.enqueue(async () => {
+            const record = await this.request(VALUE_STORE, 'readonly', (store) => store.get(key));
+            if (!record) return null;
+
+            try {
+                const plaintext = await this.crypto.subtle.decrypt(
+                    { name: 'AES-GCM', iv: record.iv },
+                    await this.getEncryptionKey(),
+                    record.data
+                );
+                return JSON.parse(new TextDecoder().decode(plaintext));
+            } catch (error) {
+                // Key was replaced (e.g. site data partially cleared): the value cannot be recovered
+                logger.warn('Discarding unreadable encrypted session entry:', key);
+                await this.request(VALUE_STORE, 'readwrite', (store) => store.delete(key));
+                return null;
+            }
+        });
+    }
+
+    set(key, value) {
+        return this.enqueue(async () => {
+            const iv = this.crypto.getRandomValues(new Uint8Array(12));
+            const data = await this.crypto.subtle.encrypt(
+                { name: 'AES-GCM', iv },
+                await this.getEncryptionKey(),
+                new TextEncoder().encode(JSON.stringify(value))
+            );
+            await this.request(VALUE_STORE, 'readwrite', (store) => store.put({ iv, data: new Uint8Array(data) }, key));
+        });
+    }
+
+    remove(key) {
+        return this.enqueue(() => this.request(VALUE_STORE, 'readwrite', (store) => store.delete(key)));
+    }
+
+    clear() {
+        return this.enqueue(() => this.request(VALUE_STORE, 'readwrite', (store) => store.clear()));
+    }
+}
+
+export default EncryptedIndexedDbStorage;
@@ -0,0 +1,24 @@
+// In-memory storage adapter: nothing is written to disk and the session ends with the page
+export class MemoryStorage {
+    constructor() {
+        this.values = new Map();
+    }
+
+    async get(key) {
+        return this.values.has(key) ? this.values.get(key) : null;
+    }
+
+    async set(key, value) {
+        this.values.set(key, value);
+    }
+
+    async remove(key) {
+        this.values.delete(key);
+    }
+
+    async clear() {
+        this.values.clear();
+    }
+}
+
+export default MemoryStorage;
@@ -0,0 +1,66 @@
+// Accounts remembered on this device for the login screen's account chooser (opt-in per login)
+// Only what the chooser shows and the IDP to route to is kept, never tokens
+import logger from '../utils/logger';
+
+export const REMEMBERED_ACCOUNTS_KEY = 'keycloak_remembered_accounts';
+
+// Enough for the two or three accounts a shared workstation switches between
+const DEFAULT_MAX_ACCOUNTS = 5;
+
+const normalizeEmail = (email) => email.trim().toLowerCase();
+
+export class RememberedAccountStore {
+    constructor({ storage = localStorage, maxAccounts = DEFAULT_MAX_ACCOUNTS } = {}) {
+        this.storage = storage;
+        this.maxAccounts = maxAccounts;
+    }
+
+    // Remembered accounts, most recently used first; unreadable entries are dropped
+    list() {
+        try {
+            const accounts = JSON.parse(this.storage.getItem(REMEMBERED_ACCOUNTS_KEY));
+            return Array.isArray(accounts) ? accounts.filter((account) => typeof account?.email === 'string') : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Remember (or update) the account of a completed login:
+    // { email, name, picture, idpHint, identityProviderName }
+    remember({ email, name = null, picture = null, idpHint = null, identityProviderName = null }) {
+        if (!email) return this.list();
+
+        const account = {
+            email: normalizeEmail(email),
+            name,
+            picture,
+            idpHint,
+            identityProviderName,
+            lastUsedAt: Date.now()
+        };
+        const accounts = [account, ...this.list().filter((stored) => stored.email !== account.email)].slice(0, this.maxAccounts);
+        this.save(accounts);
+        logger.log('Remembered account on this device:', account.email);
+        return accounts;
+    }
+
+    forget(email) {
+        const accounts = this.list().filter((account) => account.email !== normalizeEmail(email));
+        this.save(accounts);
+        return accounts;
+    }
+
+    clear() {
+        this.storage.removeItem(REMEMBERED_ACCOUNTS_KEY);
+    }
+
+    save(accounts) {
+        if (accounts.length > 0) {
+            this.storage.setItem(REMEMBERED_ACCOUNTS_KEY, JSON.stringify(accounts));
+        } else {
+            this.clear();
+        }
+    }
+}
+
+export default RememberedAccountStore;
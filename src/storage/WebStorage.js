@@ -0,0 +1,42 @@
+// Storage adapter for window.localStorage / window.sessionStorage (values stored as JSON)
+export class WebStorage {
+    constructor(storage, prefix = 'keycloak_session.') {
+        this.storage = storage;
+        this.prefix = prefix;
+    }
+
+    async get(key) {
+        const raw = this.storage.getItem(this.prefix + key);
+        if (raw === null || raw === undefined) return null;
+
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            // Unreadable entry, treat as missing
+            this.storage.removeItem(this.prefix + key);
+            return null;
+        }
+    }
+
+    async set(key, value) {
+        this.storage.setItem(this.prefix + key, JSON.stringify(value));
+    }
+
+    async remove(key) {
+        this.storage.removeItem(this.prefix + key);
+    }
+
+    // Remove only this adapter's entries, other app data in the same storage is kept
+    async clear() {
+        const keys = [];
+        for (let i = 0; i < (this.storage.length || 0); i++) {
+            const key = this.storage.key(i);
+            if (key && key.startsWith(this.prefix)) {
+                keys.push(key);
+            }
+        }
+        keys.forEach((key) => this.storage.removeItem(key));
+    }
+}
+
+export default WebStorage;
@@ -0,0 +1,86 @@
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
+import { EncryptedIndexedDbStorage } from '../EncryptedIndexedDbStorage';
+
+const FDBFactory = require('fake-indexeddb/lib/FDBFactory');
+
+// jsdom has no TextEncoder/TextDecoder
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+  log: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+// Read the raw record from the database, bypassing decryption
+const readRawRecord = (storage, key) => storage.request('values', 'readonly', (store) => store.get(key));
+
+describe('EncryptedIndexedDbStorage', () => {
+  let indexedDB;
+  let storage;
+
+  beforeEach(() => {
+    indexedDB = new FDBFactory();
+    storage = new EncryptedIndexedDbStorage({ indexedDB, crypto: webcrypto });
+  });
+
+  test('round-trips values', async () => {
+    await storage.set('tokens', { accessToken: 'access-1', expiresAt: 123 });
+
+    expect(await storage.get('tokens')).toEqual({ accessToken: 'access-1', expiresAt: 123 });
+  });
+
+  test('returns null for missing keys', async () => {
+    expect(await storage.get('tokens')).toBeNull();
+  });
+
+  test('does not store values in plaintext', async () => {
+    await storage.set('tokens', { accessToken: 'secret-access-token' });
+
+    const record = await readRawRecord(storage, 'tokens');
+    expect(record.iv).toHaveLength(12);
+    expect(new TextDecoder().decode(record.data)).not.toContain('secret-access-token');
+  });
+
+  test('uses a fresh IV for every write', async () => {
+    await storage.set('tokens', { accessToken: 'access-1' });
+    const first = await readRawRecord(storage, 'tokens');
+    await storage.set('tokens', { accessToken: 'access-1' });
+    const second = await readRawRecord(storage, 'tokens');
+
+    expect(Array.from(second.iv)).not.toEqual(Array.from(first.iv));
+  });
+
+  test('discards entries that cannot be decrypted', async () => {
+    await storage.set('tokens', { accessToken: 'access-1' });
+    await storage.request('values', 'readwrite', (store) => store.put({ iv: new Uint8Array(12), data: new Uint8Array(32) }, 'tokens'));
+
+    expect(await storage.get('tokens')).toBeNull();
+    expect(await readRawRecord(storage, 'tokens')).toBeUndefined();
+  });
+
+  test('removes single values and clears all', async () => {
+    await storage.set('tokens', { accessToken: 'access-1' });
+    await storage.set('user', { name: 'Test User' });
+
+    await storage.remove('tokens');
+    expect(await storage.get('tokens')).toBeNull();
+    expect(await storage.get('user')).toEqual({ name: 'Test User' });
+
+    await storage.clear();
+    expect(await storage.get('user')).toBeNull();
+  });
+
+  test('applies operations in call order', async () => {
+    // Not awaited: the remove must not overtake the slower encrypted write
+    const write = storage.set('tokens', { accessToken: 'access-1' });
+    const remove = storage.remove('tokens');
+    await Promise.all([write, remove]);
+
+    expect(await storage.get('tokens')).toBeNull();
+  });
+});
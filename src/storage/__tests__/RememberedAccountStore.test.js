@@ -0,0 +1,86 @@
+import { RememberedAccountStore, REMEMBERED_ACCOUNTS_KEY } from '../RememberedAccountStore';
+import { createStorage } from '../../testUtils/createStorage';
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+  log: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('RememberedAccountStore', () => {
+  let storage;
+  let store;
+
+  beforeEach(() => {
+    storage = createStorage();
+    store = new RememberedAccountStore({ storage, maxAccounts: 3 });
+  });
+
+  test('starts empty', () => {
+    expect(store.list()).toEqual([]);
+  });
+
+  test('keeps only what the account chooser shows, never tokens', () => {
+    store.remember({
+      email: 'Alice@Gmail.com ',
+      name: 'Alice Anderson',
+      picture: 'https://example.com/alice.png',
+      idpHint: 'google',
+      identityProviderName: 'Google',
+      accessToken: 'secret'
+    });
+
+    expect(store.list()).toEqual([{
+      email: 'alice@gmail.com',
+      name: 'Alice Anderson',
+      picture: 'https://example.com/alice.png',
+      idpHint: 'google',
+      identityProviderName: 'Google',
+      lastUsedAt: expect.any(Number)
+    }]);
+    expect(storage.values.get(REMEMBERED_ACCOUNTS_KEY)).not.toContain('secret');
+  });
+
+  test('lists the most recently used account first without duplicates', () => {
+    store.remember({ email: 'alice@gmail.com', idpHint: 'google' });
+    store.remember({ email: 'bob@outlook.com', idpHint: 'microsoft' });
+    store.remember({ email: 'alice@gmail.com', name: 'Alice', idpHint: 'google' });
+
+    expect(store.list().map(({ email, name }) => [email, name])).toEqual([
+      ['alice@gmail.com', 'Alice'],
+      ['bob@outlook.com', null]
+    ]);
+  });
+
+  test('drops the least recently used accounts beyond the limit', () => {
+    ['a@example.com', 'b@example.com', 'c@example.com', 'd@example.com'].forEach((email) => store.remember({ email }));
+
+    expect(store.list().map(({ email }) => email)).toEqual(['d@example.com', 'c@example.com', 'b@example.com']);
+  });
+
+  test('ignores logins without an email address', () => {
+    store.remember({ email: null, name: 'Local User' });
+
+    expect(store.list()).toEqual([]);
+  });
+
+  test('forgets one account and removes the entry with the last one', () => {
+    store.remember({ email: 'alice@gmail.com' });
+    store.remember({ email: 'bob@outlook.com' });
+
+    expect(store.forget('ALICE@gmail.com').map(({ email }) => email)).toEqual(['bob@outlook.com']);
+    store.forget('bob@outlook.com');
+
+    expect(storage.values.has(REMEMBERED_ACCOUNTS_KEY)).toBe(false);
+  });
+
+  test('treats unreadable data as no accounts', () => {
+    storage.setItem(REMEMBERED_ACCOUNTS_KEY, '{not json');
+    expect(store.list()).toEqual([]);
+
+    storage.setItem(REMEMBERED_ACCOUNTS_KEY, JSON.stringify([{ email: 'alice@gmail.com' }, { name: 'no email' }]));
+    expect(store.list()).toEqual([{ email: 'alice@gmail.com' }]);
+  });
+});
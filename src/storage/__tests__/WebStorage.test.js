@@ -0,0 +1,54 @@
+import { WebStorage } from '../WebStorage';
+import { MemoryStorage } from '../MemoryStorage';
+import { createStorage } from '../../testUtils/createStorage';
+
+describe('WebStorage', () => {
+  let storage;
+  let adapter;
+
+  beforeEach(() => {
+    storage = createStorage();
+    adapter = new WebStorage(storage);
+  });
+
+  test('stores values as JSON under a prefixed key', async () => {
+    await adapter.set('tokens', { accessToken: 'access-1' });
+
+    expect(storage.values.get('keycloak_session.tokens')).toBe('{"accessToken":"access-1"}');
+    expect(await adapter.get('tokens')).toEqual({ accessToken: 'access-1' });
+  });
+
+  test('returns null for missing keys', async () => {
+    expect(await adapter.get('tokens')).toBeNull();
+  });
+
+  test('discards entries that are not valid JSON', async () => {
+    storage.setItem('keycloak_session.tokens', '{not json');
+
+    expect(await adapter.get('tokens')).toBeNull();
+    expect(storage.values.has('keycloak_session.tokens')).toBe(false);
+  });
+
+  test('clear only removes its own entries', async () => {
+    await adapter.set('tokens', { accessToken: 'access-1' });
+    await adapter.set('user', { name: 'Test User' });
+    storage.setItem('theme', 'dark');
+
+    await adapter.clear();
+
+    expect(Array.from(storage.values.keys())).toEqual(['theme']);
+  });
+});
+
+describe('MemoryStorage', () => {
+  test('keeps values per instance only', async () => {
+    const first = new MemoryStorage();
+    await first.set('tokens', { accessToken: 'access-1' });
+
+    expect(await first.get('tokens')).toEqual({ accessToken: 'access-1' });
+    expect(await new MemoryStorage().get('tokens')).toBeNull();
+
+    await first.remove('tokens');
+    expect(await first.get('tokens')).toBeNull();
+  });
+});
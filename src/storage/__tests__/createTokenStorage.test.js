@@ -0,0 +1,71 @@
+import { createTokenStorage, DEFAULT_TOKEN_STORAGE } from '../createTokenStorage';
+import { MemoryStorage } from '../MemoryStorage';
+import { WebStorage } from '../WebStorage';
+import { EncryptedIndexedDbStorage } from '../EncryptedIndexedDbStorage';
+import logger from '../../utils/logger';
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+  log: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('createTokenStorage', () => {
+  const originalStorageType = process.env.REACT_APP_TOKEN_STORAGE;
+
+  afterEach(() => {
+    if (originalStorageType === undefined) {
+      delete process.env.REACT_APP_TOKEN_STORAGE;
+    } else {
+      process.env.REACT_APP_TOKEN_STORAGE = originalStorageType;
+    }
+    delete window.indexedDB;
+  });
+
+  test('keeps tokens in memory by default', () => {
+    delete process.env.REACT_APP_TOKEN_STORAGE;
+
+    expect(DEFAULT_TOKEN_STORAGE).toBe('memory');
+    expect(createTokenStorage()).toBeInstanceOf(MemoryStorage);
+  });
+
+  test('reads the storage type from the environment', () => {
+    process.env.REACT_APP_TOKEN_STORAGE = 'session';
+
+    const storage = createTokenStorage();
+
+    expect(storage).toBeInstanceOf(WebStorage);
+    expect(storage.storage).toBe(window.sessionStorage);
+  });
+
+  test('uses localStorage when asked to', () => {
+    const storage = createTokenStorage('local');
+
+    expect(storage).toBeInstanceOf(WebStorage);
+    expect(storage.storage).toBe(window.localStorage);
+  });
+
+  test('uses encrypted IndexedDB when the browser supports it', () => {
+    window.indexedDB = {};
+    const originalCrypto = window.crypto;
+    Object.defineProperty(window, 'crypto', { value: { subtle: {} }, configurable: true, writable: true });
+
+    try {
+      expect(createTokenStorage('encrypted-indexeddb')).toBeInstanceOf(EncryptedIndexedDbStorage);
+    } finally {
+      Object.defineProperty(window, 'crypto', { value: originalCrypto, configurable: true, writable: true });
+    }
+  });
+
+  test('falls back to memory when IndexedDB is unavailable', () => {
+    expect(createTokenStorage('encrypted-indexeddb')).toBeInstanceOf(MemoryStorage);
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('keeping tokens in memory'));
+  });
+
+  test('falls back to memory for unknown storage types', () => {
+    expect(createTokenStorage('cookies')).toBeInstanceOf(MemoryStorage);
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('Unknown token storage "cookies"'));
+  });
+});
@@ -0,0 +1,34 @@
+// Choose the storage adapter for tokens and the user profile (REACT_APP_TOKEN_STORAGE)
+// Adapters share one async interface: get(key), set(key, value), remove(key), clear()
+import logger from '../utils/logger';
+import { MemoryStorage } from './MemoryStorage';
+import { WebStorage } from './WebStorage';
+import { EncryptedIndexedDbStorage } from './EncryptedIndexedDbStorage';
+
+export const TOKEN_STORAGE_TYPES = ['memory', 'session', 'local', 'encrypted-indexeddb'];
+
+// Tokens never touch the disk unless a deployment opts in
+export const DEFAULT_TOKEN_STORAGE = 'memory';
+
+export const createTokenStorage = (type = process.env.REACT_APP_TOKEN_STORAGE || DEFAULT_TOKEN_STORAGE) => {
+    switch (type) {
+        case 'memory':
+            return new MemoryStorage();
+        case 'session':
+            return new WebStorage(window.sessionStorage);
+        case 'local':
+            return new WebStorage(window.localStorage);
+        case 'encrypted-indexeddb':
+            if (!EncryptedIndexedDbStorage.isSupported()) {
+                logger.warn('IndexedDB or WebCrypto is not available, keeping tokens in memory');
+                return new MemoryStorage();
+            }
+            return new EncryptedIndexedDbStorage();
+        default:
+            // Fall back to the most restrictive option rather than persisting tokens unexpectedly
+            logger.error(`Unknown token storage "${type}" (expected one of ${TOKEN_STORAGE_TYPES.join(', ')}), keeping tokens in memory`);
+            return new MemoryStorage();
+    }
+};
+
+export default createTokenStorage;
@@ -0,0 +1,156 @@
+// Cross-tab session messages (login, refresh, logout) and a lock so only one tab refreshes at a time
+// Uses BroadcastChannel when available and falls back to localStorage `storage` events
+import logger from '../utils/logger';
+
+export const SESSION_CHANNEL_NAME = 'keycloak-session';
+
+// localStorage keys used when BroadcastChannel / Web Locks are not available
+export const SESSION_EVENT_KEY = 'keycloak_session_event';
+export const LOCK_KEY_PREFIX = 'keycloak_lock.';
+// localStorage key prefix of the small records tabs share next to a lock (see readShared)
+export const SHARED_KEY_PREFIX = 'keycloak_shared.';
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export class SessionChannel {
+    constructor({
+        name = SESSION_CHANNEL_NAME,
+        BroadcastChannelImpl = window.BroadcastChannel,
+        locks = window.navigator?.locks,
+        storage = window.localStorage,
+        leaseMs = 10000,
+        retryMs = 50
+    } = {}) {
+        this.name = name;
+        this.locks = locks;
+        this.storage = storage;
+        this.leaseMs = leaseMs;
+        this.retryMs = retryMs;
+        // Identifies this tab, so it ignores its own messages and lock leases (not a secret)
+        this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+        this.listeners = new Set();
+
+        if (BroadcastChannelImpl) {
+            this.channel = new BroadcastChannelImpl(name);
+            this.channel.onmessage = (event) => this.dispatch(event.data);
+        } else {
+            this.channel = null;
+            this.handleStorageEvent = (event) => {
+                if (event.key !== SESSION_EVENT_KEY || !event.newValue) return;
+                try {
+                    this.dispatch(JSON.parse(event.newValue));
+                } catch (error) {
+                    logger.warn('Ignoring unreadable session event:', error);
+                }
+            };
+            window.addEventListener('storage', this.handleStorageEvent);
+        }
+    }
+
+    // Tell the other tabs about a session change
+    // Tokens and profile data are dropped on the storage event fallback: they would be written to localStorage
+    post(type, payload = {}) {
+        const message = { type, sender: this.tabId, sentAt: Date.now() };
+
+        try {
+            if (this.channel) {
+                this.channel.postMessage({ ...message, ...payload });
+            } else {
+                const { tokens, userSession, ...shareable } = payload;
+                // Other tabs receive a storage event for the write; removing it keeps nothing behind
+                this.storage.setItem(SESSION_EVENT_KEY, JSON.stringify({ ...message, ...shareable }));
+                this.storage.removeItem(SESSION_EVENT_KEY);
+            }
+        } catch (error) {
+            logger.warn('Could not notify other tabs:', error);
+        }
+    }
+
+    // Listen for messages from other tabs; returns an unsubscribe function
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    dispatch(message) {
+        if (!message?.type || message.sender === this.tabId) return;
+
+        this.listeners.forEach((listener) => {
+            try {
+                listener(message);
+            } catch (error) {
+                logger.error('Session message listener failed:', error);
+            }
+        });
+    }
+
+    // Run callback while no other tab holds the lock of the same name
+    async runExclusive(name, callback) {
+        if (this.locks) {
+            return this.locks.request(`${this.name}.${name}`, () => callback());
+        }
+
+        const key = LOCK_KEY_PREFIX + name;
+        await this.acquireLease(key);
+        try {
+            return await callback();
+        } finally {
+            if (this.readLease(key)?.owner === this.tabId) {
+                this.storage.removeItem(key);
+            }
+        }
+    }
+
+    // localStorage lease: expires on its own when the owning tab is closed mid-refresh
+    async acquireLease(key) {
+        for (;;) {
+            const current = this.readLease(key);
+            if (!current || current.owner === this.tabId || current.expiresAt <= Date.now()) {
+                this.storage.setItem(key, JSON.stringify({ owner: this.tabId, expiresAt: Date.now() + this.leaseMs }));
+
+                // Two tabs may claim a free lease at the same moment, the last write wins
+                await delay(this.retryMs);
+                const confirmed = this.readLease(key);
+                if (!confirmed || confirmed.owner === this.tabId) return;
+            }
+            await delay(this.retryMs);
+        }
+    }
+
+    // Small record every tab reads synchronously, e.g. what the holder of a lock last did
+    // Messages may reach a tab after it got the lock, this record is already there; never put tokens in it
+    readShared(name) {
+        try {
+            return JSON.parse(this.storage.getItem(SHARED_KEY_PREFIX + name) || 'null');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    writeShared(name, value) {
+        try {
+            this.storage.setItem(SHARED_KEY_PREFIX + name, JSON.stringify(value));
+        } catch (error) {
+            logger.warn('Could not share state with other tabs:', error);
+        }
+    }
+
+    readLease(key) {
+        try {
+            return JSON.parse(this.storage.getItem(key) || 'null');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    close() {
+        this.listeners.clear();
+        if (this.channel) {
+            this.channel.close();
+        } else {
+            window.removeEventListener('storage', this.handleStorageEvent);
+        }
+    }
+}
+
+export default SessionChannel;
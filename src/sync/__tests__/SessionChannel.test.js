@@ -0,0 +1,175 @@
+import { SessionChannel, SESSION_EVENT_KEY, LOCK_KEY_PREFIX } from '../SessionChannel';
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+  log: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+// In-process BroadcastChannel: delivers to every other open channel of the same name
+const createBroadcastChannel = () => {
+  const channels = new Set();
+  return class FakeBroadcastChannel {
+    constructor(name) {
+      this.name = name;
+      this.onmessage = null;
+      channels.add(this);
+    }
+
+    postMessage(data) {
+      channels.forEach((channel) => {
+        if (channel !== this && channel.name === this.name) {
+          channel.onmessage?.({ data: JSON.parse(JSON.stringify(data)) });
+        }
+      });
+    }
+
+    close() {
+      channels.delete(this);
+    }
+  };
+};
+
+// Storage shared by all tabs; writes raise a storage event like the browser does in the other tabs
+const createSharedStorage = () => {
+  const values = new Map();
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => {
+      values.set(key, String(value));
+      window.dispatchEvent(Object.assign(new Event('storage'), { key, newValue: String(value) }));
+    },
+    removeItem: (key) => {
+      values.delete(key);
+      window.dispatchEvent(Object.assign(new Event('storage'), { key, newValue: null }));
+    },
+    values
+  };
+};
+
+describe('SessionChannel', () => {
+  let tabs;
+
+  afterEach(() => {
+    tabs.forEach((tab) => tab.close());
+  });
+
+  describe('with BroadcastChannel', () => {
+    beforeEach(() => {
+      const BroadcastChannelImpl = createBroadcastChannel();
+      tabs = [new SessionChannel({ BroadcastChannelImpl }), new SessionChannel({ BroadcastChannelImpl })];
+    });
+
+    test('delivers messages with their payload to other tabs only', () => {
+      const [first, second] = tabs;
+      const firstListener = jest.fn();
+      const secondListener = jest.fn();
+      first.subscribe(firstListener);
+      second.subscribe(secondListener);
+
+      first.post('refresh', { tokens: { accessToken: 'access-2' } });
+
+      expect(firstListener).not.toHaveBeenCalled();
+      expect(secondListener).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'refresh',
+        tokens: { accessToken: 'access-2' },
+        sender: first.tabId
+      }));
+    });
+
+    test('stops delivering after unsubscribe', () => {
+      const listener = jest.fn();
+      const unsubscribe = tabs[1].subscribe(listener);
+      unsubscribe();
+
+      tabs[0].post('logout');
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('with the storage event fallback', () => {
+    let storage;
+
+    beforeEach(() => {
+      storage = createSharedStorage();
+      tabs = [
+        new SessionChannel({ BroadcastChannelImpl: null, storage }),
+        new SessionChannel({ BroadcastChannelImpl: null, storage })
+      ];
+    });
+
+    test('delivers messages without their payload and leaves nothing in storage', () => {
+      const listener = jest.fn();
+      tabs[1].subscribe(listener);
+
+      tabs[0].post('login', { tokens: { accessToken: 'secret' } });
+
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ type: 'login', sender: tabs[0].tabId }));
+      expect(listener.mock.calls[0][0].tokens).toBeUndefined();
+      expect(storage.values.has(SESSION_EVENT_KEY)).toBe(false);
+    });
+
+    test('ignores unrelated and unreadable storage events', () => {
+      const listener = jest.fn();
+      tabs[1].subscribe(listener);
+
+      storage.setItem('theme', 'dark');
+      window.dispatchEvent(Object.assign(new Event('storage'), { key: SESSION_EVENT_KEY, newValue: '{not json' }));
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('lets only one tab at a time hold a lock', async () => {
+      const [first, second] = tabs.map((tab) => Object.assign(tab, { retryMs: 1 }));
+      const order = [];
+      let releaseFirst;
+      const firstHeld = new Promise((resolve) => { releaseFirst = resolve; });
+
+      const firstRun = first.runExclusive('token-refresh', async () => {
+        order.push('first start');
+        await firstHeld;
+        order.push('first end');
+      });
+      // Let the first tab take the lease before the second one asks
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      const secondRun = second.runExclusive('token-refresh', async () => {
+        order.push('second');
+        return 'done';
+      });
+
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      expect(order).toEqual(['first start']);
+
+      releaseFirst();
+      await firstRun;
+      await expect(secondRun).resolves.toBe('done');
+      expect(order).toEqual(['first start', 'first end', 'second']);
+      expect(storage.values.has(`${LOCK_KEY_PREFIX}token-refresh`)).toBe(false);
+    });
+
+    test('shares records every tab can read right away', () => {
+      expect(tabs[1].readShared('token-refresh')).toBeNull();
+
+      tabs[0].writeShared('token-refresh', { replaced: 'set-1', by: 'set-2' });
+
+      expect(tabs[1].readShared('token-refresh')).toEqual({ replaced: 'set-1', by: 'set-2' });
+    });
+
+    test('takes over a lease left behind by a closed tab', async () => {
+      storage.setItem(`${LOCK_KEY_PREFIX}token-refresh`, JSON.stringify({ owner: 'closed-tab', expiresAt: Date.now() - 1 }));
+
+      await expect(tabs[0].runExclusive('token-refresh', async () => 'done')).resolves.toBe('done');
+    });
+  });
+
+  test('uses Web Locks when available', async () => {
+    const locks = { request: jest.fn((name, callback) => callback()) };
+    tabs = [new SessionChannel({ BroadcastChannelImpl: createBroadcastChannel(), locks })];
+
+    await expect(tabs[0].runExclusive('token-refresh', async () => 'done')).resolves.toBe('done');
+    expect(locks.request).toHaveBeenCalledWith('keycloak-session.token-refresh', expect.any(Function));
+  });
+});
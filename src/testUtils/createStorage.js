@@ -0,0 +1,15 @@
+// In-memory Storage (the localStorage/sessionStorage interface) for tests of code that is handed a storage
+// The window storages are jest mocks in the tests (setupTests.js); values exposes the stored strings
+export const createStorage = () => {
+  const values = new Map();
+  return {
+    get length() { return values.size; },
+    key: (index) => Array.from(values.keys())[index] ?? null,
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key),
+    values
+  };
+};
+
+export default createStorage;
@@ -0,0 +1,25 @@
+import { createCorrelationId } from '../correlationId';
+
+describe('createCorrelationId', () => {
+  test('creates readable IDs without ambiguous characters', () => {
+    const id = createCorrelationId();
+
+    expect(id).toMatch(/^[0-9A-HJKMNP-TV-Z]+-[0-9A-HJKMNP-TV-Z]{6}$/);
+  });
+
+  test('creates a different ID each time', () => {
+    const ids = new Set(Array.from({ length: 50 }, createCorrelationId));
+
+    expect(ids.size).toBe(50);
+  });
+
+  test('orders IDs by creation time', () => {
+    const now = jest.spyOn(Date, 'now');
+    now.mockReturnValueOnce(1700000000000).mockReturnValueOnce(1700000000001);
+
+    const [first, second] = [createCorrelationId(), createCorrelationId()];
+
+    expect(first.split('-')[0] < second.split('-')[0]).toBe(true);
+    now.mockRestore();
+  });
+});
@@ -0,0 +1,36 @@
+import { base64UrlDecode, base64UrlToBytes, decodeJwt, getTokenClaims } from '../jwt';
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+describe('JWT Utilities', () => {
+  test('decodes base64url strings including multi-byte characters', () => {
+    const encoded = Buffer.from('Zoë ✓').toString('base64url');
+    expect(base64UrlDecode(encoded)).toBe('Zoë ✓');
+  });
+
+  test('decodes base64url strings to bytes', () => {
+    expect(Array.from(base64UrlToBytes('AP8Q-_8'))).toEqual([0, 255, 16, 251, 255]);
+  });
+
+  test('decodes header and payload of a JWT', () => {
+    const token = `${encode({ alg: 'RS256', kid: 'k1' })}.${encode({ sub: '123', name: 'Jörg' })}.sig`;
+
+    expect(decodeJwt(token)).toEqual({
+      header: { alg: 'RS256', kid: 'k1' },
+      payload: { sub: '123', name: 'Jörg' },
+      signature: 'sig',
+      signingInput: token.slice(0, token.lastIndexOf('.'))
+    });
+  });
+
+  test('returns null for malformed tokens', () => {
+    expect(decodeJwt('not-a-jwt')).toBeNull();
+    expect(decodeJwt('a.b.c')).toBeNull();
+    expect(decodeJwt(undefined)).toBeNull();
+  });
+
+  test('getTokenClaims returns an empty object for malformed tokens', () => {
+    expect(getTokenClaims('opaque')).toEqual({});
+    expect(getTokenClaims(`${encode({})}.${encode({ identity_provider: 'google' })}.`)).toEqual({ identity_provider: 'google' });
+  });
+});
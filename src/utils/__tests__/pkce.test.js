@@ -1,4 +1,4 @@
-import { generateCodeVerifier, generateCodeChallenge } from '../pkce';
+import { generateCodeVerifier, generateCodeChallenge, generateRandomString } from '../pkce';
 
 // Mock crypto API for Node.js environment
 const mockCrypto = {
@@ -10,11 +10,12 @@ const mockCrypto = {
   }),
   subtle: {
     digest: jest.fn((algorithm, data) => {
-      // Mock SHA-256 digest - return a consistent ArrayBuffer for testing
+      // Mock SHA-256 digest - predictable values derived from the input, so different verifiers get
+      // different challenges
       const mockDigest = new ArrayBuffer(32);
       const view = new Uint8Array(mockDigest);
       for (let i = 0; i < 32; i++) {
-        view[i] = i; // Predictable values for testing
+        view[i] = (i + data.reduce((sum, byte) => sum + byte, 0)) % 256;
       }
       return Promise.resolve(mockDigest);
     })
@@ -43,10 +44,15 @@ Object.defineProperty(global, 'btoa', {
   writable: true
 });
 
+// The test setup resets mock implementations before each test (resetMocks), keep them to restore them
+const mocks = [mockCrypto.getRandomValues, mockCrypto.subtle.digest, mockTextEncoder.encode, global.TextEncoder, global.btoa];
+const implementations = mocks.map((mock) => mock.getMockImplementation());
+
 describe('PKCE Utilities', () => {
   beforeEach(() => {
     jest.clearAllMocks();
     sessionStorage.clear();
+    mocks.forEach((mock, index) => mock.mockImplementation(implementations[index]));
   });
 
   describe('generateCodeVerifier', () => {
@@ -92,5 +98,15 @@ describe('PKCE Utilities', () => {
     });
   });
 
+  describe('generateRandomString', () => {
+    test('encodes the requested number of random bytes as base64url', () => {
+      const value = generateRandomString(16);
+
+      expect(mockCrypto.getRandomValues).toHaveBeenCalledWith(expect.any(Uint8Array));
+      expect(mockCrypto.getRandomValues.mock.calls[0][0]).toHaveLength(16);
+      expect(value).toMatch(/^[A-Za-z0-9_-]{22}$/);
+    });
+  });
+
   // Note: buildAuthUrl tests removed as this function is now handled by individual provider classes
 });
\ No newline at end of file
@@ -0,0 +1,25 @@
+// Short IDs tying an error shown to the user to the log entry support looks up
+
+// Crockford base32: no I, L, O or U, so IDs read out over the phone are not misheard
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+const encode = (value) => {
+  let result = '';
+  let remaining = value;
+  do {
+    result = ALPHABET[remaining % 32] + result;
+    remaining = Math.floor(remaining / 32);
+  } while (remaining > 0);
+  return result;
+};
+
+// Time-ordered part plus random part, e.g. 1K3F9QZ8A-7Q4MX2
+export const createCorrelationId = () => {
+  const bytes = new Uint8Array(6);
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    crypto.getRandomValues(bytes);
+  } else {
+    bytes.forEach((_, index) => { bytes[index] = Math.floor(Math.random() * 256); });
+  }
+  return `${encode(Date.now())}-${Array.from(bytes, (byte) => ALPHABET[byte % 32]).join('')}`;
+};
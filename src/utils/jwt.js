@@ -0,0 +1,43 @@
+// JWT helpers for reading token claims (no signature verification)
+
+// Decode a base64url string to a binary string
+const base64UrlToBinary = (input) => {
+  const base64 = input.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  return atob(padded);
+};
+
+// Decode a base64url string to bytes (e.g. a JWS signature)
+export const base64UrlToBytes = (input) => Uint8Array.from(base64UrlToBinary(input), (char) => char.charCodeAt(0));
+
+// Decode a base64url string to a UTF-8 string
+export const base64UrlDecode = (input) => {
+  const binary = base64UrlToBinary(input);
+  // Percent-encode each byte so decodeURIComponent handles multi-byte UTF-8 characters
+  return decodeURIComponent(
+    Array.from(binary, (char) => '%' + char.charCodeAt(0).toString(16).padStart(2, '0')).join('')
+  );
+};
+
+// Decode a JWT into its header and payload, returns null for malformed tokens
+export const decodeJwt = (token) => {
+  if (!token || typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  try {
+    return {
+      header: JSON.parse(base64UrlDecode(parts[0])),
+      payload: JSON.parse(base64UrlDecode(parts[1])),
+      signature: parts[2],
+      // Signed content for signature verification
+      signingInput: `${parts[0]}.${parts[1]}`
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Read the claims of a JWT, returns an empty object for malformed tokens
+export const getTokenClaims = (token) => decodeJwt(token)?.payload || {};
@@ -1,6 +1,8 @@
 // PKCE utility functions for OAuth 2.0 with PKCE
-export const generateCodeVerifier = () => {
-  const array = new Uint8Array(32);
+
+// Cryptographically random base64url string (also used for nonce values)
+export const generateRandomString = (byteLength = 32) => {
+  const array = new Uint8Array(byteLength);
   crypto.getRandomValues(array);
   return btoa(String.fromCharCode.apply(null, array))
     .replace(/\+/g, '-')
@@ -8,6 +10,8 @@ export const generateCodeVerifier = () => {
     .replace(/=/g, '');
 };
 
+export const generateCodeVerifier = () => generateRandomString(32);
+
 export const generateCodeChallenge = async (verifier) => {
   const encoder = new TextEncoder();
   const data = encoder.encode(verifier);
@@ -16,4 +20,4 @@ export const generateCodeChallenge = async (verifier) => {
     .replace(/\+/g, '-')
     .replace(/\//g, '_')
     .replace(/=/g, '');
-};
\ No newline at end of file
+};